@@ -0,0 +1,292 @@
+/**
+ * backup.js - 로컬 백업 아카이브 (DB + 이미지를 하나의 .tar.gz로)
+ * 외부 의존성 없이 ustar 형식으로 묶고 zlib으로 압축
+ * 동영상 등 큰 파일이 많아도 메인 프로세스가 멈추지 않도록 파일 단위 스트림으로 읽고 씀
+ *
+ * 아카이브 구성: manifest.json, handsub.db, images/<파일명>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { Readable } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const { writeStreamAtomic, createDecryptStages } = require('./encryption');
+
+const BACKUP_PREFIX = 'handsub-backup-';
+const BACKUP_FORMAT = 'handsub-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BLOCK_SIZE = 512;
+
+// 아카이브가 손상됐거나 handsub 백업이 아님
+class BackupInvalidError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupInvalidError';
+  }
+}
+
+// ===== tar (ustar) =====
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+function createHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Archive entry name too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.fill(' ', 148, 156);     // 체크섬 계산 시에는 공백으로 취급
+  header.write('0', 156);         // 일반 파일
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+  return header;
+}
+
+function readString(header, offset, length) {
+  const end = header.indexOf(0, offset);
+  return header.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function verifyChecksum(header) {
+  const expected = parseInt(readString(header, 148, 8).trim(), 8);
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return checksum === expected;
+}
+
+// 경로 탈출(../, 절대 경로) 방지
+function isSafeEntryName(name) {
+  return name.length > 0 && !name.startsWith('/') && !name.includes('\\') &&
+    name.split('/').every(part => part && part !== '.' && part !== '..');
+}
+
+function paddingFor(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+// tar 블록을 순서대로 생성 (파일 항목은 디스크에서 조금씩 읽음)
+async function* tarBlocks(entries) {
+  for (const entry of entries) {
+    if (entry.path) {
+      const stat = await fs.promises.stat(entry.path);
+      yield createHeader(entry.name, stat.size, stat.mtimeMs);
+      let written = 0;
+      if (stat.size > 0) {
+        for await (const chunk of fs.createReadStream(entry.path, { start: 0, end: stat.size - 1 })) {
+          written += chunk.length;
+          yield chunk;
+        }
+      }
+      // 읽는 도중 파일이 줄어들면 헤더 크기와 어긋나 아카이브가 깨짐
+      if (written !== stat.size) {
+        throw new Error(`File changed during backup: ${entry.name}`);
+      }
+      if (paddingFor(stat.size)) yield Buffer.alloc(paddingFor(stat.size));
+    } else {
+      yield createHeader(entry.name, entry.data.length, entry.mtime || Date.now());
+      yield entry.data;
+      if (paddingFor(entry.data.length)) yield Buffer.alloc(paddingFor(entry.data.length));
+    }
+  }
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * 파일 목록을 압축 아카이브로 묶어 저장 (임시 파일에 쓴 뒤 교체)
+ * @param {Array<{ name: string, data?: Buffer, path?: string, mtime?: number }>} entries - data 또는 디스크 파일 path
+ * @param {string} filePath - 저장할 경로
+ * @param {Buffer|null} [key] - 있으면 아카이브 전체 암호화
+ */
+async function packArchive(entries, filePath, key = null) {
+  await writeStreamAtomic([Readable.from(tarBlocks(entries)), zlib.createGzip()], filePath, key);
+}
+
+// 항목 내용을 받을 곳 (디스크 파일 / 메모리)
+function openEntrySink(target) {
+  if (typeof target === 'string') {
+    const stream = fs.createWriteStream(target);
+    return {
+      async write(chunk) {
+        if (stream.errored) throw stream.errored;
+        if (!stream.write(chunk)) await once(stream, 'drain');
+      },
+      async close() {
+        stream.end();
+        await finished(stream);
+      },
+      abort() {
+        stream.destroy();
+      }
+    };
+  }
+
+  const chunks = [];
+  return {
+    async write(chunk) {
+      chunks.push(chunk);
+    },
+    async close() {
+      return Buffer.concat(chunks);
+    },
+    abort() {}
+  };
+}
+
+// gzip을 푼 tar 스트림을 읽으며 항목별로 저장
+function tarExtractor(extract, files) {
+  return async function (source) {
+    let pending = Buffer.alloc(0);
+    let entry = null;       // { name, remaining, padding, sink }
+    let ended = false;
+
+    try {
+      for await (const chunk of source) {
+        // 끝 표시 뒤는 버림 (복호화 인증 확인을 위해 끝까지는 읽음)
+        if (ended) continue;
+        pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+        while (!ended) {
+          if (entry && entry.remaining > 0) {
+            if (pending.length === 0) break;
+            const part = pending.subarray(0, Math.min(entry.remaining, pending.length));
+            pending = pending.subarray(part.length);
+            entry.remaining -= part.length;
+            if (entry.sink) await entry.sink.write(part);
+            continue;
+          }
+
+          if (entry) {
+            if (entry.sink) {
+              const data = await entry.sink.close();
+              if (data) files.set(entry.name, data);
+              entry.sink = null;
+            }
+            const skip = Math.min(entry.padding, pending.length);
+            pending = pending.subarray(skip);
+            entry.padding -= skip;
+            if (entry.padding > 0) break;
+            entry = null;
+          }
+
+          if (pending.length < BLOCK_SIZE) break;
+          const header = pending.subarray(0, BLOCK_SIZE);
+          pending = pending.subarray(BLOCK_SIZE);
+          if (header.every(byte => byte === 0)) {   // 아카이브 끝
+            ended = true;
+            break;
+          }
+          if (!verifyChecksum(header)) {
+            throw new BackupInvalidError('아카이브가 손상되었습니다');
+          }
+
+          const name = readString(header, 0, 100);
+          const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+          const type = String.fromCharCode(header[156]);
+          if (!Number.isFinite(size) || size < 0) {
+            throw new BackupInvalidError('아카이브가 손상되었습니다');
+          }
+
+          // 일반 파일만 (디렉터리/링크는 무시)
+          const target = (type === '0' || type === '\0') && isSafeEntryName(name) ? extract(name) : null;
+          entry = {
+            name,
+            remaining: size,
+            padding: paddingFor(size),
+            sink: target ? openEntrySink(target) : null
+          };
+        }
+      }
+
+      if (entry && (entry.remaining > 0 || entry.sink)) {
+        throw new BackupInvalidError('아카이브가 손상되었습니다');
+      }
+    } catch (e) {
+      entry?.sink?.abort();
+      throw e;
+    }
+  };
+}
+
+/**
+ * 압축 아카이브를 스트림으로 풀기
+ * @param {string} filePath - 백업 파일
+ * @param {(name: string) => string|boolean|null} extract - 항목별 처리:
+ *   경로 문자열이면 그 파일로 저장, true면 메모리로 읽음, 그 외에는 건너뜀
+ * @param {Buffer|null} [key] - 암호화된 아카이브면 데이터 키
+ * @returns {Promise<Map<string, Buffer>>} 메모리로 읽은 항목 (파일명 → 내용)
+ * @throws {BackupInvalidError} 압축/아카이브 손상 (키가 다르면 복호화 오류)
+ */
+async function unpackArchive(filePath, extract, key = null) {
+  const files = new Map();
+  const stages = key ? await createDecryptStages(filePath, key) : [fs.createReadStream(filePath)];
+  try {
+    await pipeline(...stages, zlib.createGunzip(), tarExtractor(extract, files));
+  } catch (e) {
+    if (typeof e.code === 'string' && e.code.startsWith('Z_')) {
+      throw new BackupInvalidError('압축을 풀 수 없습니다');
+    }
+    throw e;
+  }
+  return files;
+}
+
+// ===== 백업 파일 관리 =====
+
+function isBackupFile(name) {
+  return name.startsWith(BACKUP_PREFIX) && (name.endsWith('.tar.gz') || name.endsWith('.tar.gz.enc'));
+}
+
+// 파일명용 시각 (handsub-backup-20240131-093000)
+function formatBackupStamp(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// 최근 keep개만 남기고 정리 (파일명에 시각이 들어 있어 이름순 = 시간순)
+function pruneBackups(dir, keep) {
+  if (!fs.existsSync(dir)) return 0;
+  const backups = fs.readdirSync(dir).filter(isBackupFile).sort().reverse();
+  let removed = 0;
+  backups.slice(keep).forEach(name => {
+    try {
+      fs.unlinkSync(path.join(dir, name));
+      removed++;
+    } catch (e) {
+      // 정리 실패는 무시
+    }
+  });
+  return removed;
+}
+
+module.exports = {
+  BACKUP_PREFIX,
+  BACKUP_FORMAT,
+  BACKUP_FORMAT_VERSION,
+  BackupInvalidError,
+  packArchive,
+  unpackArchive,
+  isBackupFile,
+  formatBackupStamp,
+  pruneBackups
+};
@@ -0,0 +1,197 @@
+/**
+ * encryption.js - 저장 데이터 암호화 (DB 파일 / 이미지 / 백업)
+ * AES-256-GCM, 데이터 키는 Electron safeStorage(OS 키체인)로 감싸서 파일로 보관
+ *
+ * 암호화 파일 형식: MAGIC(4) + IV(12) + AUTH_TAG(16) + 암호문
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const MAGIC = Buffer.from('HSE1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH + TAG_LENGTH;
+
+// OS 보안 저장소를 쓸 수 없음 (Linux 키링 없음 등)
+class EncryptionUnavailableError extends Error {
+  constructor() {
+    super('Secure storage is not available on this system');
+    this.name = 'EncryptionUnavailableError';
+  }
+}
+
+function isEncrypted(buffer) {
+  return buffer.length >= HEADER_LENGTH && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+// 파일 앞부분만 읽어 암호화 여부 확인 (큰 동영상 파일 대비)
+function isEncryptedFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    const bytesRead = fs.readSync(fd, header, 0, HEADER_LENGTH, 0);
+    return isEncrypted(header.subarray(0, bytesRead));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function encryptBuffer(plain, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), encrypted]);
+}
+
+// 키가 다르거나 파일이 손상되면 예외 (GCM 인증 실패)
+function decryptBuffer(data, key) {
+  if (!isEncrypted(data)) {
+    throw new Error('Not an encrypted handsub file');
+  }
+  const iv = data.subarray(MAGIC.length, MAGIC.length + IV_LENGTH);
+  const tag = data.subarray(MAGIC.length + IV_LENGTH, HEADER_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data.subarray(HEADER_LENGTH)), decipher.final()]);
+}
+
+// 임시 파일에 쓴 뒤 교체 (쓰는 도중 종료돼도 기존 파일 유지)
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, data);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * 스트림을 파일로 저장 (큰 파일용, 임시 파일에 쓴 뒤 교체)
+ * key가 있으면 암호화 - 인증 태그는 다 쓴 뒤에 알 수 있어 헤더 자리를 비워 두고 마지막에 채움
+ * @param {Array<stream.Readable|stream.Duplex>} stages - pipeline 앞 단계 (원본 → 변환 ...)
+ * @param {string} filePath
+ * @param {Buffer|null} [key]
+ */
+async function writeStreamAtomic(stages, filePath, key = null) {
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    if (!key) {
+      await pipeline(...stages, fs.createWriteStream(tmpPath));
+    } else {
+      const iv = crypto.randomBytes(IV_LENGTH);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      await fs.promises.writeFile(tmpPath, Buffer.alloc(HEADER_LENGTH));
+      await pipeline(...stages, cipher, fs.createWriteStream(tmpPath, { flags: 'r+', start: HEADER_LENGTH }));
+
+      const handle = await fs.promises.open(tmpPath, 'r+');
+      try {
+        await handle.write(Buffer.concat([MAGIC, iv, cipher.getAuthTag()]), 0, HEADER_LENGTH, 0);
+      } finally {
+        await handle.close();
+      }
+    }
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (e) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * 암호화 파일을 스트림으로 복호화 (큰 파일용)
+ * GCM 인증은 끝까지 읽어야 확인되므로 키가 다르거나 손상됐으면 마지막에 스트림 오류
+ * @returns {Promise<Array<stream.Readable|stream.Duplex>>} pipeline 앞 단계 [파일 읽기, 복호화]
+ */
+async function createDecryptStages(filePath, key) {
+  const handle = await fs.promises.open(filePath, 'r');
+  let header;
+  try {
+    header = Buffer.alloc(HEADER_LENGTH);
+    const { bytesRead } = await handle.read(header, 0, HEADER_LENGTH, 0);
+    header = header.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  if (!isEncrypted(header)) {
+    throw new Error('Not an encrypted handsub file');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, header.subarray(MAGIC.length, MAGIC.length + IV_LENGTH));
+  decipher.setAuthTag(header.subarray(MAGIC.length + IV_LENGTH, HEADER_LENGTH));
+  return [fs.createReadStream(filePath, { start: HEADER_LENGTH }), decipher];
+}
+
+/**
+ * 데이터 키 로드
+ * @param {string} keyPath - safeStorage로 암호화한 키 파일
+ * @param {Electron.SafeStorage} safeStorage
+ * @param {{ create?: boolean }} options - 키 파일이 없으면 새로 생성
+ * @returns {Buffer}
+ * @throws {EncryptionUnavailableError}
+ */
+function loadDataKey(keyPath, safeStorage, { create = false } = {}) {
+  if (!safeStorage.isEncryptionAvailable()) {
+    throw new EncryptionUnavailableError();
+  }
+
+  if (fs.existsSync(keyPath)) {
+    const key = Buffer.from(safeStorage.decryptString(fs.readFileSync(keyPath)), 'base64');
+    if (key.length !== KEY_LENGTH) throw new Error('Invalid data key');
+    return key;
+  }
+
+  if (!create) {
+    throw new Error(`Data key not found: ${keyPath}`);
+  }
+
+  const key = crypto.randomBytes(KEY_LENGTH);
+  writeFileAtomic(keyPath, safeStorage.encryptString(key.toString('base64')));
+  return key;
+}
+
+// 파일 하나 암호화/복호화 (이미 원하는 상태면 건너뜀)
+function encryptFile(filePath, key) {
+  if (isEncryptedFile(filePath)) return false;
+  writeFileAtomic(filePath, encryptBuffer(fs.readFileSync(filePath), key));
+  return true;
+}
+
+function decryptFile(filePath, key) {
+  if (!isEncryptedFile(filePath)) return false;
+  writeFileAtomic(filePath, decryptBuffer(fs.readFileSync(filePath), key));
+  return true;
+}
+
+// 폴더 안 파일 일괄 변환 (filter로 대상 제한, 실패한 파일은 건너뛰고 개수만 반환)
+function transformDirectory(dir, key, encrypt, filter = () => true) {
+  const result = { changed: 0, failed: 0 };
+  if (!fs.existsSync(dir)) return result;
+
+  for (const name of fs.readdirSync(dir)) {
+    if (name.endsWith('.tmp') || !filter(name)) continue;
+    const filePath = path.join(dir, name);
+    try {
+      if (!fs.statSync(filePath).isFile()) continue;
+      const changed = encrypt ? encryptFile(filePath, key) : decryptFile(filePath, key);
+      if (changed) result.changed++;
+    } catch (e) {
+      console.error('[Encryption] Failed to convert file:', name, e.message);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  EncryptionUnavailableError,
+  isEncrypted,
+  isEncryptedFile,
+  encryptBuffer,
+  decryptBuffer,
+  writeFileAtomic,
+  writeStreamAtomic,
+  createDecryptStages,
+  loadDataKey,
+  transformDirectory
+};
@@ -0,0 +1,150 @@
+/**
+ * executionLog.js - 단축어 실행 기록 (요청 / 응답 요약 / 오류)
+ * 기록에는 비밀 값이 남지 않도록 요청과 다시 실행용 입력값을 가린 뒤 저장
+ * 메모 본문은 저장하지 않고 메모 id만 남김 (다시 실행할 때 메모의 현재 내용 사용)
+ *
+ * 가리는 대상
+ * - 이름이 인증 정보처럼 보이는 헤더 / 쿼리 파라미터 / JSON body 키 (Authorization, apiKey, token ...)
+ * - 도구 설정의 비밀 값 (password 타입 또는 이름이 인증 정보처럼 보이는 설정) - URL, 헤더, body 어디에 있든
+ * - URL 경로의 토큰 모양 조각 (Slack 웹훅 URL의 마지막 부분 등)
+ */
+
+const MAX_LOG_ENTRIES = 500;
+const MAX_EXCERPT_LENGTH = 2000;
+const MASK = '***';
+
+const SECRET_KEY_PATTERN = /auth|token|secret|password|passwd|api[-_]?key|cookie|session|signature|credential/i;
+const TOKEN_SEGMENT_PATTERN = /^(?=.*\d)[A-Za-z0-9_-]{20,}$/;
+const MIN_SECRET_LENGTH = 4;   // 너무 짧은 값은 가리면 엉뚱한 부분까지 가려짐
+
+function isSecretKey(key) {
+  return typeof key === 'string' && SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * 도구 설정에서 가려야 할 값 목록
+ * @param {Array<{ name: string, type: string }>} schema - 설정 스키마
+ * @param {Object} settings - 저장된 설정 값
+ * @returns {string[]}
+ */
+function collectSecretValues(schema, settings) {
+  if (!Array.isArray(schema) || !settings) return [];
+  return schema
+    .filter(field => field.type === 'password' || isSecretKey(field.name))
+    .map(field => settings[field.name])
+    .filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH);
+}
+
+function maskValues(text, secretValues) {
+  if (typeof text !== 'string') return text;
+  return secretValues.reduce((result, secret) => result.split(secret).join(MASK), text);
+}
+
+function redactUrl(urlStr, secretValues) {
+  let url;
+  try {
+    url = new URL(maskValues(urlStr, secretValues));
+  } catch {
+    return maskValues(String(urlStr || ''), secretValues);
+  }
+
+  if (url.username || url.password) {
+    url.username = MASK;
+    url.password = '';
+  }
+  url.pathname = url.pathname
+    .split('/')
+    .map(segment => (TOKEN_SEGMENT_PATTERN.test(segment) ? MASK : segment))
+    .join('/');
+  for (const key of [...url.searchParams.keys()]) {
+    if (isSecretKey(key)) url.searchParams.set(key, MASK);
+  }
+  // URL 객체가 *를 인코딩하므로 되돌림
+  return url.toString().split(encodeURIComponent(MASK)).join(MASK);
+}
+
+function redactJson(value, secretValues = []) {
+  if (typeof value === 'string') return maskValues(value, secretValues);
+  if (Array.isArray(value)) return value.map(item => redactJson(item, secretValues));
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = isSecretKey(key) && typeof item !== 'object' ? MASK : redactJson(item, secretValues);
+    }
+    return result;
+  }
+  return value;
+}
+
+function redactBody(body, secretValues) {
+  if (body === null || body === undefined) return null;
+  let text = typeof body === 'string' ? body : JSON.stringify(body);
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object') text = JSON.stringify(redactJson(parsed));
+  } catch {
+    // JSON이 아니면 비밀 값만 가림
+  }
+  return excerpt(maskValues(text, secretValues));
+}
+
+/**
+ * 실행한 요청에서 비밀 값 가리기
+ * @param {{ method?: string, url?: string, headers?: Object, body?: any }|null} request
+ * @param {string[]} [secretValues]
+ * @returns {Object|null}
+ */
+function redactRequest(request, secretValues = []) {
+  if (!request || typeof request !== 'object') return null;
+
+  const headers = {};
+  for (const [key, value] of Object.entries(request.headers || {})) {
+    headers[key] = isSecretKey(key) ? MASK : maskValues(String(value), secretValues);
+  }
+
+  return {
+    method: request.method || 'POST',
+    url: request.url ? redactUrl(String(request.url), secretValues) : '',
+    headers,
+    body: redactBody(request.body, secretValues)
+  };
+}
+
+/**
+ * 다시 실행용 입력값에서 비밀 값 가리기 (가린 값은 다시 실행할 때도 가려진 채로 사용됨)
+ * @param {Object} inputs - { content, memoId } 또는 { shortcut, fieldValues, memoId }
+ * @param {string[]} [secretValues]
+ * @returns {Object}
+ */
+function redactInputs(inputs, secretValues = []) {
+  const result = redactJson(inputs, secretValues);
+  // 폼 입력 단축어의 content는 필드 값 JSON 문자열
+  if (typeof result.content === 'string') {
+    try {
+      const parsed = JSON.parse(result.content);
+      if (parsed && typeof parsed === 'object') result.content = JSON.stringify(redactJson(parsed, secretValues));
+    } catch {
+      // 일반 텍스트
+    }
+  }
+  return result;
+}
+
+/**
+ * 응답 요약 (길면 자름)
+ * @param {any} value - 응답 데이터 (문자열 / 객체)
+ * @returns {string|null}
+ */
+function excerpt(value, maxLength = MAX_EXCERPT_LENGTH) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+module.exports = {
+  MAX_LOG_ENTRIES,
+  collectSecretValues,
+  redactRequest,
+  redactInputs,
+  excerpt
+};
@@ -1,15 +1,21 @@
-const { app, BrowserWindow, globalShortcut, nativeTheme, Tray, Menu, nativeImage, screen, ipcMain, shell, safeStorage, Notification } = require('electron');
+const { app, BrowserWindow, globalShortcut, nativeTheme, Tray, Menu, nativeImage, screen, ipcMain, shell, safeStorage, Notification, dialog, protocol, net } = require('electron');
 const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
+const { fileURLToPath } = require('url');
 const https = require('https');
 const http = require('http');
 const Database = require('better-sqlite3');
 const { registry: toolRegistry } = require('./tools');
 const { autoUpdater } = require('electron-updater');
 const { isSafeKey, safeJsonParse, sanitizeObject } = require('./tools/security');
+const { LATEST_VERSION, runMigrations, SchemaTooNewError } = require('./migrations');
+const { BACKUP_PREFIX, BACKUP_FORMAT, BACKUP_FORMAT_VERSION, BackupInvalidError, packArchive, unpackArchive, isBackupFile, formatBackupStamp, pruneBackups } = require('./backup');
+const { EncryptionUnavailableError, isEncrypted, isEncryptedFile, encryptBuffer, decryptBuffer, writeFileAtomic, loadDataKey, transformDirectory } = require('./encryption');
+const { isValidTemplateName, isValidTemplateBody, expandTemplate, templateToHtml } = require('./templates');
+const { MAX_LOG_ENTRIES, collectSecretValues, redactRequest, redactInputs, excerpt } = require('./executionLog');
 
 // ===== 자동 업데이트 설정 =====
 autoUpdater.autoDownload = false;  // 수동으로 다운로드 시작
@@ -143,6 +149,81 @@ function setNotificationEnabled(enabled) {
   }
 }
 
+// ===== New Memo Template Settings =====
+// 새 메모 단축키로 만들 때 쓸 템플릿 (null이면 빈 메모, 지워진 템플릿이면 빈 메모)
+function getNewMemoTemplateId() {
+  const id = config.newMemoTemplateId;
+  if (!isValidId(id)) return null;
+  return db.prepare('SELECT id FROM memo_templates WHERE id = ?').get(id) ? id : null;
+}
+
+function setNewMemoTemplateId(id) {
+  config.newMemoTemplateId = id;
+  saveConfig(config);
+}
+
+// ===== Subtask Settings =====
+function getSubtaskAutoComplete() {
+  // 기본값 false (하위 할일을 모두 끝내도 상위 할일은 직접 체크)
+  return config.subtaskAutoComplete === true;
+}
+
+function setSubtaskAutoComplete(enabled) {
+  config.subtaskAutoComplete = enabled;
+  saveConfig(config);
+  // 모든 윈도우에 알림
+  BrowserWindow.getAllWindows().forEach(w => {
+    if (!w.isDestroyed()) {
+      w.webContents.send('subtask-auto-complete-changed', enabled);
+    }
+  });
+}
+
+// ===== Trash Settings =====
+function getTrashRetentionDays() {
+  // 기본값 30일 (0이면 자동 비우기 안 함)
+  if (config.trashRetentionDays === undefined) {
+    config.trashRetentionDays = 30;
+    saveConfig(config);
+  }
+  return config.trashRetentionDays;
+}
+
+function setTrashRetentionDays(days) {
+  config.trashRetentionDays = days;
+  saveConfig(config);
+}
+
+// ===== Data Encryption Settings =====
+// 원하는 상태만 저장, 실제 전환은 다음 실행 시 openDatabase()에서 수행
+function getDbEncryption() {
+  return config.dbEncryption || false;
+}
+
+function setDbEncryption(enabled) {
+  config.dbEncryption = enabled;
+  saveConfig(config);
+}
+
+// ===== Backup Settings =====
+const BACKUP_FREQUENCIES = { off: 0, daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+
+function getBackupSettings() {
+  return {
+    frequency: config.backupFrequency || 'off',
+    keep: config.backupKeep || 7,
+    dir: config.backupDir || path.join(dataDir, 'backups'),
+    lastBackupAt: config.lastBackupAt || null
+  };
+}
+
+function setBackupSettings(settings) {
+  if (settings.frequency !== undefined) config.backupFrequency = settings.frequency;
+  if (settings.keep !== undefined) config.backupKeep = settings.keep;
+  if (settings.dir !== undefined) config.backupDir = settings.dir;
+  saveConfig(config);
+}
+
 // ===== Cloud Sync Settings =====
 function getCloudSyncEnabled() {
   return config.cloudSyncEnabled || false;
@@ -177,429 +258,325 @@ if (!fs.existsSync(imagesDir)) {
 }
 
 const dbPath = path.join(dataDir, 'handsub.db');
-const db = new Database(dbPath);
+const encryptedDbPath = `${dbPath}.enc`;                   // 암호화 모드: DB 전체를 직렬화해 암호화 보관
+const dataKeyPath = path.join(dataDir, 'db-key.enc');     // safeStorage로 보호한 데이터 키
+
+// app ready 후 initDatabase()에서 연결 (safeStorage는 ready 이후에만 사용 가능)
+let db = null;
+
+// ===== 전문 검색 인덱스 (FTS5) =====
+
+// 검색용 텍스트 추출 (HTML 태그/엔티티 제거, 줄바꿈 유지)
+function htmlToSearchText(html) {
+  if (!html) return '';
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li|h[1-6]|blockquote|pre|tr)>/gi, '\n')
+    .replace(/<(td|th)[^>]*>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// ===== 태그 (#tag) =====
+
+// 단어 중간(URL 앵커, HTML 엔티티 등)의 #은 제외, 숫자만으로 된 태그(#1)도 제외
+const TAG_PATTERN = /(?<![\p{L}\p{N}_&/#])#([\p{L}\p{N}_][\p{L}\p{N}_\-/]*)/gu;
+const MAX_TAG_LENGTH = 50;
+
+// [[메모 링크]] 요소 (제목 안의 #은 링크된 메모의 태그이므로 태그 추출에서 제외)
+const WIKI_LINK_ELEMENT = /<span class="wiki-link[^"]*"[^>]*>[^<]*<\/span>/gi;
+
+// 본문에서 태그 추출 (소문자 정규화, 중복 제거)
+function extractTags(html) {
+  const tags = new Set();
+  const text = htmlToSearchText(String(html || '').replace(WIKI_LINK_ELEMENT, ''));
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const tag = match[1].replace(/[-/]+$/, '').toLowerCase();
+    if (!tag || tag.length > MAX_TAG_LENGTH || /^\d+$/.test(tag)) continue;
+    tags.add(tag);
+  }
+  return [...tags];
+}
+
+// ===== 메모 링크 ([[위키 링크]]) =====
+
+// <span class="wiki-link" data-memo-uuid="..."> - 제목이 바뀌어도 깨지지 않도록 uuid로 저장
+const MEMO_LINK_PATTERN = /data-memo-uuid="([0-9a-f-]{36})"/gi;
+
+// 본문에서 링크된 메모 uuid 추출 (중복 제거)
+function extractMemoLinks(html) {
+  if (!html) return [];
+  return [...new Set([...String(html).matchAll(MEMO_LINK_PATTERN)].map(m => m[1].toLowerCase()))];
+}
+
+// 링크 자동완성/표시용 제목 (첫 줄)
+function getMemoTitle(html, maxLength = 40) {
+  const firstLine = htmlToSearchText(html).split('\n').find(line => line.trim()) || '';
+  return getPlainTextPreview(firstLine.replace(/</g, '&lt;').replace(/>/g, '&gt;'), maxLength);
+}
+
+// ===== 데이터베이스 연결 / 저장 데이터 암호화 =====
+
+let dataKey = null;               // 암호화 모드일 때만 설정 (DB는 메모리에서 열고 쓰기 직후 + 주기적으로 암호화 저장)
+let persistTimer = null;
+let persistDebounceTimer = null;
+let lastPersistedChanges = 0;
+let persistInFlight = false;      // 백그라운드 저장 진행 중 (끝나면 밀린 변경 다시 예약)
+let persistPending = false;
+let persistGeneration = 0;        // 동기 저장/DB 교체 시 증가 - 진행 중이던 백그라운드 저장은 버림
+let lastPersistDuration = 0;
+const PERSIST_DELAY = 1000;       // 쓰기 경로에서 저장 예약 (연속 쓰기는 한 번에)
+const PERSIST_MAX_DELAY = 10000;  // DB가 커서 저장이 오래 걸리면 대기를 늘리되 이 이상은 미루지 않음
+const PERSIST_INTERVAL = 10000;   // 예약하지 않은 쓰기 대비
+
+// 트리거/마이그레이션에서 사용하므로 연결마다 등록 필요
+function registerDatabaseFunctions(database) {
+  database.function('html_to_text', { deterministic: true }, (html) => htmlToSearchText(html));
+  // 마이그레이션에서 기존 메모 태그/링크를 채울 때 사용 (JSON 배열 반환)
+  database.function('extract_tags', { deterministic: true }, (html) => JSON.stringify(extractTags(html)));
+  database.function('extract_memo_links', { deterministic: true }, (html) => JSON.stringify(extractMemoLinks(html)));
+}
 
-// Initialize tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS memos (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    content TEXT DEFAULT '',
-    pinned INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-`);
+function removeDatabaseFiles(filePath) {
+  for (const suffix of ['', '-wal', '-shm', '-journal']) {
+    fs.rmSync(filePath + suffix, { force: true });
+  }
+}
 
-// pinned 컬럼 없으면 추가 (기존 DB 호환)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN pinned INTEGER DEFAULT 0`);
-} catch (e) {
-  // 이미 존재하면 무시
+// 스키마 백업 파일 (handsub.db.v3.bak 등)
+function isDatabaseBackupFile(name) {
+  return name.startsWith('handsub.db.') && name.endsWith('.bak');
 }
-
-// uuid 컬럼 추가 (협업용 고유 ID)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN uuid TEXT`);
-} catch (e) {
-  // 이미 존재하면 무시
+
+// 이미지/백업 파일 일괄 암호화/복호화
+function transformStoredFiles(key, encrypt) {
+  const images = transformDirectory(imagesDir, key, encrypt);
+  const backups = transformDirectory(dataDir, key, encrypt, isDatabaseBackupFile);
+  // 자동 백업 아카이브 (해제 시 복호화하지 않으면 키 삭제 후 복원 불가)
+  const archives = transformDirectory(getBackupSettings().dir, key, encrypt, isBackupFile);
+  const changed = images.changed + backups.changed + archives.changed;
+  const failed = images.failed + backups.failed + archives.failed;
+  console.log(`[Encryption] ${encrypt ? 'Encrypted' : 'Decrypted'} files:`, changed, failed ? `(failed: ${failed})` : '');
 }
 
-// received_from 컬럼 추가 (보낸 사람 이메일)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN received_from TEXT`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// transfer_id 컬럼 추가 (받은 메모 전달 ID)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN transfer_id INTEGER`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// is_read 컬럼 추가 (받은 메모 읽음 여부)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN is_read INTEGER DEFAULT 1`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// last_notified_at 컬럼 추가 (알림 시간 - 채팅 정렬용)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN last_notified_at INTEGER`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// shared_memo_id 컬럼 추가 (공유 메모 원본 UUID - 협업용)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN shared_memo_id TEXT`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// is_shared 컬럼 추가 (내가 공유한 메모 표시)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN is_shared INTEGER DEFAULT 0`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// owner_user_id 컬럼 추가 (메모 소유자 - NULL이면 로그아웃 상태에서 만든 메모)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN owner_user_id TEXT`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// is_cloud 컬럼 추가 (클라우드에서 가져온 메모 표시)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN is_cloud INTEGER DEFAULT 0`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// cloud_snapshot 컬럼 추가 (클라우드에서 처음 가져온 원본 - 로그아웃 시 복원용)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN cloud_snapshot TEXT`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// cloud_memo_id 컬럼 추가 (서버의 cloud_memos.id)
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN cloud_memo_id TEXT`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// 기존 메모에 UUID 부여
-const memosWithoutUuid = db.prepare('SELECT id FROM memos WHERE uuid IS NULL').all();
-memosWithoutUuid.forEach(memo => {
-  db.prepare('UPDATE memos SET uuid = ? WHERE id = ?').run(crypto.randomUUID(), memo.id);
-});
-
-// Operations 테이블 (변경사항 저장 - 협업 동기화용)
-db.exec(`
-  CREATE TABLE IF NOT EXISTS operations (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    memo_uuid TEXT NOT NULL,
-    op_type TEXT NOT NULL,
-    op_data TEXT NOT NULL,
-    timestamp INTEGER NOT NULL,
-    synced INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-`);
-
-// Operations 인덱스
-try {
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_ops_memo ON operations(memo_uuid)`);
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_ops_synced ON operations(synced)`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// 링크 미리보기 캐시 테이블
-db.exec(`
-  CREATE TABLE IF NOT EXISTS link_cache (
-    url TEXT PRIMARY KEY,
-    title TEXT,
-    description TEXT,
-    image TEXT,
-    favicon TEXT,
-    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-`);
-
-// 단축어(스니펫) 테이블
-db.exec(`
-  CREATE TABLE IF NOT EXISTS snippets (
-    id TEXT PRIMARY KEY,
-    type TEXT NOT NULL,
-    shortcut TEXT NOT NULL,
-    name TEXT,
-    icon TEXT,
-    config TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-`);
-
-// 기존 테이블에 icon 컬럼이 없으면 추가 (마이그레이션)
-try {
-  const columns = db.prepare("PRAGMA table_info(snippets)").all();
-  const hasIcon = columns.some(col => col.name === 'icon');
-  if (!hasIcon) {
-    db.exec('ALTER TABLE snippets ADD COLUMN icon TEXT');
-  }
-} catch (e) {
-  console.error('Migration error:', e);
-}
-
-// 연락처 캐시 테이블
-db.exec(`
-  CREATE TABLE IF NOT EXISTS contacts_cache (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT UNIQUE NOT NULL,
-    name TEXT,
-    avatar_url TEXT,
-    is_favorite INTEGER DEFAULT 0,
-    last_sent_at DATETIME,
-    server_id TEXT,
-    synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-`);
-
-// 설정 동기화 테이블
-db.exec(`
-  CREATE TABLE IF NOT EXISTS settings_sync (
-    key TEXT PRIMARY KEY,
-    value TEXT NOT NULL,
-    updated_at INTEGER NOT NULL,
-    synced_at INTEGER DEFAULT 0
-  );
-`);
-
-// 연락처 그룹 테이블
-db.exec(`
-  CREATE TABLE IF NOT EXISTS contact_groups (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    color TEXT DEFAULT '#007AFF',
-    sort_order INTEGER DEFAULT 0,
-    server_id TEXT,
-    synced_at INTEGER DEFAULT 0,
-    updated_at INTEGER DEFAULT (strftime('%s','now') * 1000),
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-`);
-
-// 그룹 멤버 테이블
-db.exec(`
-  CREATE TABLE IF NOT EXISTS contact_group_members (
-    contact_email TEXT NOT NULL,
-    group_id TEXT NOT NULL,
-    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    PRIMARY KEY (contact_email, group_id),
-    FOREIGN KEY (group_id) REFERENCES contact_groups(id) ON DELETE CASCADE
-  );
-`);
-
-// 리마인더 테이블
-db.exec(`
-  CREATE TABLE IF NOT EXISTS reminders (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    memo_id INTEGER,
-    text TEXT NOT NULL,
-    remind_at INTEGER NOT NULL,
-    notified INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (memo_id) REFERENCES memos(id) ON DELETE CASCADE
-  );
-`);
-
-// 리마인더 컬럼 마이그레이션
-try {
-  const reminderColumns = db.prepare("PRAGMA table_info(reminders)").all().map(c => c.name);
-  if (!reminderColumns.includes('notified')) {
-    db.exec('ALTER TABLE reminders ADD COLUMN notified INTEGER DEFAULT 0');
-  }
-  if (!reminderColumns.includes('text')) {
-    db.exec('ALTER TABLE reminders ADD COLUMN text TEXT');
-  }
-  if (!reminderColumns.includes('memo_id')) {
-    db.exec('ALTER TABLE reminders ADD COLUMN memo_id INTEGER');
-  }
-  if (!reminderColumns.includes('remind_at')) {
-    db.exec('ALTER TABLE reminders ADD COLUMN remind_at INTEGER');
-  }
-} catch (e) {
-  // 테이블이 없으면 무시 (위에서 생성됨)
-}
-
-// 리마인더 인덱스
-try {
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_reminders_time ON reminders(remind_at, notified)`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// 알림 이력 테이블 (채팅 스타일 표시용)
-db.exec(`
-  CREATE TABLE IF NOT EXISTS notification_history (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    type TEXT NOT NULL DEFAULT 'reminder',
-    text TEXT NOT NULL,
-    memo_id INTEGER,
-    from_email TEXT,
-    read INTEGER DEFAULT 0,
-    created_at INTEGER NOT NULL
-  );
-`);
-
-// 알림 이력 인덱스
-try {
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_notification_read ON notification_history(read, created_at)`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// 할일 추적 테이블 (시간 없는 할일 리마인더용)
-db.exec(`
-  CREATE TABLE IF NOT EXISTS todo_tracking (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    memo_id INTEGER NOT NULL,
-    checkbox_index INTEGER NOT NULL,
-    text TEXT NOT NULL,
-    has_time INTEGER DEFAULT 0,
-    is_completed INTEGER DEFAULT 0,
-    created_at INTEGER NOT NULL,
-    last_reminded_at INTEGER DEFAULT 0,
-    remind_count INTEGER DEFAULT 0,
-    dismissed INTEGER DEFAULT 0,
-    FOREIGN KEY (memo_id) REFERENCES memos(id) ON DELETE CASCADE,
-    UNIQUE(memo_id, checkbox_index)
-  );
-`);
-
-// 할일 추적 인덱스
-try {
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_todo_remind ON todo_tracking(is_completed, has_time, last_reminded_at)`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// snippets 테이블 동기화 컬럼 추가 (마이그레이션)
-const snippetColumns = db.prepare("PRAGMA table_info(snippets)").all().map(c => c.name);
-if (!snippetColumns.includes('synced_at')) {
-  db.exec(`ALTER TABLE snippets ADD COLUMN synced_at INTEGER DEFAULT 0`);
-}
-if (!snippetColumns.includes('updated_at')) {
-  db.exec(`ALTER TABLE snippets ADD COLUMN updated_at INTEGER`);
-  // 기존 데이터에 현재 시간 설정
-  db.exec(`UPDATE snippets SET updated_at = ${Date.now()} WHERE updated_at IS NULL`);
-}
-// 매니페스트 오버라이드 컬럼 추가
-if (!snippetColumns.includes('source')) {
-  db.exec(`ALTER TABLE snippets ADD COLUMN source TEXT DEFAULT 'code'`);
-}
-if (!snippetColumns.includes('manifest_ref')) {
-  db.exec(`ALTER TABLE snippets ADD COLUMN manifest_ref TEXT`);
-}
-
-// ===== 로컬-퍼스트 동기화 스키마 마이그레이션 =====
-
-// memos 테이블에 동기화 컬럼 추가
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN sync_status TEXT DEFAULT 'local'`);
-  // 'local': 로컬만 | 'pending': 동기화 대기 | 'synced': 동기화됨 | 'conflict': 충돌
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN local_updated_at INTEGER`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-try {
-  db.exec(`ALTER TABLE memos ADD COLUMN server_updated_at INTEGER`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// sync_queue 테이블 생성 (오프라인 큐)
-db.exec(`
-  CREATE TABLE IF NOT EXISTS sync_queue (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    entity_type TEXT NOT NULL,
-    entity_id TEXT NOT NULL,
-    operation TEXT NOT NULL,
-    payload TEXT,
-    created_at INTEGER NOT NULL,
-    retry_count INTEGER DEFAULT 0,
-    last_error TEXT,
-    UNIQUE(entity_type, entity_id)
-  );
-`);
-
-// sync_queue 인덱스
-try {
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_sync_queue_entity ON sync_queue(entity_type, entity_id)`);
-} catch (e) {
-  // 이미 존재하면 무시
-}
-
-// ===== 기존 메모 체크박스 마이그레이션 (todo_tracking) =====
-function migrateExistingTodos() {
-  console.log('[Todo Migration] Function called');
+// 평문 DB 파일 → 암호화 파일로 전환 (설정에서 켠 뒤 다음 실행 시)
+function encryptDatabaseFile(key) {
+  const fileDb = new Database(dbPath);
   try {
-    // 기존 데이터 삭제 후 새로 마이그레이션
-    db.prepare('DELETE FROM todo_tracking').run();
-    console.log('[Todo Migration] Starting migration of existing todos...');
-    const memos = db.prepare('SELECT id, content, created_at FROM memos WHERE content IS NOT NULL').all();
-    console.log('[Todo Migration] Found', memos.length, 'memos');
-    const now = Date.now();
+    fileDb.pragma('wal_checkpoint(TRUNCATE)');
+    writeFileAtomic(encryptedDbPath, encryptBuffer(fileDb.serialize(), key));
+  } finally {
+    fileDb.close();
+  }
+  removeDatabaseFiles(dbPath);
+  transformStoredFiles(key, true);
+  console.log('[Encryption] Database encrypted');
+}
 
-    const insertStmt = db.prepare(`
-      INSERT OR IGNORE INTO todo_tracking (memo_id, checkbox_index, text, has_time, is_completed, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `);
+// 암호화 파일 → 평문 DB 파일로 전환 (설정에서 끈 뒤 다음 실행 시)
+function decryptDatabaseFile(key) {
+  writeFileAtomic(dbPath, decryptBuffer(fs.readFileSync(encryptedDbPath), key));
+  transformStoredFiles(key, false);
+  fs.rmSync(encryptedDbPath, { force: true });
+  fs.rmSync(dataKeyPath, { force: true });
+  console.log('[Encryption] Database decrypted');
+}
 
-    let totalTodos = 0;
-
-    for (const memo of memos) {
-      if (!memo.content) continue;
-
-      // HTML 태그 제거해서 텍스트 추출
-      const plainText = memo.content
-        .replace(/<br\s*\/?>/gi, '\n')
-        .replace(/<[^>]+>/g, '')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&amp;/g, '&');
-
-      const lines = plainText.split('\n');
-      let checkboxIndex = 0;
-
-      for (const line of lines) {
-        const checkboxMatch = line.match(/^(\s*)(☐|☑)\s*(.+)/);
-        if (checkboxMatch) {
-          const isChecked = checkboxMatch[2] === '☑';
-          const todoText = checkboxMatch[3].trim();
-
-          // 시간 패턴 확인 (간단히)
-          const hasTime = /\d{1,2}시|\d{1,2}:\d{2}/.test(todoText) ? 1 : 0;
-
-          // 메모 생성 시간 사용 (없으면 현재 시간)
-          const createdAt = memo.created_at ? new Date(memo.created_at).getTime() : now;
-
-          insertStmt.run(
-            memo.id,
-            checkboxIndex,
-            todoText.substring(0, 200), // 텍스트 길이 제한
-            hasTime,
-            isChecked ? 1 : 0,
-            createdAt
-          );
+// 설정(config.dbEncryption)에 맞춰 디스크 상태를 전환한 뒤 연결
+function openDatabase() {
+  const wantEncrypted = getDbEncryption();
+  const isEncryptedOnDisk = fs.existsSync(encryptedDbPath);
 
-          checkboxIndex++;
-          totalTodos++;
-        }
-      }
+  if (!wantEncrypted && !isEncryptedOnDisk) {
+    return new Database(dbPath);
+  }
+
+  let key;
+  try {
+    key = loadDataKey(dataKeyPath, safeStorage, { create: !isEncryptedOnDisk });
+  } catch (e) {
+    if (e instanceof EncryptionUnavailableError && !isEncryptedOnDisk) {
+      // 암호화를 켤 수 없으면 평문 그대로 사용
+      console.warn('[Encryption] Secure storage unavailable, keeping database unencrypted');
+      return new Database(dbPath);
     }
+    throw e;
+  }
+
+  if (!wantEncrypted) {
+    decryptDatabaseFile(key);
+    return new Database(dbPath);
+  }
 
-    console.log(`[Todo Migration] Migrated ${totalTodos} todos from ${memos.length} memos`);
+  if (!isEncryptedOnDisk) {
+    encryptDatabaseFile(key);
+  } else if (fs.existsSync(dbPath)) {
+    // 전환 도중 종료돼 남은 평문 파일 제거 (암호화 파일이 기준)
+    removeDatabaseFiles(dbPath);
+  }
+
+  dataKey = key;
+  return new Database(decryptBuffer(fs.readFileSync(encryptedDbPath), key));
+}
+
+// 메모리 DB를 암호화해 바로 저장 (시작/종료/DB 교체 전 - 변경이 있을 때만)
+function persistEncryptedDatabase({ force = false } = {}) {
+  if (!dataKey || !db) return;
+  persistGeneration++;
+  try {
+    const changes = db.prepare('SELECT total_changes() as changes').get().changes;
+    if (!force && changes === lastPersistedChanges) return;
+    writeFileAtomic(encryptedDbPath, encryptBuffer(db.serialize(), dataKey));
+    lastPersistedChanges = changes;
   } catch (e) {
-    console.error('[Todo Migration] Error:', e);
+    console.error('[Encryption] Persist error:', e);
   }
 }
 
-// 마이그레이션 실행
-migrateExistingTodos();
+// 실행 중 저장 - 직렬화/암호화는 메모리 작업이라 짧고, 오래 걸리는 파일 쓰기는 스레드 풀에서 처리
+async function persistInBackground() {
+  if (!dataKey || !db) return;
+  if (persistInFlight) {
+    persistPending = true;
+    return;
+  }
+
+  const generation = persistGeneration;
+  const tmpPath = `${encryptedDbPath}.persist.tmp`;   // 동기 저장(writeFileAtomic)과 임시 파일이 겹치지 않도록
+  const startedAt = Date.now();
+  persistInFlight = true;
+  try {
+    const changes = db.prepare('SELECT total_changes() as changes').get().changes;
+    if (changes === lastPersistedChanges) return;
+    await fs.promises.writeFile(tmpPath, encryptBuffer(db.serialize(), dataKey));
+    // 쓰는 동안 동기 저장이 있었으면 이 스냅샷이 더 오래됨
+    if (generation !== persistGeneration) return;
+    fs.renameSync(tmpPath, encryptedDbPath);
+    lastPersistedChanges = changes;
+    lastPersistDuration = Date.now() - startedAt;
+  } catch (e) {
+    console.error('[Encryption] Persist error:', e);
+  } finally {
+    persistInFlight = false;
+    if (persistPending) {
+      persistPending = false;
+      schedulePersist();
+    }
+  }
+}
+
+// 쓰기 직후 저장 예약 (암호화 모드 - 평문 모드는 쓰기마다 바로 디스크에 반영됨)
+// 저장이 오래 걸릴수록 더 모아서 저장
+function schedulePersist() {
+  if (!dataKey) return;
+  const delay = Math.min(PERSIST_MAX_DELAY, Math.max(PERSIST_DELAY, lastPersistDuration * 10));
+  clearTimeout(persistDebounceTimer);
+  persistDebounceTimer = setTimeout(() => persistInBackground(), delay);
+}
+
+// 저장 타이머 정지 + 남은 변경 즉시 저장 (종료/재시작/DB 교체 전)
+function flushEncryptedDatabase() {
+  clearTimeout(persistDebounceTimer);
+  persistDebounceTimer = null;
+  if (persistTimer) {
+    clearInterval(persistTimer);
+    persistTimer = null;
+  }
+  persistEncryptedDatabase();
+}
+
+function initDatabase() {
+  try {
+    db = openDatabase();
+  } catch (e) {
+    console.error('[Database] Open error:', e);
+    dialog.showErrorBox('handsub', `데이터베이스를 열 수 없습니다.\n${e.message}`);
+    process.exit(1);
+  }
+  registerDatabaseFunctions(db);
+
+  // ===== 스키마 마이그레이션 =====
+  try {
+    // 암호화 모드에서는 백업도 암호화해서 저장
+    const options = dataKey
+      ? { writeBackup: (backupPath) => writeFileAtomic(backupPath, encryptBuffer(db.serialize(), dataKey)) }
+      : {};
+    const result = runMigrations(db, dbPath, options);
+    if (result.from !== result.to) {
+      console.log(`[Migration] Schema v${result.from} → v${result.to}`, result.backupPath ? `(backup: ${result.backupPath})` : '');
+    }
+  } catch (e) {
+    console.error('[Migration] Error:', e);
+    db.close();
+    if (e instanceof SchemaTooNewError) {
+      dialog.showErrorBox('handsub', '이 데이터베이스는 더 최신 버전의 handsub에서 만들어졌습니다.\n앱을 최신 버전으로 업데이트해 주세요.');
+    } else {
+      const backupNote = e.backupPath ? `\n\n실행 전 백업: ${e.backupPath}` : '';
+      dialog.showErrorBox('handsub', `데이터베이스 업그레이드에 실패해 변경 사항을 되돌렸습니다.\n${e.message}${backupNote}`);
+    }
+    // 스키마가 맞지 않는 상태로 실행하면 데이터 손상 위험
+    process.exit(1);
+  }
+
+  // 인덱스가 메모 테이블과 어긋나면 재구축 (최초 생성 또는 외부 수정 대비)
+  try {
+    const memoCount = db.prepare('SELECT COUNT(*) as count FROM memos').get().count;
+    const ftsCount = db.prepare('SELECT COUNT(*) as count FROM memos_fts').get().count;
+    if (memoCount !== ftsCount) {
+      db.transaction(() => {
+        db.exec('DELETE FROM memos_fts');
+        db.exec('INSERT INTO memos_fts(rowid, body) SELECT id, html_to_text(content) FROM memos');
+      })();
+      console.log('[Search] FTS index rebuilt:', memoCount, 'memos');
+    }
+  } catch (e) {
+    console.error('[Search] FTS index rebuild error:', e);
+  }
+
+  if (dataKey) {
+    // 마이그레이션/인덱스 재구축 결과까지 바로 저장
+    persistEncryptedDatabase({ force: true });
+    persistTimer = setInterval(() => persistInBackground(), PERSIST_INTERVAL);
+  }
+}
+
+// 암호화 모드: 이미지 폴더의 file:// 요청을 복호화해서 응답
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+  '.webp': 'image/webp', '.svg': 'image/svg+xml', '.bmp': 'image/bmp',
+  '.mp4': 'video/mp4', '.webm': 'video/webm', '.mov': 'video/quicktime'
+};
+
+function registerEncryptedFileProtocol() {
+  if (!dataKey) return;
+  protocol.handle('file', async (request) => {
+    let filePath = null;
+    try {
+      filePath = fileURLToPath(request.url);
+    } catch (e) {
+      // 잘못된 URL은 기본 처리
+    }
+
+    if (filePath && path.dirname(path.resolve(filePath)) === path.resolve(imagesDir) && fs.existsSync(filePath)) {
+      const data = await fs.promises.readFile(filePath);
+      if (isEncrypted(data)) {
+        try {
+          const contentType = IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+          return new Response(decryptBuffer(data, dataKey), { headers: { 'content-type': contentType } });
+        } catch (e) {
+          console.error('[Encryption] Image decrypt error:', e.message);
+          return new Response(null, { status: 500 });
+        }
+      }
+    }
+    return net.fetch(request.url, { bypassCustomProtocolHandlers: true });
+  });
+}
 
 // ===== Input Validation Helpers =====
 function isValidId(id) {
@@ -617,16 +594,56 @@ function isValidShortcut(shortcut) {
   return validPattern.test(shortcut);
 }
 
+function isValidFolderId(folderId) {
+  return folderId === null || isValidId(folderId);
+}
+
+function isValidFolderName(name) {
+  return typeof name === 'string' && name.trim().length > 0 && name.length <= 100;
+}
+
 // ===== Memo IPC Handlers =====
-ipcMain.handle('memo-getAll', () => {
-  // 로컬 메모는 로그인 여부와 관계없이 모두 표시
-  // 협업 시에만 (memo_uuid + user_id) 조합으로 서버에서 구분
+
+// 메모 목록 조회 (folderFilter: 추가 WHERE 조건, 휴지통 제외)
+function listMemos(folderFilter = '', params = []) {
   return db.prepare(`
-    SELECT * FROM memos
+    SELECT memos.*, (SELECT group_concat(tag, ' ') FROM memo_tags WHERE memo_id = memos.id) as tag_list
+    FROM memos
+    WHERE deleted_at IS NULL ${folderFilter}
     ORDER BY
+      (archived_at IS NOT NULL),
       pinned DESC,
       (CASE WHEN last_notified_at IS NOT NULL AND is_read = 0 THEN last_notified_at ELSE 0 END) DESC,
       updated_at DESC
+  `).all(...params).map(({ tag_list, ...memo }) => ({
+    ...memo,
+    tags: tag_list ? tag_list.split(' ') : []
+  }));
+}
+
+ipcMain.handle('memo-getAll', () => {
+  // 로컬 메모는 로그인 여부와 관계없이 모두 표시
+  // 협업 시에만 (memo_uuid + user_id) 조합으로 서버에서 구분
+  return listMemos();
+});
+
+// 폴더별 메모 목록 (folderId null = 최상위, includeSubfolders면 하위 폴더 메모 포함)
+ipcMain.handle('memo-getByFolder', (_, folderId, options = {}) => {
+  if (!isValidFolderId(folderId)) return [];
+  if (folderId === null) return listMemos('AND folder_id IS NULL');
+  if (!options.includeSubfolders) return listMemos('AND folder_id = ?', [folderId]);
+  return listMemos('AND folder_id IN (SELECT value FROM json_each(?))', [JSON.stringify(getFolderSubtreeIds(folderId))]);
+});
+
+// 태그 목록 (사용 중인 메모 수 포함, 휴지통/보관 제외)
+ipcMain.handle('memo-tags-list', () => {
+  return db.prepare(`
+    SELECT t.tag, COUNT(*) as count
+    FROM memo_tags t
+    JOIN memos m ON m.id = t.memo_id
+    WHERE m.deleted_at IS NULL AND m.archived_at IS NULL
+    GROUP BY t.tag
+    ORDER BY count DESC, t.tag ASC
   `).all();
 });
 
@@ -645,30 +662,81 @@ ipcMain.handle('memo-togglePin', (_event, id) => {
   return newPinned === 1;
 });
 
+// 보관 / 보관 해제 (보관한 메모는 목록·할일 알림·기본 검색에서 제외)
+ipcMain.handle('memo-set-archived', (_, id, archived) => {
+  if (!isValidId(id) || typeof archived !== 'boolean') return false;
+  const result = db.prepare('UPDATE memos SET archived_at = ? WHERE id = ? AND deleted_at IS NULL')
+    .run(archived ? Date.now() : null, id);
+  if (result.changes === 0) return false;
+  broadcastMemosUpdated();
+  return true;
+});
+
 ipcMain.handle('memo-get', (_, id) => {
   if (!isValidId(id)) return null;
   return db.prepare('SELECT * FROM memos WHERE id = ?').get(id);
 });
 
-ipcMain.handle('memo-create', () => {
+// templateId: 템플릿 본문으로 채워서 생성 (cursor: {{cursor}} 위치, 없으면 null)
+// 없는 템플릿이나 내용이 빈 템플릿이면 만들지 않고 null
+ipcMain.handle('memo-create', (_, templateId = null) => {
+  let content = '';
+  let cursor = null;
+  if (templateId !== null) {
+    if (!isValidId(templateId)) return null;
+    const template = db.prepare('SELECT body FROM memo_templates WHERE id = ?').get(templateId);
+    if (!template) return null;
+    const expanded = expandTemplate(template.body);
+    if (!expanded.text.trim()) return null;
+    content = templateToHtml(expanded.text);
+    cursor = expanded.cursor;
+  }
+
   const uuid = crypto.randomUUID();
   // 로컬 메모 생성 (user_id는 협업 시 서버에서 조합)
   const result = db.prepare("INSERT INTO memos (content, uuid) VALUES ('', ?)").run(uuid);
+  if (content) writeMemoContent(result.lastInsertRowid, content);
+  schedulePersist();
+
   return {
     id: result.lastInsertRowid,
     uuid: uuid,
-    content: '',
+    content,
+    cursor,
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
   };
 });
 
-ipcMain.handle('memo-update', (event, id, content) => {
-  if (!isValidId(id) || !isValidContent(content)) return false;
+// 메모 태그 갱신 (tags 생략 시 본문에서 추출)
+function updateMemoTags(memoId, content, tags = extractTags(content)) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM memo_tags WHERE memo_id = ?').run(memoId);
+    const insert = db.prepare('INSERT OR IGNORE INTO memo_tags (memo_id, tag) VALUES (?, ?)');
+    tags.forEach(tag => insert.run(memoId, tag));
+  })();
+}
+
+// 메모 링크 갱신 (자기 자신 링크 제외)
+function updateMemoLinks(memoId, content) {
+  const memo = db.prepare('SELECT uuid FROM memos WHERE id = ?').get(memoId);
+  db.transaction(() => {
+    db.prepare('DELETE FROM memo_links WHERE source_id = ?').run(memoId);
+    const insert = db.prepare('INSERT OR IGNORE INTO memo_links (source_id, target_uuid) VALUES (?, ?)');
+    extractMemoLinks(content)
+      .filter(uuid => uuid !== memo?.uuid)
+      .forEach(uuid => insert.run(memoId, uuid));
+  })();
+}
+
+function getMemoTags(memoId) {
+  return db.prepare('SELECT tag FROM memo_tags WHERE memo_id = ? ORDER BY tag').all(memoId).map(r => r.tag);
+}
 
+// 메모 내용 저장 (로컬-퍼스트: sync_status를 pending으로 + Pro면 동기화 큐)
+function writeMemoContent(id, content) {
   const now = Date.now();
 
-  // 메모 업데이트 (로컬-퍼스트: sync_status를 pending으로)
   db.prepare(`
     UPDATE memos
     SET content = ?,
@@ -682,6 +750,10 @@ ipcMain.handle('memo-update', (event, id, content) => {
     WHERE id = ?
   `).run(content, now, id);
 
+  updateMemoTags(id, content);
+  updateMemoLinks(id, content);
+  schedulePersist();
+
   // Pro 사용자면 동기화 큐에 추가
   if (isPro()) {
     const memo = db.prepare('SELECT uuid FROM memos WHERE id = ?').get(id);
@@ -690,6 +762,15 @@ ipcMain.handle('memo-update', (event, id, content) => {
       SyncManager.scheduleBatchSync(); // 2초 디바운스
     }
   }
+}
+
+ipcMain.handle('memo-update', (event, id, content) => {
+  if (!isValidId(id) || !isValidContent(content)) return false;
+
+  // 덮어쓰기 전 버전 스냅샷 (스로틀)
+  snapshotBeforeUpdate(id, content);
+
+  writeMemoContent(id, content);
 
   // 모든 창에 메모 변경 알림
   BrowserWindow.getAllWindows().forEach(w => {
@@ -703,16 +784,648 @@ ipcMain.handle('memo-update', (event, id, content) => {
 // UUID 업데이트 (협업용)
 ipcMain.handle('memo-update-uuid', (_, id, newUuid) => {
   if (!isValidId(id) || !newUuid) return false;
+  const memo = db.prepare('SELECT uuid FROM memos WHERE id = ?').get(id);
   db.prepare('UPDATE memos SET uuid = ? WHERE id = ?').run(newUuid, id);
+
+  // 이 메모를 가리키던 [[링크]]도 새 uuid로 변경
+  // 사용자가 고친 내용이 아니므로 수정 시간(updated_at)은 그대로, 다른 기기에는 전달되도록 동기화 대기로 표시
+  if (memo?.uuid && memo.uuid !== newUuid) {
+    const oldTarget = memo.uuid.toLowerCase();
+    const sources = db.prepare(`
+      SELECT m.id, m.uuid, m.content FROM memo_links l JOIN memos m ON m.id = l.source_id
+      WHERE l.target_uuid = ?
+    `).all(oldTarget);
+    const updateContent = db.prepare(`
+      UPDATE memos
+      SET content = ?,
+          local_updated_at = ?,
+          sync_status = CASE WHEN sync_status = 'synced' THEN 'pending' ELSE sync_status END
+      WHERE id = ?
+    `);
+    db.transaction(() => {
+      sources.forEach(source => {
+        // 링크 인덱스와 같은 기준 (대소문자 무시)으로 교체
+        const content = source.content.replace(MEMO_LINK_PATTERN, (match, uuid) => (
+          uuid.toLowerCase() === oldTarget ? `data-memo-uuid="${newUuid}"` : match
+        ));
+        updateContent.run(content, Date.now(), source.id);
+        updateMemoLinks(source.id, content);
+      });
+    })();
+
+    if (sources.length > 0) {
+      if (isPro()) {
+        sources.forEach(source => source.uuid && SyncManager.queueForSync('memo', source.uuid, 'update'));
+        SyncManager.scheduleBatchSync();
+      }
+      broadcastMemosUpdated();
+    }
+  }
+  schedulePersist();
+  return true;
+});
+
+// ===== Folders (노트북) =====
+// 폴더는 로컬 전용 (동기화 대상 아님) - 이동해도 메모 수정 시간/동기화 상태는 그대로
+
+// 폴더 자신 + 모든 하위 폴더 ID
+function getFolderSubtreeIds(folderId) {
+  return db.prepare(`
+    WITH RECURSIVE subtree(id) AS (
+      SELECT id FROM folders WHERE id = ?
+      UNION ALL
+      SELECT f.id FROM folders f JOIN subtree s ON f.parent_id = s.id
+    )
+    SELECT id FROM subtree
+  `).all(folderId).map(row => row.id);
+}
+
+function folderExists(folderId) {
+  return folderId === null || !!db.prepare('SELECT 1 FROM folders WHERE id = ?').get(folderId);
+}
+
+// 폴더 목록 (이름순, 계층은 parent_id로 구성)
+ipcMain.handle('folder-list', () => {
+  return db.prepare(`
+    SELECT id, name, parent_id, collapsed FROM folders
+    ORDER BY name COLLATE NOCASE, id
+  `).all();
+});
+
+ipcMain.handle('folder-create', (_, name, parentId = null) => {
+  if (!isValidFolderName(name) || !isValidFolderId(parentId) || !folderExists(parentId)) return null;
+  const result = db.prepare('INSERT INTO folders (name, parent_id, created_at) VALUES (?, ?, ?)')
+    .run(name.trim(), parentId, Date.now());
+  broadcastMemosUpdated();
+  return { id: result.lastInsertRowid, name: name.trim(), parent_id: parentId, collapsed: 0 };
+});
+
+ipcMain.handle('folder-rename', (_, id, name) => {
+  if (!isValidId(id) || !isValidFolderName(name)) return false;
+  const result = db.prepare('UPDATE folders SET name = ? WHERE id = ?').run(name.trim(), id);
+  if (result.changes > 0) broadcastMemosUpdated();
+  return result.changes > 0;
+});
+
+// 접힘 상태 (창 간 공유할 필요 없으므로 알림 없음)
+ipcMain.handle('folder-set-collapsed', (_, id, collapsed) => {
+  if (!isValidId(id)) return false;
+  db.prepare('UPDATE folders SET collapsed = ? WHERE id = ?').run(collapsed ? 1 : 0, id);
+  return true;
+});
+
+// 폴더 이동 (자기 자신/하위 폴더 안으로는 불가)
+ipcMain.handle('folder-move', (_, id, parentId) => {
+  if (!isValidId(id) || !isValidFolderId(parentId) || !folderExists(parentId)) return false;
+  if (parentId !== null && getFolderSubtreeIds(id).includes(parentId)) return false;
+  const result = db.prepare('UPDATE folders SET parent_id = ? WHERE id = ?').run(parentId, id);
+  if (result.changes > 0) broadcastMemosUpdated();
+  return result.changes > 0;
+});
+
+// 폴더 삭제 (안의 메모/하위 폴더는 상위 폴더로 올림)
+ipcMain.handle('folder-delete', (_, id) => {
+  if (!isValidId(id)) return false;
+  const folder = db.prepare('SELECT id, parent_id FROM folders WHERE id = ?').get(id);
+  if (!folder) return false;
+
+  db.transaction(() => {
+    // 휴지통 메모도 포함 (복원 시 없는 폴더를 가리키지 않도록)
+    db.prepare('UPDATE memos SET folder_id = ? WHERE folder_id = ?').run(folder.parent_id, id);
+    db.prepare('UPDATE folders SET parent_id = ? WHERE parent_id = ?').run(folder.parent_id, id);
+    db.prepare('DELETE FROM folders WHERE id = ?').run(id);
+  })();
+  broadcastMemosUpdated();
   return true;
 });
 
+ipcMain.handle('memo-move-to-folder', (_, memoId, folderId) => {
+  if (!isValidId(memoId) || !isValidFolderId(folderId) || !folderExists(folderId)) return false;
+  const result = db.prepare('UPDATE memos SET folder_id = ? WHERE id = ?').run(folderId, memoId);
+  if (result.changes > 0) broadcastMemosUpdated();
+  return result.changes > 0;
+});
+
+
+// ===== Template IPC Handlers =====
+
+ipcMain.handle('template-list', () => {
+  return db.prepare('SELECT * FROM memo_templates ORDER BY created_at ASC, id ASC').all();
+});
+
+ipcMain.handle('template-create', (_, name, body) => {
+  if (!isValidTemplateName(name) || !isValidTemplateBody(body)) return null;
+  const now = Date.now();
+  const result = db.prepare('INSERT INTO memo_templates (name, body, created_at, updated_at) VALUES (?, ?, ?, ?)')
+    .run(name.trim(), body, now, now);
+  return { id: result.lastInsertRowid, name: name.trim(), body, created_at: now, updated_at: now };
+});
+
+ipcMain.handle('template-update', (_, id, name, body) => {
+  if (!isValidId(id) || !isValidTemplateName(name) || !isValidTemplateBody(body)) return false;
+  const result = db.prepare('UPDATE memo_templates SET name = ?, body = ?, updated_at = ? WHERE id = ?')
+    .run(name.trim(), body, Date.now(), id);
+  return result.changes > 0;
+});
+
+ipcMain.handle('template-delete', (_, id) => {
+  if (!isValidId(id)) return false;
+  const result = db.prepare('DELETE FROM memo_templates WHERE id = ?').run(id);
+  // 새 메모 단축키에 연결된 템플릿이면 연결 해제
+  if (config.newMemoTemplateId === id) {
+    config.newMemoTemplateId = null;
+    saveConfig(config);
+  }
+  return result.changes > 0;
+});
+// ===== Memo Links ([[위키 링크]]) =====
+
+// [[ 자동완성 후보 (제목 포함 검색, 최근 수정 순)
+ipcMain.handle('memo-link-candidates', (_, query, excludeId) => {
+  const keyword = typeof query === 'string' ? query.trim().toLowerCase() : '';
+  const candidates = [];
+
+  const memos = db.prepare(`
+    SELECT id, uuid, content FROM memos
+    WHERE deleted_at IS NULL AND uuid IS NOT NULL
+    ORDER BY updated_at DESC
+  `).all();
+
+  for (const memo of memos) {
+    if (memo.id === excludeId) continue;
+    const title = getMemoTitle(memo.content);
+    if (!title || (keyword && !title.toLowerCase().includes(keyword))) continue;
+    candidates.push({ uuid: memo.uuid, title });
+    if (candidates.length >= 8) break;
+  }
+  return candidates;
+});
+
+// 링크 표시용 현재 제목 (삭제/없는 메모는 결과에서 빠짐)
+ipcMain.handle('memo-link-titles', (_, uuids) => {
+  if (!Array.isArray(uuids) || uuids.length === 0) return {};
+  const titles = {};
+  const stmt = db.prepare('SELECT content FROM memos WHERE uuid = ? AND deleted_at IS NULL');
+  uuids.slice(0, 500).forEach(uuid => {
+    if (typeof uuid !== 'string') return;
+    const memo = stmt.get(uuid);
+    if (memo) titles[uuid] = getMemoTitle(memo.content) || '(빈 메모)';
+  });
+  return titles;
+});
+
+// 이 메모를 링크한 메모 목록
+ipcMain.handle('memo-backlinks', (_, memoId) => {
+  if (!isValidId(memoId)) return [];
+  const memo = db.prepare('SELECT uuid FROM memos WHERE id = ?').get(memoId);
+  if (!memo?.uuid) return [];
+
+  return db.prepare(`
+    SELECT m.id, m.uuid, m.content FROM memo_links l
+    JOIN memos m ON m.id = l.source_id
+    WHERE l.target_uuid = ? AND m.deleted_at IS NULL
+    ORDER BY m.updated_at DESC
+  `).all(memo.uuid.toLowerCase()).map(source => ({
+    id: source.id,
+    uuid: source.uuid,
+    title: getMemoTitle(source.content) || '(빈 메모)'
+  }));
+});
+
+// ===== Trash (soft delete) =====
+
+// 내용 없는 메모 여부 (텍스트/미디어 모두 없음 → 휴지통 거치지 않고 바로 삭제)
+function isBlankMemoContent(content) {
+  if (!content) return true;
+  if (/<(img|video)\b|link-preview/i.test(content)) return false;
+  return htmlToSearchText(content).trim() === '';
+}
+
+// 삭제 동기화 큐 추가 (Pro 전용)
+// 'delete': 휴지통 이동 (deleted 플래그 전송) | 'purge': 영구 삭제 (로컬 행 없음 → 툼스톤만 전송)
+function queueMemoDeletion(uuid, operation) {
+  if (!uuid || !isPro()) return;
+  SyncManager.queueForSync('memo', uuid, operation);
+  SyncManager.scheduleBatchSync();
+}
+
+function broadcastMemosUpdated() {
+  BrowserWindow.getAllWindows().forEach(w => {
+    if (!w.isDestroyed()) {
+      w.webContents.send('memos-updated');
+    }
+  });
+}
+
+// 메모에 딸린 테이블 (foreign_keys가 꺼져 있어 ON DELETE CASCADE가 동작하지 않음 → 직접 삭제)
+const MEMO_CHILD_TABLES = [
+  ['memo_versions', 'memo_id'],
+  ['memo_tags', 'memo_id'],
+  ['memo_links', 'source_id'],
+  ['todo_tracking', 'memo_id'],
+  ['reminders', 'memo_id']
+];
+
+// 조건에 맞는 메모 + 버전 기록/태그/링크/할일/리마인더 행 삭제 (where는 코드에 고정된 조건만)
+function deleteMemos(where, ...params) {
+  db.transaction(() => {
+    for (const [table, column] of MEMO_CHILD_TABLES) {
+      db.prepare(`DELETE FROM ${table} WHERE ${column} IN (SELECT id FROM memos WHERE ${where})`).run(...params);
+    }
+    db.prepare(`DELETE FROM memos WHERE ${where}`).run(...params);
+  })();
+  schedulePersist();
+}
+
+// 영구 삭제 (동기화된 적 있으면 툼스톤 큐에 남김)
+function purgeMemo(memo) {
+  deleteMemos('id = ?', memo.id);
+  if (memo.sync_status && memo.sync_status !== 'local') {
+    queueMemoDeletion(memo.uuid, 'purge');
+  }
+}
+
+// 보관 기간 지난 휴지통 메모 영구 삭제
+function purgeExpiredTrash() {
+  const days = getTrashRetentionDays();
+  if (!days) return 0;
+
+  try {
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expired = db.prepare(`
+      SELECT id, uuid, sync_status FROM memos
+      WHERE deleted_at IS NOT NULL AND deleted_at < ?
+    `).all(cutoff);
+    if (expired.length === 0) return 0;
+
+    db.transaction(() => {
+      expired.forEach(purgeMemo);
+    })();
+    console.log('[Trash] Purged expired memos:', expired.length);
+    return expired.length;
+  } catch (e) {
+    console.error('[Trash] Purge error:', e);
+    return 0;
+  }
+}
+
+// 휴지통 자동 비우기 (시작 시 + 6시간마다)
+function startTrashPurgeScheduler() {
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, 6 * 60 * 60 * 1000);
+}
+
+// 휴지통으로 이동
 ipcMain.handle('memo-delete', (_, id) => {
   if (!isValidId(id)) return false;
-  db.prepare('DELETE FROM memos WHERE id = ?').run(id);
+  const memo = db.prepare('SELECT id, uuid, content, sync_status FROM memos WHERE id = ?').get(id);
+  if (!memo) return false;
+
+  // 빈 메모는 휴지통에 남길 필요 없음
+  if (isBlankMemoContent(memo.content)) {
+    purgeMemo(memo);
+    return true;
+  }
+
+  const now = Date.now();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE memos
+      SET deleted_at = ?,
+          local_updated_at = ?,
+          sync_status = CASE WHEN sync_status = 'synced' THEN 'pending' ELSE sync_status END
+      WHERE id = ?
+    `).run(now, now, id);
+    // 휴지통 메모의 예정된 알림 취소
+    db.prepare('DELETE FROM reminders WHERE memo_id = ? AND notified = 0').run(id);
+  })();
+  schedulePersist();
+  queueMemoDeletion(memo.uuid, 'delete');
+  rescheduleReminders();
+  return true;
+});
+
+// 휴지통 목록 (최근 삭제 순)
+ipcMain.handle('memo-trash-list', () => {
+  const days = getTrashRetentionDays();
+  return db.prepare(`
+    SELECT id, uuid, content, pinned, created_at, updated_at, deleted_at FROM memos
+    WHERE deleted_at IS NOT NULL
+    ORDER BY deleted_at DESC
+  `).all().map(memo => ({
+    ...memo,
+    // 자동 삭제 예정 시각 (보관 기간 무제한이면 null)
+    purge_at: days ? memo.deleted_at + days * 24 * 60 * 60 * 1000 : null
+  }));
+});
+
+// 휴지통에서 복원
+ipcMain.handle('memo-restore', (_, id) => {
+  if (!isValidId(id)) return false;
+  const memo = db.prepare('SELECT uuid FROM memos WHERE id = ? AND deleted_at IS NOT NULL').get(id);
+  if (!memo) return false;
+
+  db.prepare(`
+    UPDATE memos
+    SET deleted_at = NULL,
+        updated_at = CURRENT_TIMESTAMP,
+        local_updated_at = ?,
+        sync_status = CASE WHEN sync_status = 'synced' THEN 'pending' ELSE sync_status END
+    WHERE id = ?
+  `).run(Date.now(), id);
+  schedulePersist();
+  queueMemoDeletion(memo.uuid, 'update');
+  broadcastMemosUpdated();
+  return true;
+});
+
+// 휴지통에서 영구 삭제
+ipcMain.handle('memo-delete-permanent', (_, id) => {
+  if (!isValidId(id)) return false;
+  const memo = db.prepare('SELECT id, uuid, sync_status FROM memos WHERE id = ? AND deleted_at IS NOT NULL').get(id);
+  if (!memo) return false;
+  purgeMemo(memo);
+  broadcastMemosUpdated();
   return true;
 });
 
+// 휴지통 비우기
+ipcMain.handle('memo-trash-empty', () => {
+  const memos = db.prepare('SELECT id, uuid, sync_status FROM memos WHERE deleted_at IS NOT NULL').all();
+  db.transaction(() => {
+    memos.forEach(purgeMemo);
+  })();
+  broadcastMemosUpdated();
+  return memos.length;
+});
+
+// ===== Memo Search (FTS5) =====
+
+// 하이라이트 구분자 (본문에 나올 수 없는 제어 문자)
+const SEARCH_MARK_START = '\u0002';
+const SEARCH_MARK_END = '\u0003';
+
+// 사용자 검색어 → FTS5 MATCH 쿼리
+// - "따옴표 구문" → 구문 검색
+// - 그 외 단어 → 접두 검색 (단어*)
+// - 모든 토큰은 따옴표로 감싸 FTS 문법 문자(-, :, ^ 등)를 무력화
+function buildFtsQuery(query) {
+  const terms = [];
+  const tokenRegex = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = tokenRegex.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim();
+      if (phrase) terms.push(`"${phrase.replace(/"/g, '""')}"`);
+    } else {
+      const word = match[2].replace(/"/g, '');
+      if (word) terms.push(`"${word}"*`);
+    }
+  }
+  return terms.join(' ');
+}
+
+function escapeSnippetHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// 검색 (bm25 랭킹 + 하이라이트 스니펫)
+// snippet은 HTML 이스케이프 후 <mark>로 매칭 부분을 감싸서 반환
+// 보관한 메모는 options.includeArchived일 때만 포함
+ipcMain.handle('memo-search', (_, query, options = {}) => {
+  if (typeof query !== 'string' || query.length > 500) return [];
+
+  const ftsQuery = buildFtsQuery(query.trim());
+  if (!ftsQuery) return [];
+
+  const limit = Number.isInteger(options?.limit) && options.limit > 0 ? Math.min(options.limit, 500) : 200;
+  const archiveFilter = options?.includeArchived === true ? '' : 'AND m.archived_at IS NULL';
+
+  try {
+    const rows = db.prepare(`
+      SELECT m.id, m.uuid,
+             snippet(memos_fts, 0, ?, ?, '…', 12) as snippet,
+             bm25(memos_fts) as rank
+      FROM memos_fts
+      JOIN memos m ON m.id = memos_fts.rowid
+      WHERE memos_fts MATCH ? AND m.deleted_at IS NULL ${archiveFilter}
+      ORDER BY rank
+      LIMIT ?
+    `).all(SEARCH_MARK_START, SEARCH_MARK_END, ftsQuery, limit);
+
+    return rows.map(row => ({
+      id: row.id,
+      uuid: row.uuid,
+      rank: row.rank,
+      snippet: escapeSnippetHtml((row.snippet || '').replace(/\s+/g, ' ').trim())
+        .split(SEARCH_MARK_START).join('<mark>')
+        .split(SEARCH_MARK_END).join('</mark>')
+    }));
+  } catch (e) {
+    console.error('[Search] Query error:', e.message);
+    return [];
+  }
+});
+
+// ===== Memo Version History =====
+
+const VERSION_CONFIG = {
+  snapshotInterval: 5 * 60 * 1000,  // 편집 중 5분마다 스냅샷
+  maxPerMemo: 50,                   // 메모당 최대 보관 개수
+  maxDiffCells: 4000000             // 라인 diff 최대 계산량 (줄 수 곱)
+};
+
+// 버전 스냅샷 저장 (직전 버전과 내용이 같으면 건너뜀)
+// reason: 'auto' (편집 중) | 'close' (창 닫힘) | 'merge' (충돌 머지 전) | 'sync' (서버 변경 적용 전) | 'restore' (복원 전)
+function saveMemoVersion(memoId, content, reason = 'auto') {
+  if (!content) return false;
+
+  const latest = db.prepare(`
+    SELECT content FROM memo_versions WHERE memo_id = ? ORDER BY created_at DESC, id DESC LIMIT 1
+  `).get(memoId);
+  if (latest && latest.content === content) return false;
+
+  db.prepare('INSERT INTO memo_versions (memo_id, content, reason, created_at) VALUES (?, ?, ?, ?)')
+    .run(memoId, content, reason, Date.now());
+
+  // 보관 개수 초과분 정리
+  db.prepare(`
+    DELETE FROM memo_versions
+    WHERE memo_id = ? AND id NOT IN (
+      SELECT id FROM memo_versions WHERE memo_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+    )
+  `).run(memoId, memoId, VERSION_CONFIG.maxPerMemo);
+  return true;
+}
+
+// 덮어쓰기 전 스냅샷 (스로틀)
+// 마지막 스냅샷 후 일정 시간이 지났거나, 내용이 크게 바뀌면 (붙여넣기/대량 삭제) 기존 내용 보관
+function snapshotBeforeUpdate(memoId, newContent) {
+  try {
+    const memo = db.prepare('SELECT content FROM memos WHERE id = ?').get(memoId);
+    if (!memo?.content || memo.content === newContent) return;
+
+    const oldLength = memo.content.length;
+    const isBigChange = Math.abs(newContent.length - oldLength) > Math.max(200, oldLength * 0.5);
+
+    const latest = db.prepare('SELECT created_at FROM memo_versions WHERE memo_id = ? ORDER BY created_at DESC LIMIT 1').get(memoId);
+    const isThrottled = latest && Date.now() - latest.created_at < VERSION_CONFIG.snapshotInterval;
+
+    if (isThrottled && !isBigChange) return;
+    saveMemoVersion(memoId, memo.content, 'auto');
+  } catch (e) {
+    console.error('[Version] Snapshot error:', e);
+  }
+}
+
+// 라인 diff (공통 앞/뒤 제거 후 LCS)
+// 결과: [{ type: 'equal' | 'add' | 'remove', text }]
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const result = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > VERSION_CONFIG.maxDiffCells) {
+    // 너무 크면 통째로 교체된 것으로 표시
+    midA.forEach(text => result.push({ type: 'remove', text }));
+    midB.forEach(text => result.push({ type: 'add', text }));
+  } else {
+    // LCS 테이블 (뒤에서부터)
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        result.push({ type: 'equal', text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'remove', text: midA[i++] });
+      } else {
+        result.push({ type: 'add', text: midB[j++] });
+      }
+    }
+    while (i < n) result.push({ type: 'remove', text: midA[i++] });
+    while (j < m) result.push({ type: 'add', text: midB[j++] });
+  }
+
+  a.slice(endA).forEach(text => result.push({ type: 'equal', text }));
+  return result;
+}
+
+// 버전 목록
+ipcMain.handle('memo-versions-list', (_, memoId) => {
+  if (!isValidId(memoId)) return [];
+  try {
+    return db.prepare(`
+      SELECT id, memo_id, content, reason, created_at FROM memo_versions
+      WHERE memo_id = ?
+      ORDER BY created_at DESC, id DESC
+    `).all(memoId).map(v => ({
+      id: v.id,
+      memoId: v.memo_id,
+      reason: v.reason,
+      createdAt: v.created_at,
+      size: v.content.length,
+      preview: getPlainTextPreview(v.content, 60)
+    }));
+  } catch (e) {
+    console.error('[Version] List error:', e);
+    return [];
+  }
+});
+
+// 버전 ↔ 현재 내용 라인 diff (버전 = 이전, 현재 = 이후)
+ipcMain.handle('memo-version-diff', (_, versionId) => {
+  if (!isValidId(versionId)) return { success: false, error: 'Invalid id' };
+  try {
+    const version = db.prepare('SELECT * FROM memo_versions WHERE id = ?').get(versionId);
+    if (!version) return { success: false, error: 'Version not found' };
+
+    const memo = db.prepare('SELECT content FROM memos WHERE id = ?').get(version.memo_id);
+    const lines = diffLines(htmlToSearchText(version.content), htmlToSearchText(memo?.content || ''));
+
+    return {
+      success: true,
+      memoId: version.memo_id,
+      createdAt: version.created_at,
+      lines,
+      added: lines.filter(l => l.type === 'add').length,
+      removed: lines.filter(l => l.type === 'remove').length
+    };
+  } catch (e) {
+    console.error('[Version] Diff error:', e);
+    return { success: false, error: e.message };
+  }
+});
+
+// 버전 복원 (현재 내용은 'restore' 버전으로 먼저 보관)
+ipcMain.handle('memo-version-restore', (_, versionId) => {
+  if (!isValidId(versionId)) return { success: false, error: 'Invalid id' };
+  try {
+    const version = db.prepare('SELECT * FROM memo_versions WHERE id = ?').get(versionId);
+    if (!version) return { success: false, error: 'Version not found' };
+
+    const memo = db.prepare('SELECT content FROM memos WHERE id = ?').get(version.memo_id);
+    if (!memo) return { success: false, error: 'Memo not found' };
+
+    db.transaction(() => {
+      saveMemoVersion(version.memo_id, memo.content, 'restore');
+      writeMemoContent(version.memo_id, version.content);
+    })();
+
+    BrowserWindow.getAllWindows().forEach(w => {
+      if (!w.isDestroyed()) {
+        w.webContents.send('memos-updated');
+      }
+    });
+
+    return { success: true, memoId: version.memo_id, content: version.content };
+  } catch (e) {
+    console.error('[Version] Restore error:', e);
+    return { success: false, error: e.message };
+  }
+});
+
+// 현재 내용 스냅샷 (창 닫을 때 렌더러에서 호출)
+ipcMain.handle('memo-version-snapshot', (_, memoId) => {
+  if (!isValidId(memoId)) return false;
+  try {
+    const memo = db.prepare('SELECT content FROM memos WHERE id = ?').get(memoId);
+    if (!memo) return false;
+    return saveMemoVersion(memoId, memo.content, 'close');
+  } catch (e) {
+    console.error('[Version] Snapshot error:', e);
+    return false;
+  }
+});
+
 // ===== Cloud Memo IPC Handlers =====
 
 // 로컬 메모 개수 (클라우드 메모 제외)
@@ -815,7 +1528,7 @@ ipcMain.handle('cloud-import-memos', async (_, mode) => {
     // mode: 'merge' (모두 합치기) | 'replace' (클라우드만 사용)
     if (mode === 'replace') {
       // 기존 로컬 메모 삭제 (클라우드 메모가 아닌 것들)
-      db.prepare('DELETE FROM memos WHERE is_cloud = 0 OR is_cloud IS NULL').run();
+      deleteMemos('is_cloud = 0 OR is_cloud IS NULL');
     }
 
     // 클라우드 메모 가져오기
@@ -843,7 +1556,7 @@ ipcMain.handle('cloud-import-memos', async (_, mode) => {
         `).run(cloudMemo.id, cloudMemo.content, existing.id);
       } else {
         // 없으면 새로 추가 (클라우드 메모로 표시)
-        db.prepare(`
+        const result = db.prepare(`
           INSERT INTO memos (uuid, content, pinned, is_cloud, cloud_memo_id, cloud_snapshot, created_at, updated_at)
           VALUES (?, ?, ?, 1, ?, ?, ?, ?)
         `).run(
@@ -855,6 +1568,8 @@ ipcMain.handle('cloud-import-memos', async (_, mode) => {
           cloudMemo.createdAt,
           cloudMemo.updatedAt
         );
+        updateMemoTags(result.lastInsertRowid, cloudMemo.content);
+        updateMemoLinks(result.lastInsertRowid, cloudMemo.content);
         importedCount++;
       }
     }
@@ -912,6 +1627,11 @@ function isValidSnippetShortcut(shortcut) {
 function isValidSnippetConfig(config, type) {
   if (typeof config !== 'object' || !config) return false;
 
+  // 워크플로는 단계 목록 검증 (도구 지정, 중첩 금지)
+  if (type === 'workflow') {
+    return toolRegistry.get(type).validate(config).valid;
+  }
+
   // URL이 있으면 형식 검증
   if (config.url) {
     if (typeof config.url !== 'string') return false;
@@ -952,6 +1672,7 @@ ipcMain.handle('snippet-create', (_, { type, shortcut, name, icon, config }) =>
   try {
     db.prepare('INSERT INTO snippets (id, type, shortcut, name, icon, config) VALUES (?, ?, ?, ?, ?, ?)')
       .run(id, type, shortcut.toLowerCase(), name || shortcut, icon || null, configJson);
+    schedulePersist();
     return { success: true, id };
   } catch (e) {
     return { success: false, error: e.message };
@@ -969,6 +1690,7 @@ ipcMain.handle('snippet-update', (_, { id, type, shortcut, name, icon, config })
   try {
     db.prepare('UPDATE snippets SET type = ?, shortcut = ?, name = ?, icon = ?, config = ? WHERE id = ?')
       .run(type, shortcut.toLowerCase(), name || shortcut, icon || null, configJson, id);
+    schedulePersist();
     return { success: true };
   } catch (e) {
     return { success: false, error: e.message };
@@ -978,6 +1700,7 @@ ipcMain.handle('snippet-update', (_, { id, type, shortcut, name, icon, config })
 ipcMain.handle('snippet-delete', (_, id) => {
   if (typeof id !== 'string') return false;
   db.prepare('DELETE FROM snippets WHERE id = ?').run(id);
+  schedulePersist();
   return true;
 });
 
@@ -1108,7 +1831,8 @@ ipcMain.handle('tool-test', async (_, type, config) => {
     // 테스트용 context (빈 값)
     const testContext = {
       content: '테스트 메시지',
-      editorContent: '테스트 메모 내용'
+      editorContent: '테스트 메모 내용',
+      getManifestSettings: getManifestToolSettings
     };
 
     // 도구 실행
@@ -1212,6 +1936,43 @@ function getToolCredentials(toolId) {
   return connections[toolId]?.credentials || null;
 }
 
+// ===== 사용자 도구 폴더 =====
+
+// 패키징된 앱에서도 매니페스트 도구를 추가할 수 있는 폴더 (앱 데이터 폴더/tools)
+function getUserToolsDir() {
+  return path.join(dataDir, 'tools');
+}
+
+// 사용자 도구 폴더 로드 + 변경 감시 (개발 중에는 앱의 tools/도 감시)
+function initUserTools() {
+  const userDir = getUserToolsDir();
+  try {
+    fs.mkdirSync(userDir, { recursive: true });
+    toolRegistry.setUserToolsDir(userDir);
+    toolRegistry.watchDirectory(userDir);
+  } catch (e) {
+    console.error('[Tools] User tools directory error:', e.message);
+  }
+  if (!app.isPackaged) {
+    toolRegistry.watchDirectory(path.join(__dirname, 'tools'));
+  }
+
+  // 도구가 바뀌면 모든 창에 알림 (설정 도구 목록 / 단축어 목록 새로고침)
+  toolRegistry.on('change', () => {
+    BrowserWindow.getAllWindows().forEach(w => {
+      if (!w.isDestroyed()) {
+        w.webContents.send('tools-changed');
+      }
+    });
+  });
+}
+
+ipcMain.handle('tools-open-user-dir', () => {
+  const dir = getUserToolsDir();
+  fs.mkdirSync(dir, { recursive: true });
+  return shell.openPath(dir);
+});
+
 // ===== 매니페스트 도구 IPC Handlers =====
 
 // 매니페스트 도구 목록
@@ -1242,10 +2003,44 @@ ipcMain.handle('manifest-tool-settings-save', (_, toolId, settings) => {
   return true;
 });
 
+// 매니페스트 도구 설정값 (워크플로 단계에서도 사용)
+function getManifestToolSettings(toolId) {
+  return config.manifestToolSettings?.[toolId] || {};
+}
+
+// 매니페스트 명령어 실행 + 기록
+async function runManifestCommand(toolId, shortcut, fieldValues, memoId = null) {
+  const tool = toolRegistry.getManifest(toolId);
+  const settings = getManifestToolSettings(toolId);
+  const startedAt = Date.now();
+
+  let result;
+  try {
+    result = await toolRegistry.executeManifest(toolId, shortcut, fieldValues, settings);
+  } catch (e) {
+    result = { success: false, error: e.message };
+  }
+
+  recordExecution({
+    snippetId: `manifest:${toolId}:${shortcut}`,
+    snippetName: tool ? `${tool.name} / ${shortcut}` : shortcut,
+    tool: toolId,
+    kind: 'manifest',
+    // 메모 내용(editorContent, {{top}}, {{all}})은 남기지 않음
+    inputs: { shortcut, fieldValues: omitMemoText(fieldValues), memoId },
+    result,
+    startedAt,
+    secretValues: tool ? collectSecretValues(tool.getSettingsSchema(), settings) : []
+  });
+  return withoutRequest(result);
+}
+
 // 매니페스트 도구 실행
-ipcMain.handle('manifest-tool-execute', async (_, toolId, shortcut, fieldValues) => {
-  const settings = config.manifestToolSettings?.[toolId] || {};
-  return toolRegistry.executeManifest(toolId, shortcut, fieldValues, settings);
+ipcMain.handle('manifest-tool-execute', async (_, toolId, shortcut, fieldValues, memoId) => {
+  if (typeof toolId !== 'string' || typeof shortcut !== 'string') {
+    return { success: false, error: 'Invalid command' };
+  }
+  return runManifestCommand(toolId, shortcut, sanitizeObject(fieldValues) || {}, isValidId(memoId) ? memoId : null);
 });
 
 // ===== Operations IPC Handlers (협업 동기화용) =====
@@ -1276,30 +2071,177 @@ ipcMain.handle('op-mark-synced', (_, opIds) => {
   return true;
 });
 
-ipcMain.handle('op-get-since', (_, memoUuid, sinceTimestamp) => {
-  if (typeof memoUuid !== 'string') return [];
-  return db.prepare('SELECT * FROM operations WHERE memo_uuid = ? AND timestamp > ? ORDER BY timestamp ASC')
-    .all(memoUuid, sinceTimestamp || 0);
-});
+ipcMain.handle('op-get-since', (_, memoUuid, sinceTimestamp) => {
+  if (typeof memoUuid !== 'string') return [];
+  return db.prepare('SELECT * FROM operations WHERE memo_uuid = ? AND timestamp > ? ORDER BY timestamp ASC')
+    .all(memoUuid, sinceTimestamp || 0);
+});
+
+// 메모 UUID로 조회
+ipcMain.handle('memo-get-by-uuid', (_, uuid) => {
+  if (typeof uuid !== 'string') return null;
+  return db.prepare('SELECT * FROM memos WHERE uuid = ?').get(uuid);
+});
+
+// 단축어 실행 + 기록
+async function runSnippet(snippet, inputs, memoId = null) {
+  // Prototype Pollution 방지
+  const config = safeJsonParse(snippet.config);
+  if (!config) return { success: false, error: 'Invalid config' };
+
+  const startedAt = Date.now();
+  let result;
+  try {
+    // 도구 레지스트리를 통해 실행 (editorContent = 메모장 전체 내용, meta = {{top}}, {{all}})
+    result = await toolRegistry.execute(snippet.type, config, {
+      ...inputs,
+      getManifestSettings: getManifestToolSettings
+    });
+  } catch (e) {
+    result = { success: false, error: e.message };
+  }
+
+  recordExecution({
+    snippetId: snippet.id,
+    snippetName: snippet.name || snippet.shortcut,
+    tool: snippet.type,
+    kind: 'snippet',
+    // 메모 내용(editorContent, {{top}}, {{all}})은 남기지 않음
+    inputs: { content: inputs.content, memoId },
+    result,
+    startedAt,
+    secretValues: collectSecretValues(toolRegistry.getSchema(snippet.type), config)
+  });
+  return withoutRequest(result);
+}
+
+ipcMain.handle('snippet-execute', async (_, id, content, editorContent, meta, memoId) => {
+  if (id === undefined || id === null) return { success: false, error: 'Invalid id' };
+
+  const snippet = db.prepare('SELECT * FROM snippets WHERE id = ?').get(id);
+  if (!snippet) return { success: false, error: 'Snippet not found' };
+
+  return runSnippet(snippet, { content, editorContent, meta }, isValidId(memoId) ? memoId : null);
+});
+
+// ===== 실행 기록 =====
+
+// 실행 기록 저장 (오래된 기록은 MAX_LOG_ENTRIES개만 남김)
+function recordExecution({ snippetId, snippetName, tool, kind, inputs, result, startedAt, secretValues = [] }) {
+  try {
+    const request = redactRequest(result?.request, secretValues);
+    const storedInputs = redactInputs(inputs, secretValues);
+    db.prepare(`
+      INSERT INTO execution_log
+        (snippet_id, snippet_name, tool, kind, inputs, request, success, status, duration_ms, response, error, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      snippetId,
+      snippetName,
+      tool,
+      kind,
+      JSON.stringify(storedInputs),
+      request ? JSON.stringify(request) : null,
+      result?.success ? 1 : 0,
+      Number.isInteger(result?.status) ? result.status : null,
+      Date.now() - startedAt,
+      excerpt(result?.data),
+      result?.error ? String(result.error) : null,
+      startedAt
+    );
+    db.prepare(`
+      DELETE FROM execution_log WHERE id NOT IN (
+        SELECT id FROM execution_log ORDER BY id DESC LIMIT ?
+      )
+    `).run(MAX_LOG_ENTRIES);
+  } catch (e) {
+    console.error('[ExecutionLog] Failed to record:', e);
+  }
+}
+
+// 매니페스트 필드 값에서 메모 내용 제외 (렌더러가 editorContent와 메타 변수를 함께 넘김)
+function omitMemoText(fieldValues) {
+  const { editorContent, top, all, ...rest } = fieldValues || {};
+  return rest;
+}
+
+/**
+ * 다시 실행할 때 쓸 메모 내용 (메모의 현재 내용, 메모가 없으면 빈 문자열)
+ * 단축어를 입력한 위치는 남지 않으므로 {{top}}도 {{all}}과 같은 전체 내용
+ * @returns {{ editorContent: string, meta: { top: string, all: string } }}
+ */
+function getMemoRunContext(memoId) {
+  const memo = isValidId(memoId) ? db.prepare('SELECT content FROM memos WHERE id = ?').get(memoId) : null;
+  const text = memo ? htmlToSearchText(memo.content) : '';
+  return { editorContent: text.trim(), meta: { top: text, all: text } };
+}
+
+// 실제 요청(비밀 값 포함)은 렌더러로 보내지 않음
+function withoutRequest(result) {
+  const { request, ...rest } = result || {};
+  return rest;
+}
 
-// 메모 UUID로 조회
-ipcMain.handle('memo-get-by-uuid', (_, uuid) => {
-  if (typeof uuid !== 'string') return null;
-  return db.prepare('SELECT * FROM memos WHERE uuid = ?').get(uuid);
+// 기록 목록 (status: all | success | error, query: 단축어/도구/오류 검색)
+ipcMain.handle('execution-log-list', (_, filter = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (filter.status === 'success') conditions.push('success = 1');
+  if (filter.status === 'error') conditions.push('success = 0');
+  if (typeof filter.query === 'string' && filter.query.trim()) {
+    const like = `%${filter.query.trim().replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push("(snippet_name LIKE ? ESCAPE '\\' OR tool LIKE ? ESCAPE '\\' OR error LIKE ? ESCAPE '\\')");
+    params.push(like, like, like);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = db.prepare(`
+    SELECT id, snippet_id, snippet_name, tool, kind, request, success, status, duration_ms, response, error, created_at
+    FROM execution_log ${where}
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(...params, MAX_LOG_ENTRIES);
+
+  return rows.map(row => ({
+    id: row.id,
+    snippetId: row.snippet_id,
+    snippetName: row.snippet_name,
+    tool: row.tool,
+    kind: row.kind,
+    request: safeJsonParse(row.request),
+    success: row.success === 1,
+    status: row.status,
+    durationMs: row.duration_ms,
+    response: row.response,
+    error: row.error,
+    createdAt: row.created_at
+  }));
 });
 
-ipcMain.handle('snippet-execute', async (_, id, content, editorContent, meta) => {
-  if (id === undefined || id === null) return { success: false, error: 'Invalid id' };
+// 같은 입력으로 다시 실행 (단축어 설정과 메모 내용은 현재 값 사용, 가려진 입력값은 가려진 채로, 새 기록이 추가됨)
+ipcMain.handle('execution-log-rerun', async (_, id) => {
+  if (!Number.isInteger(id)) return { success: false, error: 'Invalid id' };
 
-  const snippet = db.prepare('SELECT * FROM snippets WHERE id = ?').get(id);
-  if (!snippet) return { success: false, error: 'Snippet not found' };
+  const row = db.prepare('SELECT * FROM execution_log WHERE id = ?').get(id);
+  if (!row) return { success: false, error: '기록을 찾을 수 없습니다' };
 
-  // Prototype Pollution 방지
-  const config = safeJsonParse(snippet.config);
-  if (!config) return { success: false, error: 'Invalid config' };
+  const inputs = safeJsonParse(row.inputs) || {};
+  const memoId = isValidId(inputs.memoId) ? inputs.memoId : null;
+  const { editorContent, meta } = getMemoRunContext(memoId);
+
+  if (row.kind === 'manifest') {
+    return runManifestCommand(row.tool, inputs.shortcut, { ...(inputs.fieldValues || {}), editorContent, ...meta }, memoId);
+  }
+
+  const snippet = db.prepare('SELECT * FROM snippets WHERE id = ?').get(row.snippet_id);
+  if (!snippet) return { success: false, error: '단축어가 삭제되었습니다' };
+  return runSnippet(snippet, { content: inputs.content, editorContent, meta }, memoId);
+});
 
-  // 도구 레지스트리를 통해 실행 (editorContent = 메모장 전체 내용, meta = {{top}}, {{all}})
-  return toolRegistry.execute(snippet.type, config, { content, editorContent, meta });
+ipcMain.handle('execution-log-clear', () => {
+  db.prepare('DELETE FROM execution_log').run();
+  return true;
 });
 
 // ===== Image IPC Handlers =====
@@ -1323,7 +2265,7 @@ ipcMain.handle('image-save', async (_, base64Data, mimeType) => {
     // 이미 존재하면 경로만 반환
     if (!fs.existsSync(filepath)) {
       const buffer = Buffer.from(base64Data, 'base64');
-      fs.writeFileSync(filepath, buffer);
+      fs.writeFileSync(filepath, dataKey ? encryptBuffer(buffer, dataKey) : buffer);
     }
 
     return { success: true, path: filepath, filename };
@@ -1363,7 +2305,7 @@ ipcMain.handle('video-save', async (_, base64Data, mimeType) => {
     // 이미 존재하면 경로만 반환
     if (!fs.existsSync(filepath)) {
       const buffer = Buffer.from(base64Data, 'base64');
-      fs.writeFileSync(filepath, buffer);
+      fs.writeFileSync(filepath, dataKey ? encryptBuffer(buffer, dataKey) : buffer);
     }
 
     return { success: true, path: filepath, filename };
@@ -1377,6 +2319,545 @@ ipcMain.handle('image-get-path', () => {
   return imagesDir;
 });
 
+// ===== Markdown 내보내기 / 가져오기 =====
+const MARKDOWN_ASSET_DIR = 'assets';
+const MARKDOWN_MAX_FILES = 500;
+const MARKDOWN_MAX_FILE_SIZE = 1024 * 1024;         // 메모 본문 제한과 동일
+const MARKDOWN_MAX_MEDIA_SIZE = 50 * 1024 * 1024;   // 동영상 붙여넣기 제한과 동일
+const MARKDOWN_MAX_DEPTH = 10;
+const MARKDOWN_MEDIA_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'mp4', 'webm', 'mov', 'm4v', 'ogv'];
+
+// 파일/폴더 이름에 쓸 수 없는 문자 치환
+function toSafeFileName(name, fallback) {
+  const safe = String(name || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 80);
+  return safe || fallback;
+}
+
+// 같은 이름이 있으면 "이름 (2).md"
+function getUniquePath(dir, baseName, ext = '') {
+  let candidate = path.join(dir, baseName + ext);
+  for (let i = 2; fs.existsSync(candidate); i++) {
+    candidate = path.join(dir, `${baseName} (${i})${ext}`);
+  }
+  return candidate;
+}
+
+// 이미지 폴더의 파일을 내보내기 위치로 복사 (암호화 모드면 평문으로)
+function exportMediaFile(name, assetsDir) {
+  if (!/^[\w.-]+$/.test(name)) return false;
+  const source = path.join(imagesDir, name);
+  if (!fs.existsSync(source)) return false;
+
+  const target = path.join(assetsDir, name);
+  if (fs.existsSync(target)) return true;
+
+  const data = fs.readFileSync(source);
+  fs.mkdirSync(assetsDir, { recursive: true });
+  fs.writeFileSync(target, isEncrypted(data) ? decryptBuffer(data, dataKey) : data);
+  return true;
+}
+
+function isValidMarkdownExport(file) {
+  return file && typeof file.title === 'string' && isValidContent(file.markdown) &&
+    Array.isArray(file.assets) && file.assets.every(name => typeof name === 'string') &&
+    Array.isArray(file.dir) && file.dir.every(isValidFolderName);
+}
+
+/**
+ * Markdown 내보내기
+ * files: [{ title, markdown, assets, dir }] - assets: 이미지 폴더 파일명, dir: 하위 폴더 경로 (폴더 이름 배열)
+ * options.folderName이 있으면 선택한 위치에 그 이름의 폴더를 만들어 전부 저장, 없으면 메모 하나를 저장 대화상자로
+ */
+ipcMain.handle('markdown-export', async (event, files, options = {}) => {
+  if (!Array.isArray(files) || files.length === 0 || files.length > MARKDOWN_MAX_FILES ||
+      !files.every(isValidMarkdownExport)) {
+    return { success: false, error: 'Invalid export data' };
+  }
+
+  const win = BrowserWindow.fromWebContents(event.sender);
+  let rootDir;
+  let singlePath = null;
+
+  if (options.folderName) {
+    const result = await dialog.showOpenDialog(win, {
+      title: 'Markdown으로 내보내기',
+      defaultPath: app.getPath('documents'),
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) return { canceled: true };
+    rootDir = getUniquePath(result.filePaths[0], toSafeFileName(options.folderName, '폴더'));
+  } else {
+    const result = await dialog.showSaveDialog(win, {
+      title: 'Markdown으로 내보내기',
+      defaultPath: path.join(app.getPath('documents'), `${toSafeFileName(files[0].title, '메모')}.md`),
+      filters: [{ name: 'Markdown', extensions: ['md'] }]
+    });
+    if (result.canceled || !result.filePath) return { canceled: true };
+    singlePath = result.filePath;
+    rootDir = path.dirname(singlePath);
+  }
+
+  try {
+    let missingAssets = 0;
+    files.forEach(file => {
+      const dir = path.join(rootDir, ...file.dir.map(name => toSafeFileName(name, '폴더')));
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(singlePath || getUniquePath(dir, toSafeFileName(file.title, '메모'), '.md'), file.markdown, 'utf8');
+
+      // 이미지는 .md 옆 assets/ 폴더로 (본문의 상대 경로와 일치)
+      file.assets.forEach(name => {
+        try {
+          if (!exportMediaFile(name, path.join(dir, MARKDOWN_ASSET_DIR))) missingAssets++;
+        } catch (e) {
+          console.error('[Markdown] Failed to export media:', name, e.message);
+          missingAssets++;
+        }
+      });
+    });
+    return { success: true, path: singlePath || rootDir, count: files.length, missingAssets };
+  } catch (e) {
+    console.error('[Markdown] Export failed:', e);
+    return { success: false, error: e.message };
+  }
+});
+
+// 폴더 안 .md 파일 (하위 폴더 포함, dir: 루트 기준 폴더 이름 배열)
+function collectMarkdownFiles(dir, parents = [], depth = 0) {
+  if (depth > MARKDOWN_MAX_DEPTH) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const entryPath = path.join(dir, entry.name);
+    // 심볼릭 링크는 따라가지 않음 (Dirent는 링크 대상을 보지 않음)
+    if (entry.isDirectory()) {
+      files.push(...collectMarkdownFiles(entryPath, [...parents, entry.name.slice(0, 100)], depth + 1));
+    } else if (entry.isFile() && /\.(md|markdown)$/i.test(entry.name)) {
+      files.push({ path: entryPath, dir: parents });
+    }
+    if (files.length > MARKDOWN_MAX_FILES) break;
+  }
+  return files;
+}
+
+// .md가 상대 경로로 참조하는 이미지/동영상을 이미지 폴더로 복사하고 절대 경로로 교체
+// (가져오기 루트 밖의 파일은 읽지 않음)
+function importMarkdownMedia(markdown, baseDir, rootDir) {
+  return markdown.replace(/(!?\[[^\]]*\]\()(<[^>]+>|[^)\s]+)((?:\s+"[^"]*")?\))/g, (match, open, target, close) => {
+    const raw = target.startsWith('<') ? target.slice(1, -1) : target;
+    if (/^[a-z][\w+.-]*:/i.test(raw) || path.isAbsolute(raw)) return match;
+
+    let source;
+    try {
+      source = path.resolve(baseDir, decodeURI(raw));
+    } catch (e) {
+      return match;
+    }
+    const ext = path.extname(source).slice(1).toLowerCase();
+    const relative = path.relative(rootDir, source);
+    if (!MARKDOWN_MEDIA_EXTENSIONS.includes(ext) || relative.startsWith('..') || path.isAbsolute(relative)) return match;
+
+    try {
+      const stat = fs.statSync(source);
+      if (!stat.isFile() || stat.size > MARKDOWN_MAX_MEDIA_SIZE) return match;
+
+      const buffer = fs.readFileSync(source);
+      const filename = `${crypto.createHash('md5').update(buffer).digest('hex')}.${ext.replace('jpeg', 'jpg')}`;
+      const filepath = path.join(imagesDir, filename);
+      if (!fs.existsSync(filepath)) {
+        fs.writeFileSync(filepath, dataKey ? encryptBuffer(buffer, dataKey) : buffer);
+      }
+      return `${open}<${filepath}>${close}`;
+    } catch (e) {
+      console.error('[Markdown] Failed to import media:', raw, e.message);
+      return match;
+    }
+  });
+}
+
+/**
+ * 가져올 Markdown 선택 및 읽기 (mode: 'files' | 'folder')
+ * 폴더면 폴더 이름부터 dir에 넣어 같은 구조의 폴더를 만들 수 있게 함
+ * @returns {{ success, files: [{ markdown, dir }], skipped } | { canceled: true }}
+ */
+ipcMain.handle('markdown-import-pick', async (event, mode) => {
+  const isFolder = mode === 'folder';
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: isFolder ? 'Markdown 폴더 가져오기' : 'Markdown 파일 가져오기',
+    defaultPath: app.getPath('documents'),
+    properties: isFolder ? ['openDirectory'] : ['openFile', 'multiSelections'],
+    filters: isFolder ? undefined : [{ name: 'Markdown', extensions: ['md', 'markdown'] }]
+  });
+  if (result.canceled || result.filePaths.length === 0) return { canceled: true };
+
+  try {
+    const rootDir = isFolder ? result.filePaths[0] : null;
+    const targets = isFolder
+      ? collectMarkdownFiles(rootDir, [path.basename(rootDir).slice(0, 100)])
+      : result.filePaths.map(filePath => ({ path: filePath, dir: [] }));
+    if (targets.length > MARKDOWN_MAX_FILES) {
+      return { success: false, error: `한 번에 ${MARKDOWN_MAX_FILES}개까지 가져올 수 있습니다` };
+    }
+
+    const files = [];
+    let skipped = 0;
+    targets.forEach(target => {
+      if (fs.statSync(target.path).size > MARKDOWN_MAX_FILE_SIZE) {
+        skipped++;
+        return;
+      }
+      const baseDir = path.dirname(target.path);
+      const markdown = fs.readFileSync(target.path, 'utf8').replace(/^\uFEFF/, '');
+      files.push({ markdown: importMarkdownMedia(markdown, baseDir, rootDir || baseDir), dir: target.dir });
+    });
+    return { success: true, files, skipped };
+  } catch (e) {
+    console.error('[Markdown] Import failed:', e);
+    return { success: false, error: e.message };
+  }
+});
+
+// 변환된 메모 일괄 생성 (dir의 폴더들은 parentId 아래에 새로 만듦)
+ipcMain.handle('memo-import', (_, items, parentId = null) => {
+  if (!Array.isArray(items) || items.length === 0 || items.length > MARKDOWN_MAX_FILES) return null;
+  if (!isValidFolderId(parentId) || !folderExists(parentId)) return null;
+  if (!items.every(item => item && isValidContent(item.content) &&
+      Array.isArray(item.dir) && item.dir.every(isValidFolderName))) return null;
+
+  const insertFolder = db.prepare('INSERT INTO folders (name, parent_id, created_at) VALUES (?, ?, ?)');
+  const insertMemo = db.prepare("INSERT INTO memos (content, uuid, folder_id) VALUES ('', ?, ?)");
+  const folderIds = new Map();   // 폴더 경로(JSON) → id
+
+  const getFolderId = (dir) => {
+    let folderId = parentId;
+    dir.forEach((name, i) => {
+      const key = JSON.stringify(dir.slice(0, i + 1));
+      if (!folderIds.has(key)) {
+        folderIds.set(key, insertFolder.run(name.trim(), folderId, Date.now()).lastInsertRowid);
+      }
+      folderId = folderIds.get(key);
+    });
+    return folderId;
+  };
+
+  const ids = db.transaction(() => items.map(item => {
+    const id = insertMemo.run(crypto.randomUUID(), getFolderId(item.dir)).lastInsertRowid;
+    writeMemoContent(id, item.content);
+    return id;
+  }))();
+
+  broadcastMemosUpdated();
+  return ids;
+});
+
+// ===== Backup / Restore =====
+let backupInProgress = false;
+let pendingRestore = null;    // 검증을 마친 복원 대상 (렌더러가 임의 경로를 넘기지 못하도록 메인에서 보관)
+
+// 백업 시점의 DB 사본 (아카이브 항목)
+async function snapshotDatabase(tmpPath) {
+  // 암호화 모드는 메모리 DB라 평문 임시 파일을 만들지 않도록 직렬화
+  if (dataKey) return { name: 'handsub.db', data: db.serialize() };
+
+  // 온라인 백업 API: 쓰기 중에도 일관된 사본 생성 (아카이브에는 파일에서 스트림으로)
+  await db.backup(tmpPath);
+  return { name: 'handsub.db', path: tmpPath };
+}
+
+/**
+ * 백업 아카이브 생성 (DB + 이미지, 암호화 모드면 아카이브 전체 암호화)
+ * @returns {Promise<string>} 생성된 파일 경로
+ */
+async function createBackup() {
+  if (backupInProgress) throw new Error('Backup already in progress');
+  backupInProgress = true;
+
+  const tmpDbPath = path.join(dataDir, `backup-${Date.now()}.db.tmp`);
+  try {
+    const { dir, keep } = getBackupSettings();
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const dbEntry = await snapshotDatabase(tmpDbPath);
+    const images = [];
+    for (const name of await fs.promises.readdir(imagesDir)) {
+      if (name.endsWith('.tmp')) continue;
+      const filePath = path.join(imagesDir, name);
+      if ((await fs.promises.stat(filePath)).isFile()) images.push(filePath);
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_FORMAT_VERSION,
+      createdAt: Date.now(),
+      appVersion: app.getVersion(),
+      memoCount: db.prepare('SELECT COUNT(*) as count FROM memos WHERE deleted_at IS NULL').get().count,
+      imageCount: images.length
+    };
+
+    const entries = [
+      { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) },
+      dbEntry,
+      // 이미지는 디스크 상태 그대로 (암호화 모드면 이미 암호화됨)
+      ...images.map(filePath => ({ name: `images/${path.basename(filePath)}`, path: filePath }))
+    ];
+
+    const ext = dataKey ? '.tar.gz.enc' : '.tar.gz';
+    const backupPath = path.join(dir, `${BACKUP_PREFIX}${formatBackupStamp(new Date(manifest.createdAt))}${ext}`);
+    await packArchive(entries, backupPath, dataKey);
+
+    config.lastBackupAt = manifest.createdAt;
+    saveConfig(config);
+    pruneBackups(dir, keep);
+
+    console.log('[Backup] Created:', backupPath, `(${manifest.memoCount} memos, ${images.length} files)`);
+    return backupPath;
+  } finally {
+    await fs.promises.rm(tmpDbPath, { force: true });
+    backupInProgress = false;
+  }
+}
+
+// 아카이브의 이미지 항목 (images/<파일명>)
+function isImageEntry(name) {
+  return name.startsWith('images/') && name.split('/').length === 2;
+}
+
+/**
+ * 백업 파일 검증 (압축/매니페스트/DB 무결성/스키마 버전)
+ * @param {string} filePath
+ * @param {{ imagesTo?: string }} [options] - 이미지를 풀어 둘 폴더 (없으면 이미지는 읽지 않음)
+ * @returns {Promise<{ files: Map<string, Buffer>, manifest: object, memoCount: number, encrypted: boolean }>}
+ * @throws {BackupInvalidError}
+ */
+async function inspectBackup(filePath, { imagesTo = null } = {}) {
+  const encrypted = isEncryptedFile(filePath);
+  if (encrypted && !dataKey) {
+    throw new BackupInvalidError('암호화된 백업입니다. 데이터 암호화를 켠 상태에서만 복원할 수 있습니다');
+  }
+
+  let files;
+  try {
+    files = await unpackArchive(filePath, (name) => {
+      if (name === 'manifest.json' || name === 'handsub.db') return true;
+      return imagesTo && isImageEntry(name) ? path.join(imagesTo, path.basename(name)) : null;
+    }, encrypted ? dataKey : null);
+  } catch (e) {
+    // 복호화 결과가 맞지 않으면 압축 해제/인증 단계에서 실패 (파일 시스템 오류는 그대로)
+    if (encrypted && !e.syscall) {
+      throw new BackupInvalidError('다른 키로 암호화된 백업이라 열 수 없습니다');
+    }
+    throw e;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+  } catch (e) {
+    throw new BackupInvalidError('handsub 백업 파일이 아닙니다');
+  }
+  if (manifest.format !== BACKUP_FORMAT || !files.has('handsub.db')) {
+    throw new BackupInvalidError('handsub 백업 파일이 아닙니다');
+  }
+  if (manifest.version > BACKUP_FORMAT_VERSION) {
+    throw new BackupInvalidError('더 최신 버전의 handsub에서 만든 백업입니다');
+  }
+
+  // 실제 DB를 열어 확인 (매니페스트 값은 참고용)
+  let backupDb;
+  try {
+    backupDb = new Database(files.get('handsub.db'));
+  } catch (e) {
+    throw new BackupInvalidError('백업의 데이터베이스를 열 수 없습니다');
+  }
+  try {
+    if (backupDb.pragma('quick_check', { simple: true }) !== 'ok') {
+      throw new BackupInvalidError('백업의 데이터베이스가 손상되었습니다');
+    }
+    const schemaVersion = backupDb.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version || 0;
+    if (schemaVersion > LATEST_VERSION) {
+      throw new BackupInvalidError('더 최신 버전의 handsub에서 만든 백업입니다');
+    }
+    const memoCount = backupDb.prepare('SELECT COUNT(*) as count FROM memos WHERE deleted_at IS NULL').get().count;
+    return { files, manifest, memoCount, encrypted };
+  } catch (e) {
+    if (e instanceof BackupInvalidError) throw e;
+    throw new BackupInvalidError(`백업의 데이터베이스를 확인할 수 없습니다: ${e.message}`);
+  } finally {
+    backupDb.close();
+  }
+}
+
+// 이미지 폴더 교체 (풀어 둔 폴더로 이름만 바꿔서 교체)
+async function replaceImagesDir(stagingDir) {
+  const oldDir = `${imagesDir}.old-${Date.now()}`;
+  await fs.promises.rename(imagesDir, oldDir);
+  await fs.promises.rename(stagingDir, imagesDir);
+  await fs.promises.rm(oldDir, { recursive: true, force: true });
+}
+
+// 현재 DB를 백업 내용으로 교체 후 재시작
+async function restoreBackup(filePath) {
+  // 이미지는 검증하면서 임시 폴더에 바로 풀어 둠
+  const stagingDir = `${imagesDir}.restore`;
+  await fs.promises.rm(stagingDir, { recursive: true, force: true });
+  await fs.promises.mkdir(stagingDir, { recursive: true });
+
+  let files;
+  try {
+    let encrypted;
+    ({ files, encrypted } = await inspectBackup(filePath, { imagesTo: stagingDir }));
+    // 평문 백업을 암호화 모드에 복원하면 이미지도 암호화
+    if (dataKey && !encrypted) transformDirectory(stagingDir, dataKey, true);
+
+    // 복원 전 현재 상태도 백업 (잘못 복원했을 때 되돌릴 수 있도록)
+    await createBackup();
+  } catch (e) {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    throw e;
+  }
+
+  flushEncryptedDatabase();
+  db.close();
+  db = null;
+
+  try {
+    // 원자적 교체라 실패해도 기존 DB 파일은 그대로 남음
+    const dbBuffer = files.get('handsub.db');
+    if (dataKey) {
+      writeFileAtomic(encryptedDbPath, encryptBuffer(dbBuffer, dataKey));
+    } else {
+      // 닫을 때 WAL이 반영되므로 남은 -wal/-shm만 정리
+      ['-wal', '-shm', '-journal'].forEach(suffix => fs.rmSync(dbPath + suffix, { force: true }));
+      writeFileAtomic(dbPath, dbBuffer);
+    }
+    console.log('[Backup] Restored:', filePath);
+  } catch (e) {
+    console.error('[Backup] Restore error:', e);
+    dialog.showErrorBox('handsub', `백업을 복원하지 못해 기존 데이터로 다시 시작합니다.\n${e.message}`);
+    app.relaunch();
+    app.exit(0);
+    return;
+  }
+
+  try {
+    await replaceImagesDir(stagingDir);
+  } catch (e) {
+    // DB는 이미 교체됨 - 기존 이미지 유지
+    console.error('[Backup] Image restore error:', e);
+  }
+
+  // 열린 창/캐시를 모두 새 DB 기준으로 다시 로드
+  app.relaunch();
+  app.exit(0);
+}
+
+// 예정 시각이 지났으면 백업 (시작 시 + 1시간마다 확인)
+async function runScheduledBackup() {
+  const { frequency, lastBackupAt } = getBackupSettings();
+  const interval = BACKUP_FREQUENCIES[frequency];
+  if (!interval || backupInProgress) return;
+  if (lastBackupAt && Date.now() - lastBackupAt < interval) return;
+
+  try {
+    await createBackup();
+  } catch (e) {
+    console.error('[Backup] Scheduled backup error:', e);
+  }
+}
+
+function startBackupScheduler() {
+  runScheduledBackup();
+  setInterval(runScheduledBackup, 60 * 60 * 1000);
+}
+
+ipcMain.handle('get-backup-settings', () => {
+  return getBackupSettings();
+});
+
+ipcMain.handle('set-backup-settings', (_, settings) => {
+  if (!settings || typeof settings !== 'object') return false;
+  if (settings.frequency !== undefined && !(settings.frequency in BACKUP_FREQUENCIES)) return false;
+  if (settings.keep !== undefined && (!Number.isInteger(settings.keep) || settings.keep < 1 || settings.keep > 100)) return false;
+
+  setBackupSettings({ frequency: settings.frequency, keep: settings.keep });
+  if (settings.keep !== undefined) pruneBackups(getBackupSettings().dir, settings.keep);
+  runScheduledBackup();
+  return true;
+});
+
+// 백업 위치 선택 (경로는 대화상자에서만 받음)
+ipcMain.handle('backup-choose-dir', async (event) => {
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: '백업 위치 선택',
+    defaultPath: getBackupSettings().dir,
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  setBackupSettings({ dir: result.filePaths[0] });
+  return result.filePaths[0];
+});
+
+ipcMain.handle('backup-now', async () => {
+  try {
+    const backupPath = await createBackup();
+    return { success: true, path: backupPath, createdAt: getBackupSettings().lastBackupAt };
+  } catch (e) {
+    console.error('[Backup] Error:', e);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('backup-open-dir', () => {
+  const { dir } = getBackupSettings();
+  fs.mkdirSync(dir, { recursive: true });
+  return shell.openPath(dir);
+});
+
+// 복원할 백업 선택 + 검증 (날짜/메모 개수를 보여주고 확인받은 뒤 backup-restore)
+ipcMain.handle('backup-inspect', async (event) => {
+  pendingRestore = null;
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: '복원할 백업 선택',
+    defaultPath: getBackupSettings().dir,
+    filters: [{ name: 'handsub 백업', extensions: ['gz', 'enc'] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) return { canceled: true };
+
+  const filePath = result.filePaths[0];
+  try {
+    const { manifest, memoCount } = await inspectBackup(filePath);
+    pendingRestore = filePath;
+    return {
+      success: true,
+      fileName: path.basename(filePath),
+      createdAt: manifest.createdAt,
+      memoCount,
+      imageCount: manifest.imageCount || 0
+    };
+  } catch (e) {
+    console.error('[Backup] Inspect error:', e);
+    return { success: false, error: e instanceof BackupInvalidError ? e.message : '백업 파일을 읽을 수 없습니다' };
+  }
+});
+
+ipcMain.handle('backup-restore', async () => {
+  if (!pendingRestore) return { success: false, error: '복원할 백업을 먼저 선택하세요' };
+  const filePath = pendingRestore;
+  pendingRestore = null;
+
+  try {
+    await restoreBackup(filePath);
+    return { success: true };
+  } catch (e) {
+    console.error('[Backup] Restore error:', e);
+    return { success: false, error: e.message };
+  }
+});
+
 // ===== SSRF Prevention - 내부 IP 차단 =====
 function isPrivateHost(hostname) {
   // localhost 차단
@@ -1709,7 +3190,7 @@ function registerShortcuts() {
   // 새 메모 단축키
   try {
     globalShortcut.register(newMemoShortcut, () => {
-      showNewMemo();
+      showNewMemo(getNewMemoTemplateId());
     });
   } catch (e) {
     console.error('Failed to register new memo shortcut:', e);
@@ -1732,8 +3213,8 @@ function registerShortcuts() {
   }
 }
 
-// 새 메모 - 현재 창에서 빈 메모로 전환
-function showNewMemo() {
+// 새 메모 - 현재 창에서 빈 메모(templateId가 있으면 템플릿)로 전환
+function showNewMemo(templateId = null) {
   const savedBounds = getWindowBounds();
   const winWidth = savedBounds.width || DEFAULT_WINDOW_BOUNDS.width;
   const winHeight = savedBounds.height || DEFAULT_WINDOW_BOUNDS.height;
@@ -1751,7 +3232,7 @@ function showNewMemo() {
   }
 
   // 창 표시 전에 먼저 새 메모 이벤트 전송 (깜빡임 방지)
-  win.webContents.send('create-new-memo');
+  win.webContents.send('create-new-memo', templateId);
 
   // 창이 보이지 않으면 표시
   if (!win.isVisible()) {
@@ -1793,7 +3274,7 @@ function registerNewMemoShortcut(shortcut) {
   try {
     globalShortcut.unregister(newMemoShortcut);
     const success = globalShortcut.register(shortcut, () => {
-      showNewMemo();
+      showNewMemo(getNewMemoTemplateId());
     });
     if (success) {
       newMemoShortcut = shortcut;
@@ -2003,7 +3484,7 @@ function updateTrayMenu() {
       label: '새 메모',
       accelerator: newShortcut,
       click: () => {
-        showNewMemo();
+        showNewMemo(getNewMemoTemplateId());
       }
     },
     {
@@ -2185,6 +3666,60 @@ ipcMain.handle('set-notification-enabled', (_, enabled) => {
   return true;
 });
 
+ipcMain.handle('get-new-memo-template', () => {
+  return getNewMemoTemplateId();
+});
+
+ipcMain.handle('set-new-memo-template', (_, id) => {
+  if (id !== null && !isValidId(id)) return false;
+  setNewMemoTemplateId(id);
+  return true;
+});
+
+ipcMain.handle('get-subtask-auto-complete', () => {
+  return getSubtaskAutoComplete();
+});
+
+ipcMain.handle('set-subtask-auto-complete', (_, enabled) => {
+  if (typeof enabled !== 'boolean') return false;
+  setSubtaskAutoComplete(enabled);
+  return true;
+});
+
+ipcMain.handle('get-trash-retention-days', () => {
+  return getTrashRetentionDays();
+});
+
+ipcMain.handle('set-trash-retention-days', (_, days) => {
+  if (!Number.isInteger(days) || days < 0 || days > 3650) return false;
+  setTrashRetentionDays(days);
+  purgeExpiredTrash();
+  return true;
+});
+
+ipcMain.handle('get-db-encryption', () => {
+  return {
+    enabled: getDbEncryption(),
+    active: !!dataKey,
+    available: safeStorage.isEncryptionAvailable()
+  };
+});
+
+// 전환은 재시작 시 수행 (열려 있는 DB/이미지를 안전하게 바꾸기 위해)
+ipcMain.handle('set-db-encryption', (_, enabled) => {
+  if (typeof enabled !== 'boolean') return false;
+  if (enabled && !safeStorage.isEncryptionAvailable()) return false;
+
+  setDbEncryption(enabled);
+  if (enabled !== !!dataKey) {
+    setTimeout(() => {
+      app.relaunch();
+      app.quit();
+    }, 300);
+  }
+  return true;
+});
+
 ipcMain.handle('get-cloud-sync-enabled', () => {
   return getCloudSyncEnabled();
 });
@@ -2528,6 +4063,17 @@ const SyncManager = {
     `).all(SYNC_CONFIG.maxBatchSize);
   },
 
+  // 영구 삭제된 메모 툼스톤 조회 (로컬 행은 없고 큐만 남은 것)
+  getPendingTombstones() {
+    return db.prepare(`
+      SELECT entity_id as uuid, created_at FROM sync_queue
+      WHERE entity_type = 'memo' AND operation = 'purge'
+        AND entity_id NOT IN (SELECT uuid FROM memos WHERE uuid IS NOT NULL)
+      ORDER BY created_at ASC
+      LIMIT ?
+    `).all(SYNC_CONFIG.maxBatchSize);
+  },
+
   // 동기화 완료 표시
   markSynced(memoUuids, serverTimestamp) {
     const stmt = db.prepare(`
@@ -2595,10 +4141,11 @@ const SyncManager = {
 
     try {
       const pendingMemos = this.getPendingMemos();
+      const pendingTombstones = this.getPendingTombstones();
       const pendingSettings = this.getPendingSettings();
       const pendingSnippets = this.getPendingSnippets();
 
-      if (pendingMemos.length === 0 && pendingSettings.length === 0 && pendingSnippets.length === 0) {
+      if (pendingMemos.length === 0 && pendingTombstones.length === 0 && pendingSettings.length === 0 && pendingSnippets.length === 0) {
         console.log('[Sync] No pending items');
         notifySyncStatus('synced');
         return;
@@ -2608,12 +4155,24 @@ const SyncManager = {
 
       // 배치 요청 데이터 구성
       const batchData = {
-        memos: pendingMemos.map(m => ({
-          memoUuid: m.uuid,
-          content: m.content,
-          pinned: m.pinned === 1,
-          localUpdatedAt: m.local_updated_at || Date.now()
-        })),
+        memos: [
+          ...pendingMemos.map(m => ({
+            memoUuid: m.uuid,
+            content: m.content,
+            pinned: m.pinned === 1,
+            deleted: !!m.deleted_at,   // 휴지통 (복원 가능)
+            deletedAt: m.deleted_at || null,
+            tags: getMemoTags(m.id),
+            localUpdatedAt: m.local_updated_at || Date.now()
+          })),
+          // 영구 삭제 툼스톤
+          ...pendingTombstones.map(t => ({
+            memoUuid: t.uuid,
+            deleted: true,
+            purged: true,
+            localUpdatedAt: t.created_at
+          }))
+        ],
         settings: pendingSettings,
         snippets: pendingSnippets,
         lastSyncTimestamp: this.getLastSyncTimestamp()
@@ -2686,7 +4245,7 @@ const SyncManager = {
     const { memoUuid, serverContent, serverUpdatedAt } = conflict;
 
     // 로컬 메모 조회
-    const localMemo = db.prepare('SELECT content FROM memos WHERE uuid = ?').get(memoUuid);
+    const localMemo = db.prepare('SELECT id, content FROM memos WHERE uuid = ?').get(memoUuid);
     if (!localMemo) return;
 
     const clientContent = localMemo.content;
@@ -2701,11 +4260,16 @@ const SyncManager = {
     const merged = this.attemptLineMerge(clientContent, serverContent);
 
     if (merged !== null) {
+      // 머지 전 로컬 내용 보관 (머지 결과가 잘못돼도 복원 가능)
+      saveMemoVersion(localMemo.id, clientContent, 'merge');
+
       // 머지 성공 → 적용 후 재동기화
       db.prepare(`
         UPDATE memos SET content = ?, local_updated_at = ?, sync_status = 'pending'
         WHERE uuid = ?
       `).run(merged, Date.now(), memoUuid);
+      updateMemoTags(localMemo.id, merged);
+      updateMemoLinks(localMemo.id, merged);
       this.queueForSync('memo', memoUuid, 'update');
       console.log('[Sync] Merge successful for memo:', memoUuid);
     } else {
@@ -2752,30 +4316,47 @@ const SyncManager = {
 
   // 서버 변경사항 적용
   applyServerChange(serverMemo) {
-    const { memoUuid, content, pinned, serverUpdatedAt, deleted } = serverMemo;
+    const { memoUuid, content, pinned, serverUpdatedAt, deleted, tags } = serverMemo;
+    // 서버가 보낸 태그 우선 (없으면 본문에서 추출)
+    const serverTags = Array.isArray(tags) ? tags.filter(t => typeof t === 'string' && t.length <= MAX_TAG_LENGTH) : undefined;
+
+    const existing = db.prepare('SELECT id, content, local_updated_at, deleted_at FROM memos WHERE uuid = ?').get(memoUuid);
 
     if (deleted) {
-      // 삭제된 메모
-      db.prepare('DELETE FROM memos WHERE uuid = ?').run(memoUuid);
+      // 다른 기기에서 삭제 → 휴지통으로 (로컬에서 더 최근에 수정했으면 유지)
+      if (existing && !existing.deleted_at &&
+          (!existing.local_updated_at || existing.local_updated_at < serverUpdatedAt)) {
+        db.prepare(`
+          UPDATE memos SET deleted_at = ?, server_updated_at = ?, sync_status = 'synced'
+          WHERE uuid = ?
+        `).run(serverMemo.deletedAt || Date.now(), serverUpdatedAt, memoUuid);
+        db.prepare('DELETE FROM reminders WHERE memo_id = ? AND notified = 0').run(existing.id);
+        broadcastMemosUpdated();
+      }
       return;
     }
 
-    const existing = db.prepare('SELECT id, local_updated_at FROM memos WHERE uuid = ?').get(memoUuid);
-
     if (existing) {
-      // 로컬 변경이 없으면 서버 내용 적용
+      // 로컬 변경이 없으면 서버 내용 적용 (휴지통에 있던 메모면 복원)
       if (!existing.local_updated_at || existing.local_updated_at < serverUpdatedAt) {
+        if (existing.content !== content) {
+          saveMemoVersion(existing.id, existing.content, 'sync');
+        }
         db.prepare(`
-          UPDATE memos SET content = ?, pinned = ?, server_updated_at = ?, sync_status = 'synced'
+          UPDATE memos SET content = ?, pinned = ?, deleted_at = NULL, server_updated_at = ?, sync_status = 'synced'
           WHERE uuid = ?
         `).run(content, pinned ? 1 : 0, serverUpdatedAt, memoUuid);
+        updateMemoTags(existing.id, content, serverTags);
+        updateMemoLinks(existing.id, content);
       }
     } else {
       // 새 메모 추가
-      db.prepare(`
+      const result = db.prepare(`
         INSERT INTO memos (uuid, content, pinned, sync_status, server_updated_at, is_cloud)
         VALUES (?, ?, ?, 'synced', ?, 1)
       `).run(memoUuid, content, pinned ? 1 : 0, serverUpdatedAt);
+      updateMemoTags(result.lastInsertRowid, content, serverTags);
+      updateMemoLinks(result.lastInsertRowid, content);
     }
 
     // UI 갱신
@@ -3164,6 +4745,7 @@ ipcMain.handle('settings-sync-push', async (_, key, value) => {
     INSERT OR REPLACE INTO settings_sync (key, value, updated_at, synced_at)
     VALUES (?, ?, ?, 0)
   `).run(key, JSON.stringify(normalizedValue), timestamp);
+  schedulePersist();
 
   // 서버에 푸시 (백그라운드) - v2 API 사용
   try {
@@ -3413,7 +4995,7 @@ ipcMain.handle('memo-mark-read', (_, memoId) => {
 // 읽지 않은 메모 수 (로컬 DB)
 ipcMain.handle('memo-unread-count', () => {
   try {
-    return db.prepare('SELECT COUNT(*) as count FROM memos WHERE is_read = 0').get().count;
+    return db.prepare('SELECT COUNT(*) as count FROM memos WHERE is_read = 0 AND deleted_at IS NULL').get().count;
   } catch (e) {
     return 0;
   }
@@ -3553,9 +5135,24 @@ function showReminderNotification(reminder) {
   const hour12 = String(hours % 12 || 12).padStart(2, '0');
   const timeStr = `${ampm}${hour12}:${minutes}`;
 
+  // 상위 할일이면 남은 하위 항목을 본문에 나열
+  let body = timeStr;
+  try {
+    const todo = reminder.memo_id && db.prepare(`
+      SELECT checkbox_index FROM todo_tracking
+      WHERE memo_id = ? AND text = ? AND is_completed = 0
+      ORDER BY checkbox_index ASC
+      LIMIT 1
+    `).get(reminder.memo_id, reminder.text);
+    const openChildren = todo ? getOpenSubtasks(reminder.memo_id, todo.checkbox_index) : [];
+    if (openChildren.length) body += `\n${openChildren.map(text => `☐ ${text}`).join('\n')}`;
+  } catch (e) {
+    console.error('[Reminder] Subtask lookup error:', e);
+  }
+
   const notification = new Notification({
     title: reminder.text,
-    body: timeStr,
+    body,
     silent: false
   });
 
@@ -3822,6 +5419,15 @@ const TODO_REMIND_CONFIG = {
   maxDisplayCount: 50,   // 모든 할일 표시
 };
 
+// 아직 끝나지 않은 하위 할일 텍스트 (상위 체크박스 기준)
+function getOpenSubtasks(memoId, checkboxIndex) {
+  return db.prepare(`
+    SELECT text FROM todo_tracking
+    WHERE memo_id = ? AND parent_index = ? AND is_completed = 0
+    ORDER BY checkbox_index ASC
+  `).all(memoId, checkboxIndex).map(row => row.text);
+}
+
 // 리마인드 대상 할일 조회
 ipcMain.handle('todo-get-reminders', () => {
   try {
@@ -3829,11 +5435,13 @@ ipcMain.handle('todo-get-reminders', () => {
     const minAge = now - (TODO_REMIND_CONFIG.minAgeHours * 3600000);
     const cooldown = now - (TODO_REMIND_CONFIG.cooldownHours * 3600000);
 
-    return db.prepare(`
+    const todos = db.prepare(`
       SELECT t.*, m.content as memo_content
       FROM todo_tracking t
       JOIN memos m ON t.memo_id = m.id
       WHERE t.is_completed = 0
+        AND m.deleted_at IS NULL
+        AND m.archived_at IS NULL
         AND t.has_time = 0
         AND t.dismissed = 0
         AND t.created_at <= ?
@@ -3842,6 +5450,12 @@ ipcMain.handle('todo-get-reminders', () => {
       ORDER BY t.created_at ASC
       LIMIT ?
     `).all(minAge, cooldown, TODO_REMIND_CONFIG.maxRemindCount, TODO_REMIND_CONFIG.maxDisplayCount);
+
+    // 상위 할일에는 남은 하위 항목을 함께 표시
+    return todos.map(todo => ({
+      ...todo,
+      open_children: getOpenSubtasks(todo.memo_id, todo.checkbox_index)
+    }));
   } catch (e) {
     console.error('[Todo] Get reminders error:', e);
     return [];
@@ -3888,8 +5502,8 @@ ipcMain.handle('todo-sync', (_, memoId, todos) => {
     db.prepare('DELETE FROM todo_tracking WHERE memo_id = ?').run(memoId);
 
     const insertStmt = db.prepare(`
-      INSERT INTO todo_tracking (memo_id, checkbox_index, text, has_time, is_completed, created_at, last_reminded_at, remind_count, dismissed)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO todo_tracking (memo_id, checkbox_index, parent_index, text, has_time, is_completed, created_at, last_reminded_at, remind_count, dismissed)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     for (const todo of todos) {
@@ -3899,6 +5513,7 @@ ipcMain.handle('todo-sync', (_, memoId, todos) => {
       insertStmt.run(
         memoId,
         todo.checkboxIndex,
+        Number.isInteger(todo.parentIndex) ? todo.parentIndex : null,
         todo.text,
         todo.hasTime,
         todo.isCompleted,
@@ -3925,13 +5540,16 @@ ipcMain.handle('todo-has-reminders', () => {
 
     const result = db.prepare(`
       SELECT COUNT(*) as count
-      FROM todo_tracking
-      WHERE is_completed = 0
-        AND has_time = 0
-        AND dismissed = 0
-        AND created_at <= ?
-        AND last_reminded_at <= ?
-        AND remind_count < ?
+      FROM todo_tracking t
+      JOIN memos m ON t.memo_id = m.id
+      WHERE t.is_completed = 0
+        AND m.deleted_at IS NULL
+        AND m.archived_at IS NULL
+        AND t.has_time = 0
+        AND t.dismissed = 0
+        AND t.created_at <= ?
+        AND t.last_reminded_at <= ?
+        AND t.remind_count < ?
     `).get(minAge, cooldown, TODO_REMIND_CONFIG.maxRemindCount);
 
     return result.count > 0;
@@ -4034,8 +5652,7 @@ function getPlainTextPreview(html, maxLength = 50) {
   // HTML 태그 제거
   let text = html
     .replace(/<br\s*\/?>/gi, ' ')
-    .replace(/<\/div>/gi, ' ')
-    .replace(/<\/p>/gi, ' ')
+    .replace(/<\/(div|p|h[1-6]|blockquote|pre|tr|td|th)>/gi, ' ')
     .replace(/<[^>]+>/g, '')
     .replace(/&nbsp;/g, ' ')
     .replace(/&amp;/g, '&')
@@ -4081,7 +5698,7 @@ function updateTrayBadge() {
   if (!tray) return;
 
   try {
-    const unreadCount = db.prepare('SELECT COUNT(*) as count FROM memos WHERE is_read = 0').get().count;
+    const unreadCount = db.prepare('SELECT COUNT(*) as count FROM memos WHERE is_read = 0 AND deleted_at IS NULL').get().count;
 
     if (process.platform === 'darwin') {
       // macOS: Dock 배지
@@ -4418,7 +6035,7 @@ ipcMain.handle('auth-logout', async (_, options = {}) => {
     console.log('[Auth] Cloud memos restored to snapshot');
   } else {
     // 로컬에서 삭제
-    db.prepare('DELETE FROM memos WHERE is_cloud = 1').run();
+    deleteMemos('is_cloud = 1');
     console.log('[Auth] Cloud memos deleted from local');
   }
 
@@ -4657,7 +6274,7 @@ async function handleMemoReceived(memo) {
     });
 
     // 4. 읽지 않은 메모 수 업데이트
-    const unreadCount = db.prepare('SELECT COUNT(*) as count FROM memos WHERE is_read = 0').get().count;
+    const unreadCount = db.prepare('SELECT COUNT(*) as count FROM memos WHERE is_read = 0 AND deleted_at IS NULL').get().count;
     BrowserWindow.getAllWindows().forEach(w => {
       if (!w.isDestroyed()) {
         w.webContents.send('unread-count-changed', unreadCount);
@@ -5114,9 +6731,9 @@ ipcMain.handle('collab-ack-change', async (event, sessionId, version) => {
   }
 });
 
-// New memo
-ipcMain.on('new-memo', () => {
-  showNewMemo();
+// New memo (templateId 생략 시 빈 메모)
+ipcMain.on('new-memo', (_, templateId = null) => {
+  showNewMemo(isValidId(templateId) ? templateId : null);
 });
 
 // Close window
@@ -5216,6 +6833,10 @@ app.on('open-url', (event, url) => {
 });
 
 app.whenReady().then(() => {
+  // DB 연결 (암호화 키는 safeStorage 사용 가능한 시점 이후에 로드)
+  initDatabase();
+  registerEncryptedFileProtocol();
+
   const firstRun = isFirstRun();
 
   // 인증 캐시 미리 로드 (창 생성 전에 실행하여 초기 렌더링 속도 향상)
@@ -5224,6 +6845,9 @@ app.whenReady().then(() => {
   // 보안 마이그레이션 실행
   migrateToolConnectionsToSecureStorage();
 
+  // 사용자 도구 폴더 로드 + 감시
+  initUserTools();
+
   // 앱 이름 설정 (알림에 표시됨)
   app.setName('handsub');
 
@@ -5231,6 +6855,8 @@ app.whenReady().then(() => {
   createTray();
   initAutoLaunch(); // 자동 실행 설정 적용
   startReminderScheduler(); // 리마인더 스케줄러 시작
+  startTrashPurgeScheduler(); // 휴지통 자동 비우기
+  startBackupScheduler(); // 자동 백업
 
   // Dock에 표시 (주석 해제하면 트레이 전용 앱으로 변경)
   // if (process.platform === 'darwin') {
@@ -5362,6 +6988,8 @@ async function importReceivedMemo(memo) {
       `INSERT INTO memos (content, uuid, received_from, transfer_id, is_read, last_notified_at)
        VALUES (?, ?, ?, ?, 0, ?)`
     ).run(memo.content, uuid, memo.senderEmail, memo.id, now);
+    updateMemoTags(result.lastInsertRowid, memo.content);
+    updateMemoLinks(result.lastInsertRowid, memo.content);
 
     console.log('[Inbox] Imported memo:', result.lastInsertRowid, 'from', memo.senderEmail);
 
@@ -5385,6 +7013,10 @@ app.on('before-quit', () => {
 
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  toolRegistry.unwatchAll();
+
+  // 암호화 모드: 마지막 변경 사항 저장
+  flushEncryptedDatabase();
 });
 
 app.on('window-all-closed', () => {
@@ -0,0 +1,538 @@
+/**
+ * migrations.js - handsub.db 스키마 마이그레이션
+ * 번호 순서대로 한 번씩만 실행하고 schema_migrations 테이블에 기록
+ *
+ * 새 마이그레이션은 MIGRATIONS 끝에 다음 번호로 추가 (기존 항목은 수정 금지)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_BACKUPS = 3;  // 마이그레이션 전 백업 보관 개수
+
+// 컬럼이 없을 때만 추가 (마이그레이션 이전 DB 호환)
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (columns.includes(column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+// 체크박스 텍스트 추출 (todo_tracking 초기 채우기용)
+function extractPlainText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    // 프레임워크 도입 전 스키마 (기존 DB는 빠진 컬럼만 채움)
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memos (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT DEFAULT '',
+          pinned INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      addColumnIfMissing(db, 'memos', 'pinned', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'memos', 'uuid', 'TEXT');                       // 협업용 고유 ID
+      addColumnIfMissing(db, 'memos', 'received_from', 'TEXT');              // 보낸 사람 이메일
+      addColumnIfMissing(db, 'memos', 'transfer_id', 'INTEGER');             // 받은 메모 전달 ID
+      addColumnIfMissing(db, 'memos', 'is_read', 'INTEGER DEFAULT 1');       // 받은 메모 읽음 여부
+      addColumnIfMissing(db, 'memos', 'last_notified_at', 'INTEGER');        // 알림 시간 (채팅 정렬용)
+      addColumnIfMissing(db, 'memos', 'shared_memo_id', 'TEXT');             // 공유 메모 원본 UUID
+      addColumnIfMissing(db, 'memos', 'is_shared', 'INTEGER DEFAULT 0');     // 내가 공유한 메모
+      addColumnIfMissing(db, 'memos', 'owner_user_id', 'TEXT');              // NULL이면 로그아웃 상태에서 만든 메모
+      addColumnIfMissing(db, 'memos', 'is_cloud', 'INTEGER DEFAULT 0');      // 클라우드에서 가져온 메모
+      addColumnIfMissing(db, 'memos', 'cloud_snapshot', 'TEXT');             // 로그아웃 시 복원용 원본
+      addColumnIfMissing(db, 'memos', 'cloud_memo_id', 'TEXT');              // 서버의 cloud_memos.id
+      // 'local': 로컬만 | 'pending': 동기화 대기 | 'synced': 동기화됨 | 'conflict': 충돌
+      addColumnIfMissing(db, 'memos', 'sync_status', "TEXT DEFAULT 'local'");
+      addColumnIfMissing(db, 'memos', 'local_updated_at', 'INTEGER');
+      addColumnIfMissing(db, 'memos', 'server_updated_at', 'INTEGER');
+      addColumnIfMissing(db, 'memos', 'deleted_at', 'INTEGER');              // 휴지통 (NULL이면 정상 메모)
+
+      // 기존 메모에 UUID 부여
+      const memosWithoutUuid = db.prepare('SELECT id FROM memos WHERE uuid IS NULL').all();
+      const setUuid = db.prepare('UPDATE memos SET uuid = ? WHERE id = ?');
+      memosWithoutUuid.forEach(memo => setUuid.run(crypto.randomUUID(), memo.id));
+
+      db.exec(`
+        -- 변경사항 저장 (협업 동기화용)
+        CREATE TABLE IF NOT EXISTS operations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memo_uuid TEXT NOT NULL,
+          op_type TEXT NOT NULL,
+          op_data TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          synced INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_ops_memo ON operations(memo_uuid);
+        CREATE INDEX IF NOT EXISTS idx_ops_synced ON operations(synced);
+
+        -- 링크 미리보기 캐시
+        CREATE TABLE IF NOT EXISTS link_cache (
+          url TEXT PRIMARY KEY,
+          title TEXT,
+          description TEXT,
+          image TEXT,
+          favicon TEXT,
+          fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- 단축어(스니펫)
+        CREATE TABLE IF NOT EXISTS snippets (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          shortcut TEXT NOT NULL,
+          name TEXT,
+          icon TEXT,
+          config TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- 연락처 캐시
+        CREATE TABLE IF NOT EXISTS contacts_cache (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          email TEXT UNIQUE NOT NULL,
+          name TEXT,
+          avatar_url TEXT,
+          is_favorite INTEGER DEFAULT 0,
+          last_sent_at DATETIME,
+          server_id TEXT,
+          synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- 설정 동기화
+        CREATE TABLE IF NOT EXISTS settings_sync (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at INTEGER NOT NULL,
+          synced_at INTEGER DEFAULT 0
+        );
+
+        -- 연락처 그룹
+        CREATE TABLE IF NOT EXISTS contact_groups (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          color TEXT DEFAULT '#007AFF',
+          sort_order INTEGER DEFAULT 0,
+          server_id TEXT,
+          synced_at INTEGER DEFAULT 0,
+          updated_at INTEGER DEFAULT (strftime('%s','now') * 1000),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- 그룹 멤버
+        CREATE TABLE IF NOT EXISTS contact_group_members (
+          contact_email TEXT NOT NULL,
+          group_id TEXT NOT NULL,
+          added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (contact_email, group_id),
+          FOREIGN KEY (group_id) REFERENCES contact_groups(id) ON DELETE CASCADE
+        );
+
+        -- 리마인더
+        CREATE TABLE IF NOT EXISTS reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memo_id INTEGER,
+          text TEXT NOT NULL,
+          remind_at INTEGER NOT NULL,
+          notified INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (memo_id) REFERENCES memos(id) ON DELETE CASCADE
+        );
+
+        -- 알림 이력 (채팅 스타일 표시용)
+        CREATE TABLE IF NOT EXISTS notification_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL DEFAULT 'reminder',
+          text TEXT NOT NULL,
+          memo_id INTEGER,
+          from_email TEXT,
+          read INTEGER DEFAULT 0,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_notification_read ON notification_history(read, created_at);
+
+        -- 할일 추적 (시간 없는 할일 리마인더용)
+        CREATE TABLE IF NOT EXISTS todo_tracking (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memo_id INTEGER NOT NULL,
+          checkbox_index INTEGER NOT NULL,
+          text TEXT NOT NULL,
+          has_time INTEGER DEFAULT 0,
+          is_completed INTEGER DEFAULT 0,
+          created_at INTEGER NOT NULL,
+          last_reminded_at INTEGER DEFAULT 0,
+          remind_count INTEGER DEFAULT 0,
+          dismissed INTEGER DEFAULT 0,
+          FOREIGN KEY (memo_id) REFERENCES memos(id) ON DELETE CASCADE,
+          UNIQUE(memo_id, checkbox_index)
+        );
+        CREATE INDEX IF NOT EXISTS idx_todo_remind ON todo_tracking(is_completed, has_time, last_reminded_at);
+
+        -- 오프라인 동기화 큐
+        CREATE TABLE IF NOT EXISTS sync_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_type TEXT NOT NULL,
+          entity_id TEXT NOT NULL,
+          operation TEXT NOT NULL,
+          payload TEXT,
+          created_at INTEGER NOT NULL,
+          retry_count INTEGER DEFAULT 0,
+          last_error TEXT,
+          UNIQUE(entity_type, entity_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_sync_queue_entity ON sync_queue(entity_type, entity_id);
+
+        -- 메모 버전 기록 (편집 스냅샷 - 복원용)
+        CREATE TABLE IF NOT EXISTS memo_versions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memo_id INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          reason TEXT DEFAULT 'auto',
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_memo_versions_memo ON memo_versions(memo_id, created_at);
+      `);
+
+      // 오래된 리마인더 테이블 컬럼 보정
+      addColumnIfMissing(db, 'reminders', 'notified', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'reminders', 'text', 'TEXT');
+      addColumnIfMissing(db, 'reminders', 'memo_id', 'INTEGER');
+      addColumnIfMissing(db, 'reminders', 'remind_at', 'INTEGER');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_reminders_time ON reminders(remind_at, notified)');
+
+      // 영구 삭제한 메모에 남아 있던 할일/리마인더/버전 기록 정리 (foreign_keys가 꺼져 있어 ON DELETE CASCADE가 동작하지 않았음)
+      db.exec(`
+        DELETE FROM memo_versions WHERE memo_id NOT IN (SELECT id FROM memos);
+        DELETE FROM todo_tracking WHERE memo_id NOT IN (SELECT id FROM memos);
+        DELETE FROM reminders WHERE memo_id NOT IN (SELECT id FROM memos);
+      `);
+
+      // snippets 동기화/매니페스트 오버라이드 컬럼
+      addColumnIfMissing(db, 'snippets', 'icon', 'TEXT');
+      addColumnIfMissing(db, 'snippets', 'synced_at', 'INTEGER DEFAULT 0');
+      if (addColumnIfMissing(db, 'snippets', 'updated_at', 'INTEGER')) {
+        // 기존 데이터에 현재 시간 설정
+        db.prepare('UPDATE snippets SET updated_at = ? WHERE updated_at IS NULL').run(Date.now());
+      }
+      addColumnIfMissing(db, 'snippets', 'source', "TEXT DEFAULT 'code'");
+      addColumnIfMissing(db, 'snippets', 'manifest_ref', 'TEXT');
+    }
+  },
+  {
+    version: 2,
+    name: 'todo_tracking_backfill',
+    // 기존 메모의 체크박스를 할일 추적 테이블로 채움 (예전에는 매 실행마다 재구축)
+    up(db) {
+      const memos = db.prepare('SELECT id, content, created_at FROM memos WHERE content IS NOT NULL').all();
+      const now = Date.now();
+
+      const insertStmt = db.prepare(`
+        INSERT OR IGNORE INTO todo_tracking (memo_id, checkbox_index, text, has_time, is_completed, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+
+      let totalTodos = 0;
+
+      for (const memo of memos) {
+        if (!memo.content) continue;
+
+        const lines = extractPlainText(memo.content).split('\n');
+        let checkboxIndex = 0;
+
+        for (const line of lines) {
+          const checkboxMatch = line.match(/^(\s*)(☐|☑)\s*(.+)/);
+          if (!checkboxMatch) continue;
+
+          const isChecked = checkboxMatch[2] === '☑';
+          const todoText = checkboxMatch[3].trim();
+
+          // 시간 패턴 확인 (간단히)
+          const hasTime = /\d{1,2}시|\d{1,2}:\d{2}/.test(todoText) ? 1 : 0;
+
+          // 메모 생성 시간 사용 (없으면 현재 시간)
+          const createdAt = memo.created_at ? new Date(memo.created_at).getTime() : now;
+
+          insertStmt.run(memo.id, checkboxIndex, todoText.substring(0, 200), hasTime, isChecked ? 1 : 0, createdAt);
+
+          checkboxIndex++;
+          totalTodos++;
+        }
+      }
+
+      console.log(`[Migration] Backfilled ${totalTodos} todos from ${memos.length} memos`);
+    }
+  },
+  {
+    version: 3,
+    name: 'memos_fts',
+    // 전문 검색 인덱스 (html_to_text 함수는 main.js에서 연결마다 등록)
+    // unicode61 토크나이저 + 접두 검색: "회의"* 가 "회의를", "회의록" 등 조사/복합어에 매칭
+    up(db) {
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS memos_fts USING fts5(
+          body,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS memos_fts_ai AFTER INSERT ON memos BEGIN
+          INSERT INTO memos_fts(rowid, body) VALUES (new.id, html_to_text(new.content));
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memos_fts_ad AFTER DELETE ON memos BEGIN
+          DELETE FROM memos_fts WHERE rowid = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memos_fts_au AFTER UPDATE OF content ON memos BEGIN
+          UPDATE memos_fts SET body = html_to_text(new.content) WHERE rowid = new.id;
+        END;
+
+        DELETE FROM memos_fts;
+        INSERT INTO memos_fts(rowid, body) SELECT id, html_to_text(content) FROM memos;
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'memo_tags',
+    // #태그 인덱스 (extract_tags 함수는 main.js에서 등록, 기존 메모는 여기서 채움)
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memo_tags (
+          memo_id INTEGER NOT NULL,
+          tag TEXT NOT NULL,
+          PRIMARY KEY (memo_id, tag)
+        );
+        CREATE INDEX IF NOT EXISTS idx_memo_tags_tag ON memo_tags(tag);
+
+        INSERT OR IGNORE INTO memo_tags (memo_id, tag)
+        SELECT m.id, t.value FROM memos m, json_each(extract_tags(m.content)) t;
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'folders',
+    // 폴더(노트북) 계층 - 로컬 전용, folder_id NULL이면 최상위
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS folders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          parent_id INTEGER,
+          collapsed INTEGER DEFAULT 0,
+          created_at INTEGER NOT NULL,
+          FOREIGN KEY (parent_id) REFERENCES folders(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_folders_parent ON folders(parent_id);
+      `);
+
+      addColumnIfMissing(db, 'memos', 'folder_id', 'INTEGER');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_memos_folder ON memos(folder_id)');
+    }
+  },
+  {
+    version: 6,
+    name: 'memo_links',
+    // [[메모 링크]] 역참조 인덱스 (extract_memo_links 함수는 main.js에서 등록)
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memo_links (
+          source_id INTEGER NOT NULL,
+          target_uuid TEXT NOT NULL,
+          PRIMARY KEY (source_id, target_uuid)
+        );
+        CREATE INDEX IF NOT EXISTS idx_memo_links_target ON memo_links(target_uuid);
+
+        INSERT OR IGNORE INTO memo_links (source_id, target_uuid)
+        SELECT m.id, l.value FROM memos m, json_each(extract_memo_links(m.content)) l
+        WHERE l.value != lower(coalesce(m.uuid, ''));
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'memo_archive',
+    // 보관 (NULL이면 일반 메모) - 목록/할일 알림/기본 검색에서 제외, 로컬 전용
+    up(db) {
+      addColumnIfMissing(db, 'memos', 'archived_at', 'INTEGER');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_memos_archived ON memos(archived_at)');
+    }
+  },
+  {
+    version: 8,
+    name: 'todo_subtasks',
+    // 하위 할일 - 상위 체크박스의 checkbox_index (NULL이면 최상위), 다음 저장 때 채워짐
+    up(db) {
+      addColumnIfMissing(db, 'todo_tracking', 'parent_index', 'INTEGER');
+    }
+  },
+  {
+    version: 9,
+    name: 'memo_templates',
+    // 메모 템플릿 - 로컬 전용, 본문은 일반 텍스트 ({{date}} 등 자리 표시자는 메모 생성 시 치환)
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memo_templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          body TEXT NOT NULL DEFAULT '',
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'execution_log',
+    // 단축어 실행 기록 - 로컬 전용, request는 비밀 값을 가린 JSON, inputs는 다시 실행용 입력값 JSON
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS execution_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          snippet_id TEXT,
+          snippet_name TEXT,
+          tool TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          inputs TEXT,
+          request TEXT,
+          success INTEGER NOT NULL DEFAULT 0,
+          status INTEGER,
+          duration_ms INTEGER,
+          response TEXT,
+          error TEXT,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_execution_log_created ON execution_log(created_at);
+      `);
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// 앱보다 새로운 버전의 DB (구버전 앱으로 열면 데이터 손상 위험)
+class SchemaTooNewError extends Error {
+  constructor(dbVersion) {
+    super(`Database schema v${dbVersion} is newer than supported v${LATEST_VERSION}`);
+    this.name = 'SchemaTooNewError';
+    this.dbVersion = dbVersion;
+  }
+}
+
+// 마이그레이션 실패 (트랜잭션 롤백됨, backupPath에 실행 전 백업)
+class MigrationError extends Error {
+  constructor(migration, cause, backupPath) {
+    super(`Migration ${migration.version} (${migration.name}) failed: ${cause.message}`);
+    this.name = 'MigrationError';
+    this.version = migration.version;
+    this.cause = cause;
+    this.backupPath = backupPath;
+  }
+}
+
+function getSchemaVersion(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    );
+  `);
+  return db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version || 0;
+}
+
+// 실행 전 백업 (기본 VACUUM INTO - 동기식, 오래된 백업은 정리)
+function backupDatabase(db, dbPath, fromVersion, writeBackup) {
+  const dir = path.dirname(dbPath);
+  const base = path.basename(dbPath);
+  const backupPath = path.join(dir, `${base}.v${fromVersion}-${Date.now()}.bak`);
+
+  if (writeBackup) {
+    writeBackup(backupPath);
+  } else {
+    db.prepare('VACUUM INTO ?').run(backupPath);
+  }
+
+  const backups = fs.readdirSync(dir)
+    .filter(name => name.startsWith(`${base}.v`) && name.endsWith('.bak'))
+    .sort((a, b) => fs.statSync(path.join(dir, b)).mtimeMs - fs.statSync(path.join(dir, a)).mtimeMs);
+  backups.slice(MAX_BACKUPS).forEach(name => {
+    try {
+      fs.unlinkSync(path.join(dir, name));
+    } catch (e) {
+      // 정리 실패는 무시
+    }
+  });
+
+  return backupPath;
+}
+
+/**
+ * 대기 중인 마이그레이션 실행
+ * 전체를 하나의 트랜잭션으로 실행 → 실패하면 시작 전 상태 그대로 유지
+ * @param {Database} db - better-sqlite3 연결
+ * @param {string} dbPath - DB 파일 경로 (백업 위치 기준)
+ * @param {{ writeBackup?: (backupPath: string) => void }} options - 백업 저장 방식 지정 (암호화 모드 등)
+ * @returns {{ from: number, to: number, backupPath: string|null }}
+ * @throws {SchemaTooNewError|MigrationError}
+ */
+function runMigrations(db, dbPath, options = {}) {
+  const currentVersion = getSchemaVersion(db);
+
+  if (currentVersion > LATEST_VERSION) {
+    throw new SchemaTooNewError(currentVersion);
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+  if (pending.length === 0) {
+    return { from: currentVersion, to: currentVersion, backupPath: null };
+  }
+
+  // 기존 데이터가 있을 때만 백업 (새 DB는 백업할 것이 없음)
+  const hasData = db.prepare("SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name = 'memos'").get().count > 0;
+  const backupPath = hasData ? backupDatabase(db, dbPath, currentVersion, options.writeBackup) : null;
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  let running = null;
+
+  try {
+    db.transaction(() => {
+      for (const migration of pending) {
+        running = migration;
+        migration.up(db);
+        record.run(migration.version, migration.name, Date.now());
+        console.log(`[Migration] Applied v${migration.version} (${migration.name})`);
+      }
+    })();
+  } catch (e) {
+    throw new MigrationError(running, e, backupPath);
+  }
+
+  return { from: currentVersion, to: LATEST_VERSION, backupPath };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  runMigrations,
+  SchemaTooNewError,
+  MigrationError
+};
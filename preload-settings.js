@@ -8,12 +8,27 @@ contextBridge.exposeInMainWorld('settingsApi', {
   setAutoLaunch: (enabled) => ipcRenderer.invoke('set-auto-launch', enabled),
   getNotificationEnabled: () => ipcRenderer.invoke('get-notification-enabled'),
   setNotificationEnabled: (enabled) => ipcRenderer.invoke('set-notification-enabled', enabled),
+  getSubtaskAutoComplete: () => ipcRenderer.invoke('get-subtask-auto-complete'),
+  setSubtaskAutoComplete: (enabled) => ipcRenderer.invoke('set-subtask-auto-complete', enabled),
+  getTrashRetentionDays: () => ipcRenderer.invoke('get-trash-retention-days'),
+  setTrashRetentionDays: (days) => ipcRenderer.invoke('set-trash-retention-days', days),  // 0이면 자동 비우기 안 함
+  getDbEncryption: () => ipcRenderer.invoke('get-db-encryption'),  // { enabled, active, available }
+  setDbEncryption: (enabled) => ipcRenderer.invoke('set-db-encryption', enabled),  // 변경 시 앱 재시작
+  getBackupSettings: () => ipcRenderer.invoke('get-backup-settings'),  // { frequency, keep, dir, lastBackupAt }
+  setBackupSettings: (settings) => ipcRenderer.invoke('set-backup-settings', settings),
+  chooseBackupDir: () => ipcRenderer.invoke('backup-choose-dir'),
+  openBackupDir: () => ipcRenderer.invoke('backup-open-dir'),
+  backupNow: () => ipcRenderer.invoke('backup-now'),
+  inspectBackup: () => ipcRenderer.invoke('backup-inspect'),  // 파일 선택 + 검증 → { createdAt, memoCount, ... }
+  restoreBackup: () => ipcRenderer.invoke('backup-restore'),  // 검증한 백업으로 교체 후 재시작
   getCloudSyncEnabled: () => ipcRenderer.invoke('get-cloud-sync-enabled'),
   setCloudSyncEnabled: (enabled) => ipcRenderer.invoke('set-cloud-sync-enabled', enabled),
   getShortcut: () => ipcRenderer.invoke('get-shortcut'),
   setShortcut: (shortcut) => ipcRenderer.invoke('set-shortcut', shortcut),
   getNewMemoShortcut: () => ipcRenderer.invoke('get-new-memo-shortcut'),
   setNewMemoShortcut: (shortcut) => ipcRenderer.invoke('set-new-memo-shortcut', shortcut),
+  getNewMemoTemplate: () => ipcRenderer.invoke('get-new-memo-template'),  // 템플릿 id 또는 null
+  setNewMemoTemplate: (id) => ipcRenderer.invoke('set-new-memo-template', id),
   suspendShortcuts: () => ipcRenderer.invoke('suspend-shortcuts'),
   resumeShortcuts: () => ipcRenderer.invoke('resume-shortcuts'),
   getVersion: () => ipcRenderer.invoke('get-version'),
@@ -31,6 +46,17 @@ contextBridge.exposeInMainWorld('settingsApi', {
   updateSnippet: (data) => ipcRenderer.invoke('snippet-update', data),
   deleteSnippet: (id) => ipcRenderer.invoke('snippet-delete', id),
 
+  // Template API
+  getTemplates: () => ipcRenderer.invoke('template-list'),
+  createTemplate: (name, body) => ipcRenderer.invoke('template-create', name, body),
+  updateTemplate: (id, name, body) => ipcRenderer.invoke('template-update', id, name, body),
+  deleteTemplate: (id) => ipcRenderer.invoke('template-delete', id),
+
+  // Execution Log API
+  getExecutionLog: (filter) => ipcRenderer.invoke('execution-log-list', filter),
+  rerunExecution: (id) => ipcRenderer.invoke('execution-log-rerun', id),
+  clearExecutionLog: () => ipcRenderer.invoke('execution-log-clear'),
+
   // Tools API
   getTools: () => ipcRenderer.invoke('tools-list'),
   getToolSchema: (type) => ipcRenderer.invoke('tools-schema', type),
@@ -38,6 +64,8 @@ contextBridge.exposeInMainWorld('settingsApi', {
   getToolConnections: () => ipcRenderer.invoke('tools-get-connections'),
   connectTool: (toolId, credentials) => ipcRenderer.invoke('tools-connect', toolId, credentials),
   disconnectTool: (toolId) => ipcRenderer.invoke('tools-disconnect', toolId),
+  openUserToolsDir: () => ipcRenderer.invoke('tools-open-user-dir'),
+  onToolsChanged: (callback) => ipcRenderer.on('tools-changed', () => callback()),
 
   // Manifest Tools API
   getManifestTools: () => ipcRenderer.invoke('manifest-tools-list'),
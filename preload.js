@@ -26,6 +26,8 @@ const requestCloseListener = createSafeListener('request-close');
 const memosUpdatedListener = createSafeListener('memos-updated');
 const triggerKeyChangedListener = createSafeListener('trigger-key-changed');
 const executeKeyChangedListener = createSafeListener('execute-key-changed');
+const toolsChangedListener = createSafeListener('tools-changed');
+const subtaskAutoCompleteChangedListener = createSafeListener('subtask-auto-complete-changed');
 const syncServerChangedListener = createSafeListener('sync-server-changed');
 const createNewMemoListener = createSafeListener('create-new-memo');
 const focusSearchListener = createSafeListener('focus-search');
@@ -60,11 +62,44 @@ contextBridge.exposeInMainWorld('api', {
   // ===== Memo CRUD (async via IPC) =====
   getAll: () => ipcRenderer.invoke('memo-getAll'),
   get: (id) => ipcRenderer.invoke('memo-get', id),
-  create: () => ipcRenderer.invoke('memo-create'),
+  create: (templateId = null) => ipcRenderer.invoke('memo-create', templateId),  // 템플릿으로 만들면 { content, cursor }
   update: (id, content) => ipcRenderer.invoke('memo-update', id, content),
   updateUuid: (id, uuid) => ipcRenderer.invoke('memo-update-uuid', id, uuid),
-  delete: (id) => ipcRenderer.invoke('memo-delete', id),
+  delete: (id) => ipcRenderer.invoke('memo-delete', id),  // 휴지통으로 이동 (빈 메모는 바로 삭제)
   toggleMemoPin: (id) => ipcRenderer.invoke('memo-togglePin', id),
+  setMemoArchived: (id, archived) => ipcRenderer.invoke('memo-set-archived', id, archived),
+  searchMemos: (query, options) => ipcRenderer.invoke('memo-search', query, options),  // FTS5 검색 (랭킹 + 스니펫, { includeArchived })
+  getTags: () => ipcRenderer.invoke('memo-tags-list'),  // [{ tag, count }]
+
+  // ===== Folders =====
+  getFolders: () => ipcRenderer.invoke('folder-list'),  // [{ id, name, parent_id, collapsed }]
+  getMemosByFolder: (folderId, options) => ipcRenderer.invoke('memo-getByFolder', folderId, options),  // folderId null = 최상위
+  createFolder: (name, parentId = null) => ipcRenderer.invoke('folder-create', name, parentId),
+  renameFolder: (id, name) => ipcRenderer.invoke('folder-rename', id, name),
+  setFolderCollapsed: (id, collapsed) => ipcRenderer.invoke('folder-set-collapsed', id, collapsed),
+  moveFolder: (id, parentId) => ipcRenderer.invoke('folder-move', id, parentId),
+  deleteFolder: (id) => ipcRenderer.invoke('folder-delete', id),  // 안의 메모는 상위 폴더로 이동
+  moveMemoToFolder: (memoId, folderId) => ipcRenderer.invoke('memo-move-to-folder', memoId, folderId),
+
+  // ===== Templates =====
+  getTemplates: () => ipcRenderer.invoke('template-list'),  // [{ id, name, body }]
+
+  // ===== Memo Links ([[위키 링크]]) =====
+  getMemoLinkCandidates: (query, excludeId) => ipcRenderer.invoke('memo-link-candidates', query, excludeId),  // [{ uuid, title }]
+  getMemoLinkTitles: (uuids) => ipcRenderer.invoke('memo-link-titles', uuids),  // { uuid: title }
+  getBacklinks: (memoId) => ipcRenderer.invoke('memo-backlinks', memoId),        // [{ id, uuid, title }]
+
+  // ===== Trash =====
+  getTrash: () => ipcRenderer.invoke('memo-trash-list'),
+  restoreMemo: (id) => ipcRenderer.invoke('memo-restore', id),
+  deleteMemoPermanent: (id) => ipcRenderer.invoke('memo-delete-permanent', id),
+  emptyTrash: () => ipcRenderer.invoke('memo-trash-empty'),
+
+  // ===== Memo Version History =====
+  getMemoVersions: (memoId) => ipcRenderer.invoke('memo-versions-list', memoId),
+  diffMemoVersion: (versionId) => ipcRenderer.invoke('memo-version-diff', versionId),       // 버전 ↔ 현재 라인 diff
+  restoreMemoVersion: (versionId) => ipcRenderer.invoke('memo-version-restore', versionId),
+  snapshotMemoVersion: (memoId) => ipcRenderer.invoke('memo-version-snapshot', memoId),    // 창 닫을 때 스냅샷
 
   // ===== Cloud Memo Operations (Pro only) =====
   cloudGetLocalCount: () => ipcRenderer.invoke('cloud-get-local-count'),   // 로컬 메모 개수
@@ -81,13 +116,18 @@ contextBridge.exposeInMainWorld('api', {
   // ===== Video Operations =====
   saveVideo: (base64Data, mimeType) => ipcRenderer.invoke('video-save', base64Data, mimeType),
 
+  // ===== Markdown Export / Import =====
+  exportMarkdown: (files, options) => ipcRenderer.invoke('markdown-export', files, options),
+  pickMarkdownImport: (mode) => ipcRenderer.invoke('markdown-import-pick', mode),   // 'files' | 'folder'
+  importMemos: (items, parentId = null) => ipcRenderer.invoke('memo-import', items, parentId),
+
   // ===== Link Preview =====
   fetchLinkMeta: (url) => ipcRenderer.invoke('link-fetch-meta', url),
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
 
   // ===== Snippet Operations =====
   getSnippets: () => ipcRenderer.invoke('snippet-getAll'),
-  executeSnippet: (id, content, editorContent, meta) => ipcRenderer.invoke('snippet-execute', id, content, editorContent, meta),
+  executeSnippet: (id, content, editorContent, meta, memoId) => ipcRenderer.invoke('snippet-execute', id, content, editorContent, meta, memoId),
   getTriggerKey: () => ipcRenderer.invoke('get-trigger-key'),
   getExecuteKey: () => ipcRenderer.invoke('get-execute-key'),
 
@@ -100,7 +140,7 @@ contextBridge.exposeInMainWorld('api', {
   getManifestCommands: () => ipcRenderer.invoke('manifest-commands-list'),
   getManifestToolSettings: (toolId) => ipcRenderer.invoke('manifest-tool-settings-get', toolId),
   saveManifestToolSettings: (toolId, settings) => ipcRenderer.invoke('manifest-tool-settings-save', toolId, settings),
-  executeManifestTool: (toolId, shortcut, fieldValues) => ipcRenderer.invoke('manifest-tool-execute', toolId, shortcut, fieldValues),
+  executeManifestTool: (toolId, shortcut, fieldValues, memoId) => ipcRenderer.invoke('manifest-tool-execute', toolId, shortcut, fieldValues, memoId),
 
   // ===== Device API =====
   getMachineId: () => ipcRenderer.invoke('get-machine-id'),
@@ -173,12 +213,13 @@ contextBridge.exposeInMainWorld('api', {
   updateTodoRemindedAt: (id) => ipcRenderer.invoke('todo-update-reminded', id),
   syncTodoTracking: (memoId, todos) => ipcRenderer.invoke('todo-sync', memoId, todos),
   hasTodoReminders: () => ipcRenderer.invoke('todo-has-reminders'),
+  getSubtaskAutoComplete: () => ipcRenderer.invoke('get-subtask-auto-complete'),
 
   // ===== Legacy (for compatibility) =====
   getByUuid: (uuid) => ipcRenderer.invoke('memo-get-by-uuid', uuid),
 
   // ===== Window Controls =====
-  newMemo: () => ipcRenderer.send('new-memo'),
+  newMemo: (templateId = null) => ipcRenderer.send('new-memo', templateId),
   closeWindow: () => ipcRenderer.send('close-window'),
   forceClose: () => ipcRenderer.send('force-close'),
 
@@ -191,6 +232,10 @@ contextBridge.exposeInMainWorld('api', {
   offTriggerKeyChanged: () => triggerKeyChangedListener.off(),
   onExecuteKeyChanged: (callback) => executeKeyChangedListener.on(callback),
   offExecuteKeyChanged: () => executeKeyChangedListener.off(),
+  onToolsChanged: (callback) => toolsChangedListener.on(callback),
+  offToolsChanged: () => toolsChangedListener.off(),
+  onSubtaskAutoCompleteChanged: (callback) => subtaskAutoCompleteChangedListener.on(callback),
+  offSubtaskAutoCompleteChanged: () => subtaskAutoCompleteChangedListener.off(),
   onSyncServerChanged: (callback) => syncServerChangedListener.on(callback),
   offSyncServerChanged: () => syncServerChangedListener.off(),
   onCreateNewMemo: (callback) => createNewMemoListener.on(callback),
@@ -0,0 +1,196 @@
+/**
+ * codeBlock.js - 코드 블록 편집 (언어 선택, 복사, Tab 들여쓰기, 입력 중 구문 강조)
+ * 블록은 <pre><code class="language-*">라 sanitizeHtml을 그대로 통과하고,
+ * 언어 선택/복사 도구 모음은 에디터 밖에 떠 있는 요소라 메모 내용에 저장되지 않음
+ */
+
+import { elements } from './state.js';
+import { triggerSave } from './memo.js';
+import { recordEdit } from './editHistory.js';
+import { getTextSelection, setTextSelection } from './textSelection.js';
+import { createFloatingToolbar } from './floatingToolbar.js';
+import { CODE_LANGUAGES, highlightCode, getCodeLanguage, normalizeLanguage } from './highlighter.js';
+
+const { editor } = elements;
+
+const INDENT = '  ';
+const HIGHLIGHT_DELAY = 300;   // 입력이 멈춘 뒤 다시 강조
+
+let highlightTimer = null;
+let isComposing = false;
+
+// 코드를 다시 강조 (selection: 복원할 선택 영역, 생략 시 현재 선택 유지)
+function renderCode(code, text = code.textContent, selection = getTextSelection(code)) {
+  code.innerHTML = text ? highlightCode(text, getCodeLanguage(code)) : '<br>';
+  if (selection) setTextSelection(code, selection.start, selection.end);
+}
+
+function getCaretCode() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount) return null;
+  const node = sel.getRangeAt(0).startContainer;
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const code = el?.closest('pre code') || el?.closest('pre')?.querySelector('code');
+  return code && editor.contains(code) ? code : null;
+}
+
+function scheduleHighlight(code) {
+  clearTimeout(highlightTimer);
+  highlightTimer = setTimeout(() => {
+    if (isComposing || !code.isConnected) return;
+    renderCode(code);
+  }, HIGHLIGHT_DELAY);
+}
+
+// ===== Tab 들여쓰기 =====
+
+// 선택 없이 Tab: 커서 위치에 삽입 / 여러 줄 선택 또는 Shift+Tab: 줄 단위로 들여쓰기·내어쓰기
+function indentCode(code, outdent) {
+  const selection = getTextSelection(code);
+  if (!selection) return;
+  const text = code.textContent;
+  const { start, end } = selection;
+
+  if (!outdent && start === end) {
+    renderCode(code, text.slice(0, start) + INDENT + text.slice(end), { start: start + INDENT.length, end: start + INDENT.length });
+    return;
+  }
+
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  // 선택 끝이 다음 줄 맨 앞이면 그 줄은 제외
+  const lastLineEnd = end > start && text[end - 1] === '\n' ? end - 1 : end;
+  const lineEndIndex = text.indexOf('\n', lastLineEnd);
+  const lineEnd = lineEndIndex === -1 ? text.length : lineEndIndex;
+
+  let newStart = start;
+  let newEnd = end;
+  let offset = lineStart;
+  const lines = text.slice(lineStart, lineEnd).split('\n').map((line, i) => {
+    const lineOffset = offset;
+    offset += line.length + 1;
+
+    if (!outdent) {
+      if (i === 0) newStart += INDENT.length;
+      newEnd += INDENT.length;
+      return INDENT + line;
+    }
+
+    const removed = (line.match(/^(\t| {1,2})/) || [''])[0].length;
+    if (i === 0) newStart -= Math.min(removed, start - lineOffset);
+    newEnd -= Math.min(removed, Math.max(0, end - lineOffset));
+    return line.slice(removed);
+  });
+
+  renderCode(code, text.slice(0, lineStart) + lines.join('\n') + text.slice(lineEnd), {
+    start: Math.max(lineStart, newStart),
+    end: Math.max(lineStart, newEnd)
+  });
+}
+
+// ===== 도구 모음 (언어 선택 / 복사) =====
+
+function buildToolbar(toolbar) {
+  const select = document.createElement('select');
+  select.className = 'code-language-select';
+  select.title = '언어';
+  CODE_LANGUAGES.forEach(({ value, label }) => select.add(new Option(label, value)));
+  select.addEventListener('change', () => {
+    if (codeToolbar.target) setLanguage(codeToolbar.target, select.value);
+  });
+  select.addEventListener('blur', () => codeToolbar.update());
+
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'code-copy-btn';
+  copyBtn.textContent = '복사';
+  // 에디터 커서 유지
+  copyBtn.addEventListener('mousedown', (e) => e.preventDefault());
+  copyBtn.addEventListener('click', async () => {
+    const code = codeToolbar.target?.querySelector('code');
+    if (!code) return;
+    // 끝의 줄바꿈 자리 표시는 복사하지 않음
+    await window.api.copyToClipboard(code.textContent.replace(/\n+$/, ''));
+    copyBtn.textContent = '복사됨';
+    setTimeout(() => { copyBtn.textContent = '복사'; }, 1200);
+  });
+
+  toolbar.append(select, copyBtn);
+}
+
+// 언어 목록을 새 블록의 언어로 (목록에 없는 언어(```rust 등)도 그대로 표시)
+function showLanguage(pre, toolbar) {
+  const select = toolbar.querySelector('select');
+  const language = normalizeLanguage(getCodeLanguage(pre.querySelector('code') || pre));
+  select.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+  if (![...select.options].some(option => option.value === language)) {
+    const option = new Option(language, language);
+    option.dataset.custom = 'true';
+    select.add(option);
+  }
+  select.value = language;
+}
+
+function setLanguage(pre, language) {
+  const code = pre.querySelector('code');
+  if (!code) return;
+  // 실행 취소로 언어 변경만 따로 되돌릴 수 있도록 한 단계로 기록
+  recordEdit(() => {
+    if (language) {
+      code.className = `language-${language}`;
+    } else {
+      code.removeAttribute('class');
+    }
+    renderCode(code);
+  });
+  triggerSave();
+}
+
+// 코드 블록 오른쪽 위 (블록이 에디터 위로 스크롤되면 에디터 위쪽에 고정)
+const codeToolbar = createFloatingToolbar({
+  className: 'code-block-toolbar',
+  selector: 'pre',
+  getCaretTarget: () => getCaretCode()?.closest('pre') || null,
+  build: buildToolbar,
+  position: (rect, editorRect, toolbar) => ({
+    top: Math.max(rect.top, editorRect.top) + 4,
+    left: Math.min(rect.right, editorRect.right) - toolbar.offsetWidth - 4
+  }),
+  onTargetChange: showLanguage,
+  // 언어 목록이 열려 있는 동안은 유지
+  isPinned: (toolbar) => toolbar.contains(document.activeElement)
+});
+
+// ===== 이벤트 초기화 =====
+
+export function initCodeBlockEvents() {
+  editor.addEventListener('keydown', (e) => {
+    if (e.key !== 'Tab' || e.isComposing || e.metaKey || e.ctrlKey || e.altKey) return;
+    const code = getCaretCode();
+    if (!code) return;
+    e.preventDefault();
+    recordEdit(() => indentCode(code, e.shiftKey));
+    triggerSave();
+  });
+
+  editor.addEventListener('compositionstart', () => {
+    isComposing = true;
+  });
+  editor.addEventListener('compositionend', () => {
+    isComposing = false;
+  });
+
+  editor.addEventListener('input', (e) => {
+    if (e.isComposing) return;
+    const code = getCaretCode();
+    if (code) scheduleHighlight(code);
+  });
+
+  // 붙여넣기는 input 이벤트 없이 텍스트 노드로 들어옴
+  editor.addEventListener('paste', () => {
+    setTimeout(() => {
+      const code = getCaretCode();
+      if (code) renderCode(code);
+    }, 0);
+  });
+
+  codeToolbar.init();
+}
@@ -14,6 +14,7 @@
  */
 
 import { elements, memoState } from './state.js';
+import { applyRemoteChange } from './editHistory.js';
 
 // ===== 협업 상태 =====
 export const collabState = {
@@ -96,7 +97,10 @@ function applyLinesToEditor(lines) {
     // 커서 위치 저장
     const cursorInfo = saveCursorPosition();
 
-    editor.innerText = newContent;
+    // 원격 변경은 내 실행 취소 기록에 남기지 않음
+    applyRemoteChange(() => {
+      editor.innerText = newContent;
+    });
 
     // 커서 복원
     if (cursorInfo) {
@@ -1115,12 +1119,18 @@ async function renderNotificationDropdown() {
 
     const timeAgo = formatTimeAgo(todo.created_at);
     const truncatedText = todo.text.length > 30 ? todo.text.substring(0, 30) + '...' : todo.text;
+    // 상위 할일: 남은 하위 항목
+    const childrenHtml = (todo.open_children || []).map(text => {
+      const truncated = text.length > 28 ? text.substring(0, 28) + '...' : text;
+      return `<div class="todo-subtask">☐ ${escapeHtml(truncated)}</div>`;
+    }).join('');
 
     item.innerHTML = `
       <div style="display: flex; gap: 10px; align-items: flex-start; width: 100%;">
         <span class="todo-dot"></span>
         <div class="notification-content" style="flex: 1; cursor: pointer;">
           <div class="notification-text">${escapeHtml(truncatedText)}</div>
+          ${childrenHtml}
           <div class="notification-meta">${timeAgo}에 작성</div>
         </div>
         <button class="todo-dismiss" data-id="${todo.id}" title="무시">✕</button>
@@ -1366,7 +1376,9 @@ async function fetchAndApplyServerContent(sessionId) {
     if (result.content !== undefined) {
       const editor = elements.editor;
       if (editor) {
-        editor.innerText = result.content;
+        applyRemoteChange(() => {
+          editor.innerText = result.content;
+        });
 
         // 상태 업데이트
         collabState.localVersion = result.version || 1;
@@ -1613,8 +1625,10 @@ async function applyPendingUpdate() {
       // 커서 위치 저장
       const cursorInfo = saveCursorPosition();
 
-      // 내용 적용
-      editor.innerText = result.content;
+      // 내용 적용 (내 실행 취소 기록에 남기지 않음)
+      applyRemoteChange(() => {
+        editor.innerText = result.content;
+      });
 
       // 커서 복원
       if (cursorInfo) {
@@ -0,0 +1,254 @@
+/**
+ * editHistory.js - 에디터 실행 취소 / 다시 실행
+ * 목록 자동 완성, 체크박스 토글, 스니펫 삽입처럼 DOM을 직접 고치면 브라우저 기본 실행 취소 기록이 사라지므로
+ * 입력과 코드로 바꾼 내용을 모두 여기서 HTML 스냅샷 단위로 기록함
+ * 협업 상대의 변경은 기록하지 않고, 쌓여 있는 스냅샷에 같은 변경을 반영해 되돌려도 사라지지 않게 함
+ */
+
+import { elements, snippetState } from './state.js';
+import { getTextSelection, setTextSelection } from './textSelection.js';
+
+const { editor } = elements;
+
+const MAX_HISTORY = 200;
+const TYPING_MERGE_DELAY = 1000;   // 이 시간 안에 이어서 입력하면 한 단계로
+const REBASE_CONTEXT = 32;         // 원격 변경 위치를 스냅샷에서 찾을 때 앞뒤로 맞춰 볼 길이
+
+const undoStack = [];    // [{ before, after, beforeCaret, afterCaret }]
+const redoStack = [];
+
+let baseline = '';       // 마지막으로 기록한 에디터 HTML
+let pendingCaret = null; // 입력 직전 커서
+let typing = null;       // 이어 붙일 수 있는 입력 단계 { entry, kind, time }
+let suspended = 0;       // 기록/복원 중에는 input 이벤트를 기록하지 않음
+
+// ===== 커서 (텍스트 오프셋 기준) =====
+
+function getCaret() {
+  return getTextSelection(editor);
+}
+
+function setCaret(caret) {
+  if (caret) setTextSelection(editor, caret.start, caret.end);
+}
+
+// ===== 기록 =====
+
+function pushEntry(entry) {
+  undoStack.push(entry);
+  if (undoStack.length > MAX_HISTORY) undoStack.shift();
+  redoStack.length = 0;
+}
+
+// 기록하지 않은 변경(링크·태그 꾸밈, 입력 규칙 변환 등)은 직전 단계에 포함
+function sync() {
+  const html = editor.innerHTML;
+  if (html === baseline) return;
+  const top = undoStack[undoStack.length - 1];
+  if (top && top.after === baseline) top.after = html;
+  baseline = html;
+}
+
+function handleBeforeInput(e) {
+  if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+    // 메뉴의 실행 취소도 이 기록으로
+    e.preventDefault();
+    if (e.inputType === 'historyUndo') undo();
+    else redo();
+    return;
+  }
+  if (suspended) return;
+  sync();
+  pendingCaret = getCaret();
+}
+
+function handleInput(e) {
+  if (suspended) return;
+  const html = editor.innerHTML;
+  if (html === baseline) return;
+
+  const now = Date.now();
+  const kind = e.inputType?.startsWith('delete') ? 'delete' : 'insert';
+  const top = undoStack[undoStack.length - 1];
+  // 한글 조합 중이거나 같은 종류의 입력이 이어지면 한 단계로 합침
+  const canMerge = typing && typing.entry === top && (
+    e.isComposing ||
+    (typing.kind === kind && now - typing.time < TYPING_MERGE_DELAY &&
+      e.inputType !== 'insertParagraph' && !e.inputType?.startsWith('insertFrom'))
+  );
+
+  if (canMerge) {
+    top.after = html;
+    top.afterCaret = getCaret();
+  } else {
+    const entry = { before: baseline, after: html, beforeCaret: pendingCaret, afterCaret: getCaret() };
+    pushEntry(entry);
+    typing = { entry, kind };
+  }
+  typing.time = now;
+  baseline = html;
+}
+
+/**
+ * 코드로 에디터를 고치는 작업을 한 단계로 기록
+ * fn 안에서 일어난 input 이벤트는 따로 기록하지 않음
+ * @param {Function} fn - DOM을 바꾸는 동기 함수
+ * @returns {*} fn의 반환값
+ */
+export function recordEdit(fn) {
+  sync();
+  const before = baseline;
+  const beforeCaret = getCaret();
+
+  suspended++;
+  let result;
+  try {
+    result = fn();
+  } finally {
+    suspended--;
+  }
+
+  const after = editor.innerHTML;
+  if (after !== before) {
+    pushEntry({ before, after, beforeCaret, afterCaret: getCaret() });
+    baseline = after;
+  }
+  typing = null;
+  return result;
+}
+
+// ===== 원격 변경 =====
+
+function diffHtml(before, after) {
+  let start = 0;
+  const maxStart = Math.min(before.length, after.length);
+  while (start < maxStart && before[start] === after[start]) start++;
+
+  let end = 0;
+  const maxEnd = maxStart - start;
+  while (end < maxEnd && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+  return {
+    prefix: before.slice(Math.max(0, start - REBASE_CONTEXT), start),
+    removed: before.slice(start, before.length - end),
+    inserted: after.slice(start, after.length - end),
+    suffix: before.slice(before.length - end, before.length - end + REBASE_CONTEXT)
+  };
+}
+
+// 스냅샷에서 같은 자리를 찾아 원격 변경을 반영 (못 찾거나 여러 곳이면 null)
+function rebaseHtml(html, diff) {
+  const needle = diff.prefix + diff.removed + diff.suffix;
+  const index = html.indexOf(needle);
+  if (index === -1 || html.indexOf(needle, index + 1) !== -1) return null;
+  const start = index + diff.prefix.length;
+  return html.slice(0, start) + diff.inserted + html.slice(start + diff.removed.length);
+}
+
+function rebaseEntry(entry, diff) {
+  const before = rebaseHtml(entry.before, diff);
+  const after = rebaseHtml(entry.after, diff);
+  if (before === null || after === null) return false;
+  entry.before = before;
+  entry.after = after;
+  return true;
+}
+
+/**
+ * 협업 상대의 변경 적용 - 실행 취소 단계로 남기지 않음
+ * 반영할 수 없는 (원격 변경과 겹치는) 단계부터 그 이전 기록은 버림
+ * @param {Function} fn - 에디터 내용을 바꾸는 동기 함수
+ */
+export function applyRemoteChange(fn) {
+  sync();
+  const before = editor.innerHTML;
+
+  suspended++;
+  try {
+    fn();
+  } finally {
+    suspended--;
+  }
+
+  const after = editor.innerHTML;
+  if (after === before) return;
+
+  const diff = diffHtml(before, after);
+  for (let i = undoStack.length - 1; i >= 0; i--) {
+    if (!rebaseEntry(undoStack[i], diff)) {
+      undoStack.splice(0, i + 1);
+      break;
+    }
+  }
+  if (!redoStack.every(entry => rebaseEntry(entry, diff))) redoStack.length = 0;
+
+  baseline = after;
+  typing = null;
+}
+
+// ===== 실행 취소 / 다시 실행 =====
+
+function restore(html, caret, inputType) {
+  suspended++;
+  try {
+    editor.innerHTML = html;
+    // 스니펫 매치/힌트는 입력 중에만 의미가 있음
+    editor.querySelectorAll('.snippet-hint').forEach(el => el.remove());
+    editor.querySelectorAll('span.snippet-match').forEach(el => el.replaceWith(el.textContent));
+    setCaret(caret);
+    // 저장 / 협업 동기화 (입력 규칙은 history* 입력에 반응하지 않음)
+    editor.dispatchEvent(new InputEvent('input', { bubbles: true, inputType }));
+  } finally {
+    suspended--;
+  }
+  baseline = editor.innerHTML;
+  typing = null;
+}
+
+export function undo() {
+  if (snippetState.snippetFormMode) return false;
+  sync();
+  const entry = undoStack.pop();
+  if (!entry) return false;
+  redoStack.push(entry);
+  restore(entry.before, entry.beforeCaret, 'historyUndo');
+  return true;
+}
+
+export function redo() {
+  if (snippetState.snippetFormMode) return false;
+  sync();
+  const entry = redoStack.pop();
+  if (!entry) return false;
+  undoStack.push(entry);
+  restore(entry.after, entry.afterCaret, 'historyRedo');
+  return true;
+}
+
+// 메모를 불러오면 기록을 새로 시작
+export function resetEditHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  baseline = editor.innerHTML;
+  pendingCaret = null;
+  typing = null;
+}
+
+// ===== 이벤트 초기화 =====
+
+export function initEditHistoryEvents() {
+  editor.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.altKey || e.isComposing) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  editor.addEventListener('beforeinput', handleBeforeInput);
+  editor.addEventListener('input', handleInput);
+}
@@ -6,25 +6,34 @@
 import { elements } from './state.js';
 import { processLinksInEditor } from './linkPreview.js';
 import { parseTime, getTimeRemaining } from './timeParser.js';
+import { highlightCodeBlocks } from './highlighter.js';
+import { resetEditHistory } from './editHistory.js';
 
 const { editor } = elements;
 
 // ===== HTML 정리 (보안) =====
 
+// 여는 태그 (따옴표 안의 >까지 포함, 본문 텍스트의 <는 &lt;로 저장되므로 걸리지 않음)
+const OPEN_TAG_PATTERN = /<[a-z][^>"']*(?:(?:"[^"]*"|'[^']*')[^>"']*)*>/gi;
+
 // 인라인 이벤트 핸들러 제거 (CSP 에러 방지)
 export function stripInlineHandlers(html) {
   if (!html) return '';
-  // onerror="...", onerror='...', onerror=value 형태 제거
-  html = html.replace(/\s+on\w+\s*=\s*["'][^"']*["']/gi, '');
-  html = html.replace(/\s+on\w+\s*=\s*[^\s>"']+/gi, '');
-  // HTML 엔티티 인코딩된 형태도 제거
-  html = html.replace(/\s+on&#?[a-z0-9]+;\w*\s*=/gi, ' data-removed=');
+  // 태그 안의 속성만 대상 (코드 블록 속 onclick="..." 같은 텍스트는 유지)
+  html = html.replace(OPEN_TAG_PATTERN, tag => tag
+    // onerror="...", onerror='...', onerror=value 형태 제거
+    .replace(/\s+on\w+\s*=\s*["'][^"']*["']/gi, '')
+    .replace(/\s+on\w+\s*=\s*[^\s>"']+/gi, '')
+    // HTML 엔티티 인코딩된 형태도 제거
+    .replace(/\s+on&#?[a-z0-9]+;\w*\s*=/gi, ' data-removed='));
   // 이전에 저장된 link-preview, memo-link, link-preview-wrapper 요소들도 제거
   html = html.replace(/<a[^>]*class="[^"]*link-preview[^"]*"[^>]*>[\s\S]*?<\/a>/gi, '');
   html = html.replace(/<a[^>]*class="[^"]*memo-link[^"]*"[^>]*>[\s\S]*?<\/a>/gi, '');
   html = html.replace(/<div[^>]*class="[^"]*link-preview-wrapper[^"]*"[^>]*>[\s\S]*?<\/div>/gi, '');
   // 스니펫 힌트 요소 제거 (외부 공유 시 노출 방지)
   html = html.replace(/<span[^>]*class="[^"]*snippet-hint[^"]*"[^>]*>[\s\S]*?<\/span>/gi, '');
+  // 하위 할일 진행률 배지 제거 (표시용 - 불러올 때마다 다시 계산)
+  html = html.replace(/<span[^>]*class="[^"]*todo-progress[^"]*"[^>]*>[\s\S]*?<\/span>/gi, '');
   return html;
 }
 
@@ -74,7 +83,7 @@ export function sanitizeHtml(html) {
 
       // javascript:, data:, vbscript: URL 제거
       const dangerousProtocols = ['javascript:', 'data:', 'vbscript:'];
-      if (['href', 'src', 'action', 'formaction', 'xlink:href', 'poster'].includes(name)) {
+      if (['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background'].includes(name)) {
         if (dangerousProtocols.some(proto => value.startsWith(proto))) {
           el.removeAttribute(attr.name);
         }
@@ -87,13 +96,16 @@ export function sanitizeHtml(html) {
 
 // ===== 에디터 콘텐츠 관리 =====
 
+// 입력 규칙의 커서 자리 문자(zero-width space)는 저장하지 않음
 export function getEditorContent() {
-  return stripInlineHandlers(editor.innerHTML);
+  return stripInlineHandlers(editor.innerHTML).replace(/\u200B/g, '');
 }
 
 export function setEditorContent(html) {
   editor.innerHTML = sanitizeHtml(html);
+  highlightCodeBlocks(editor);
   processLinksInEditor();
+  resetEditHistory();
 }
 
 export function getPlainText() {
@@ -105,18 +117,21 @@ export function getPlainText() {
     hint.style.display = 'none';
     const text = editor.innerText || editor.textContent || '';
     hint.style.display = originalDisplay;
-    return text;
+    return text.replace(/\u200B/g, '');
   }
-  return editor.innerText || editor.textContent || '';
+  return (editor.innerText || editor.textContent || '').replace(/\u200B/g, '');
 }
 
 // HTML에서 텍스트만 추출
 export function getPlainTextFromHtml(html) {
   if (!html) return '';
   let text = html
+    // 표: 빈 셀의 자리 표시 <br>은 줄바꿈이 아님, 같은 행의 셀은 탭으로 구분
+    .replace(/<br\s*\/?>(?=\s*<\/t[dh]>)/gi, '')
+    .replace(/<\/t[dh]>(?=\s*<t[dh][\s>])/gi, '\t')
     .replace(/<br\s*\/?>/gi, '\n')
-    .replace(/<\/div>/gi, '\n')
-    .replace(/<\/p>/gi, '\n');
+    .replace(/<hr\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|h[1-6]|blockquote|pre|tr)>/gi, '\n');
   const tempDiv = document.createElement('div');
   tempDiv.innerHTML = text;
   return tempDiv.textContent || tempDiv.innerText || '';
@@ -141,6 +156,29 @@ export function insertTextAtCursor(text) {
   selection.addRange(range);
 }
 
+// 텍스트 위치로 커서 이동 (offset 생략 시 맨 끝)
+export function setCursorOffset(offset = Infinity) {
+  const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+  const range = document.createRange();
+  range.selectNodeContents(editor);
+  range.collapse(false);
+
+  let remaining = offset;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (remaining <= node.length) {
+      range.setStart(node, remaining);
+      range.collapse(true);
+      break;
+    }
+    remaining -= node.length;
+  }
+
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
 // ===== 체크박스 & 리스트 자동 변환 =====
 
 export function processCheckboxes() {
@@ -150,6 +188,8 @@ export function processCheckboxes() {
   const range = sel.getRangeAt(0);
   const node = range.startContainer;
   if (node.nodeType !== Node.TEXT_NODE) return;
+  // 코드 안에서는 변환하지 않음
+  if (node.parentElement.closest('pre, code')) return;
 
   const text = node.textContent;
   const offset = range.startOffset;
@@ -281,8 +321,8 @@ export function highlightTodoTimes() {
     const sel = window.getSelection();
     const savedRange = sel.rangeCount > 0 ? sel.getRangeAt(0).cloneRange() : null;
 
-    // 기존 시간 하이라이트 제거
-    editor.querySelectorAll('.todo-time').forEach(span => {
+    // 기존 시간 하이라이트 제거 (태그 칩도 풀어서 줄 텍스트를 하나로 - highlightTags가 다시 적용)
+    editor.querySelectorAll('.todo-time, .memo-tag').forEach(span => {
       const text = document.createTextNode(span.textContent);
       span.parentNode.replaceChild(text, span);
     });
@@ -385,3 +425,77 @@ export function highlightTodoTimes() {
     }
   });
 }
+
+// ===== 태그 칩 (#tag) =====
+
+// main.js TAG_PATTERN과 동일 (단어 중간 #, 숫자만인 태그 제외)
+const TAG_PATTERN = /(?<![\p{L}\p{N}_&/#])#([\p{L}\p{N}_][\p{L}\p{N}_\-/]*)/gu;
+
+export function highlightTags() {
+  requestAnimationFrame(() => {
+    const sel = window.getSelection();
+    const savedRange = sel.rangeCount > 0 ? sel.getRangeAt(0).cloneRange() : null;
+
+    // 기존 태그 칩 제거
+    editor.querySelectorAll('.memo-tag').forEach(span => {
+      const text = document.createTextNode(span.textContent);
+      span.parentNode.replaceChild(text, span);
+    });
+
+    // 텍스트 노드 정규화
+    editor.normalize();
+
+    // 링크/메모 링크/시간 하이라이트/코드 안쪽은 건너뛰기
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => node.parentElement.closest('a, .wiki-link, .todo-time, .snippet-hint, pre, code')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    const nodesToProcess = [];
+
+    while (walker.nextNode()) {
+      if (walker.currentNode.textContent.includes('#')) {
+        nodesToProcess.push(walker.currentNode);
+      }
+    }
+
+    nodesToProcess.forEach(node => {
+      const text = node.textContent;
+      const matches = [...text.matchAll(TAG_PATTERN)].filter(m => !/^\d+$/.test(m[1]));
+      if (matches.length === 0) return;
+
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+
+      matches.forEach(match => {
+        if (match.index > lastIndex) {
+          fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+
+        const chip = document.createElement('span');
+        chip.className = 'memo-tag';
+        chip.dataset.tag = match[1].replace(/[-/]+$/, '').toLowerCase();
+        chip.textContent = match[0];
+        fragment.appendChild(chip);
+
+        lastIndex = match.index + match[0].length;
+      });
+
+      if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      }
+
+      node.parentNode.replaceChild(fragment, node);
+    });
+
+    // 커서 위치 복원
+    if (savedRange) {
+      try {
+        sel.removeAllRanges();
+        sel.addRange(savedRange);
+      } catch (e) {
+        // 커서 복원 실패 시 무시
+      }
+    }
+  });
+}
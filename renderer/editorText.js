@@ -0,0 +1,67 @@
+/**
+ * editorText.js - 에디터 텍스트 ↔ 노드 위치 변환 (찾기/바꾸기, 하위 할일 배지에서 공용)
+ * 텍스트 노드를 이어 붙이고 블록 사이와 <br>은 줄바꿈으로 취급해 메모 텍스트와 같은 줄 구성을 만듦
+ */
+
+import { elements } from './state.js';
+
+const { editor } = elements;
+
+// 텍스트 흐름이 끊기는 블록 (사이에 가상의 줄바꿈)
+export const BLOCK_SELECTOR = 'div, p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th';
+// 메모 내용이 아닌 표시용 요소 (스니펫 힌트, 하위 할일 진행률 배지)
+const SKIP_SELECTOR = '.snippet-hint, .todo-progress';
+
+/**
+ * 에디터 텍스트 노드를 이어 붙인 문자열과 각 노드의 시작 위치
+ * @returns {{ text: string, segments: Array<{ node: Text, start: number, end: number }> }}
+ */
+export function collectText() {
+  const segments = [];
+  let text = '';
+  let lastBlock = null;
+
+  const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT, {
+    acceptNode: (node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.matches(SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT;
+        return node.nodeName === 'BR' ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeName === 'BR') {
+      text += '\n';
+      continue;
+    }
+
+    const block = node.parentElement.closest(BLOCK_SELECTOR);
+    if (lastBlock && block !== lastBlock && text && !text.endsWith('\n')) text += '\n';
+    lastBlock = block;
+
+    segments.push({ node, start: text.length, end: text.length + node.data.length });
+    text += node.data;
+  }
+
+  return { text, segments };
+}
+
+/**
+ * 문자열 위치 → { node, offset } (끝 위치는 앞 노드의 끝을 우선)
+ * @param {Array<{ node: Text, start: number, end: number }>} segments - collectText() 결과
+ * @param {number} position
+ * @param {boolean} isEnd - 범위의 끝 위치인지
+ * @returns {{ node: Text, offset: number }|null} 텍스트가 없으면 null
+ */
+export function locate(segments, position, isEnd) {
+  for (const segment of segments) {
+    if (isEnd ? position <= segment.end : position < segment.end) {
+      return { node: segment.node, offset: Math.max(0, position - segment.start) };
+    }
+  }
+  const last = segments[segments.length - 1];
+  return last ? { node: last.node, offset: last.node.data.length } : null;
+}
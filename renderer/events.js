@@ -3,12 +3,16 @@
  */
 
 import { elements, memoState, timers, snippetState } from './state.js';
-import { getPlainText, insertTextAtCursor, processCheckboxes, setEditorContent, applyStrikethrough, highlightTodoTimes } from './editor.js';
+import { getPlainText, getEditorContent, insertTextAtCursor, processCheckboxes, setEditorContent, setCursorOffset, applyStrikethrough, highlightTodoTimes, highlightTags } from './editor.js';
 import { processLinksInEditor, clearLinkPreviews } from './linkPreview.js';
 import { loadMemo, saveCurrentContent, cleanupOnClose, triggerSave, updateStatusbar } from './memo.js';
-import { toggleSidebar, renderMemoList, setLoadMemoFn, updateEditorPosition } from './sidebar.js';
+import { toggleSidebar, renderMemoList, refreshSearchResults, refreshTrash, refreshTags, setTagFilter, setLoadMemoFn, updateEditorPosition, closeAllMenus } from './sidebar.js';
 import { handleImagePaste, handleVideoPaste, initMediaEvents } from './media.js';
 import { handleEnterKey, handleEscKey, checkSnippetTrigger } from './snippet.js';
+import { renderBacklinks } from './wikiLink.js';
+import { processInputRules } from './inputRules.js';
+import { recordEdit } from './editHistory.js';
+import { rollUpSubtasks, updateSubtaskProgress } from './subtasks.js';
 
 const { editor, newBtn, closeBtn, listBtn, sidebar, searchInput, memoList } = elements;
 
@@ -37,16 +41,36 @@ function scrollToCursor() {
 // ===== 에디터 입력 이벤트 =====
 
 export function initEditorInputEvents() {
-  editor.addEventListener('input', () => {
+  editor.addEventListener('input', (e) => {
     triggerSave();
     processLinksInEditor();
+    // 실행 취소로 되돌린 "- ", "[ ]" 등을 다시 변환하지 않음
+    if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') return;
     processCheckboxes();
+    processInputRules(e);
     // 시간 하이라이트는 blur 시에만 적용 (커서 방해 방지)
   });
 
-  // 에디터 포커스 아웃 시 시간 하이라이트 적용
-  editor.addEventListener('blur', () => {
+  // 에디터 포커스 아웃 시 시간 하이라이트 + 태그 칩 적용
+  editor.addEventListener('blur', async () => {
     highlightTodoTimes();
+    highlightTags();
+    updateSubtaskProgress();
+
+    // 바뀐 내용이 있으면 바로 저장 후 새로 입력한 태그를 필터 바에 반영
+    // (포커스 이동만으로 저장하면 수정 시간이 바뀌고 동기화가 쌓임)
+    clearTimeout(timers.saveTimeout);
+    if (getEditorContent() !== memoState.lastSavedContent) {
+      await saveCurrentContent();
+    }
+    refreshTags();
+  });
+
+  // 태그 칩 클릭 → 사이드바 태그 필터
+  editor.addEventListener('click', (e) => {
+    const chip = e.target.closest('.memo-tag');
+    if (!chip || !window.getSelection().isCollapsed) return;
+    setTagFilter(chip.dataset.tag);
   });
 
   // 붙여넣기 즉시 저장
@@ -102,14 +126,16 @@ export function initCheckboxToggle() {
 
     const charOffset = text[offset] === '☐' || text[offset] === '☑' ? offset : offset - 1;
 
-    if (text[charOffset] === '☐') {
-      node.textContent = text.slice(0, charOffset) + '☑' + text.slice(charOffset + 1);
-      triggerSave();
-      applyStrikethrough();
-    } else if (text[charOffset] === '☑') {
-      node.textContent = text.slice(0, charOffset) + '☐' + text.slice(charOffset + 1);
+    const toggled = { '☐': '☑', '☑': '☐' }[text[charOffset]];
+    if (toggled) {
+      recordEdit(() => {
+        node.textContent = text.slice(0, charOffset) + toggled + text.slice(charOffset + 1);
+        // 하위 항목을 모두 끝냈으면 상위 항목도 (설정이 켜져 있을 때)
+        rollUpSubtasks(node, charOffset);
+      });
       triggerSave();
       applyStrikethrough();
+      updateSubtaskProgress();
     }
   });
 }
@@ -128,6 +154,8 @@ export function initListAutoComplete() {
     const range = sel.getRangeAt(0);
     const node = range.startContainer;
     if (node.nodeType !== Node.TEXT_NODE) return;
+    // 코드 블록의 "- ", "1. " 등은 목록이 아님
+    if (node.parentElement.closest('pre, code')) return;
 
     const text = node.textContent;
     const offset = range.startOffset;
@@ -148,13 +176,14 @@ export function initListAutoComplete() {
     if (bulletMatch) {
       if (currentLine.trim() === '•' && restOfLine.trim() === '') {
         e.preventDefault();
-        const newText = text.slice(0, lineStart) + text.slice(offset);
-        node.textContent = newText;
-        const newPos = Math.max(0, lineStart);
-        range.setStart(node, newPos);
-        range.setEnd(node, newPos);
-        sel.removeAllRanges();
-        sel.addRange(range);
+        recordEdit(() => {
+          node.textContent = text.slice(0, lineStart) + text.slice(offset);
+          const newPos = Math.max(0, lineStart);
+          range.setStart(node, newPos);
+          range.setEnd(node, newPos);
+          sel.removeAllRanges();
+          sel.addRange(range);
+        });
         triggerSave();
         scrollToCursor();
         return;
@@ -163,13 +192,14 @@ export function initListAutoComplete() {
     } else if (numberMatch) {
       if (currentLine.trim() === numberMatch[2] + '.' && restOfLine.trim() === '') {
         e.preventDefault();
-        const newText = text.slice(0, lineStart) + text.slice(offset);
-        node.textContent = newText;
-        const newPos = Math.max(0, lineStart);
-        range.setStart(node, newPos);
-        range.setEnd(node, newPos);
-        sel.removeAllRanges();
-        sel.addRange(range);
+        recordEdit(() => {
+          node.textContent = text.slice(0, lineStart) + text.slice(offset);
+          const newPos = Math.max(0, lineStart);
+          range.setStart(node, newPos);
+          range.setEnd(node, newPos);
+          sel.removeAllRanges();
+          sel.addRange(range);
+        });
         triggerSave();
         scrollToCursor();
         return;
@@ -179,13 +209,14 @@ export function initListAutoComplete() {
     } else if (checkboxMatch) {
       if ((currentLine.trim() === '☐' || currentLine.trim() === '☑') && restOfLine.trim() === '') {
         e.preventDefault();
-        const newText = text.slice(0, lineStart) + text.slice(offset);
-        node.textContent = newText;
-        const newPos = Math.max(0, lineStart);
-        range.setStart(node, newPos);
-        range.setEnd(node, newPos);
-        sel.removeAllRanges();
-        sel.addRange(range);
+        recordEdit(() => {
+          node.textContent = text.slice(0, lineStart) + text.slice(offset);
+          const newPos = Math.max(0, lineStart);
+          range.setStart(node, newPos);
+          range.setEnd(node, newPos);
+          sel.removeAllRanges();
+          sel.addRange(range);
+        });
         triggerSave();
         scrollToCursor();
         return;
@@ -195,20 +226,298 @@ export function initListAutoComplete() {
 
     if (prefix) {
       e.preventDefault();
-      const newText = beforeCursor + '\n' + prefix + afterCursor;
-      node.textContent = newText;
-
-      const newOffset = offset + 1 + prefix.length;
-      range.setStart(node, newOffset);
-      range.setEnd(node, newOffset);
-      sel.removeAllRanges();
-      sel.addRange(range);
+      recordEdit(() => {
+        node.textContent = beforeCursor + '\n' + prefix + afterCursor;
+        const newOffset = offset + 1 + prefix.length;
+        range.setStart(node, newOffset);
+        range.setEnd(node, newOffset);
+        sel.removeAllRanges();
+        sel.addRange(range);
+      });
       triggerSave();
       scrollToCursor();
     }
   });
 }
 
+// ===== 목록 들여쓰기 / 줄 이동 (Tab, Shift+Tab, Alt+↑/↓) =====
+
+const LIST_INDENT = '  ';
+const LIST_ITEM_PATTERN = /^\s*(?:[•☐☑]|\d+\.)(?:\s|$)/;
+const NUMBERED_PATTERN = /^(\s*)(\d+)\./;
+const LINE_BLOCK_SELECTOR = 'div, p, li, blockquote, td, th, h1, h2, h3, h4, h5, h6';
+const BLOCK_TAGS = new Set(['DIV', 'P', 'LI', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'TABLE', 'HR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+// 줄바꿈 문자를 따로 떼어 줄 경계를 노드 단위로 만듦 (커서 Range는 splitText에 맞춰 따라감)
+function splitLineBreaks(container) {
+  [...container.childNodes].forEach(node => {
+    if (node.nodeType !== Node.TEXT_NODE) return;
+    let current = node;
+    let index;
+    while ((index = current.data.indexOf('\n')) !== -1 && current.data !== '\n') {
+      current = index === 0 ? current.splitText(1) : current.splitText(index);
+    }
+  });
+}
+
+function isLineBreak(node) {
+  return node.nodeName === 'BR' || (node.nodeType === Node.TEXT_NODE && node.data === '\n');
+}
+
+/**
+ * container의 줄 목록
+ * 글자 줄: { nodes, sep } (sep: 뒤의 줄바꿈 노드), <div> 같은 블록 줄: { nodes: [블록], block: true }
+ */
+function getLineUnits(container) {
+  splitLineBreaks(container);
+  const units = [];
+  let current = { nodes: [], sep: null, block: false };
+
+  for (const node of container.childNodes) {
+    if (isLineBreak(node)) {
+      current.sep = node;
+      units.push(current);
+      current = { nodes: [], sep: null, block: false };
+    } else if (BLOCK_TAGS.has(node.nodeName)) {
+      if (current.nodes.length) units.push(current);
+      units.push({ nodes: [node], sep: null, block: true });
+      current = { nodes: [], sep: null, block: false };
+    } else {
+      current.nodes.push(node);
+    }
+  }
+  // 맨 끝 줄바꿈 뒤의 빈 줄은 화면에 보이지 않음
+  if (current.nodes.length) units.push(current);
+
+  units.forEach(unit => {
+    unit.text = unit.nodes.map(node => node.textContent).join('');
+    unit.indent = unit.text.match(/^[ \t]*/)[0].replace(/\t/g, LIST_INDENT).length;
+  });
+  return units;
+}
+
+// 커서 위치의 줄들이 있는 컨테이너 (한 줄짜리 <div>면 그 <div>가 바깥 컨테이너의 한 줄)
+function getLineContainer(node) {
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const block = el.closest(LINE_BLOCK_SELECTOR);
+  if (!block || !editor.contains(block) || block === editor) return editor;
+  if (/^(DIV|P)$/.test(block.nodeName) && getLineUnits(block).length <= 1) {
+    return getLineContainer(block.parentElement);
+  }
+  return block;
+}
+
+function findUnitIndex(units, container, node, offset) {
+  // 컨테이너 자체가 경계면 offset 번째 자식이 속한 줄
+  const target = node === container ? container.childNodes[Math.min(offset, container.childNodes.length - 1)] : node;
+  if (!target) return units.length - 1;
+  return units.findIndex(unit => unit.nodes.some(n => n === target || n.contains(target)) || unit.sep === target);
+}
+
+function getSelectedLines() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount) return null;
+  const range = sel.getRangeAt(0);
+  if (!editor.contains(range.startContainer)) return null;
+
+  const startEl = range.startContainer.nodeType === Node.ELEMENT_NODE ? range.startContainer : range.startContainer.parentElement;
+  if (startEl.closest('pre, code, table, .snippet-form')) return null;
+
+  const container = getLineContainer(range.startContainer);
+  if (!container.contains(range.endContainer)) return null;
+
+  const units = getLineUnits(container);
+  const start = findUnitIndex(units, container, range.startContainer, range.startOffset);
+  let end = findUnitIndex(units, container, range.endContainer, range.endOffset);
+  // 다음 줄 맨 앞까지 선택한 경우 그 줄은 제외
+  if (end > start && !range.collapsed && range.endOffset === 0 && units[end].nodes[0]?.contains(range.endContainer)) end--;
+  if (start === -1 || end === -1) return null;
+
+  return { container, units, start, end: Math.max(start, end) };
+}
+
+// 선택한 줄 + 그 아래의 더 깊은 하위 항목
+function getSubtreeEnd(units, start, end) {
+  const baseIndent = Math.min(...units.slice(start, end + 1).map(unit => unit.indent));
+  let last = end;
+  while (last + 1 < units.length && units[last + 1].text.trim() && units[last + 1].indent > baseIndent) last++;
+  return last;
+}
+
+function getFirstTextNode(unit) {
+  for (const node of unit.nodes) {
+    if (node.nodeType === Node.TEXT_NODE) return node;
+    const text = document.createTreeWalker(node, NodeFilter.SHOW_TEXT).nextNode();
+    if (text) return text;
+  }
+  return null;
+}
+
+function indentUnit(unit) {
+  const text = getFirstTextNode(unit);
+  if (text) {
+    text.insertData(0, LIST_INDENT);
+  } else if (unit.block) {
+    unit.nodes[0].prepend(LIST_INDENT);
+  }
+}
+
+function outdentUnit(unit) {
+  const text = getFirstTextNode(unit);
+  const removed = text?.data.match(/^(\t| {1,2})/)?.[0].length;
+  if (removed) text.deleteData(0, removed);
+}
+
+// 줄 순서 바꾸기: units[from..to]를 order 순서로 다시 배치
+function reorderUnits(container, units, from, to, order) {
+  const anchor = units[to].sep ? units[to].sep.nextSibling : (units[to].nodes[units[to].nodes.length - 1]?.nextSibling || null);
+  const hadTrailingSep = !!units[to].sep;
+  const prev = units[from - 1];
+
+  for (let i = from; i <= to; i++) {
+    units[i].nodes.forEach(node => node.remove());
+    units[i].sep?.remove();
+  }
+
+  // 글자 줄끼리 맞닿는 곳에만 줄바꿈 (블록 줄은 그 자체로 줄이 나뉨)
+  const fragment = document.createDocumentFragment();
+  if (prev && !prev.block && !prev.sep && !order[0].block) fragment.appendChild(document.createTextNode('\n'));
+  order.forEach((unit, i) => {
+    unit.nodes.forEach(node => fragment.appendChild(node));
+    const next = order[i + 1];
+    const needsSep = next
+      ? !unit.block && !next.block
+      : !unit.block && (hadTrailingSep || (anchor && !BLOCK_TAGS.has(anchor.nodeName)));
+    if (needsSep) fragment.appendChild(document.createTextNode('\n'));
+  });
+  container.insertBefore(fragment, anchor);
+}
+
+// 같은 들여쓰기의 연속된 번호 목록을 1, 2, 3... 순서로 (시작 번호는 가장 작은 번호 유지)
+function renumberLists(container) {
+  const runs = [];
+  const active = [];   // 들여쓰기별 진행 중인 번호 목록
+
+  getLineUnits(container).forEach(unit => {
+    const match = unit.text.match(NUMBERED_PATTERN);
+    const indent = unit.indent;
+    // 더 얕은 줄이 나오면 그보다 깊은 목록은 끝남
+    for (let i = active.length - 1; i >= 0; i--) {
+      if (active[i].indent > indent || (active[i].indent === indent && !match) || !unit.text.trim()) active.splice(i, 1);
+    }
+    if (!match) return;
+
+    let run = active.find(r => r.indent === indent);
+    if (!run) {
+      run = { indent, units: [] };
+      active.push(run);
+      runs.push(run);
+    }
+    run.units.push(unit);
+  });
+
+  runs.forEach(run => {
+    let number = Math.min(...run.units.map(unit => parseInt(unit.text.match(NUMBERED_PATTERN)[2], 10)));
+    run.units.forEach(unit => {
+      const text = getFirstTextNode(unit);
+      const match = text?.data.match(NUMBERED_PATTERN);
+      if (match && match[2] !== String(number)) {
+        text.replaceData(match[1].length, match[2].length, String(number));
+      }
+      number++;
+    });
+  });
+}
+
+// 선택 영역을 노드 기준으로 보관 (노드를 옮겨도 같은 위치로 복원)
+function saveSelection() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount) return null;
+  const range = sel.getRangeAt(0);
+  return { start: [range.startContainer, range.startOffset], end: [range.endContainer, range.endOffset] };
+}
+
+function restoreSelection(saved) {
+  if (!saved || !saved.start[0].isConnected || !saved.end[0].isConnected) return;
+  const range = document.createRange();
+  try {
+    range.setStart(...saved.start);
+    range.setEnd(...saved.end);
+  } catch (e) {
+    return;
+  }
+  const sel = window.getSelection();
+  sel.removeAllRanges();
+  sel.addRange(range);
+}
+
+function changeListIndent(lines, outdent) {
+  const { container, units, start, end } = lines;
+  const last = getSubtreeEnd(units, start, end);
+  const targets = units.slice(start, last + 1).filter(unit => unit.text.trim());
+  targets.forEach(unit => (outdent ? outdentUnit(unit) : indentUnit(unit)));
+  renumberLists(container);
+}
+
+// 줄(과 하위 항목)을 위/아래 같은 단계의 항목과 자리 바꿈
+function moveLines(lines, direction) {
+  const { container, units, start, end } = lines;
+  const last = getSubtreeEnd(units, start, end);
+  const baseIndent = Math.min(...units.slice(start, end + 1).map(unit => unit.indent));
+  const group = units.slice(start, last + 1);
+
+  if (direction < 0) {
+    if (start === 0) return false;
+    // 바로 위 항목의 하위 줄은 건너뛰고 같은 단계 항목까지 한 묶음
+    let prev = start - 1;
+    while (prev > 0 && units[prev].text.trim() && units[prev].indent > baseIndent) prev--;
+    reorderUnits(container, units, prev, last, [...group, ...units.slice(prev, start)]);
+  } else {
+    if (last + 1 >= units.length) return false;
+    const next = last + 1;
+    const nextEnd = units[next].text.trim() ? getSubtreeEnd(units, next, next) : next;
+    reorderUnits(container, units, start, nextEnd, [...units.slice(next, nextEnd + 1), ...group]);
+  }
+  renumberLists(container);
+  return true;
+}
+
+export function initListStructureEvents() {
+  editor.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || e.isComposing || snippetState.isComposing) return;
+    if (snippetState.snippetFormMode || editor.querySelector('.snippet-match')) return;
+
+    const isIndent = e.key === 'Tab' && !e.metaKey && !e.ctrlKey && !e.altKey;
+    const isMove = (e.key === 'ArrowUp' || e.key === 'ArrowDown') && e.altKey && !e.metaKey && !e.ctrlKey && !e.shiftKey;
+    if (!isIndent && !isMove) return;
+
+    const lines = getSelectedLines();
+    if (!lines) return;
+    // Tab은 목록 줄에서만 (그 외에는 기본 동작)
+    if (isIndent && !lines.units.slice(lines.start, lines.end + 1).some(unit => LIST_ITEM_PATTERN.test(unit.text))) return;
+
+    e.preventDefault();
+    const changed = recordEdit(() => {
+      if (isIndent) {
+        // 글자 삽입/삭제는 커서가 알아서 따라감
+        changeListIndent(lines, e.shiftKey);
+        return true;
+      }
+      // 노드를 떼었다 붙이면 선택이 풀리므로 다시 지정
+      const saved = saveSelection();
+      const moved = moveLines(lines, e.key === 'ArrowUp' ? -1 : 1);
+      if (moved) restoreSelection(saved);
+      return moved;
+    });
+    if (!changed) return;
+
+    triggerSave();
+    applyStrikethrough();
+    updateSubtaskProgress();
+    scrollToCursor();
+  });
+}
+
 // ===== Paste 이벤트 (이미지/비디오/텍스트) =====
 
 export function initPasteEvent() {
@@ -238,7 +547,7 @@ export function initPasteEvent() {
     const text = e.clipboardData.getData('text/plain');
     if (text) {
       e.preventDefault();
-      insertTextAtCursor(text);
+      recordEdit(() => insertTextAtCursor(text));
     }
   });
 }
@@ -276,11 +585,54 @@ export function initDragDrop() {
 
     const text = e.dataTransfer?.getData('text/plain');
     if (text) {
-      insertTextAtCursor(text);
+      recordEdit(() => insertTextAtCursor(text));
     }
   });
 }
 
+// ===== 템플릿 메뉴 =====
+
+async function toggleTemplateMenu(btnEl) {
+  if (memoState.openMenuId === 'template') {
+    closeAllMenus();
+    return;
+  }
+  closeAllMenus();
+
+  const templates = await window.api.getTemplates();
+
+  const menu = document.createElement('div');
+  menu.className = 'memo-item-menu template-menu';
+
+  // 제목 표시줄 오른쪽 버튼이라 아래로, 오른쪽 끝을 맞춰 펼침
+  const rect = btnEl.getBoundingClientRect();
+  menu.style.position = 'fixed';
+  menu.style.top = (rect.bottom + 4) + 'px';
+  menu.style.right = (window.innerWidth - rect.right) + 'px';
+
+  [{ id: null, name: '빈 메모' }, ...templates].forEach(({ id, name }) => {
+    const option = document.createElement('div');
+    option.className = 'memo-item-menu-option';
+    option.textContent = name;
+    option.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeAllMenus();
+      window.api.newMemo(id);
+    });
+    menu.appendChild(option);
+  });
+
+  if (!templates.length) {
+    const hint = document.createElement('div');
+    hint.className = 'memo-item-menu-option disabled';
+    hint.textContent = '설정에서 템플릿 추가';
+    menu.appendChild(hint);
+  }
+
+  document.body.appendChild(menu);
+  memoState.openMenuId = 'template';
+}
+
 // ===== 버튼 클릭 =====
 
 export function initButtonEvents() {
@@ -292,6 +644,13 @@ export function initButtonEvents() {
     window.api.newMemo();
   });
 
+  // 우클릭: 템플릿으로 새 메모
+  newBtn.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    toggleTemplateMenu(newBtn);
+  });
+
   closeBtn.addEventListener('click', async () => {
     await cleanupOnClose();
     window.api.forceClose();
@@ -319,6 +678,7 @@ export function initAppEvents() {
     const currentMemoId = memoState.currentMemo?.id;
 
     memoState.memos = await window.api.getAll();
+    memoState.folders = await window.api.getFolders();
 
     // 기존 메모 ID로 새 인덱스 찾기
     if (currentMemoId) {
@@ -329,12 +689,22 @@ export function initAppEvents() {
     }
 
     if (sidebar.classList.contains('open')) {
-      renderMemoList();
+      // 검색 중이면 인덱스가 갱신됐으므로 다시 검색
+      if (searchInput.value.trim()) {
+        refreshSearchResults();
+      } else {
+        renderMemoList();
+      }
     }
+
+    // 휴지통 개수/목록 갱신 (다른 창/기기에서 삭제·복원)
+    refreshTrash();
+    refreshTags();
+    renderBacklinks();
   });
 
-  // 새 메모 생성
-  window.api.onCreateNewMemo(async () => {
+  // 새 메모 생성 (templateId가 있으면 템플릿 내용으로)
+  window.api.onCreateNewMemo(async (templateId) => {
     memoState.pendingNewMemo = true;
 
     await saveCurrentContent();
@@ -345,14 +715,34 @@ export function initAppEvents() {
     memoState.lastSavedContent = '';
     clearLinkPreviews();
     updateStatusbar(null);
+    renderBacklinks();
+
+    // 템플릿 메모는 바로 저장됨 (빈 메모는 입력을 시작할 때 생성)
+    const templateMemo = templateId ? await window.api.create(templateId) : null;
+    if (templateMemo) {
+      memoState.currentMemo = templateMemo;
+      setEditorContent(templateMemo.content);
+      memoState.lastSavedContent = templateMemo.content;
+      updateStatusbar(templateMemo.updated_at);
+      applyStrikethrough();
+      highlightTodoTimes();
+      highlightTags();
+      updateSubtaskProgress();
+    }
 
     memoState.memos = await window.api.getAll();
+    if (memoState.currentMemo) {
+      memoState.currentIndex = memoState.memos.findIndex(m => m.id === memoState.currentMemo.id);
+    }
     if (sidebar.classList.contains('open')) {
       renderMemoList();
     }
 
     updateEditorPosition();
     editor.focus();
+    if (memoState.currentMemo) {
+      setCursorOffset(templateMemo.cursor ?? Infinity);
+    }
 
     setTimeout(() => {
       memoState.pendingNewMemo = false;
@@ -383,7 +773,10 @@ export function initMemoNavigation() {
 
     e.preventDefault();
 
-    const indices = isSidebarOpen ? memoState.filteredIndices : memoState.memos.map((_, i) => i);
+    // 사이드바가 닫혀 있으면 보관한 메모는 건너뜀
+    const indices = isSidebarOpen
+      ? memoState.filteredIndices
+      : memoState.memos.map((_, i) => i).filter(i => !memoState.memos[i].archived_at);
     if (indices.length === 0) return;
 
     const currentPosInFiltered = indices.indexOf(memoState.currentIndex);
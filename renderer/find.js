@@ -0,0 +1,345 @@
+/**
+ * find.js - 메모 안에서 찾기 / 바꾸기 (Ctrl/Cmd+F)
+ * 일치 표시는 CSS Custom Highlight(::highlight)라 에디터 DOM을 건드리지 않아 저장 내용에 섞이지 않음
+ * 바꾸기는 텍스트 노드 단위로 적용해 줄/이미지/표 구조와 체크박스 글리프(☐ ☑ •)를 그대로 둠
+ */
+
+import { elements } from './state.js';
+import { highlightCode, getCodeLanguage } from './highlighter.js';
+import { recordEdit } from './editHistory.js';
+import { collectText, locate } from './editorText.js';
+
+const { editor } = elements;
+
+const MAX_MATCHES = 1000;
+const REFRESH_DELAY = 150;     // 에디터 변경 후 일치 다시 계산
+const GLYPH_PATTERN = /[☐☑•] ?/g;
+
+const findBar = document.getElementById('find-bar');
+const findInput = document.getElementById('find-input');
+const replaceInput = document.getElementById('find-replace-input');
+const countLabel = document.getElementById('find-count');
+const caseBtn = document.getElementById('find-case-btn');
+const regexBtn = document.getElementById('find-regex-btn');
+
+const findState = {
+  matches: [],          // [{ start, end, range }]
+  current: -1,
+  caseSensitive: false,
+  useRegex: false,
+  error: false
+};
+
+let observer = null;
+let refreshTimer = null;
+
+// ===== 검색 =====
+
+function createPattern(query) {
+  const flags = findState.caseSensitive ? 'gu' : 'giu';
+  const source = findState.useRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, flags);
+}
+
+function findMatches(limit = MAX_MATCHES) {
+  const query = findInput.value;
+  findState.error = false;
+  if (!query) return [];
+
+  let pattern;
+  try {
+    pattern = createPattern(query);
+  } catch (e) {
+    findState.error = true;
+    return [];
+  }
+
+  const { text, segments } = collectText();
+  const matches = [];
+  let match;
+  while (matches.length < limit && (match = pattern.exec(text))) {
+    if (!match[0]) {
+      // 빈 일치(^, \b 등)는 건너뜀
+      pattern.lastIndex++;
+      continue;
+    }
+    const from = locate(segments, match.index, false);
+    const to = locate(segments, match.index + match[0].length, true);
+    if (!from || !to) continue;
+
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    matches.push({ start: match.index, end: match.index + match[0].length, match, range });
+  }
+  return matches;
+}
+
+function renderHighlights() {
+  if (!window.CSS?.highlights) return;
+  const { matches, current } = findState;
+  CSS.highlights.set('find-match', new Highlight(...matches.filter((_, i) => i !== current).map(m => m.range)));
+  if (matches[current]) {
+    CSS.highlights.set('find-current', new Highlight(matches[current].range));
+  } else {
+    CSS.highlights.delete('find-current');
+  }
+}
+
+function clearHighlights() {
+  if (!window.CSS?.highlights) return;
+  CSS.highlights.delete('find-match');
+  CSS.highlights.delete('find-current');
+}
+
+function updateCount() {
+  const { matches, current, error } = findState;
+  findBar.classList.toggle('no-match', error || (!!findInput.value && matches.length === 0));
+  if (error) {
+    countLabel.textContent = '잘못된 식';
+  } else if (!findInput.value) {
+    countLabel.textContent = '';
+  } else if (matches.length === 0) {
+    countLabel.textContent = '없음';
+  } else {
+    const suffix = matches.length >= MAX_MATCHES ? '+' : '';
+    countLabel.textContent = `${current + 1}/${matches.length}${suffix}`;
+  }
+}
+
+function scrollToMatch(match) {
+  const rect = match.range.getBoundingClientRect();
+  const editorRect = editor.getBoundingClientRect();
+  if (rect.top < editorRect.top || rect.bottom > editorRect.bottom) {
+    editor.scrollTop += rect.top - editorRect.top - editorRect.height / 3;
+  }
+}
+
+// 다시 계산 (anchor: 이 위치 이후의 첫 일치를 현재로)
+function refresh(anchor = findState.matches[findState.current]?.start ?? 0, reveal = false) {
+  findState.matches = findMatches();
+  const index = findState.matches.findIndex(m => m.start >= anchor);
+  findState.current = findState.matches.length ? Math.max(index, 0) : -1;
+  renderHighlights();
+  updateCount();
+  if (reveal && findState.matches[findState.current]) scrollToMatch(findState.matches[findState.current]);
+}
+
+function move(step) {
+  const { matches } = findState;
+  if (matches.length === 0) return;
+  findState.current = (findState.current + step + matches.length) % matches.length;
+  renderHighlights();
+  updateCount();
+  scrollToMatch(matches[findState.current]);
+}
+
+// 커서 위치 (찾기를 열 때 그 뒤의 일치부터)
+function getCaretPosition() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount || !editor.contains(sel.anchorNode)) return 0;
+  const range = sel.getRangeAt(0);
+  const { segments } = collectText();
+  const segment = segments.find(s => s.node === range.startContainer);
+  return segment ? segment.start + range.startOffset : 0;
+}
+
+// ===== 바꾸기 =====
+
+// $&, $1 등 치환 (정규식 모드만)
+function expandReplacement(match, replacement) {
+  if (!findState.useRegex) return replacement;
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, key, name) => {
+    if (key === '$') return '$';
+    if (key === '&') return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? '';
+    return match[Number(key)] ?? token;
+  });
+}
+
+// 일치 안의 체크박스/글머리표 글리프는 지우지 않고 앞에 남김 (바꿀 내용에 글리프를 직접 넣은 경우는 그대로)
+function keepGlyphs(matchedText, replacement) {
+  const glyphs = matchedText.match(GLYPH_PATTERN);
+  if (!glyphs || /[☐☑•]/.test(replacement)) return replacement;
+  return glyphs.join('') + replacement;
+}
+
+// 위키 링크 등 편집할 수 없는 요소에 걸친 일치는 바꾸지 않음
+function isEditable(range) {
+  const nodes = [range.startContainer, range.endContainer];
+  return nodes.every(node => node.isConnected && editor.contains(node) && !node.parentElement.closest('[contenteditable="false"]')) &&
+    !range.cloneContents().querySelector('[contenteditable="false"]');
+}
+
+function getReplacementText(match) {
+  return keepGlyphs(match.match[0], expandReplacement(match.match, replaceInput.value));
+}
+
+// 텍스트 노드에 직접 반영
+// 뒤의 일치부터 replaceData/deleteData로 바꿔 앞쪽 일치의 Range 위치가 그대로 유지됨
+function applyReplacement(match) {
+  const { range } = match;
+  const text = getReplacementText(match);
+  const { startContainer, startOffset, endContainer, endOffset } = range;
+
+  if (startContainer === endContainer) {
+    startContainer.replaceData(startOffset, endOffset - startOffset, text);
+    return startContainer;
+  }
+
+  const middle = [];
+  const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+  walker.currentNode = startContainer;
+  while (walker.nextNode() && walker.currentNode !== endContainer) middle.push(walker.currentNode);
+
+  endContainer.deleteData(0, endOffset);
+  middle.forEach(node => node.deleteData(0, node.length));
+  startContainer.replaceData(startOffset, startContainer.length - startOffset, text);
+  return startContainer;
+}
+
+function replaceMatches(matches) {
+  const targets = matches.filter(m => isEditable(m.range));
+  if (targets.length === 0) return 0;
+
+  // 모두 바꾸기도 실행 취소 한 번에 되돌림
+  recordEdit(() => {
+    const touchedCode = new Set();
+    for (let i = targets.length - 1; i >= 0; i--) {
+      const node = applyReplacement(targets[i]);
+      const code = node.parentElement?.closest('pre code');
+      if (code) touchedCode.add(code);
+    }
+    // 코드 블록 강조 다시 적용
+    touchedCode.forEach(code => {
+      code.innerHTML = highlightCode(code.textContent, getCodeLanguage(code));
+    });
+    notifyEdited();
+  });
+  return targets.length;
+}
+
+function replaceCurrent() {
+  const match = findState.matches[findState.current];
+  if (!match) return;
+  const length = getReplacementText(match).length;
+  replaceMatches([match]);
+  // 바꾼 자리 뒤의 다음 일치로
+  refresh(match.start + length, true);
+}
+
+function replaceAll() {
+  if (findState.matches.length === 0) return;
+  // 표시 개수 제한(MAX_MATCHES) 없이 전부 바꿈
+  const count = replaceMatches(findMatches(Infinity));
+  refresh(0);
+  countLabel.textContent = `${count}개 바꿈`;
+}
+
+// 저장 / 협업 동기화 / 링크 처리는 input 이벤트로 (커서가 찾기 창에 있어 줄 단위 입력 규칙은 동작하지 않음)
+function notifyEdited() {
+  editor.normalize();
+  editor.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' }));
+}
+
+// ===== 열기 / 닫기 =====
+
+function startObserving() {
+  if (observer) return;
+  observer = new MutationObserver(() => {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => refresh(), REFRESH_DELAY);
+  });
+  observer.observe(editor, { childList: true, characterData: true, subtree: true });
+}
+
+function stopObserving() {
+  observer?.disconnect();
+  observer = null;
+  clearTimeout(refreshTimer);
+}
+
+export function openFindBar() {
+  const sel = window.getSelection();
+  const selected = sel.rangeCount && editor.contains(sel.anchorNode) ? sel.toString() : '';
+  // 한 줄 선택만 검색어로
+  if (selected && !selected.includes('\n')) {
+    findInput.value = findState.useRegex ? selected.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : selected;
+  }
+
+  findBar.classList.remove('hidden');
+  startObserving();
+  refresh(getCaretPosition(), true);
+  findInput.focus();
+  findInput.select();
+}
+
+export function closeFindBar() {
+  if (findBar.classList.contains('hidden')) return;
+  const match = findState.matches[findState.current];
+
+  findBar.classList.add('hidden');
+  stopObserving();
+  clearHighlights();
+  findState.matches = [];
+  findState.current = -1;
+
+  // 현재 일치를 선택한 채로 에디터로 돌아감
+  editor.focus();
+  if (match?.range.startContainer.isConnected) {
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(match.range);
+  }
+}
+
+function toggleOption(button, key) {
+  findState[key] = !findState[key];
+  button.classList.toggle('active', findState[key]);
+  refresh(0, true);
+  findInput.focus();
+}
+
+// ===== 이벤트 초기화 =====
+
+export function initFindEvents() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.altKey || e.key.toLowerCase() !== 'f') return;
+    // 사이드바 검색창에서는 기본 동작 유지
+    if (document.activeElement === elements.searchInput) return;
+    e.preventDefault();
+    openFindBar();
+  });
+
+  findInput.addEventListener('input', () => refresh(getCaretPosition(), true));
+  findInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.isComposing) {
+      e.preventDefault();
+      move(e.shiftKey ? -1 : 1);
+    }
+  });
+
+  replaceInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.isComposing) {
+      e.preventDefault();
+      if (e.metaKey || e.ctrlKey) replaceAll();
+      else replaceCurrent();
+    }
+  });
+
+  findBar.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      closeFindBar();
+    }
+  });
+
+  caseBtn.addEventListener('click', () => toggleOption(caseBtn, 'caseSensitive'));
+  regexBtn.addEventListener('click', () => toggleOption(regexBtn, 'useRegex'));
+  document.getElementById('find-prev-btn').addEventListener('click', () => move(-1));
+  document.getElementById('find-next-btn').addEventListener('click', () => move(1));
+  document.getElementById('find-replace-btn').addEventListener('click', replaceCurrent);
+  document.getElementById('find-replace-all-btn').addEventListener('click', replaceAll);
+  document.getElementById('find-close-btn').addEventListener('click', closeFindBar);
+}
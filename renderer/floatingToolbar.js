@@ -0,0 +1,118 @@
+/**
+ * floatingToolbar.js - 에디터 블록(코드 블록, 표)에 붙는 떠 있는 도구 모음
+ * 마우스가 올라간 블록 우선, 없으면 커서가 있는 블록에 표시하고 블록 → 도구 모음으로 마우스를 옮기는 동안은 유지
+ * 도구 모음은 에디터 밖(body)에 붙는 요소라 메모 내용에 저장되지 않음
+ */
+
+import { elements } from './state.js';
+
+const { editor } = elements;
+
+const HIDE_DELAY = 200;   // 블록 → 도구 모음으로 마우스를 옮길 시간
+
+/**
+ * 떠 있는 도구 모음 생성 (요소는 처음 표시할 때 만듦)
+ * @param {Object} options
+ * @param {string} options.className - 도구 모음 요소 클래스
+ * @param {string} options.selector - 마우스가 올라간 대상 블록 (closest로 찾음)
+ * @param {() => Element|null} options.getCaretTarget - 커서가 있는 대상 블록
+ * @param {(toolbar: HTMLElement) => void} options.build - 버튼 등 내용 구성
+ * @param {(rect: DOMRect, editorRect: DOMRect, toolbar: HTMLElement) => { top: number, left: number }} options.position
+ * @param {(target: Element, toolbar: HTMLElement) => void} [options.onTargetChange] - 다른 블록에 붙을 때
+ * @param {(toolbar: HTMLElement) => boolean} [options.isPinned] - true면 대상을 바꾸지 않음 (목록이 열려 있을 때 등)
+ * @returns {{ readonly target: Element|null, update: () => void, init: () => void }}
+ */
+export function createFloatingToolbar({ className, selector, getCaretTarget, build, position, onTargetChange, isPinned }) {
+  let toolbar = null;
+  let target = null;    // 도구 모음이 붙은 블록
+  let hovered = null;
+  let hideTimer = null;
+
+  function create() {
+    toolbar = document.createElement('div');
+    toolbar.className = `${className} hidden`;
+    build(toolbar);
+    toolbar.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+    toolbar.addEventListener('mouseleave', () => scheduleHoverEnd());
+    document.body.appendChild(toolbar);
+  }
+
+  function reposition() {
+    if (!toolbar || !target) return;
+    if (!target.isConnected) {
+      hide();
+      return;
+    }
+
+    const rect = target.getBoundingClientRect();
+    const editorRect = editor.getBoundingClientRect();
+    // 블록이 에디터 밖으로 스크롤되면 감춤
+    const visible = rect.bottom > editorRect.top && rect.top < editorRect.bottom;
+    toolbar.style.visibility = visible ? '' : 'hidden';
+    const { top, left } = position(rect, editorRect, toolbar);
+    toolbar.style.top = top + 'px';
+    toolbar.style.left = left + 'px';
+  }
+
+  function show(block) {
+    if (!toolbar) create();
+    clearTimeout(hideTimer);
+    if (target !== block) {
+      target = block;
+      onTargetChange?.(block, toolbar);
+    }
+    toolbar.classList.remove('hidden');
+    reposition();
+  }
+
+  function hide() {
+    target = null;
+    toolbar?.classList.add('hidden');
+  }
+
+  // 마우스가 올라간 블록 우선, 없으면 커서가 있는 블록
+  function update() {
+    if (toolbar && isPinned?.(toolbar)) return;
+    const block = hovered?.isConnected ? hovered : getCaretTarget();
+    if (block) show(block);
+    else hide();
+  }
+
+  function scheduleHoverEnd() {
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => {
+      hovered = null;
+      update();
+    }, HIDE_DELAY);
+  }
+
+  function init() {
+    editor.addEventListener('mouseover', (e) => {
+      const block = e.target.closest?.(selector) || null;
+      if (block === hovered) return;
+      if (block) {
+        clearTimeout(hideTimer);
+        hovered = block;
+        update();
+      } else {
+        scheduleHoverEnd();
+      }
+    });
+    editor.addEventListener('mouseleave', () => scheduleHoverEnd());
+
+    document.addEventListener('selectionchange', () => {
+      if (!hovered) update();
+    });
+
+    editor.addEventListener('scroll', () => reposition());
+    window.addEventListener('resize', () => reposition());
+  }
+
+  return {
+    get target() {
+      return target;
+    },
+    update,
+    init
+  };
+}
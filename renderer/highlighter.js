@@ -0,0 +1,183 @@
+/**
+ * highlighter.js - 코드 블록 구문 강조 (외부 라이브러리/네트워크 없이 동작)
+ * 언어별 토큰 규칙을 앞에서부터 차례로 맞춰 <span class="hl-종류">로 감쌈
+ * 강조 span은 textContent를 바꾸지 않으므로 저장/내보내기/검색에 영향 없음
+ */
+
+// 선택 목록에 표시할 언어 (value: language-* 클래스 이름)
+export const CODE_LANGUAGES = [
+  { value: '', label: 'Plain text' },
+  { value: 'bash', label: 'Shell' },
+  { value: 'json', label: 'JSON' },
+  { value: 'sql', label: 'SQL' },
+  { value: 'javascript', label: 'JavaScript' },
+  { value: 'typescript', label: 'TypeScript' },
+  { value: 'python', label: 'Python' },
+  { value: 'html', label: 'HTML' },
+  { value: 'css', label: 'CSS' }
+];
+
+const LANGUAGE_ALIASES = {
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  xml: 'html',
+  svg: 'html'
+};
+
+function words(list, flags = '') {
+  return new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`, `y${flags}`);
+}
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends ' +
+  'finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield';
+const TS_KEYWORDS = `${JS_KEYWORDS} abstract as declare enum implements interface keyof namespace private protected public readonly type`;
+
+const C_COMMENT = ['comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y];
+const DOUBLE_STRING = ['string', /"(?:\\.|[^"\\\n])*"?/y];
+const SINGLE_STRING = ['string', /'(?:\\.|[^'\\\n])*'?/y];
+const NUMBER = ['number', /\b(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/iy];
+
+const JS_RULES = [
+  C_COMMENT,
+  DOUBLE_STRING,
+  SINGLE_STRING,
+  ['string', /`(?:\\[\s\S]|[^`\\])*`?/y],
+  NUMBER,
+  ['literal', words('true false null undefined NaN Infinity')],
+  ['function', /\b[A-Za-z_$][\w$]*(?=\s*\()/y]
+];
+
+const RULES = {
+  javascript: [...JS_RULES.slice(0, -1), ['keyword', words(JS_KEYWORDS)], JS_RULES[JS_RULES.length - 1]],
+  typescript: [...JS_RULES.slice(0, -1), ['keyword', words(TS_KEYWORDS)], JS_RULES[JS_RULES.length - 1]],
+  json: [
+    ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+    DOUBLE_STRING,
+    ['number', /-?\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/iy],
+    ['literal', words('true false null')]
+  ],
+  sql: [
+    ['comment', /--.*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /'(?:''|[^'])*'?/y],
+    ['property', /"(?:""|[^"\n])*"|`[^`\n]*`/y],
+    NUMBER,
+    ['literal', words('null true false', 'i')],
+    ['keyword', words(
+      'select from where and or not in is like between exists as distinct all any join inner left right full outer cross on using ' +
+      'group by order having limit offset union intersect except insert into values update set delete create alter drop table ' +
+      'view index primary key foreign references unique default check constraint if begin commit rollback transaction with ' +
+      'recursive case when then else end asc desc returning conflict do nothing replace pragma explain', 'i')],
+    ['function', /\b[A-Za-z_]\w*(?=\s*\()/y]
+  ],
+  bash: [
+    ['comment', /(?<![^\s;])#.*/y],
+    ['string', /"(?:\\[\s\S]|[^"\\])*"?|'[^']*'?/y],
+    ['variable', /\$(?:\{[^}\n]*\}|\w+|[@*#?$!0-9-])/y],
+    ['keyword', words('if then else elif fi for in do done case esac while until function return export local readonly unset shift exit')],
+    ['attr', /(?<![\w-])--?[A-Za-z][\w-]*/y],
+    NUMBER
+  ],
+  python: [
+    ['comment', /#.*/y],
+    ['string', /[rbfu]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/iy],
+    ['attr', /@[\w.]+/y],
+    NUMBER,
+    ['literal', words('True False None')],
+    ['keyword', words(
+      'and as assert async await break class continue def del elif else except finally for from global if import in is ' +
+      'lambda nonlocal not or pass raise return try while with yield match case self')],
+    ['function', /\b[A-Za-z_]\w*(?=\s*\()/y]
+  ],
+  html: [
+    ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+    ['keyword', /<\/?[\w:-]+|\/?>/y],
+    ['attr', /[\w:-]+(?=\s*=)/y],
+    DOUBLE_STRING,
+    SINGLE_STRING
+  ],
+  css: [
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    DOUBLE_STRING,
+    SINGLE_STRING,
+    ['keyword', /@[\w-]+|!important/y],
+    ['property', /[\w-]+(?=\s*:[^:{};]*[;}])/y],
+    ['number', /#[\da-f]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?/iy]
+  ]
+};
+
+export function normalizeLanguage(language) {
+  const name = String(language || '').toLowerCase();
+  return LANGUAGE_ALIASES[name] || name;
+}
+
+function escapeCode(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 코드 텍스트 → 강조 HTML (지원하지 않는 언어는 이스케이프만)
+ * @param {string} code
+ * @param {string} language
+ * @returns {string}
+ */
+export function highlightCode(code, language) {
+  const rules = RULES[normalizeLanguage(language)];
+  if (!rules) return escapeCode(code);
+
+  let html = '';
+  let plain = '';
+  let pos = 0;
+
+  while (pos < code.length) {
+    let matched = null;
+    for (const [type, regex] of rules) {
+      regex.lastIndex = pos;
+      const match = regex.exec(code);
+      if (match && match[0]) {
+        matched = { type, text: match[0] };
+        break;
+      }
+    }
+
+    if (!matched) {
+      // 단어 중간에서 키워드가 잡히지 않도록 단어 단위로 건너뜀
+      const word = /[\w$]+|[\s\S]/y;
+      word.lastIndex = pos;
+      const skipped = word.exec(code)[0];
+      plain += skipped;
+      pos += skipped.length;
+      continue;
+    }
+
+    html += escapeCode(plain) + `<span class="hl-${matched.type}">${escapeCode(matched.text)}</span>`;
+    plain = '';
+    pos += matched.text.length;
+  }
+
+  return html + escapeCode(plain);
+}
+
+// 코드 블록의 언어 (<code class="language-sql">)
+export function getCodeLanguage(code) {
+  return (code.className.match(/language-([\w+#-]+)/) || [])[1] || '';
+}
+
+/**
+ * root 안의 모든 코드 블록 강조 (메모를 불러올 때)
+ * @param {HTMLElement} root
+ */
+export function highlightCodeBlocks(root) {
+  root.querySelectorAll('pre > code').forEach(code => {
+    const text = code.textContent;
+    if (!text) return;
+    code.innerHTML = highlightCode(text, getCodeLanguage(code));
+  });
+}
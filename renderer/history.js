@@ -0,0 +1,167 @@
+/**
+ * history.js - 메모 버전 기록 (목록 / diff / 복원)
+ */
+
+import { memoState, timers } from './state.js';
+import { goToMemo, saveCurrentContent } from './memo.js';
+import { escapeHtml } from './security.js';
+
+const REASON_LABELS = {
+  auto: '자동',
+  close: '닫기',
+  merge: '병합 전',
+  sync: '동기화 전',
+  restore: '복원 전'
+};
+
+let historyMemoId = null;
+let selectedVersionId = null;
+
+function formatVersionTime(time) {
+  const date = new Date(time);
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${month}월 ${day}일 ${hours}:${minutes}`;
+}
+
+// ===== 다이얼로그 열기/닫기 =====
+
+export async function openHistoryDialog(memo) {
+  const dialog = document.getElementById('history-dialog');
+  if (!dialog || !memo) return;
+
+  // 편집 중인 메모면 대기 중인 저장 먼저 반영 (diff 기준이 최신이 되도록)
+  if (memoState.currentMemo && memoState.currentMemo.id === memo.id) {
+    clearTimeout(timers.saveTimeout);
+    await saveCurrentContent();
+  }
+
+  historyMemoId = memo.id;
+  selectedVersionId = null;
+  dialog.classList.remove('hidden');
+  await renderVersionList();
+}
+
+export function closeHistoryDialog() {
+  const dialog = document.getElementById('history-dialog');
+  if (dialog) dialog.classList.add('hidden');
+  historyMemoId = null;
+  selectedVersionId = null;
+}
+
+// ===== 버전 목록 =====
+
+async function renderVersionList() {
+  const list = document.getElementById('history-list');
+  const diffView = document.getElementById('history-diff');
+  const restoreBtn = document.getElementById('history-restore-btn');
+  list.innerHTML = '';
+  diffView.innerHTML = '';
+  restoreBtn.disabled = true;
+
+  const versions = await window.api.getMemoVersions(historyMemoId);
+
+  if (versions.length === 0) {
+    list.innerHTML = '<div class="history-empty">저장된 버전이 없습니다</div>';
+    return;
+  }
+
+  versions.forEach(version => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.dataset.id = version.id;
+    item.innerHTML = `
+      <div class="history-item-time">${escapeHtml(formatVersionTime(version.createdAt))}</div>
+      <div class="history-item-meta">${escapeHtml(REASON_LABELS[version.reason] || version.reason)}</div>
+      <div class="history-item-preview">${escapeHtml(version.preview || '')}</div>
+    `;
+    item.addEventListener('click', () => selectVersion(version.id));
+    list.appendChild(item);
+  });
+
+  selectVersion(versions[0].id);
+}
+
+// ===== Diff 표시 =====
+
+async function selectVersion(versionId) {
+  selectedVersionId = versionId;
+  document.querySelectorAll('.history-item').forEach(el => {
+    el.classList.toggle('selected', Number(el.dataset.id) === versionId);
+  });
+
+  const diffView = document.getElementById('history-diff');
+  const summary = document.getElementById('history-summary');
+  const restoreBtn = document.getElementById('history-restore-btn');
+
+  const result = await window.api.diffMemoVersion(versionId);
+  // 응답 전에 다른 버전을 선택했으면 무시
+  if (selectedVersionId !== versionId) return;
+
+  if (!result.success) {
+    diffView.innerHTML = '';
+    summary.textContent = '';
+    restoreBtn.disabled = true;
+    return;
+  }
+
+  summary.textContent = result.added === 0 && result.removed === 0
+    ? '현재 내용과 같음'
+    : `현재 내용 대비 +${result.added} -${result.removed}`;
+  restoreBtn.disabled = result.added === 0 && result.removed === 0;
+
+  const signs = { equal: ' ', add: '+', remove: '-' };
+  diffView.innerHTML = result.lines.map(line =>
+    `<div class="history-diff-line ${line.type}"><span class="history-diff-sign">${signs[line.type]}</span>${escapeHtml(line.text) || '&nbsp;'}</div>`
+  ).join('');
+
+  // 첫 변경 위치로 스크롤
+  const firstChange = diffView.querySelector('.history-diff-line.add, .history-diff-line.remove');
+  if (firstChange) firstChange.scrollIntoView({ block: 'center' });
+}
+
+// ===== 복원 =====
+
+async function restoreSelectedVersion() {
+  if (!selectedVersionId) return;
+
+  // 복원 직전 저장 대기 중인 편집이 복원 내용을 덮어쓰지 않도록
+  clearTimeout(timers.saveTimeout);
+
+  const result = await window.api.restoreMemoVersion(selectedVersionId);
+  if (!result.success) {
+    console.error('[History] Restore failed:', result.error);
+    return;
+  }
+
+  // 복원한 메모를 보고 있으면 에디터 다시 로드 (수정 시간이 바뀌어 목록 순서가 달라지므로 ID로 이동)
+  if (memoState.currentMemo && memoState.currentMemo.id === result.memoId) {
+    await goToMemo(result.memoId);
+  }
+
+  closeHistoryDialog();
+}
+
+// ===== 이벤트 초기화 =====
+
+export function initHistoryEvents() {
+  const dialog = document.getElementById('history-dialog');
+  if (!dialog) return;
+
+  document.getElementById('history-dialog-close').addEventListener('click', closeHistoryDialog);
+  document.getElementById('history-restore-btn').addEventListener('click', restoreSelectedVersion);
+
+  // 배경 클릭 시 닫기
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeHistoryDialog();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !dialog.classList.contains('hidden')) {
+      e.stopPropagation();
+      closeHistoryDialog();
+    }
+  }, true);
+}
@@ -5,7 +5,7 @@
 
 import { elements, memoState, sidebarState, timers, snippetState } from './state.js';
 import { setEditorContent } from './editor.js';
-import { loadMemo, setRenderMemoListFn, updateStatusbar } from './memo.js';
+import { loadMemo, setRenderMemoListFn, updateStatusbar, openMemoByUuid } from './memo.js';
 import {
   renderMemoList,
   toggleSidebar,
@@ -14,6 +14,10 @@ import {
   initSearchEvents,
   initMenuCloseHandler,
   initSharePopupEvents,
+  initTrashEvents,
+  initArchiveEvents,
+  initTagEvents,
+  initFolderEvents,
   preloadContacts
 } from './sidebar.js';
 import { initMediaEvents } from './media.js';
@@ -22,13 +26,15 @@ import {
   loadTriggerKey,
   initIMEEvents,
   initInputDetection,
-  initTriggerKeyChange
+  initTriggerKeyChange,
+  initToolsChange
 } from './snippet.js';
 import { authManager, isPro } from './auth.js';
 import {
   initEditorInputEvents,
   initCheckboxToggle,
   initListAutoComplete,
+  initListStructureEvents,
   initPasteEvent,
   initDragDrop,
   initButtonEvents,
@@ -41,6 +47,15 @@ import {
 } from './events.js';
 import { clearLinkPreviews } from './linkPreview.js';
 import { collabState, stopCollaboration } from './collaboration.js';
+import { initHistoryEvents } from './history.js';
+import { initWikiLinkEvents, setOpenMemoFn } from './wikiLink.js';
+import { initInputRuleEvents } from './inputRules.js';
+import { initCodeBlockEvents } from './codeBlock.js';
+import { initTableEvents } from './table.js';
+import { initFindEvents } from './find.js';
+import { initEditHistoryEvents } from './editHistory.js';
+import { loadSubtaskSettings, initSubtaskSettingChange } from './subtasks.js';
+import { initStatsEvents } from './stats.js';
 
 const { editor, sidebar, listBtn } = elements;
 
@@ -50,6 +65,7 @@ async function initApp() {
   // 순환 참조 해결
   setupCircularDependencies();
   setRenderMemoListFn(renderMemoList);
+  setOpenMemoFn(openMemoByUuid);
 
   // 새 메모 모드 확인
   const urlParams = new URLSearchParams(window.location.search);
@@ -172,14 +188,27 @@ function initAllEvents() {
   initSearchEvents();
   initMenuCloseHandler();
   initSharePopupEvents();
-
-  // 에디터
+  initTrashEvents();
+  initArchiveEvents();
+  initTagEvents();
+  initFolderEvents();
+  initHistoryEvents();
+  initWikiLinkEvents();
+
+  // 에디터 (실행 취소 기록이 다른 입력 처리보다 먼저)
+  initEditHistoryEvents();
   initEditorInputEvents();
   initCheckboxToggle();
+  initTableEvents();
+  initInputRuleEvents();
+  initCodeBlockEvents();
   initListAutoComplete();
+  initListStructureEvents();
   initPasteEvent();
   initDragDrop();
   initMediaEvents();
+  initFindEvents();
+  initStatsEvents();
 
   // 버튼 & 앱
   initButtonEvents();
@@ -191,8 +220,12 @@ function initAllEvents() {
   initIMEEvents();
   initInputDetection();
   initTriggerKeyChange();
+  initToolsChange();
   initSnippetKeyEvents();
 
+  // 하위 할일
+  initSubtaskSettingChange();
+
   // 빠른 전달
   initQuickShareEvents();
 
@@ -214,7 +247,8 @@ async function bootstrap() {
   const [, , authResult] = await Promise.all([
     loadSnippets(),
     loadTriggerKey(),
-    authManager.init() // 인증을 기다림
+    authManager.init(), // 인증을 기다림
+    loadSubtaskSettings()
   ]);
 
   // 2. 인증 완료 후 연락처 미리 로드 (백그라운드)
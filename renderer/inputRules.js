@@ -0,0 +1,389 @@
+/**
+ * inputRules.js - Markdown 입력 규칙
+ * 입력 중 Markdown 표기를 실제 요소로 변환 (h1~h3, strong, em, code, blockquote, hr, pre, table)
+ * 변환 결과는 일반 HTML 요소라 sanitizeHtml을 그대로 통과하고 저장/동기화 후에도 유지됨
+ */
+
+import { elements, snippetState } from './state.js';
+import { triggerSave } from './memo.js';
+import { createTable, ensureLineAfter, placeCaretInCell, MAX_TABLE_ROWS, MAX_TABLE_COLUMNS } from './table.js';
+
+const { editor } = elements;
+
+// 인라인 요소 뒤 커서 자리 (입력이 요소 안으로 들어가지 않도록, 저장 시 editor.js에서 제거)
+const CARET_ANCHOR = '\u200B';
+
+const BLOCK_TAGS = new Set(['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'HR', 'UL', 'OL', 'LI', 'TABLE']);
+
+// 줄 맨 앞에서 공백 입력 시 블록으로 변환
+const BLOCK_RULES = [
+  { pattern: /^(#{1,3}) $/, tag: (m) => `H${m[1].length}` },
+  { pattern: /^> $/, tag: () => 'BLOCKQUOTE' }
+];
+
+// 닫는 기호 입력 시 인라인 요소로 변환 (순서 중요: ** 를 * 보다 먼저)
+const INLINE_RULES = [
+  { pattern: /\*\*([^*\n]+)\*\*$/, tag: 'strong' },
+  { pattern: /`([^`\n]+)`$/, tag: 'code' },
+  { pattern: /(?:^|[^\p{L}\p{N}*\\])(\*([^*\s](?:[^*\n]*[^*\s])?)\*)$/u, tag: 'em', group: 1 }
+];
+
+// 이 안에서는 규칙 적용 안 함
+const RULE_EXCLUDED = 'pre, code, a, .wiki-link, .snippet-match, .snippet-hint';
+
+// ===== 줄 정보 =====
+
+function isBlock(node) {
+  return node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.nodeName);
+}
+
+// 텍스트 노드 안 lineStart 위치가 실제 줄의 시작인지 (앞에 같은 줄 내용이 없는지)
+function isLineStart(node, lineStart) {
+  if (lineStart > 0) return true;
+
+  let prev = node.previousSibling;
+  while (prev && prev.nodeType === Node.TEXT_NODE && prev.textContent === '') {
+    prev = prev.previousSibling;
+  }
+  if (!prev) return node.parentNode === editor || isBlock(node.parentNode);
+  if (prev.nodeName === 'BR' || isBlock(prev)) return true;
+  return prev.nodeType === Node.TEXT_NODE && prev.textContent.endsWith('\n');
+}
+
+// 커서가 있는 줄 (텍스트 노드 기준)
+function getLineContext() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount || !sel.isCollapsed) return null;
+
+  const range = sel.getRangeAt(0);
+  const node = range.startContainer;
+  if (node.nodeType !== Node.TEXT_NODE || !editor.contains(node)) return null;
+
+  const text = node.textContent;
+  const offset = range.startOffset;
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  const lineEnd = text.indexOf('\n', offset);
+
+  return {
+    node,
+    offset,
+    lineStart,
+    lineEnd,
+    before: text.slice(lineStart, offset),
+    lineText: text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd)
+  };
+}
+
+function placeCaret(node, offset) {
+  const sel = window.getSelection();
+  const range = document.createRange();
+  range.setStart(node, offset);
+  range.collapse(true);
+  sel.removeAllRanges();
+  sel.addRange(range);
+}
+
+// 빈 블록에도 커서가 놓이도록 <br> 자리 표시
+function fillEmptyBlock(block) {
+  if (!block.firstChild) block.appendChild(document.createElement('br'));
+}
+
+// 같은 줄에 이어지는 형제 노드 (다음 줄바꿈/블록 전까지)
+function takeLineTail(node) {
+  const nodes = [];
+  let next = node.nextSibling;
+  while (next && next.nodeName !== 'BR' && !isBlock(next)) {
+    const current = next;
+    next = next.nextSibling;
+
+    if (current.nodeType === Node.TEXT_NODE && current.textContent.includes('\n')) {
+      const rest = current.splitText(current.textContent.indexOf('\n'));
+      // 블록 뒤라 첫 줄바꿈은 필요 없음
+      rest.textContent = rest.textContent.slice(1);
+      if (current.textContent) nodes.push(current);
+      break;
+    }
+    nodes.push(current);
+  }
+  return nodes;
+}
+
+// 현재 줄을 블록 요소로 변환 (markerLength: 줄 앞에서 지울 표기 길이)
+function convertLineToBlock(ctx, tagName, markerLength) {
+  const { node, lineStart, lineEnd } = ctx;
+  const text = node.textContent;
+  const block = document.createElement(tagName);
+
+  // 줄 전체가 <div> 하나인 경우 요소만 교체
+  const parent = node.parentNode;
+  if (parent !== editor && parent.nodeName === 'DIV' && lineStart === 0 && lineEnd === -1 &&
+      parent.firstChild === node && [...parent.childNodes].every(n => n === node || n.nodeName === 'BR' || !isBlock(n))) {
+    node.textContent = text.slice(markerLength);
+    [...parent.childNodes].forEach(child => {
+      if (child.nodeName !== 'BR') block.appendChild(child);
+    });
+    fillEmptyBlock(block);
+    parent.replaceWith(block);
+  } else {
+    // 줄바꿈(\n) 텍스트 안의 줄: 앞/뒤 텍스트를 나누고 가운데를 블록으로
+    const end = lineEnd === -1 ? text.length : lineEnd;
+    // 블록 앞뒤의 줄바꿈은 블록이 대신하므로 하나씩 제거
+    const beforeText = text.slice(0, lineStart).replace(/\n$/, '');
+    const afterText = lineEnd === -1 ? '' : text.slice(end + 1);
+
+    node.textContent = text.slice(lineStart + markerLength, end);
+    const tail = lineEnd === -1 ? takeLineTail(node) : [];
+    const afterNode = afterText ? document.createTextNode(afterText) : null;
+
+    node.replaceWith(...[beforeText ? document.createTextNode(beforeText) : null, block, afterNode].filter(Boolean));
+    block.appendChild(node);
+    tail.forEach(n => block.appendChild(n));
+    if (!node.textContent) node.remove();
+    fillEmptyBlock(block);
+  }
+
+  const firstText = block.firstChild?.nodeType === Node.TEXT_NODE ? block.firstChild : null;
+  if (firstText) {
+    placeCaret(firstText, 0);
+  } else {
+    placeCaret(block, 0);
+  }
+  return block;
+}
+
+// 블록 뒤에 새 줄을 만들고 커서 이동
+function insertLineAfter(block) {
+  const line = document.createElement('div');
+  line.appendChild(document.createElement('br'));
+  block.after(line);
+  placeCaret(line, 0);
+  return line;
+}
+
+// ===== 입력 중 변환 (input 이벤트) =====
+
+function applyBlockRules(ctx) {
+  if (!isLineStart(ctx.node, ctx.lineStart)) return false;
+  if (ctx.node.parentElement.closest('h1, h2, h3, h4, h5, h6, blockquote')) return false;
+
+  for (const rule of BLOCK_RULES) {
+    const match = ctx.before.match(rule.pattern);
+    if (match) {
+      convertLineToBlock(ctx, rule.tag(match), match[0].length);
+      return true;
+    }
+  }
+  return false;
+}
+
+function applyInlineRules(ctx) {
+  const { node, offset } = ctx;
+  const text = node.textContent;
+  const beforeCursor = text.slice(0, offset);
+
+  for (const rule of INLINE_RULES) {
+    const match = beforeCursor.match(rule.pattern);
+    if (!match) continue;
+
+    const whole = rule.group ? match[rule.group] : match[0];
+    const inner = rule.group ? match[rule.group + 1] : match[1];
+    const start = offset - whole.length;
+
+    const el = document.createElement(rule.tag);
+    el.textContent = inner;
+    const anchor = document.createTextNode(CARET_ANCHOR + text.slice(offset));
+
+    node.textContent = text.slice(0, start);
+    node.after(el, anchor);
+    if (!node.textContent) node.remove();
+    placeCaret(anchor, 1);
+    return true;
+  }
+  return false;
+}
+
+// 커서 자리 문자 정리 (뒤에 글자가 입력되면 더 이상 필요 없음)
+function cleanupCaretAnchor(ctx) {
+  const { node, offset } = ctx;
+  const index = node.textContent.indexOf(CARET_ANCHOR);
+  if (index === -1 || node.textContent.length === 1) return;
+
+  node.textContent = node.textContent.slice(0, index) + node.textContent.slice(index + 1);
+  placeCaret(node, offset > index ? offset - 1 : offset);
+}
+
+export function processInputRules(e) {
+  if (e?.isComposing || snippetState.isComposing) return;
+
+  const ctx = getLineContext();
+  if (!ctx || ctx.node.parentElement.closest(RULE_EXCLUDED)) return;
+
+  cleanupCaretAnchor(ctx);
+  const current = getLineContext();
+  if (!current) return;
+
+  if (applyBlockRules(current) || applyInlineRules(current)) {
+    triggerSave();
+  }
+}
+
+// ===== Enter 처리 (---, ```, 인용/코드 블록 빠져나오기) =====
+
+// 코드 블록 안 커서 앞/뒤 텍스트
+function getCodeText(code) {
+  const range = window.getSelection().getRangeAt(0);
+  const beforeRange = document.createRange();
+  beforeRange.selectNodeContents(code);
+  beforeRange.setEnd(range.startContainer, range.startOffset);
+  const afterRange = document.createRange();
+  afterRange.selectNodeContents(code);
+  afterRange.setStart(range.endContainer, range.endOffset);
+  return { before: beforeRange.toString(), after: afterRange.toString() };
+}
+
+// 코드 블록 안 줄바꿈 (블록이 나뉘지 않도록 \n 직접 입력, 현재 줄 들여쓰기 유지)
+function insertCodeNewline(code) {
+  const sel = window.getSelection();
+  const range = sel.getRangeAt(0);
+  range.deleteContents();
+
+  // 빈 코드 블록의 자리 표시 <br> 제거
+  if (!code.textContent) code.innerHTML = '';
+
+  const { before, after } = getCodeText(code);
+  const indent = before.slice(before.lastIndexOf('\n') + 1).match(/^[ \t]*/)[0];
+  // 끝의 \n 하나는 화면에 줄로 표시되지 않으므로 마지막 줄이면 하나 더
+  const newline = document.createTextNode('\n' + indent + (after ? '' : '\n'));
+  window.getSelection().getRangeAt(0).insertNode(newline);
+  placeCaret(newline, 1 + indent.length);
+}
+
+function handleCodeBlockEnter(e, code) {
+  e.preventDefault();
+  const { before, after } = getCodeText(code);
+  const lineStart = before.lastIndexOf('\n') + 1;
+
+  // 마지막 줄에서 닫는 ``` 입력 → 코드 블록 빠져나오기
+  if (before.slice(lineStart).trim() === '```' && !after.trim()) {
+    code.textContent = before.slice(0, lineStart).replace(/\n$/, '') || '\n';
+    insertLineAfter(code.closest('pre'));
+  } else {
+    insertCodeNewline(code);
+  }
+  triggerSave();
+}
+
+// 인용 블록 마지막 빈 줄에서 Enter → 빠져나오기
+function handleQuoteEnter(e, quote) {
+  const sel = window.getSelection();
+  const container = sel.getRangeAt(0).startContainer;
+  const line = container === quote ? quote : (container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement).closest('blockquote > div') || quote;
+
+  if (line.textContent.trim() !== '' || (line !== quote && line !== quote.lastElementChild)) return false;
+
+  e.preventDefault();
+  if (line !== quote) line.remove();
+  const exitLine = insertLineAfter(quote);
+  if (!quote.textContent.trim()) quote.remove();
+  placeCaret(exitLine, 0);
+  triggerSave();
+  return true;
+}
+
+// 줄이 현재 텍스트 노드 안에서 끝나는지 (뒤에 같은 줄 요소가 없는지)
+function isLineEndInNode(ctx) {
+  if (ctx.lineEnd !== -1) return true;
+  const next = ctx.node.nextSibling;
+  return !next || next.nodeName === 'BR' || isBlock(next);
+}
+
+function handleLineEnter(e, ctx) {
+  if (!isLineStart(ctx.node, ctx.lineStart) || !isLineEndInNode(ctx)) return false;
+  if (ctx.node.parentElement.closest('h1, h2, h3, h4, h5, h6, blockquote')) return false;
+  const lineText = ctx.lineText.trim();
+
+  // --- → 구분선
+  if (lineText === '---' && ctx.before.trim() === '---') {
+    e.preventDefault();
+    const hr = convertLineToBlock(ctx, 'HR', ctx.lineText.length);
+    hr.innerHTML = '';
+    const next = hr.nextSibling;
+    if (next && next.nodeType === Node.TEXT_NODE) {
+      placeCaret(next, 0);
+    } else {
+      insertLineAfter(hr);
+    }
+    triggerSave();
+    return true;
+  }
+
+  // ```lang → 코드 블록
+  const fence = ctx.before.match(/^```([\w+#-]*)$/);
+  if (fence && lineText === ctx.before) {
+    e.preventDefault();
+    const pre = convertLineToBlock(ctx, 'PRE', ctx.lineText.length);
+    const code = document.createElement('code');
+    if (fence[1]) code.className = `language-${fence[1].toLowerCase()}`;
+    code.appendChild(document.createElement('br'));
+    pre.replaceChildren(code);
+    placeCaret(code, 0);
+    triggerSave();
+    return true;
+  }
+
+  // /table 또는 /table 4x3 (열x행) → 빈 표, |a|b| → 첫 행이 a, b인 표
+  const tableCommand = lineText.match(/^\/table(?:\s+(\d+)\s*[x×]\s*(\d+))?$/i);
+  const tableHeader = lineText.match(/^\|(.*\|.*)\|$/);
+  if ((tableCommand || tableHeader) && lineText === ctx.before.trim()) {
+    let rows;
+    if (tableCommand) {
+      const columns = Math.min(MAX_TABLE_COLUMNS, Math.max(1, Number(tableCommand[1]) || 3));
+      const rowCount = Math.min(MAX_TABLE_ROWS, Math.max(1, Number(tableCommand[2]) || 3));
+      rows = Array.from({ length: rowCount }, () => Array(columns).fill(''));
+    } else {
+      const header = tableHeader[1].split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+      rows = [header, Array(header.length).fill('')];
+    }
+
+    e.preventDefault();
+    const table = createTable(rows);
+    convertLineToBlock(ctx, 'DIV', ctx.lineText.length).replaceWith(table);
+    ensureLineAfter(table);
+    placeCaretInCell(table.rows[tableCommand ? 0 : 1].cells[0]);
+    triggerSave();
+    return true;
+  }
+  return false;
+}
+
+export function initInputRuleEvents() {
+  // initListAutoComplete보다 먼저 등록 (코드 블록 안에서는 리스트 자동 완성 안 함)
+  editor.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.shiftKey || e.isComposing || snippetState.isComposing) return;
+    if (snippetState.snippetFormMode || editor.querySelector('.snippet-match')) return;
+
+    const sel = window.getSelection();
+    if (!sel.rangeCount) return;
+    const container = sel.getRangeAt(0).startContainer;
+    const el = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+    if (!editor.contains(el)) return;
+
+    const code = el.closest('pre code') || el.closest('pre')?.querySelector('code');
+    if (code) {
+      handleCodeBlockEnter(e, code);
+      e.stopImmediatePropagation();
+      return;
+    }
+
+    const quote = el.closest('blockquote');
+    if (quote && sel.isCollapsed && handleQuoteEnter(e, quote)) {
+      e.stopImmediatePropagation();
+      return;
+    }
+
+    const ctx = getLineContext();
+    if (ctx && !ctx.node.parentElement.closest(RULE_EXCLUDED) && handleLineEnter(e, ctx)) {
+      e.stopImmediatePropagation();
+    }
+  });
+}
@@ -0,0 +1,475 @@
+/**
+ * markdown.js - 메모 HTML ↔ GitHub 스타일 Markdown 변환 (내보내기/가져오기)
+ * 체크박스 ☐/☑ ↔ - [ ]/- [x], 글머리표 • ↔ -, 표 ↔ GFM 표(첫 행이 머리글), 이미지/동영상은 assets/ 상대 경로
+ */
+
+export const MARKDOWN_ASSET_DIR = 'assets';
+
+const BLOCK = '\u0000';        // 블록 경계 (연속되면 줄바꿈 하나로 합침)
+const EMPTY_LINE = '\u0001';   // 빈 줄 블록 (<div><br></div>)
+
+const VIDEO_TYPES = {
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  m4v: 'video/x-m4v',
+  ogv: 'video/ogg'
+};
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+
+function getFileName(filePath) {
+  return filePath.split(/[\\/]/).pop();
+}
+
+function getExtension(filePath) {
+  const name = getFileName(filePath);
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+function isSafeHref(href) {
+  return /^(https?:|mailto:)/i.test(href);
+}
+
+// ===== HTML → Markdown =====
+
+// 본문 텍스트 중 Markdown 문법으로 해석될 문자 이스케이프
+function escapeInline(text) {
+  return text
+    .replace(/[\\`*]/g, '\\$&')
+    .replace(/(^|\s)_|_(?=\s|$)/g, (m) => m.replace('_', '\\_'))
+    .replace(/<(?=[A-Za-z/!?])/g, '\\<');
+}
+
+// 줄 첫머리 처리: 체크박스/글머리표는 목록으로, 제목/인용/구분선처럼 보이는 글자는 이스케이프
+function convertLineStart(line) {
+  const list = line.match(/^(\s*)([☐☑•])\s?/);
+  if (list) {
+    const marker = list[2] === '☐' ? '- [ ] ' : list[2] === '☑' ? '- [x] ' : '- ';
+    return list[1] + marker + escapeInline(line.slice(list[0].length));
+  }
+
+  const escaped = escapeInline(line);
+  if (/^\s*(#{1,6}(\s|$)|>|(-\s*){3,}$|=+\s*$)/.test(escaped)) {
+    return escaped.replace(/^(\s*)/, '$1\\');
+  }
+  return escaped;
+}
+
+function lastChar(ctx) {
+  const last = ctx.out[ctx.out.length - 1];
+  return last ? last.slice(-1) : '';
+}
+
+function isAtLineStart(ctx) {
+  const last = lastChar(ctx);
+  return last === '' || last === '\n' || last === BLOCK || last === EMPTY_LINE;
+}
+
+function emit(ctx, text) {
+  if (text) ctx.out.push(text);
+}
+
+function emitBlock(ctx, text) {
+  emit(ctx, BLOCK);
+  emit(ctx, text);
+  emit(ctx, BLOCK);
+}
+
+function serializeText(text, ctx) {
+  text.split('\n').forEach((line, i) => {
+    if (i > 0) emit(ctx, '\n');
+    emit(ctx, isAtLineStart(ctx) ? convertLineStart(line) : escapeInline(line));
+  });
+}
+
+// **굵게** 등: 앞뒤 공백은 기호 밖으로 (GFM은 "** 굵게 **"를 강조로 보지 않음)
+function serializeWrapped(node, ctx, marker) {
+  const text = node.textContent.replace(/\u200B/g, '');
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) {
+    serializeText(text, ctx);
+    return;
+  }
+  if (isAtLineStart(ctx)) emit(ctx, match[1]);
+  else serializeText(match[1], ctx);
+  emit(ctx, marker + escapeInline(match[2]) + marker);
+  emit(ctx, match[3]);
+}
+
+function serializeCodeSpan(text, ctx) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  emit(ctx, `${fence}${padding}${text}${padding}${fence}`);
+}
+
+function serializeMedia(node, ctx) {
+  const filePath = node.getAttribute('data-path') || (node.getAttribute('src') || '').replace(/^file:\/\//, '');
+  if (!filePath) return;
+  const name = getFileName(filePath);
+  ctx.assets.add(name);
+  const target = `${MARKDOWN_ASSET_DIR}/${encodeURI(name)}`;
+  // GFM은 동영상 임베드 문법이 없으므로 링크로
+  emit(ctx, node.tagName === 'VIDEO' ? `[${name}](${target})` : `![](${target})`);
+}
+
+function serializeCodeBlock(node, ctx) {
+  const code = node.textContent.replace(/\u200B/g, '').replace(/\n+$/, '');
+  const language = (node.querySelector('code')?.className.match(/language-([\w+#-]+)/) || [])[1] || '';
+  const longest = Math.max(0, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  emitBlock(ctx, `${fence}${language}\n${code}\n${fence}`);
+}
+
+// 표 → GFM 표 (셀 안 줄바꿈은 공백으로, | 는 이스케이프)
+function serializeTable(node, ctx) {
+  const rows = [...node.rows].map(row => [...row.cells].map(cell =>
+    escapeInline(cell.textContent.replace(/\u200B/g, '').replace(/\s*\n\s*/g, ' ').trim()).replace(/\|/g, '\\|')
+  ));
+  if (rows.length === 0) return;
+
+  const columns = Math.max(...rows.map(row => row.length));
+  const toLine = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+  const lines = [toLine(rows[0]), toLine(Array(columns).fill('---')), ...rows.slice(1).map(toLine)];
+  emitBlock(ctx, lines.join('\n'));
+}
+
+// 일반 줄 블록 (<div>): 빈 블록은 빈 줄, 끝의 <br>은 줄 자리표시라 무시
+function serializeLineBlock(node, ctx) {
+  emit(ctx, BLOCK);
+  const isEmpty = !node.textContent.replace(/\u200B/g, '') && !node.querySelector('img, video, hr, pre');
+  if (isEmpty) {
+    emit(ctx, EMPTY_LINE);
+  } else {
+    serializeChildren(node, ctx);
+    if (node.lastChild?.nodeName === 'BR' && ctx.out[ctx.out.length - 1] === '\n') ctx.out.pop();
+  }
+  emit(ctx, BLOCK);
+}
+
+function serializeChildren(node, ctx) {
+  node.childNodes.forEach(child => serializeNode(child, ctx));
+}
+
+function serializeNode(node, ctx) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    serializeText(node.textContent.replace(/\u200B/g, ''), ctx);
+    return;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || node.classList.contains('todo-time-badge')) return;
+
+  const tag = node.tagName.toLowerCase();
+  switch (tag) {
+    case 'br':
+      emit(ctx, '\n');
+      break;
+    case 'strong':
+    case 'b':
+      serializeWrapped(node, ctx, '**');
+      break;
+    case 'em':
+    case 'i':
+      serializeWrapped(node, ctx, '*');
+      break;
+    case 's':
+    case 'del':
+    case 'strike':
+      serializeWrapped(node, ctx, '~~');
+      break;
+    case 'code':
+      serializeCodeSpan(node.textContent.replace(/\u200B/g, ''), ctx);
+      break;
+    case 'a': {
+      const href = node.getAttribute('href') || '';
+      if (isSafeHref(href)) {
+        emit(ctx, `[${escapeInline(node.textContent)}](${href.replace(/[ ()]/g, encodeURIComponent)})`);
+      } else {
+        serializeChildren(node, ctx);
+      }
+      break;
+    }
+    case 'img':
+    case 'video':
+      serializeMedia(node, ctx);
+      break;
+    case 'hr':
+      emitBlock(ctx, '---');
+      break;
+    case 'pre':
+      serializeCodeBlock(node, ctx);
+      break;
+    case 'table':
+      serializeTable(node, ctx);
+      break;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      emitBlock(ctx, `${'#'.repeat(Number(tag[1]))} ${escapeInline(node.textContent.replace(/\u200B/g, '').trim())}`);
+      break;
+    case 'blockquote': {
+      const inner = serializeFragment(node, ctx.assets);
+      emitBlock(ctx, inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+      break;
+    }
+    case 'div':
+    case 'p':
+    case 'li':
+      serializeLineBlock(node, ctx);
+      break;
+    default:
+      serializeChildren(node, ctx);
+  }
+}
+
+function serializeFragment(root, assets) {
+  const ctx = { out: [], assets };
+  serializeChildren(root, ctx);
+  return ctx.out.join('')
+    .replace(/\n\u0000/g, BLOCK)    // 블록 바로 앞의 줄바꿈은 화면에 보이지 않음
+    .replace(/\u0000+/g, BLOCK)
+    .replace(/^\u0000|\u0000$/g, '')
+    .replace(/\u0000/g, '\n')
+    .replace(/\u0001/g, '');
+}
+
+/**
+ * 메모 HTML → Markdown
+ * @param {string} html - 메모 본문
+ * @returns {{ markdown: string, assets: string[] }} assets: 함께 복사할 이미지/동영상 파일명
+ */
+export function htmlToMarkdown(html) {
+  // template 안에서는 이미지 로드/스크립트 실행이 일어나지 않음
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  const assets = new Set();
+  const markdown = serializeFragment(template.content, assets);
+  return { markdown: markdown ? markdown + '\n' : '', assets: [...assets] };
+}
+
+// ===== Markdown → HTML =====
+
+// 인라인 문법 (순서 중요: 코드 → 이미지 → 링크 → 강조)
+const INLINE_PATTERN = new RegExp([
+  /\\([\\`*_{}[\]()#+\-.!<>~|])/.source,                                  // 1: 이스케이프
+  /(`+)([\s\S]+?)\2(?!`)/.source,                                         // 2,3: 코드
+  /!\[([^\]]*)\]\((<[^>]+>|[^)\s]+)(?:\s+"[^"]*")?\)/.source,             // 4,5: 이미지
+  /\[([^\]]+)\]\((<[^>]+>|[^)\s]+)(?:\s+"[^"]*")?\)/.source,              // 6,7: 링크
+  /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/.source,             // 8,9: 굵게
+  /\*(?=\S)([^*]*?\S)\*|(?<![\p{L}\p{N}])_(?=\S)([^_]*?\S)_(?![\p{L}\p{N}])/.source, // 10,11: 기울임
+  /~~(?=\S)([\s\S]*?\S)~~/.source,                                        // 12: 취소선
+  /<(https?:\/\/[^>\s]+)>/.source                                         // 13: 자동 링크
+].join('|'), 'gu');
+
+function unwrapTarget(target) {
+  return target.startsWith('<') ? target.slice(1, -1) : target;
+}
+
+function createMediaElement(filePath) {
+  const ext = getExtension(filePath);
+  if (VIDEO_TYPES[ext]) {
+    const video = document.createElement('video');
+    video.src = `file://${filePath}`;
+    video.className = 'memo-video';
+    video.setAttribute('data-path', filePath);
+    video.setAttribute('controls', 'true');
+    video.setAttribute('preload', 'metadata');
+    video.setAttribute('contenteditable', 'false');
+    const source = document.createElement('source');
+    source.src = `file://${filePath}`;
+    source.type = VIDEO_TYPES[ext];
+    video.appendChild(source);
+    return video;
+  }
+  if (IMAGE_EXTENSIONS.includes(ext)) {
+    const img = document.createElement('img');
+    img.src = `file://${filePath}`;
+    img.className = 'memo-image';
+    img.setAttribute('data-path', filePath);
+    return img;
+  }
+  return null;
+}
+
+// 이미지 폴더 안 파일만 메모에 삽입 (가져오기 시 메인 프로세스가 경로를 바꿔 둠)
+function resolveMedia(target, mediaDir) {
+  if (!mediaDir) return null;
+  let filePath;
+  try {
+    filePath = decodeURI(unwrapTarget(target));
+  } catch (e) {
+    return null;
+  }
+  const dir = mediaDir.replace(/[\\/]+$/, '');
+  if (!filePath.startsWith(dir) || !/^[\\/]/.test(filePath.slice(dir.length)) || filePath.includes('..')) return null;
+  return createMediaElement(filePath);
+}
+
+function createLink(text, href) {
+  const link = document.createElement('a');
+  link.href = href;
+  link.textContent = text;
+  return link;
+}
+
+function createInline(tag, text, options) {
+  const el = document.createElement(tag);
+  appendInline(el, text, options);
+  return el;
+}
+
+function appendInline(parent, text, options) {
+  let lastIndex = 0;
+  for (const m of text.matchAll(INLINE_PATTERN)) {
+    if (m.index > lastIndex) parent.append(text.slice(lastIndex, m.index));
+    lastIndex = m.index + m[0].length;
+
+    if (m[1] !== undefined) {
+      parent.append(m[1]);
+    } else if (m[3] !== undefined) {
+      const code = document.createElement('code');
+      code.textContent = /^ .* $/.test(m[3]) && m[3].trim() ? m[3].slice(1, -1) : m[3];
+      parent.append(code);
+    } else if (m[5] !== undefined) {
+      const media = resolveMedia(m[5], options.mediaDir);
+      const href = unwrapTarget(m[5]);
+      if (media) parent.append(media);
+      else if (isSafeHref(href)) parent.append(createLink(m[4] || href, href));
+      else parent.append(m[0]);
+    } else if (m[7] !== undefined) {
+      const media = resolveMedia(m[7], options.mediaDir);
+      const href = unwrapTarget(m[7]);
+      if (media) parent.append(media);
+      else if (isSafeHref(href)) parent.append(createLink(m[6], href));
+      else parent.append(m[6]);
+    } else if (m[8] !== undefined || m[9] !== undefined) {
+      parent.append(createInline('strong', m[8] ?? m[9], options));
+    } else if (m[10] !== undefined || m[11] !== undefined) {
+      parent.append(createInline('em', m[10] ?? m[11], options));
+    } else if (m[12] !== undefined) {
+      parent.append(createInline('s', m[12], options));
+    } else if (m[13] !== undefined) {
+      parent.append(m[13]);
+    }
+  }
+  if (lastIndex < text.length) parent.append(text.slice(lastIndex));
+}
+
+// 목록 줄 → 메모 표기 (들여쓰기 유지)
+function convertListLine(line) {
+  const task = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+  if (task) return `${task[1]}${task[2] === ' ' ? '☐' : '☑'} ${task[3]}`;
+  const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+  if (bullet) return `${bullet[1]}• ${bullet[2]}`;
+  const ordered = line.match(/^(\s*)(\d+)[.)]\s+(.*)$/);
+  if (ordered) return `${ordered[1]}${ordered[2]}. ${ordered[3]}`;
+  return line;
+}
+
+const TABLE_DELIMITER_ROW = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// | a | b | → ['a', 'b'] (\| 는 셀 안의 글자)
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+function createTableElement(rows, options) {
+  const table = document.createElement('table');
+  table.className = 'memo-table';
+  const tbody = table.createTBody();
+  const columns = rows[0].length;
+  rows.forEach(cells => {
+    const row = tbody.insertRow();
+    for (let i = 0; i < columns; i++) {
+      const cell = row.insertCell();
+      if (cells[i]) appendInline(cell, cells[i], options);
+      else cell.appendChild(document.createElement('br'));
+    }
+  });
+  return table;
+}
+
+function parseBlocks(lines, container, options) {
+  let lineOpen = false;   // 직전이 텍스트 줄이면 다음 줄 앞에 줄바꿈
+
+  const appendLine = (text) => {
+    if (lineOpen) container.append('\n');
+    appendInline(container, text, options);
+    lineOpen = true;
+  };
+  const appendBlock = (el) => {
+    container.append(el);
+    lineOpen = false;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#-]*)/);
+    if (fence) {
+      const code = [];
+      const closing = new RegExp(`^\\s*${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+      while (++i < lines.length && !closing.test(lines[i])) code.push(lines[i]);
+      const pre = document.createElement('pre');
+      const codeEl = document.createElement('code');
+      if (fence[2]) codeEl.className = `language-${fence[2].toLowerCase()}`;
+      // 마지막 줄 뒤 줄바꿈 자리표시 (입력 규칙과 같은 형태)
+      codeEl.textContent = code.join('\n') + '\n\n';
+      pre.appendChild(codeEl);
+      appendBlock(pre);
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      appendBlock(createInline(`h${Math.min(heading[1].length, 3)}`, heading[2], options));
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      appendBlock(document.createElement('hr'));
+      continue;
+    }
+
+    // 머리글 줄 + 구분 줄(| --- |)이 있어야 표
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER_ROW.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const rows = [splitTableRow(line)];
+      for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+        rows.push(splitTableRow(lines[i]));
+      }
+      i--;
+      appendBlock(createTableElement(rows, options));
+      continue;
+    }
+
+    if (/^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && /^\s{0,3}>/.test(lines[i]); i++) {
+        quoted.push(lines[i].replace(/^\s{0,3}> ?/, ''));
+      }
+      i--;
+      const blockquote = document.createElement('blockquote');
+      parseBlocks(quoted, blockquote, options);
+      appendBlock(blockquote);
+      continue;
+    }
+
+    appendLine(convertListLine(line));
+  }
+}
+
+/**
+ * Markdown → 메모 HTML
+ * @param {string} markdown
+ * @param {{ mediaDir?: string }} options - 이미지 폴더 (이 안의 절대 경로만 이미지/동영상으로 삽입)
+ * @returns {string}
+ */
+export function markdownToHtml(markdown, options = {}) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+  const container = document.createElement('div');
+  parseBlocks(lines, container, options);
+  return container.innerHTML;
+}
@@ -4,6 +4,7 @@
 
 import { elements, mediaState } from './state.js';
 import { triggerSave } from './memo.js';
+import { recordEdit } from './editHistory.js';
 
 const { editor } = elements;
 
@@ -17,7 +18,7 @@ export async function handleImagePaste(file) {
       const result = await window.api.saveImage(base64, file.type);
 
       if (result.success) {
-        insertImageAtCursor(result.path);
+        recordEdit(() => insertImageAtCursor(result.path));
       }
     };
     reader.readAsDataURL(file);
@@ -59,7 +60,7 @@ export async function handleVideoPaste(file) {
       const result = await window.api.saveVideo(base64, file.type);
 
       if (result.success) {
-        insertVideoAtCursor(result.path, file.type);
+        recordEdit(() => insertVideoAtCursor(result.path, file.type));
       } else {
         console.error('Video save failed:', result.error);
       }
@@ -118,7 +119,8 @@ export function selectMedia(element) {
 
 export function deleteSelectedMedia() {
   if (mediaState.selectedMedia) {
-    mediaState.selectedMedia.remove();
+    const media = mediaState.selectedMedia;
+    recordEdit(() => media.remove());
     mediaState.selectedMedia = null;
     triggerSave();
   }
@@ -3,10 +3,13 @@
  */
 
 import { elements, memoState, timers, snippetState } from './state.js';
-import { getEditorContent, setEditorContent, getPlainText, getPlainTextFromHtml, stripInlineHandlers, applyStrikethrough, highlightTodoTimes } from './editor.js';
+import { getEditorContent, setEditorContent, getPlainText, getPlainTextFromHtml, stripInlineHandlers, applyStrikethrough, highlightTodoTimes, highlightTags } from './editor.js';
 import { clearLinkPreviews, processLinksInEditor } from './linkPreview.js';
 import { parseAllTodoTimes, parseTime } from './timeParser.js';
 import { startCollaboration, stopCollaboration, isCollaborating } from './collaboration.js';
+import { refreshWikiLinks, renderBacklinks } from './wikiLink.js';
+import { parseTodoTree, updateSubtaskProgress } from './subtasks.js';
+import { updateStats } from './stats.js';
 
 const { editor, sidebar } = elements;
 
@@ -19,6 +22,9 @@ export function setRenderMemoListFn(fn) {
 // ===== 상태바 업데이트 =====
 
 export function updateStatusbar(time) {
+  // 하단 글자 수 등 통계
+  updateStats();
+
   // 상단 타이틀바 날짜 업데이트
   const titlebarDate = document.getElementById('titlebar-date');
 
@@ -102,9 +108,20 @@ export async function loadMemo(index) {
     // 할일 시간 하이라이트
     highlightTodoTimes();
 
+    // 태그 칩
+    highlightTags();
+
+    // 하위 할일 진행률
+    updateSubtaskProgress();
+
+    // [[링크]] 제목 갱신
+    refreshWikiLinks();
+
     // 공유 메모면 자동으로 협업 시작
     await tryAutoCollaboration(memoState.currentMemo);
   }
+
+  renderBacklinks();
 }
 
 // 공유 메모 자동 협업 연결
@@ -193,29 +210,18 @@ async function syncReminders(content, memoId) {
 
   try {
     const plainText = getPlainTextFromHtml(content);
-    const lines = plainText.split('\n');
-
-    // 모든 체크박스 파싱
-    const allTodos = [];
-    let checkboxIndex = 0;
-
-    lines.forEach(line => {
-      const checkboxMatch = line.match(/^(\s*)(☐|☑)\s*(.+)/);
-      if (checkboxMatch) {
-        const isChecked = checkboxMatch[2] === '☑';
-        const todoText = checkboxMatch[3].trim();
-        const timeInfo = parseTime(todoText);
-
-        allTodos.push({
-          checkboxIndex,
-          text: timeInfo?.cleanText || todoText,
-          hasTime: timeInfo ? 1 : 0,
-          isCompleted: isChecked ? 1 : 0,
-          timeInfo
-        });
-
-        checkboxIndex++;
-      }
+
+    // 모든 체크박스 파싱 (들여쓴 체크박스는 위 체크박스의 하위 항목)
+    const allTodos = parseTodoTree(plainText.split('\n')).map((todo, checkboxIndex) => {
+      const timeInfo = parseTime(todo.text);
+      return {
+        checkboxIndex,
+        parentIndex: todo.parentIndex,
+        text: timeInfo?.cleanText || todo.text,
+        hasTime: timeInfo ? 1 : 0,
+        isCompleted: todo.isChecked ? 1 : 0,
+        timeInfo
+      };
     });
 
     // 할일 추적 동기화 (시간 없는 할일 리마인더용)
@@ -344,6 +350,18 @@ export async function goToMemoByUuid(memoUuid) {
   }
 }
 
+// [[링크]]/백링크로 이동 (편집 중인 내용 먼저 저장)
+export async function openMemoByUuid(memoUuid) {
+  clearTimeout(timers.saveTimeout);
+  await saveCurrentContent();
+
+  const found = await goToMemoByUuid(memoUuid);
+  if (found && sidebar.classList.contains('open') && renderMemoListFn) {
+    renderMemoListFn();
+  }
+  return found;
+}
+
 // 전역으로 노출
 window.goToMemo = goToMemo;
 window.goToMemoByUuid = goToMemoByUuid;
@@ -359,6 +377,10 @@ export async function cleanupOnClose() {
       await window.api.delete(memoState.currentMemo.id);
     } else if (plainText !== '' || hasMedia) {
       await saveCurrentContent();
+      // 닫을 때 마지막 상태를 버전으로 보관
+      if (memoState.currentMemo) {
+        await window.api.snapshotMemoVersion(memoState.currentMemo.id);
+      }
     }
   } catch (e) {
     console.error('Cleanup error:', e);
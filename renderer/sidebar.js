@@ -6,6 +6,8 @@ import { elements, memoState, sidebarState } from './state.js';
 import { getPlainTextFromHtml, setEditorContent, getEditorContent } from './editor.js';
 import { escapeHtml, isValidColor } from './security.js';
 import { isPro } from './auth.js';
+import { openHistoryDialog } from './history.js';
+import { htmlToMarkdown, markdownToHtml } from './markdown.js';
 
 // 날짜 포맷 (순환 참조 방지를 위해 여기서 직접 구현)
 function formatDate(time) {
@@ -43,15 +45,18 @@ export function setLoadMemoFn(fn) {
 // ===== 에디터 위치 업데이트 =====
 
 export function updateEditorPosition() {
+  const backlinks = document.getElementById('backlinks');
   if (sidebar.classList.contains('open')) {
     const left = (sidebarState.sidebarWidth + 20) + 'px';
     const toolLogLeft = (sidebarState.sidebarWidth + 12) + 'px';
     editor.style.left = left;
     linkPreviewsContainer.style.left = left;
+    if (backlinks) backlinks.style.left = left;
     if (toolLog) toolLog.style.left = toolLogLeft;
   } else {
     editor.style.left = '20px';
     linkPreviewsContainer.style.left = '20px';
+    if (backlinks) backlinks.style.left = '20px';
     if (toolLog) toolLog.style.left = '12px';
   }
 }
@@ -91,6 +96,38 @@ function toggleMemoMenu(memo, _itemEl, btnEl) {
     renderMemoList();
   });
 
+  // 버전 기록 옵션
+  const historyOption = document.createElement('div');
+  historyOption.className = 'memo-item-menu-option';
+  historyOption.textContent = '버전 기록';
+  historyOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    await openHistoryDialog(memo);
+  });
+
+  // 보관 옵션 (목록에서 숨기되 삭제하지 않음)
+  const archiveOption = document.createElement('div');
+  archiveOption.className = 'memo-item-menu-option';
+  archiveOption.textContent = memo.archived_at ? '보관 해제' : '보관';
+  archiveOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    await window.api.setMemoArchived(memo.id, !memo.archived_at);
+    await reloadMemos();
+    refreshTags();
+  });
+
+  // Markdown 내보내기 옵션
+  const exportOption = document.createElement('div');
+  exportOption.className = 'memo-item-menu-option';
+  exportOption.textContent = 'Markdown으로 내보내기';
+  exportOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    await exportMemoAsMarkdown(memo);
+  });
+
   // 삭제 옵션
   const deleteOption = document.createElement('div');
   deleteOption.className = 'memo-item-menu-option delete';
@@ -106,99 +143,966 @@ function toggleMemoMenu(memo, _itemEl, btnEl) {
       setEditorContent('');
     }
     renderMemoList();
+    refreshTrash();
   });
 
   menu.appendChild(pinOption);
+  menu.appendChild(historyOption);
+  menu.appendChild(archiveOption);
+  menu.appendChild(exportOption);
   menu.appendChild(deleteOption);
   document.body.appendChild(menu);
   memoState.openMenuId = memo.id;
 }
 
+// 휴지통 메모 메뉴 (복원 / 영구 삭제)
+function toggleTrashMenu(memo, btnEl) {
+  if (memoState.openMenuId === memo.id) {
+    closeAllMenus();
+    return;
+  }
+  closeAllMenus();
+
+  const menu = document.createElement('div');
+  menu.className = 'memo-item-menu';
+
+  const rect = btnEl.getBoundingClientRect();
+  menu.style.position = 'fixed';
+  menu.style.left = (rect.right + 4) + 'px';
+  menu.style.top = (rect.top + rect.height / 2) + 'px';
+  menu.style.transform = 'translateY(-50%)';
+
+  const restoreOption = document.createElement('div');
+  restoreOption.className = 'memo-item-menu-option';
+  restoreOption.textContent = '복원';
+  restoreOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    await window.api.restoreMemo(memo.id);
+    memoState.memos = await window.api.getAll();
+    await refreshTrash();
+  });
+
+  const purgeOption = document.createElement('div');
+  purgeOption.className = 'memo-item-menu-option delete';
+  purgeOption.textContent = '영구 삭제';
+  purgeOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    await window.api.deleteMemoPermanent(memo.id);
+    await refreshTrash();
+  });
+
+  menu.appendChild(restoreOption);
+  menu.appendChild(purgeOption);
+  document.body.appendChild(menu);
+  memoState.openMenuId = memo.id;
+}
+
 // ===== 메모 목록 렌더링 =====
 
+// 표시할 메모 인덱스 (검색 중이면 FTS 랭킹 순서, 보관함/태그 필터 적용)
+function getVisibleIndices() {
+  const searchQuery = searchInput.value.trim();
+  let indices;
+
+  if (!searchQuery || !memoState.searchResults) {
+    indices = memoState.memos.map((_, index) => index);
+  } else {
+    const indexById = new Map(memoState.memos.map((memo, index) => [memo.id, index]));
+    indices = [];
+    memoState.searchResults.forEach((_, id) => {
+      const index = indexById.get(id);
+      if (index !== undefined) indices.push(index);
+    });
+  }
+
+  // 보관함 보기면 보관한 메모만, 아니면 보관한 메모 제외
+  indices = indices.filter(index => !!memoState.memos[index].archived_at === memoState.archiveMode);
+
+  if (memoState.tagFilter) {
+    indices = indices.filter(index => memoState.memos[index].tags?.includes(memoState.tagFilter));
+  }
+  return indices;
+}
+
 export function renderMemoList() {
-  const searchQuery = searchInput.value.toLowerCase().trim();
+  if (memoState.trashMode) {
+    renderTrashList();
+    return;
+  }
+  // 폴더 이름 편집 중에는 입력란이 사라지지 않도록 편집이 끝난 뒤 렌더링
+  if (folderRenameActive) return;
+
   memoList.innerHTML = '';
   memoState.filteredIndices = [];
+  updateArchiveCount();
+
+  // 보관함은 폴더 구분 없이 표시
+  if (memoState.archiveMode) {
+    renderArchiveHeader();
+    getVisibleIndices().forEach(index => appendMemoItem(index));
+    return;
+  }
+
+  // 검색/태그 필터 중에는 폴더 구분 없이 결과만 표시
+  if (isListFiltered()) {
+    getVisibleIndices().forEach(index => appendMemoItem(index));
+    return;
+  }
+
+  renderFolderTree();
+}
+
+// 메모 항목 추가 (depth: 폴더 깊이 → 들여쓰기, inTree: 폴더 트리 보기)
+function appendMemoItem(index, depth = 0, inTree = false) {
+  const memo = memoState.memos[index];
+  const plainText = getPlainTextFromHtml(memo.content);
+  const searchHit = memoState.searchResults?.get(memo.id);
+
+  memoState.filteredIndices.push(index);
+
+  const item = document.createElement('div');
+  let itemClass = 'memo-item';
+  if (index === memoState.currentIndex) itemClass += ' active';
+  if (memo.pinned) itemClass += ' pinned';
+  if (memo.received_from && !memo.is_read) itemClass += ' received';
+  if (memo.last_notified_at && !memo.is_read) itemClass += ' notified';
+  item.className = itemClass;
+  item.style.setProperty('--depth', depth);
+  const folderId = getMemoFolderId(memo);
+  if (folderId) item.dataset.folderId = folderId;
+
+  // 트리 보기에서만 폴더로 드래그 이동
+  if (inTree) {
+    item.draggable = true;
+    item.addEventListener('dragstart', (e) => startDrag(e, 'memo', memo.id));
+    item.addEventListener('dragend', endDrag);
+  }
+
+  const contentDiv = document.createElement('div');
+  contentDiv.className = 'memo-item-content';
+
+  const firstLine = plainText.trim().split('\n')[0] || '';
+  const preview = firstLine.substring(0, 30) || '(빈 메모)';
+  const dateStr = formatDate(memo.updated_at);
+
+  const previewDiv = document.createElement('div');
+  previewDiv.className = 'memo-item-preview';
+
+  // 클라우드 메모 아이콘
+  if (memo.is_cloud) {
+    const cloudIcon = document.createElement('span');
+    cloudIcon.className = 'cloud-icon';
+    cloudIcon.title = '클라우드 메모';
+    cloudIcon.innerHTML = '<svg viewBox="0 0 512 512" width="14" height="14"><path fill="currentColor" d="M421 406H91c-24.05 0-46.794-9.327-64.042-26.264C9.574 362.667 0 340.031 0 316s9.574-46.667 26.958-63.736c13.614-13.368 30.652-21.995 49.054-25.038-.008-.406-.012-.815-.012-1.226 0-66.168 53.832-120 120-120 24.538 0 48.119 7.387 68.194 21.363 14.132 9.838 25.865 22.443 34.587 37.043 14.079-8.733 30.318-13.406 47.219-13.406 44.886 0 82.202 33.026 88.921 76.056 18.811 2.88 36.244 11.581 50.122 25.208C502.426 269.333 512 291.969 512 316s-9.574 46.667-26.957 63.736C467.794 396.673 445.05 406 421 406z"/></svg>';
+    previewDiv.appendChild(cloudIcon);
+  }
+
+  const previewText = document.createTextNode((memo.pinned ? '* ' : '') + preview);
+  previewDiv.appendChild(previewText);
+
+  const dateDiv = document.createElement('div');
+  dateDiv.className = 'memo-item-date';
+  dateDiv.textContent = dateStr;
+
+  contentDiv.appendChild(previewDiv);
+
+  // 검색 매칭 스니펫 (main에서 이스케이프 + <mark> 처리됨)
+  if (searchHit?.snippet) {
+    const snippetDiv = document.createElement('div');
+    snippetDiv.className = 'memo-item-snippet';
+    snippetDiv.innerHTML = searchHit.snippet;
+    contentDiv.appendChild(snippetDiv);
+  }
+
+  contentDiv.appendChild(dateDiv);
+
+  // 설정 버튼
+  const menuBtn = document.createElement('button');
+  menuBtn.className = 'memo-item-menu-btn';
+  menuBtn.innerHTML = '<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="2"/><circle cx="4" cy="12" r="2"/><circle cx="20" cy="12" r="2"/></svg>';
+  menuBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleMemoMenu(memo, item, menuBtn);
+  });
+
+  item.appendChild(contentDiv);
+  item.appendChild(menuBtn);
+
+  item.addEventListener('click', async () => {
+    closeAllMenus();
+    if (loadMemoFn) {
+      await loadMemoFn(index);
+      // 받은 메모 또는 알림 온 메모 읽음 처리
+      if (!memo.is_read) {
+        await window.api.markMemoRead(memo.id);
+        memo.is_read = 1;
+      }
+      renderMemoList();
+    }
+  });
+
+  memoList.appendChild(item);
+
+  if (index === memoState.currentIndex) {
+    item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+}
+
+// ===== 폴더 (노트북) =====
+
+let folderRenameActive = false;  // 폴더 이름 입력 중 (목록 다시 그리기 보류)
+let dragItem = null;             // 드래그 중인 항목 { type: 'memo' | 'folder', id }
+
+// 검색어/태그 필터 적용 여부 (적용 중이면 평면 목록)
+function isListFiltered() {
+  return !!(searchInput.value.trim() && memoState.searchResults) || !!memoState.tagFilter;
+}
 
+// 메모의 폴더 ID (없는 폴더를 가리키면 최상위로 취급)
+function getMemoFolderId(memo) {
+  if (!memo.folder_id) return null;
+  return memoState.folders.some(f => f.id === memo.folder_id) ? memo.folder_id : null;
+}
+
+// 폴더 자신 + 하위 폴더 ID
+function getFolderSubtreeIds(folderId) {
+  const ids = [folderId];
+  for (let i = 0; i < ids.length; i++) {
+    memoState.folders.forEach(f => {
+      if (f.parent_id === ids[i]) ids.push(f.id);
+    });
+  }
+  return ids;
+}
+
+function renderFolderTree() {
+  // 폴더별 메모 인덱스 (getAll 정렬 순서 유지)
+  const indicesByFolder = new Map();
   memoState.memos.forEach((memo, index) => {
-    const plainText = getPlainTextFromHtml(memo.content);
+    if (memo.archived_at) return;
+    const folderId = getMemoFolderId(memo);
+    if (!indicesByFolder.has(folderId)) indicesByFolder.set(folderId, []);
+    indicesByFolder.get(folderId).push(index);
+  });
+
+  const childrenByParent = new Map();
+  memoState.folders.forEach(folder => {
+    const parentId = folder.parent_id ?? null;
+    if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+    childrenByParent.get(parentId).push(folder);
+  });
+
+  // 하위 폴더 포함 메모 수
+  const countFolder = (folderId) => (indicesByFolder.get(folderId)?.length || 0) +
+    (childrenByParent.get(folderId) || []).reduce((sum, child) => sum + countFolder(child.id), 0);
+
+  const renderLevel = (parentId, depth) => {
+    (childrenByParent.get(parentId) || []).forEach(folder => {
+      memoList.appendChild(createFolderItem(folder, depth, countFolder(folder.id)));
+      if (!folder.collapsed) renderLevel(folder.id, depth + 1);
+    });
+    (indicesByFolder.get(parentId) || []).forEach(index => appendMemoItem(index, depth, true));
+  };
+
+  renderLevel(null, 0);
+}
+
+function createFolderItem(folder, depth, count) {
+  const item = document.createElement('div');
+  item.className = 'folder-item' + (folder.collapsed ? ' collapsed' : '');
+  item.style.setProperty('--depth', depth);
+  item.dataset.folderId = folder.id;
+  item.draggable = true;
+
+  const toggle = document.createElement('span');
+  toggle.className = 'folder-toggle';
+  toggle.innerHTML = '<svg viewBox="0 0 24 24"><path d="M8 5l8 7-8 7z"/></svg>';
+
+  const name = document.createElement('span');
+  name.className = 'folder-name';
+  name.textContent = folder.name;
+
+  const countSpan = document.createElement('span');
+  countSpan.className = 'folder-count';
+  countSpan.textContent = count > 0 ? String(count) : '';
+
+  const menuBtn = document.createElement('button');
+  menuBtn.className = 'memo-item-menu-btn';
+  menuBtn.innerHTML = '<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="2"/><circle cx="4" cy="12" r="2"/><circle cx="20" cy="12" r="2"/></svg>';
+  menuBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleFolderMenu(folder, menuBtn, count);
+  });
+
+  item.appendChild(toggle);
+  item.appendChild(name);
+  item.appendChild(countSpan);
+  item.appendChild(menuBtn);
+
+  item.addEventListener('click', () => {
+    closeAllMenus();
+    toggleFolderCollapsed(folder);
+  });
+  item.addEventListener('dblclick', (e) => {
+    e.stopPropagation();
+    startFolderRename(folder, item);
+  });
+  item.addEventListener('dragstart', (e) => startDrag(e, 'folder', folder.id));
+  item.addEventListener('dragend', endDrag);
+
+  return item;
+}
+
+function toggleFolderCollapsed(folder) {
+  folder.collapsed = folder.collapsed ? 0 : 1;
+  renderMemoList();
+  window.api.setFolderCollapsed(folder.id, folder.collapsed === 1);
+}
+
+function toggleFolderMenu(folder, btnEl, count) {
+  const menuId = `folder-${folder.id}`;
+  if (memoState.openMenuId === menuId) {
+    closeAllMenus();
+    return;
+  }
+  closeAllMenus();
+
+  const menu = document.createElement('div');
+  menu.className = 'memo-item-menu';
+
+  const rect = btnEl.getBoundingClientRect();
+  menu.style.position = 'fixed';
+  menu.style.left = (rect.right + 4) + 'px';
+  menu.style.top = (rect.top + rect.height / 2) + 'px';
+  menu.style.transform = 'translateY(-50%)';
+
+  const subfolderOption = document.createElement('div');
+  subfolderOption.className = 'memo-item-menu-option';
+  subfolderOption.textContent = '하위 폴더';
+  subfolderOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    await createFolder(folder.id);
+  });
+
+  const renameOption = document.createElement('div');
+  renameOption.className = 'memo-item-menu-option';
+  renameOption.textContent = '이름 변경';
+  renameOption.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    const itemEl = memoList.querySelector(`.folder-item[data-folder-id="${folder.id}"]`);
+    if (itemEl) startFolderRename(folder, itemEl);
+  });
+
+  const importOption = document.createElement('div');
+  importOption.className = 'memo-item-menu-option';
+  importOption.textContent = 'Markdown 가져오기';
+  importOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    await importMarkdown('files', folder.id);
+  });
+
+  const exportOption = document.createElement('div');
+  exportOption.className = 'memo-item-menu-option';
+  exportOption.textContent = 'Markdown으로 내보내기';
+  exportOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    await exportFolderAsMarkdown(folder);
+  });
+
+  const deleteOption = document.createElement('div');
+  deleteOption.className = 'memo-item-menu-option delete';
+  deleteOption.textContent = '삭제';
+  deleteOption.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    closeAllMenus();
+    // 메모는 지우지 않고 상위 폴더로 옮김
+    if (count > 0 && !confirm(`'${folder.name}' 폴더를 삭제할까요?\n안의 메모 ${count}개는 상위 폴더로 이동합니다.`)) return;
+    await window.api.deleteFolder(folder.id);
+    await reloadMemos();
+  });
+
+  menu.appendChild(subfolderOption);
+  menu.appendChild(renameOption);
+  menu.appendChild(importOption);
+  menu.appendChild(exportOption);
+  menu.appendChild(deleteOption);
+  document.body.appendChild(menu);
+  memoState.openMenuId = menuId;
+}
+
+// 새 폴더 생성 후 바로 이름 입력
+async function createFolder(parentId = null) {
+  // 필터 중에는 트리가 보이지 않으므로 해제
+  if (isListFiltered()) {
+    searchInput.value = '';
+    memoState.searchResults = null;
+    searchRequestId++;
+    memoState.tagFilter = null;
+    renderTagFilterBar();
+  }
+
+  const folder = await window.api.createFolder('새 폴더', parentId);
+  if (!folder) return;
+
+  // 상위 폴더가 접혀 있으면 펼침
+  const parent = memoState.folders.find(f => f.id === parentId);
+  if (parent?.collapsed) {
+    parent.collapsed = 0;
+    window.api.setFolderCollapsed(parent.id, false);
+  }
+
+  await reloadMemos();
+  const itemEl = memoList.querySelector(`.folder-item[data-folder-id="${folder.id}"]`);
+  if (itemEl) {
+    itemEl.scrollIntoView({ block: 'nearest' });
+    startFolderRename(memoState.folders.find(f => f.id === folder.id) || folder, itemEl);
+  }
+}
+
+function startFolderRename(folder, itemEl) {
+  if (folderRenameActive) return;
+  const nameEl = itemEl.querySelector('.folder-name');
+  if (!nameEl) return;
+
+  const input = document.createElement('input');
+  input.className = 'folder-name-input';
+  input.value = folder.name;
+  input.maxLength = 100;
+  input.spellcheck = false;
+  nameEl.replaceWith(input);
+  itemEl.draggable = false;
+  folderRenameActive = true;
+
+  let finished = false;
+  const finish = async (commit) => {
+    if (finished) return;
+    finished = true;
+    window.removeEventListener('keydown', onKeyDown, true);
+    folderRenameActive = false;
+
+    const name = input.value.trim();
+    if (commit && name && name !== folder.name) {
+      await window.api.renameFolder(folder.id, name);
+    }
+    await reloadMemos();
+  };
+
+  // ESC(창 닫기), 방향키(메모 이동) 등 전역 단축키보다 먼저 처리
+  const onKeyDown = (e) => {
+    if (document.activeElement !== input) return;
+    e.stopPropagation();
+    if (e.isComposing) return;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(false);
+    }
+  };
+  window.addEventListener('keydown', onKeyDown, true);
+
+  input.addEventListener('blur', () => finish(true));
+  input.addEventListener('click', (e) => e.stopPropagation());
+  input.addEventListener('dblclick', (e) => e.stopPropagation());
+  input.focus();
+  input.select();
+}
+
+// 메모/폴더 목록 다시 조회 (현재 메모 인덱스 유지)
+async function reloadMemos() {
+  const currentMemoId = memoState.currentMemo?.id;
+  memoState.memos = await window.api.getAll();
+  memoState.folders = await window.api.getFolders();
+  if (currentMemoId) {
+    const newIndex = memoState.memos.findIndex(m => m.id === currentMemoId);
+    if (newIndex !== -1) memoState.currentIndex = newIndex;
+  }
+  renderMemoList();
+}
+
+export async function refreshFolders() {
+  memoState.folders = await window.api.getFolders();
+  if (sidebar.classList.contains('open')) renderMemoList();
+}
+
+// ===== Markdown 내보내기 / 가져오기 =====
+
+// 편집 중인 메모는 아직 저장되지 않은 내용까지 포함
+function toMarkdownFile(memo, dir = []) {
+  const content = memoState.currentMemo?.id === memo.id ? getEditorContent() : memo.content;
+  const firstLine = getPlainTextFromHtml(content).split('\n').find(line => line.trim());
+  const { markdown, assets } = htmlToMarkdown(content);
+  return { title: firstLine ? firstLine.trim().slice(0, 80) : '메모', markdown, assets, dir };
+}
+
+function reportExportResult(result) {
+  if (!result || result.canceled) return;
+  if (!result.success) {
+    alert('내보내기 실패: ' + (result.error || '알 수 없는 오류'));
+  } else if (result.missingAssets > 0) {
+    alert(`내보내기를 마쳤지만 이미지 ${result.missingAssets}개를 찾지 못했습니다`);
+  }
+}
+
+async function exportMemoAsMarkdown(memo) {
+  reportExportResult(await window.api.exportMarkdown([toMarkdownFile(memo)]));
+}
+
+// 하위 폴더는 같은 구조의 디렉터리로
+async function exportFolderAsMarkdown(folder) {
+  const memos = await window.api.getMemosByFolder(folder.id, { includeSubfolders: true });
+  if (memos.length === 0) {
+    alert('내보낼 메모가 없습니다');
+    return;
+  }
+
+  const getDir = (folderId) => {
+    const dir = [];
+    let current = memoState.folders.find(f => f.id === folderId);
+    while (current && current.id !== folder.id) {
+      dir.unshift(current.name);
+      current = memoState.folders.find(f => f.id === current.parent_id);
+    }
+    return dir;
+  };
+
+  const files = memos.map(memo => toMarkdownFile(memo, getDir(memo.folder_id)));
+  reportExportResult(await window.api.exportMarkdown(files, { folderName: folder.name }));
+}
+
+// mode: 'files' (선택한 .md 파일들) | 'folder' (폴더 구조 그대로), parentId 폴더 아래로
+async function importMarkdown(mode, parentId = null) {
+  const result = await window.api.pickMarkdownImport(mode);
+  if (!result || result.canceled) return;
+  if (!result.success) {
+    alert('가져오기 실패: ' + (result.error || '알 수 없는 오류'));
+    return;
+  }
+  if (result.files.length === 0) {
+    alert('가져올 Markdown 파일이 없습니다');
+    return;
+  }
+
+  const items = result.files.map(file => ({
+    content: markdownToHtml(file.markdown, { mediaDir: memoState.imagesPath }),
+    dir: file.dir
+  }));
+  const ids = await window.api.importMemos(items, parentId);
+  if (!ids) {
+    alert('가져오기 실패: 메모를 만들 수 없습니다');
+    return;
+  }
+
+  // 가져온 폴더가 보이도록 펼침
+  const parent = memoState.folders.find(f => f.id === parentId);
+  if (parent?.collapsed) {
+    parent.collapsed = 0;
+    window.api.setFolderCollapsed(parent.id, false);
+  }
+  await reloadMemos();
+  refreshTags();
+
+  if (result.skipped > 0) {
+    alert(`${ids.length}개를 가져왔습니다 (1MB를 넘는 파일 ${result.skipped}개 제외)`);
+  }
+}
 
-    // 검색어 필터링
-    if (searchQuery && !plainText.toLowerCase().includes(searchQuery)) {
+function toggleImportMenu(btnEl) {
+  if (memoState.openMenuId === 'import') {
+    closeAllMenus();
+    return;
+  }
+  closeAllMenus();
+
+  const menu = document.createElement('div');
+  menu.className = 'memo-item-menu';
+
+  // 사이드바 하단 버튼이라 위쪽으로 펼침
+  const rect = btnEl.getBoundingClientRect();
+  menu.style.position = 'fixed';
+  menu.style.left = rect.left + 'px';
+  menu.style.bottom = (window.innerHeight - rect.top + 4) + 'px';
+
+  [
+    { label: 'Markdown 파일 가져오기', mode: 'files' },
+    { label: 'Markdown 폴더 가져오기', mode: 'folder' }
+  ].forEach(({ label, mode }) => {
+    const option = document.createElement('div');
+    option.className = 'memo-item-menu-option';
+    option.textContent = label;
+    option.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      closeAllMenus();
+      await importMarkdown(mode);
+    });
+    menu.appendChild(option);
+  });
+
+  document.body.appendChild(menu);
+  memoState.openMenuId = 'import';
+}
+
+// ===== 폴더 드래그 앤 드롭 =====
+
+function startDrag(e, type, id) {
+  closeAllMenus();
+  dragItem = { type, id };
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData(`application/x-handsub-${type}`, String(id));
+  e.currentTarget.classList.add('dragging');
+}
+
+function endDrag(e) {
+  e.currentTarget.classList.remove('dragging');
+  dragItem = null;
+  clearDropTarget();
+}
+
+// 드롭 위치의 폴더 (폴더 → 그 폴더, 메모 → 메모가 속한 폴더, 빈 곳 → 최상위)
+function getDropFolderId(target) {
+  const folderEl = target.closest('.folder-item');
+  if (folderEl) return Number(folderEl.dataset.folderId);
+  const memoEl = target.closest('.memo-item');
+  if (memoEl?.dataset.folderId) return Number(memoEl.dataset.folderId);
+  return null;
+}
+
+function canDropInto(folderId) {
+  if (!dragItem) return false;
+  if (dragItem.type === 'memo') {
+    const memo = memoState.memos.find(m => m.id === dragItem.id);
+    return !!memo && getMemoFolderId(memo) !== folderId;
+  }
+  const folder = memoState.folders.find(f => f.id === dragItem.id);
+  if (!folder || (folder.parent_id ?? null) === folderId) return false;
+  // 자기 자신/하위 폴더 안으로는 이동 불가
+  return folderId === null || !getFolderSubtreeIds(folder.id).includes(folderId);
+}
+
+function markDropTarget(folderId) {
+  memoList.querySelectorAll('.folder-item.drop-target').forEach(el => {
+    if (Number(el.dataset.folderId) !== folderId) el.classList.remove('drop-target');
+  });
+  if (folderId === null) {
+    memoList.classList.add('drop-root');
+  } else {
+    memoList.classList.remove('drop-root');
+    memoList.querySelector(`.folder-item[data-folder-id="${folderId}"]`)?.classList.add('drop-target');
+  }
+}
+
+function clearDropTarget() {
+  memoList.classList.remove('drop-root');
+  memoList.querySelectorAll('.folder-item.drop-target').forEach(el => el.classList.remove('drop-target'));
+}
+
+export function initFolderEvents() {
+  const newFolderBtn = document.getElementById('new-folder-btn');
+  if (newFolderBtn) {
+    newFolderBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      createFolder(null);
+    });
+  }
+
+  const importBtn = document.getElementById('import-btn');
+  if (importBtn) {
+    importBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleImportMenu(importBtn);
+    });
+  }
+
+  memoList.addEventListener('dragover', (e) => {
+    if (!dragItem || memoState.trashMode) return;
+    const folderId = getDropFolderId(e.target);
+    if (!canDropInto(folderId)) {
+      clearDropTarget();
       return;
     }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    markDropTarget(folderId);
+  });
+
+  memoList.addEventListener('dragleave', (e) => {
+    if (!memoList.contains(e.relatedTarget)) clearDropTarget();
+  });
+
+  memoList.addEventListener('drop', async (e) => {
+    if (!dragItem) return;
+    e.preventDefault();
+    clearDropTarget();
+
+    const folderId = getDropFolderId(e.target);
+    if (!canDropInto(folderId)) return;
+    const { type, id } = dragItem;
+    dragItem = null;
+
+    if (type === 'memo') {
+      await window.api.moveMemoToFolder(id, folderId);
+    } else {
+      await window.api.moveFolder(id, folderId);
+    }
 
-    memoState.filteredIndices.push(index);
+    // 접힌 폴더에 넣었으면 펼쳐서 보여줌
+    const target = memoState.folders.find(f => f.id === folderId);
+    if (target?.collapsed) {
+      target.collapsed = 0;
+      await window.api.setFolderCollapsed(target.id, false);
+    }
+    await reloadMemos();
+  });
+
+  refreshFolders();
+}
+
+// ===== 태그 필터 =====
+
+function renderTagFilterBar() {
+  const bar = document.getElementById('tag-filter-bar');
+  if (!bar) return;
+
+  bar.innerHTML = '';
+  bar.classList.toggle('hidden', memoState.tags.length === 0);
+  if (memoState.tags.length === 0) return;
+
+  const allChip = document.createElement('button');
+  allChip.className = 'tag-filter-chip' + (memoState.tagFilter ? '' : ' active');
+  allChip.textContent = '전체';
+  allChip.addEventListener('click', () => setTagFilter(null));
+  bar.appendChild(allChip);
+
+  memoState.tags.forEach(({ tag, count }) => {
+    const chip = document.createElement('button');
+    chip.className = 'tag-filter-chip' + (memoState.tagFilter === tag ? ' active' : '');
+    chip.textContent = `#${tag}`;
+    chip.title = `${count}개 메모`;
+    chip.addEventListener('click', () => setTagFilter(memoState.tagFilter === tag ? null : tag));
+    bar.appendChild(chip);
+  });
+
+  bar.querySelector('.tag-filter-chip.active')?.scrollIntoView({ inline: 'nearest', block: 'nearest' });
+}
+
+// 태그 목록 갱신 (사라진 태그가 선택돼 있으면 필터 해제)
+export async function refreshTags() {
+  memoState.tags = await window.api.getTags();
+  if (memoState.tagFilter && !memoState.tags.some(t => t.tag === memoState.tagFilter)) {
+    memoState.tagFilter = null;
+    renderMemoList();
+  }
+  renderTagFilterBar();
+}
+
+// 태그로 필터 (에디터 칩 클릭 시에도 사용)
+export async function setTagFilter(tag) {
+  memoState.tagFilter = tag;
+
+  if (memoState.trashMode) {
+    memoState.trashMode = false;
+    sidebar.classList.remove('trash-mode');
+  }
+  if (memoState.archiveMode) {
+    memoState.archiveMode = false;
+    sidebar.classList.remove('archive-mode');
+  }
+
+  if (tag && !sidebar.classList.contains('open')) {
+    await toggleSidebar();
+  }
+
+  // 방금 입력한 태그는 목록에 아직 반영 안 됐을 수 있으므로 다시 조회
+  renderTagFilterBar();
+  await reloadMemos();
+}
+
+// ===== 휴지통 =====
+
+// 자동 삭제까지 남은 기간 표시
+function formatPurgeRemaining(purgeAt) {
+  if (!purgeAt) return '';
+  const days = Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+  return days === 0 ? '곧 삭제' : `${days}일 후 삭제`;
+}
+
+function renderTrashList() {
+  memoList.innerHTML = '';
+  memoState.filteredIndices = [];
+
+  // 휴지통은 항목이 적으므로 검색어는 단순 포함 여부로 필터
+  const searchQuery = searchInput.value.trim().toLowerCase();
+  const trashMemos = memoState.trashMemos.filter(memo =>
+    !searchQuery || getPlainTextFromHtml(memo.content).toLowerCase().includes(searchQuery)
+  );
+
+  const header = document.createElement('div');
+  header.className = 'trash-header';
+  const headerLabel = document.createElement('span');
+  headerLabel.textContent = memoState.trashMemos.length > 0 ? `휴지통 ${memoState.trashMemos.length}개` : '휴지통이 비어 있습니다';
+  header.appendChild(headerLabel);
+
+  if (memoState.trashMemos.length > 0) {
+    const emptyBtn = document.createElement('button');
+    emptyBtn.className = 'trash-empty-btn';
+    emptyBtn.textContent = '비우기';
+    emptyBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (!confirm(`휴지통의 메모 ${memoState.trashMemos.length}개를 영구 삭제할까요?`)) return;
+      await window.api.emptyTrash();
+      await refreshTrash();
+    });
+    header.appendChild(emptyBtn);
+  }
+  memoList.appendChild(header);
+
+  trashMemos.forEach(memo => {
+    const plainText = getPlainTextFromHtml(memo.content);
 
     const item = document.createElement('div');
-    let itemClass = 'memo-item';
-    if (index === memoState.currentIndex) itemClass += ' active';
-    if (memo.pinned) itemClass += ' pinned';
-    if (memo.received_from && !memo.is_read) itemClass += ' received';
-    if (memo.last_notified_at && !memo.is_read) itemClass += ' notified';
-    item.className = itemClass;
+    item.className = 'memo-item trashed';
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'memo-item-content';
 
     const firstLine = plainText.trim().split('\n')[0] || '';
-    const preview = firstLine.substring(0, 30) || '(빈 메모)';
-    const dateStr = formatDate(memo.updated_at);
-
     const previewDiv = document.createElement('div');
     previewDiv.className = 'memo-item-preview';
-
-    // 클라우드 메모 아이콘
-    if (memo.is_cloud) {
-      const cloudIcon = document.createElement('span');
-      cloudIcon.className = 'cloud-icon';
-      cloudIcon.title = '클라우드 메모';
-      cloudIcon.innerHTML = '<svg viewBox="0 0 512 512" width="14" height="14"><path fill="currentColor" d="M421 406H91c-24.05 0-46.794-9.327-64.042-26.264C9.574 362.667 0 340.031 0 316s9.574-46.667 26.958-63.736c13.614-13.368 30.652-21.995 49.054-25.038-.008-.406-.012-.815-.012-1.226 0-66.168 53.832-120 120-120 24.538 0 48.119 7.387 68.194 21.363 14.132 9.838 25.865 22.443 34.587 37.043 14.079-8.733 30.318-13.406 47.219-13.406 44.886 0 82.202 33.026 88.921 76.056 18.811 2.88 36.244 11.581 50.122 25.208C502.426 269.333 512 291.969 512 316s-9.574 46.667-26.957 63.736C467.794 396.673 445.05 406 421 406z"/></svg>';
-      previewDiv.appendChild(cloudIcon);
-    }
-
-    const previewText = document.createTextNode((memo.pinned ? '* ' : '') + preview);
-    previewDiv.appendChild(previewText);
+    previewDiv.textContent = firstLine.substring(0, 30) || '(빈 메모)';
 
     const dateDiv = document.createElement('div');
     dateDiv.className = 'memo-item-date';
-    dateDiv.textContent = dateStr;
+    const remaining = formatPurgeRemaining(memo.purge_at);
+    dateDiv.textContent = formatDate(memo.deleted_at) + (remaining ? ` · ${remaining}` : '');
 
     contentDiv.appendChild(previewDiv);
     contentDiv.appendChild(dateDiv);
 
-    // 설정 버튼
     const menuBtn = document.createElement('button');
     menuBtn.className = 'memo-item-menu-btn';
     menuBtn.innerHTML = '<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="2"/><circle cx="4" cy="12" r="2"/><circle cx="20" cy="12" r="2"/></svg>';
     menuBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      toggleMemoMenu(memo, item, menuBtn);
+      toggleTrashMenu(memo, menuBtn);
     });
 
     item.appendChild(contentDiv);
     item.appendChild(menuBtn);
 
-    item.addEventListener('click', async () => {
-      closeAllMenus();
-      if (loadMemoFn) {
-        await loadMemoFn(index);
-        // 받은 메모 또는 알림 온 메모 읽음 처리
-        if (!memo.is_read) {
-          await window.api.markMemoRead(memo.id);
-          memo.is_read = 1;
-        }
-        renderMemoList();
-      }
+    // 휴지통 메모는 편집하지 않고 메뉴만 표시
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleTrashMenu(memo, menuBtn);
     });
 
     memoList.appendChild(item);
+  });
+}
 
-    if (index === memoState.currentIndex) {
-      item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
-    }
+// 휴지통 목록/개수 갱신
+export async function refreshTrash() {
+  memoState.trashMemos = await window.api.getTrash();
+
+  const trashCount = document.getElementById('trash-count');
+  if (trashCount) {
+    trashCount.textContent = memoState.trashMemos.length > 0 ? String(memoState.trashMemos.length) : '';
+  }
+
+  if (memoState.trashMode && sidebar.classList.contains('open')) {
+    renderMemoList();
+  }
+}
+
+function toggleTrashMode() {
+  memoState.trashMode = !memoState.trashMode;
+  sidebar.classList.toggle('trash-mode', memoState.trashMode);
+  if (memoState.trashMode && memoState.archiveMode) {
+    memoState.archiveMode = false;
+    sidebar.classList.remove('archive-mode');
+  }
+  closeAllMenus();
+
+  // 보기 전환 시 검색어 초기화
+  searchInput.value = '';
+  memoState.searchResults = null;
+  searchRequestId++;
+
+  renderMemoList();
+  if (memoState.trashMode) refreshTrash();
+}
+
+// ===== 보관함 =====
+
+function getArchivedCount() {
+  return memoState.memos.filter(memo => memo.archived_at).length;
+}
+
+function renderArchiveHeader() {
+  const count = getArchivedCount();
+  const header = document.createElement('div');
+  header.className = 'archive-header';
+  header.textContent = count > 0 ? `보관함 ${count}개` : '보관한 메모가 없습니다';
+  memoList.appendChild(header);
+}
+
+function updateArchiveCount() {
+  const archiveCount = document.getElementById('archive-count');
+  if (archiveCount) {
+    const count = getArchivedCount();
+    archiveCount.textContent = count > 0 ? String(count) : '';
+  }
+}
+
+function toggleArchiveMode() {
+  memoState.archiveMode = !memoState.archiveMode;
+  sidebar.classList.toggle('archive-mode', memoState.archiveMode);
+  if (memoState.archiveMode && memoState.trashMode) {
+    memoState.trashMode = false;
+    sidebar.classList.remove('trash-mode');
+  }
+  closeAllMenus();
+
+  // 보기 전환 시 검색어 초기화
+  searchInput.value = '';
+  memoState.searchResults = null;
+  searchRequestId++;
+
+  renderMemoList();
+}
+
+export function initTagEvents() {
+  refreshTags();
+}
+
+export function initArchiveEvents() {
+  const archiveBtn = document.getElementById('archive-btn');
+  if (!archiveBtn) return;
+
+  archiveBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleArchiveMode();
+  });
+
+  updateArchiveCount();
+}
+
+export function initTrashEvents() {
+  const trashBtn = document.getElementById('trash-btn');
+  if (!trashBtn) return;
+
+  trashBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleTrashMode();
   });
+
+  refreshTrash();
 }
 
 // ===== 사이드바 토글 =====
@@ -254,15 +1158,38 @@ export function initSidebarResize() {
 
 // ===== 검색 이벤트 =====
 
+// 검색 요청 순번 (느린 응답이 최신 결과를 덮어쓰지 않도록)
+let searchRequestId = 0;
+
+export async function refreshSearchResults() {
+  const query = searchInput.value.trim();
+  const requestId = ++searchRequestId;
+
+  // 휴지통 보기는 렌더링 시 직접 필터
+  if (!query || memoState.trashMode) {
+    memoState.searchResults = null;
+    renderMemoList();
+    return;
+  }
+
+  // 보관함 보기에서만 보관한 메모까지 검색
+  const hits = await window.api.searchMemos(query, { includeArchived: memoState.archiveMode });
+  if (requestId !== searchRequestId) return;
+
+  memoState.searchResults = new Map(hits.map(hit => [hit.id, hit]));
+  renderMemoList();
+}
+
 export function initSearchEvents() {
   searchInput.addEventListener('input', () => {
-    renderMemoList();
+    refreshSearchResults();
   });
 
   searchInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
       e.preventDefault();
       e.stopPropagation();
+      if (memoState.trashMode) return;
 
       // 현재 검색 결과 인덱스 캡처
       const targetIndex = memoState.filteredIndices.length > 0 ? memoState.filteredIndices[0] : -1;
@@ -270,6 +1197,8 @@ export function initSearchEvents() {
 
       // 검색창 즉시 초기화 (composition 텍스트 방지)
       searchInput.value = '';
+      memoState.searchResults = null;
+      searchRequestId++;
       searchInput.blur();
 
       // 다음 프레임에서 처리
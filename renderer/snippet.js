@@ -3,9 +3,10 @@
  * 가장 복잡한 모듈 - 단축어 감지, 폼 입력, 실행
  */
 
-import { elements, snippetState } from './state.js';
-import { getPlainText, insertTextAtCursor } from './editor.js';
+import { elements, memoState, snippetState } from './state.js';
+import { getPlainText, insertTextAtCursor, setCursorOffset } from './editor.js';
 import { triggerSave } from './memo.js';
+import { recordEdit } from './editHistory.js';
 import { escapeHtml, isValidIconPath, isSafeKey, safeJsonParse } from './security.js';
 
 const { editor, toolLog } = elements;
@@ -84,6 +85,35 @@ function showToolLog(result, snippet) {
   }, 3000);
 }
 
+// ===== 실행 결과 삽입 =====
+
+/**
+ * 도구 결과 텍스트를 메모에 넣음 (실행 직후 커서는 단축어가 있던 자리)
+ * insertMode - cursor: 입력한 내용 뒤에 / replace·생략: 입력한 내용 대신 / append: 메모 맨 끝 새 줄에
+ * @param {Object} result - 도구 실행 결과
+ * @param {string} [content] - 단축어 뒤에 입력한 내용 (폼으로 실행하면 없음)
+ */
+function insertToolResult(result, content = '') {
+  if (!result || !result.success || !result.insertText) return;
+  console.log('[Snippet] Inserting text:', result.insertText);
+
+  const mode = result.insertMode;
+  recordEdit(() => {
+    // 입력한 내용은 단축어와 함께 지워졌으므로 남기는 모드에서는 되돌림
+    if (content && (mode === 'cursor' || mode === 'append')) {
+      insertTextAtCursor(mode === 'cursor' ? `${content} ` : content);
+    }
+
+    if (mode === 'append') {
+      const text = getPlainText();
+      setCursorOffset();
+      insertTextAtCursor((text && !text.endsWith('\n') ? '\n' : '') + result.insertText);
+      return;
+    }
+    insertTextAtCursor(result.insertText);
+  });
+}
+
 // ===== 메타 변수 계산 ({{top}}, {{all}}) =====
 
 function calculateMetaVariables() {
@@ -144,14 +174,22 @@ function extractFields(body) {
   let match;
   while ((match = regex.exec(body)) !== null) {
     const fieldName = match[1];
-    // 메타 변수는 제외
-    if (!fields.includes(fieldName) && !META_VARIABLES.includes(fieldName)) {
+    // 메타 변수, 워크플로의 앞 단계 결과({{steps.1.data.id}})는 제외
+    if (!fields.includes(fieldName) && !META_VARIABLES.includes(fieldName) && !fieldName.startsWith('steps.')) {
       fields.push(fieldName);
     }
   }
   return fields;
 }
 
+// 입력 필드를 찾을 템플릿 (워크플로는 모든 단계 설정)
+function getFieldTemplate(type, config) {
+  if (type === 'workflow') {
+    return JSON.stringify(config.steps || []) + (config.insertText || '');
+  }
+  return config.body;
+}
+
 // ===== 스니펫 로드 =====
 
 export async function loadSnippets() {
@@ -601,10 +639,10 @@ function showNextFieldInline(container) {
                 if (!cfg) {
                   result = { success: false, error: 'Invalid config' };
                 } else {
-                  result = await window.api.executeManifestTool(cfg.toolId, snippet.shortcut, { ...values, editorContent, ...meta });
+                  result = await window.api.executeManifestTool(cfg.toolId, snippet.shortcut, { ...values, editorContent, ...meta }, memoState.currentMemo?.id);
                 }
               } else {
-                result = await window.api.executeSnippet(snippet.id, JSON.stringify(values), editorContent, meta);
+                result = await window.api.executeSnippet(snippet.id, JSON.stringify(values), editorContent, meta, memoState.currentMemo?.id);
               }
             } catch (err) {
               result = { success: false, error: err.message };
@@ -614,10 +652,7 @@ function showNextFieldInline(container) {
             console.log('[Snippet] Execute result:', result);
 
             // 결과 텍스트 삽입 (insertText가 있으면)
-            if (result && result.success && result.insertText) {
-              console.log('[Snippet] Inserting text:', result.insertText);
-              insertTextAtCursor(result.insertText);
-            }
+            insertToolResult(result);
 
             showToolLog(result, snippet);
             triggerSave();
@@ -761,7 +796,7 @@ export function handleEnterKey(e) {
       return;
     }
 
-    const fields = snippet.isManifest ? (config.fields || []) : extractFields(config.body);
+    const fields = snippet.isManifest ? (config.fields || []) : extractFields(getFieldTemplate(snippet.type, config));
 
     if (fields.length > 0) {
       const matchTextBeforeBlur = match.textContent;
@@ -810,19 +845,16 @@ export function handleEnterKey(e) {
             if (!cfg) {
               result = { success: false, error: 'Invalid config' };
             } else {
-              result = await window.api.executeManifestTool(cfg.toolId, snippet.shortcut, { content, editorContent, ...meta });
+              result = await window.api.executeManifestTool(cfg.toolId, snippet.shortcut, { content, editorContent, ...meta }, memoState.currentMemo?.id);
             }
           } else {
-            result = await window.api.executeSnippet(snippet.id, content, editorContent, meta);
+            result = await window.api.executeSnippet(snippet.id, content, editorContent, meta, memoState.currentMemo?.id);
           }
           // 디버그 로그
           console.log('[Snippet] Execute result:', result);
 
           // 결과 텍스트 삽입 (insertText가 있으면)
-          if (result && result.success && result.insertText) {
-            console.log('[Snippet] Inserting text:', result.insertText);
-            insertTextAtCursor(result.insertText);
-          }
+          insertToolResult(result, content);
 
           triggerSave();
         } catch (execErr) {
@@ -946,3 +978,11 @@ export function initTriggerKeyChange() {
     snippetState.snippetTrigger = key;
   });
 }
+
+// ===== 도구 변경 (도구 폴더 수정 시 매니페스트 명령어 다시 로드) =====
+
+export function initToolsChange() {
+  window.api.onToolsChanged(() => {
+    loadSnippets();
+  });
+}
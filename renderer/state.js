@@ -26,8 +26,15 @@ export const memoState = {
   imagesPath: '',
   lastSavedContent: '',
   filteredIndices: [],
+  searchResults: null,  // FTS 검색 결과 (id -> { rank, snippet }), 검색어 없으면 null
   openMenuId: null,
-  pendingNewMemo: false
+  pendingNewMemo: false,
+  trashMode: false,     // 사이드바 휴지통 보기
+  trashMemos: [],       // 휴지통 메모 (최근 삭제 순)
+  archiveMode: false,   // 사이드바 보관함 보기 (memos 중 archived_at 있는 메모만)
+  tags: [],             // 태그 목록 [{ tag, count }]
+  tagFilter: null,      // 선택된 태그 필터 (null이면 전체)
+  folders: []           // 폴더 목록 [{ id, name, parent_id, collapsed }]
 };
 
 // ===== 사이드바 상태 =====
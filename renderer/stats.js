@@ -0,0 +1,150 @@
+/**
+ * stats.js - 상태바 글자 수 / 단어 수 / 줄 수 / 할일 / 읽기 시간
+ * 글자는 자소·이모지를 합친 한 글자(grapheme) 단위로 세고, 줄 앞의 체크박스/글머리 글리프는 제외
+ * 선택 영역이 있으면 선택한 부분만, 클릭하면 간단히 ↔ 자세히 전환
+ */
+
+import { elements } from './state.js';
+import { getPlainText } from './editor.js';
+import { parseTodoTree } from './subtasks.js';
+
+const { editor, statusbar } = elements;
+
+const UPDATE_DELAY = 300;           // 입력/선택이 멈춘 뒤 다시 계산
+const HANGUL_CHARS_PER_MINUTE = 500;
+const WORDS_PER_MINUTE = 220;       // 한글이 없는 단어 (영문 등)
+const LIST_MARKER = /^(\s*)[☐☑•]\s?/gm;
+
+const graphemeSegmenter = new Intl.Segmenter('ko', { granularity: 'grapheme' });
+const wordSegmenter = new Intl.Segmenter('ko', { granularity: 'word' });
+
+let detailed = false;
+let updateTimer = null;
+let statsEl = null;
+let showingSelection = false;     // 선택 영역 기준으로 표시 중
+
+// ===== 계산 =====
+
+/**
+ * 텍스트 통계
+ * @param {string} text - 일반 텍스트 (줄바꿈 '\n')
+ * @returns {{ chars: number, charsNoSpaces: number, words: number, lines: number,
+ *   openTodos: number, doneTodos: number, readingMinutes: number }}
+ */
+export function computeTextStats(text) {
+  const lines = text.replace(/\n+$/, '').split('\n');
+  const todos = parseTodoTree(lines);
+  const body = text.replace(LIST_MARKER, '$1');
+
+  let chars = 0;
+  let charsNoSpaces = 0;
+  let hangulChars = 0;
+  for (const { segment } of graphemeSegmenter.segment(body)) {
+    if (segment === '\n' || segment === '\r\n') continue;
+    chars++;
+    if (/\s/.test(segment)) continue;
+    charsNoSpaces++;
+    if (/\p{Script=Hangul}/u.test(segment)) hangulChars++;
+  }
+
+  let words = 0;
+  let otherWords = 0;
+  for (const { segment, isWordLike } of wordSegmenter.segment(body)) {
+    if (!isWordLike) continue;
+    words++;
+    if (!/\p{Script=Hangul}/u.test(segment)) otherWords++;
+  }
+
+  return {
+    chars,
+    charsNoSpaces,
+    words,
+    lines: text.trim() ? lines.length : 0,
+    openTodos: todos.filter(todo => !todo.isChecked).length,
+    doneTodos: todos.filter(todo => todo.isChecked).length,
+    readingMinutes: hangulChars / HANGUL_CHARS_PER_MINUTE + otherWords / WORDS_PER_MINUTE
+  };
+}
+
+// ===== 표시 =====
+
+function formatNumber(value) {
+  return value.toLocaleString('ko-KR');
+}
+
+function formatReadingTime(minutes) {
+  if (minutes < 1) return '1분 미만';
+  return `${Math.round(minutes)}분`;
+}
+
+// 에디터 안의 선택 텍스트 (없으면 null)
+function getSelectedText() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount || sel.isCollapsed) return null;
+  const range = sel.getRangeAt(0);
+  if (!editor.contains(range.commonAncestorContainer)) return null;
+  return sel.toString().replace(/\u200B/g, '');
+}
+
+function ensureStatsElement() {
+  if (statsEl) return statsEl;
+  statsEl = document.createElement('span');
+  statsEl.className = 'statusbar-stats';
+  statsEl.addEventListener('click', () => {
+    detailed = !detailed;
+    updateStats();
+  });
+  statusbar.prepend(statsEl);
+  return statsEl;
+}
+
+export function updateStats() {
+  clearTimeout(updateTimer);
+  const el = ensureStatsElement();
+
+  const selected = getSelectedText();
+  showingSelection = selected !== null;
+  const text = selected ?? getPlainText();
+  if (!text.trim()) {
+    el.textContent = '';
+    el.title = '';
+    return;
+  }
+
+  const stats = computeTextStats(text);
+  const prefix = showingSelection ? '선택 ' : '';
+  const parts = [`${prefix}${formatNumber(stats.chars)}자`];
+
+  if (detailed) {
+    parts.push(`공백 제외 ${formatNumber(stats.charsNoSpaces)}자`);
+    parts.push(`${formatNumber(stats.words)}단어`);
+    parts.push(`${formatNumber(stats.lines)}줄`);
+    if (stats.openTodos + stats.doneTodos > 0) {
+      parts.push(`할일 ${stats.openTodos}개 남음 / ${stats.doneTodos}개 완료`);
+    }
+    parts.push(`읽기 ${formatReadingTime(stats.readingMinutes)}`);
+  }
+
+  el.textContent = parts.join(' · ');
+  el.title = detailed ? '클릭하여 간단히 보기' : '클릭하여 자세히 보기';
+}
+
+export function scheduleStatsUpdate() {
+  clearTimeout(updateTimer);
+  updateTimer = setTimeout(updateStats, UPDATE_DELAY);
+}
+
+// ===== 이벤트 초기화 =====
+
+export function initStatsEvents() {
+  editor.addEventListener('input', (e) => {
+    if (e.isComposing) return;
+    scheduleStatsUpdate();
+  });
+  editor.addEventListener('compositionend', scheduleStatsUpdate);
+
+  // 선택 영역이 바뀌면 선택 부분만 (선택 해제 시 전체로, 커서 이동만으로는 다시 세지 않음)
+  document.addEventListener('selectionchange', () => {
+    if (showingSelection || !window.getSelection().isCollapsed) scheduleStatsUpdate();
+  });
+}
@@ -0,0 +1,188 @@
+/**
+ * subtasks.js - 들여쓴 체크박스를 바로 위 체크박스의 하위 항목으로 묶음
+ * 상위 항목 줄 끝에 완료 개수(n/m) 배지를 붙이고, 설정이 켜져 있으면 하위 항목이 모두 끝날 때 상위 항목도 체크
+ * 배지는 글자 없는 span(내용은 CSS ::after)이라 메모 텍스트와 리마인더 동기화에 섞이지 않음
+ */
+
+import { elements } from './state.js';
+import { BLOCK_SELECTOR, collectText, locate } from './editorText.js';
+
+const { editor } = elements;
+
+// memo.js 리마인더 동기화와 같은 기준 (글리프 뒤에 내용이 있어야 할일)
+const CHECKBOX_LINE = /^(\s*)(☐|☑)\s*(.+)/;
+
+let autoComplete = false;   // 하위 항목을 모두 끝내면 상위 항목 자동 체크
+
+// ===== 목록 구조 =====
+
+function getIndentWidth(indent) {
+  return indent.replace(/\t/g, '  ').length;
+}
+
+/**
+ * 줄 목록에서 체크박스와 상위 항목 관계를 구함
+ * 더 깊게 들여쓴 체크박스는 위쪽의 덜 들여쓴 체크박스의 하위 항목이고,
+ * 체크박스가 아닌 줄이 같거나 얕은 들여쓰기로 나오면 그 위 항목들의 범위가 끝남
+ * @param {string[]} lines
+ * @returns {Array<{ line: number, column: number, text: string, isChecked: boolean, parentIndex: number|null }>}
+ *   체크박스 순서(checkbox_index)대로, parentIndex는 상위 체크박스의 순번
+ */
+export function parseTodoTree(lines) {
+  const todos = [];
+  const stack = [];   // 열려 있는 상위 후보 [{ indent, index }]
+
+  lines.forEach((line, lineIndex) => {
+    if (!line.trim()) return;
+
+    const indent = getIndentWidth(line.match(/^\s*/)[0]);
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const match = line.match(CHECKBOX_LINE);
+    if (!match) return;
+
+    todos.push({
+      line: lineIndex,
+      column: match[1].length,
+      text: match[3].trim(),
+      isChecked: match[2] === '☑',
+      parentIndex: stack.length ? stack[stack.length - 1].index : null
+    });
+    stack.push({ indent, index: todos.length - 1 });
+  });
+
+  return todos;
+}
+
+// ===== 에디터 체크박스 =====
+
+// 에디터의 체크박스 + 글리프 위치 + 줄 끝 위치
+function collectTodos() {
+  const { text, segments } = collectText();
+  const lines = text.split('\n');
+  const lineStarts = [];
+  let position = 0;
+  lines.forEach(line => {
+    lineStarts.push(position);
+    position += line.length + 1;
+  });
+
+  const todos = parseTodoTree(lines);
+  todos.forEach(todo => {
+    const start = lineStarts[todo.line];
+    todo.glyph = locate(segments, start + todo.column, false);
+    todo.lineEnd = locate(segments, start + lines[todo.line].length, true);
+  });
+  return todos;
+}
+
+function getChildren(todos, index) {
+  return todos.filter(todo => todo.parentIndex === index);
+}
+
+// ===== 진행률 배지 =====
+
+function createBadge(done, total) {
+  const badge = document.createElement('span');
+  badge.className = done === total ? 'todo-progress done' : 'todo-progress';
+  badge.contentEditable = 'false';
+  badge.dataset.progress = `${done}/${total}`;
+  return badge;
+}
+
+function insertAtLineEnd({ node, offset }, badge) {
+  if (offset < node.data.length) {
+    node.parentNode.insertBefore(badge, node.splitText(offset));
+    return;
+  }
+  // 줄 끝이 태그 칩·취소선 span 안쪽이면 바깥으로 (꾸밈을 다시 입힐 때 같이 지워지지 않게)
+  let target = node;
+  while (target.parentElement !== editor &&
+         !target.parentElement.matches(BLOCK_SELECTOR) &&
+         target === target.parentElement.lastChild) {
+    target = target.parentElement;
+  }
+  target.after(badge);
+}
+
+// 하위 항목이 있는 체크박스 줄 끝에 n/m 배지 (블러, 토글, 메모 로드 시 다시 계산)
+export function updateSubtaskProgress() {
+  requestAnimationFrame(() => {
+    const sel = window.getSelection();
+    const savedRange = sel.rangeCount > 0 ? sel.getRangeAt(0).cloneRange() : null;
+
+    // 기존 배지 제거
+    editor.querySelectorAll('.todo-progress').forEach(badge => badge.remove());
+    editor.normalize();
+
+    const todos = collectTodos();
+
+    // 뒤에서부터 넣어야 앞쪽 줄의 노드 위치가 그대로 유지됨
+    for (let i = todos.length - 1; i >= 0; i--) {
+      const todo = todos[i];
+      const children = getChildren(todos, i);
+      if (!children.length || !todo.lineEnd) continue;
+      // 코드 블록은 다시 강조할 때 내용을 새로 그림
+      if (todo.lineEnd.node.parentElement.closest('pre')) continue;
+
+      const done = children.filter(child => child.isChecked).length;
+      insertAtLineEnd(todo.lineEnd, createBadge(done, children.length));
+    }
+
+    // 커서 위치 복원
+    if (savedRange) {
+      try {
+        sel.removeAllRanges();
+        sel.addRange(savedRange);
+      } catch (e) {
+        // 커서 복원 실패 시 무시
+      }
+    }
+  });
+}
+
+// ===== 상위 항목 자동 완료 =====
+
+/**
+ * 체크박스를 바꾼 뒤 상위 항목에 반영 (설정이 켜져 있을 때만)
+ * 체크하면 형제 항목이 모두 끝났을 때 상위 항목도 체크, 해제하면 체크된 상위 항목도 해제 (위로 연쇄)
+ * @param {Text} node - 방금 바꾼 글리프가 있는 텍스트 노드
+ * @param {number} offset - 글리프 위치
+ * @returns {boolean} 상위 항목을 바꿨는지
+ */
+export function rollUpSubtasks(node, offset) {
+  if (!autoComplete) return false;
+
+  const todos = collectTodos();
+  let index = todos.findIndex(todo => todo.glyph?.node === node && todo.glyph.offset === offset);
+  if (index === -1) return false;
+
+  const isChecked = todos[index].isChecked;
+  let changed = false;
+
+  while (todos[index].parentIndex !== null) {
+    const parentIndex = todos[index].parentIndex;
+    const parent = todos[parentIndex];
+    if (parent.isChecked === isChecked || !parent.glyph) break;
+    if (isChecked && !getChildren(todos, parentIndex).every(child => child.isChecked)) break;
+
+    parent.glyph.node.replaceData(parent.glyph.offset, 1, isChecked ? '☑' : '☐');
+    parent.isChecked = isChecked;
+    changed = true;
+    index = parentIndex;
+  }
+
+  return changed;
+}
+
+// ===== 설정 =====
+
+export async function loadSubtaskSettings() {
+  autoComplete = await window.api.getSubtaskAutoComplete() === true;
+}
+
+export function initSubtaskSettingChange() {
+  window.api.onSubtaskAutoCompleteChanged((enabled) => {
+    autoComplete = enabled;
+  });
+}
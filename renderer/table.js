@@ -0,0 +1,411 @@
+/**
+ * table.js - 메모 안의 표 (셀 이동, 행/열 추가·삭제, CSV 붙여넣기)
+ * 표는 <table class="memo-table"><tbody><tr><td>라 sanitizeHtml을 그대로 통과하고 첫 행은 머리글로 표시
+ * 행/열 편집 도구 모음은 에디터 밖에 떠 있는 요소라 메모 내용에 저장되지 않음
+ * 입력 규칙(/table, |a|b|)은 inputRules.js에서 createTable로 생성
+ */
+
+import { elements, snippetState } from './state.js';
+import { triggerSave } from './memo.js';
+import { recordEdit } from './editHistory.js';
+import { createFloatingToolbar } from './floatingToolbar.js';
+
+const { editor } = elements;
+
+export const MAX_TABLE_ROWS = 200;
+export const MAX_TABLE_COLUMNS = 20;
+
+let lastCell = null;       // 마지막으로 커서가 있던 셀 (도구 모음 버튼 기준)
+
+// ===== 표 생성 =====
+
+function fillCell(cell, text = '') {
+  cell.textContent = text;
+  // 빈 셀에도 커서가 놓이도록
+  if (!text) cell.appendChild(document.createElement('br'));
+}
+
+/**
+ * 표 요소 생성 (열 수는 가장 긴 행 기준, 모자란 칸은 빈 셀)
+ * @param {string[][]} rows - 첫 행은 머리글
+ * @returns {HTMLTableElement}
+ */
+export function createTable(rows) {
+  const table = document.createElement('table');
+  table.className = 'memo-table';
+  const tbody = table.createTBody();
+  const columns = Math.min(MAX_TABLE_COLUMNS, Math.max(1, ...rows.map(row => row.length)));
+
+  rows.slice(0, MAX_TABLE_ROWS).forEach(cells => {
+    const row = tbody.insertRow();
+    for (let i = 0; i < columns; i++) {
+      fillCell(row.insertCell(), cells[i] || '');
+    }
+  });
+  return table;
+}
+
+// 표 뒤에 이어 쓸 줄이 없으면 추가
+export function ensureLineAfter(table) {
+  if (table.nextSibling) return;
+  const line = document.createElement('div');
+  line.appendChild(document.createElement('br'));
+  table.after(line);
+}
+
+// selectAll: 셀 내용 전체 선택 (Tab 이동), 아니면 끝으로 (빈 셀은 자리 표시 <br> 앞)
+export function placeCaretInCell(cell, selectAll = false) {
+  const range = document.createRange();
+  range.selectNodeContents(cell);
+  if (!selectAll || !cell.textContent) range.collapse(!cell.textContent);
+  const sel = window.getSelection();
+  sel.removeAllRanges();
+  sel.addRange(range);
+}
+
+// ===== 셀 / 행 / 열 =====
+
+function getCurrentCell() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount) return null;
+  const node = sel.getRangeAt(0).startContainer;
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const cell = el?.closest('td, th');
+  return cell && editor.contains(cell) ? cell : null;
+}
+
+function getCells(table) {
+  return [...table.rows].flatMap(row => [...row.cells]);
+}
+
+function getColumnCount(table) {
+  return Math.max(0, ...[...table.rows].map(row => row.cells.length));
+}
+
+function isRowEmpty(row) {
+  return [...row.cells].every(cell => !cell.textContent.trim());
+}
+
+function insertRowAfter(row) {
+  const table = row.closest('table');
+  const newRow = row.parentElement.insertRow(row.sectionRowIndex + 1);
+  for (let i = 0; i < getColumnCount(table); i++) {
+    fillCell(newRow.insertCell());
+  }
+  return newRow;
+}
+
+function insertColumnAfter(table, index) {
+  [...table.rows].forEach(row => {
+    fillCell(row.insertCell(Math.min(index + 1, row.cells.length)));
+  });
+}
+
+// 마지막 행/열을 지우면 표 자체를 지우고 표가 있던 자리로 커서 이동
+function removeTable(table) {
+  ensureLineAfter(table);
+  const next = table.nextSibling;
+  table.remove();
+  const range = document.createRange();
+  range.setStart(next, 0);
+  range.collapse(true);
+  const sel = window.getSelection();
+  sel.removeAllRanges();
+  sel.addRange(range);
+}
+
+function deleteRow(row) {
+  const table = row.closest('table');
+  if (table.rows.length === 1) {
+    removeTable(table);
+    return null;
+  }
+  const rows = [...table.rows];
+  const index = rows.indexOf(row);
+  row.remove();
+  return table.rows[Math.min(index, table.rows.length - 1)];
+}
+
+function deleteColumn(table, index) {
+  if (getColumnCount(table) <= 1) {
+    removeTable(table);
+    return;
+  }
+  [...table.rows].forEach(row => {
+    if (row.cells[index]) row.deleteCell(index);
+  });
+}
+
+// Tab / Shift+Tab: 다음/이전 셀 (마지막 셀에서 Tab → 새 행)
+function moveToCell(cell, delta) {
+  const table = cell.closest('table');
+  const cells = getCells(table);
+  const index = cells.indexOf(cell) + delta;
+
+  if (index >= cells.length) {
+    const row = insertRowAfter(table.rows[table.rows.length - 1]);
+    placeCaretInCell(row.cells[0]);
+  } else if (index >= 0) {
+    placeCaretInCell(cells[index], true);
+  }
+}
+
+// Enter: 아래에 새 행 (마지막 빈 행에서 Enter → 표 빠져나오기)
+function handleCellEnter(cell) {
+  const row = cell.parentElement;
+  const table = cell.closest('table');
+
+  if (row === table.rows[table.rows.length - 1] && table.rows.length > 1 && isRowEmpty(row)) {
+    row.remove();
+    ensureLineAfter(table);
+    const next = table.nextSibling;
+    const range = document.createRange();
+    range.setStart(next, 0);
+    range.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    return;
+  }
+
+  const newRow = insertRowAfter(row);
+  placeCaretInCell(newRow.cells[Math.min(cell.cellIndex, newRow.cells.length - 1)]);
+}
+
+// ===== CSV / TSV 붙여넣기 =====
+
+// 따옴표 안의 구분자/줄바꿈 지원 (스프레드시트 복사는 탭 구분)
+export function parseDelimited(text) {
+  const normalized = text.replace(/\r\n?/g, '\n');
+  const firstLine = normalized.slice(0, normalized.indexOf('\n') === -1 ? undefined : normalized.indexOf('\n'));
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < normalized.length; i++) {
+    const ch = normalized[i];
+    if (quoted) {
+      if (ch === '"' && normalized[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// 두 줄 이상, 두 열 이상이고 모든 줄의 열 수가 같을 때만 표로 (일반 문장의 쉼표 오인 방지)
+function isTabular(rows) {
+  if (rows.length < 2 || rows.length > MAX_TABLE_ROWS) return false;
+  const columns = rows[0].length;
+  return columns >= 2 && columns <= MAX_TABLE_COLUMNS && rows.every(row => row.length === columns);
+}
+
+// 셀 안에 붙여넣기: 현재 셀부터 채우고 모자란 행/열은 추가
+function pasteIntoTable(cell, rows) {
+  const table = cell.closest('table');
+  const startColumn = cell.cellIndex;
+  let row = cell.parentElement;
+
+  while (getColumnCount(table) < Math.min(MAX_TABLE_COLUMNS, startColumn + rows[0].length)) {
+    insertColumnAfter(table, getColumnCount(table) - 1);
+  }
+
+  let lastFilled = cell;
+  rows.forEach((values, i) => {
+    if (i > 0 && row) {
+      row = row.nextElementSibling || (table.rows.length < MAX_TABLE_ROWS ? insertRowAfter(row) : null);
+    }
+    if (!row) return;
+    values.forEach((value, j) => {
+      const target = row.cells[startColumn + j];
+      if (!target) return;
+      fillCell(target, value);
+      lastFilled = target;
+    });
+  });
+  placeCaretInCell(lastFilled);
+}
+
+function insertTableAtCursor(table) {
+  const sel = window.getSelection();
+  if (!sel.rangeCount) return;
+  const range = sel.getRangeAt(0);
+  range.deleteContents();
+  range.insertNode(table);
+  ensureLineAfter(table);
+  placeCaretInCell(table.rows[0].cells[0]);
+}
+
+function handleTablePaste(e) {
+  const text = e.clipboardData?.getData('text/plain');
+  if (!text) return;
+
+  const sel = window.getSelection();
+  if (!sel.rangeCount) return;
+  const container = sel.getRangeAt(0).startContainer;
+  const el = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+  if (!editor.contains(el) || el.closest('pre, code')) return;
+
+  const rows = parseDelimited(text);
+  if (!isTabular(rows)) return;
+
+  // 스프레드시트는 이미지도 함께 복사하므로 이미지 붙여넣기보다 먼저 처리
+  e.preventDefault();
+  e.stopImmediatePropagation();
+
+  const cell = getCurrentCell();
+  recordEdit(() => {
+    if (cell) {
+      pasteIntoTable(cell, rows);
+    } else {
+      insertTableAtCursor(createTable(rows));
+    }
+  });
+  triggerSave();
+  tableToolbar.update();
+}
+
+// ===== 도구 모음 (행/열 추가·삭제) =====
+
+// 커서가 이 표 안에 있으면 그 셀, 아니면 마지막 셀 기준
+function getTargetCell(table) {
+  if (lastCell?.isConnected && table.contains(lastCell)) return lastCell;
+  const lastRow = table.rows[table.rows.length - 1];
+  return lastRow?.cells[lastRow.cells.length - 1] || null;
+}
+
+const TOOLBAR_ACTIONS = [
+  {
+    label: '+ 행',
+    title: '아래에 행 추가',
+    run: (cell) => insertRowAfter(cell.parentElement).cells[Math.min(cell.cellIndex, getColumnCount(cell.closest('table')) - 1)]
+  },
+  {
+    label: '− 행',
+    title: '행 삭제',
+    run: (cell) => deleteRow(cell.parentElement)?.cells[0] || null
+  },
+  {
+    label: '+ 열',
+    title: '오른쪽에 열 추가',
+    run: (cell) => {
+      insertColumnAfter(cell.closest('table'), cell.cellIndex);
+      return cell.parentElement.cells[cell.cellIndex + 1];
+    }
+  },
+  {
+    label: '− 열',
+    title: '열 삭제',
+    run: (cell) => {
+      const table = cell.closest('table');
+      const { parentElement: row, cellIndex } = cell;
+      deleteColumn(table, cellIndex);
+      return table.isConnected ? row.cells[Math.min(cellIndex, row.cells.length - 1)] : null;
+    }
+  }
+];
+
+function buildToolbar(toolbar) {
+  TOOLBAR_ACTIONS.forEach(action => {
+    const btn = document.createElement('button');
+    btn.className = 'table-toolbar-btn';
+    btn.textContent = action.label;
+    btn.title = action.title;
+    // 에디터 커서 유지
+    btn.addEventListener('mousedown', (e) => e.preventDefault());
+    btn.addEventListener('click', () => {
+      const cell = tableToolbar.target && getTargetCell(tableToolbar.target);
+      if (!cell) return;
+      recordEdit(() => {
+        const next = action.run(cell);
+        if (next) placeCaretInCell(next);
+      });
+      triggerSave();
+      tableToolbar.update();
+    });
+    toolbar.appendChild(btn);
+  });
+}
+
+// 커서가 있는 표 (셀도 기억해 두고 버튼 기준으로 사용)
+function getCaretTable() {
+  const cell = getCurrentCell();
+  if (cell) lastCell = cell;
+  return cell?.closest('table') || null;
+}
+
+// 표 위쪽 오른편 (위에 자리가 없으면 표 안쪽)
+const tableToolbar = createFloatingToolbar({
+  className: 'table-toolbar',
+  selector: 'table',
+  getCaretTarget: getCaretTable,
+  build: buildToolbar,
+  position: (rect, editorRect, toolbar) => {
+    let top = rect.top - toolbar.offsetHeight - 2;
+    if (top < editorRect.top) top = Math.max(rect.top, editorRect.top) + 2;
+    return {
+      top,
+      left: Math.max(editorRect.left, Math.min(rect.right, editorRect.right) - toolbar.offsetWidth)
+    };
+  }
+});
+
+// ===== 이벤트 초기화 =====
+
+export function initTableEvents() {
+  // 입력 규칙/리스트 자동 완성보다 먼저 등록 (셀 안의 Enter/Tab은 표 편집)
+  editor.addEventListener('keydown', (e) => {
+    if (e.isComposing || snippetState.isComposing || e.metaKey || e.ctrlKey || e.altKey) return;
+    if (e.key !== 'Tab' && !(e.key === 'Enter' && !e.shiftKey)) return;
+    if (snippetState.snippetFormMode || editor.querySelector('.snippet-match')) return;
+
+    const cell = getCurrentCell();
+    if (!cell) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    recordEdit(() => {
+      if (e.key === 'Tab') {
+        moveToCell(cell, e.shiftKey ? -1 : 1);
+      } else {
+        handleCellEnter(cell);
+      }
+    });
+    triggerSave();
+    tableToolbar.update();
+  });
+
+  editor.addEventListener('paste', handleTablePaste);
+
+  // 표에 마우스가 올라가 있어도 버튼 기준 셀은 커서 위치로
+  document.addEventListener('selectionchange', () => {
+    const cell = getCurrentCell();
+    if (cell) lastCell = cell;
+  });
+
+  tableToolbar.init();
+}
@@ -0,0 +1,52 @@
+/**
+ * textSelection.js - 텍스트 오프셋 기준 선택 영역 (실행 취소 커서, 코드 블록 강조에서 공용)
+ * 노드 대신 root 안의 글자 위치로 저장하므로 HTML을 다시 그려도 같은 위치로 복원됨
+ */
+
+function getTextOffset(root, node, offset) {
+  const range = document.createRange();
+  range.selectNodeContents(root);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+function findTextPosition(root, target) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let remaining = target;
+  let last = null;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (remaining <= node.length) return { node, offset: remaining };
+    remaining -= node.length;
+    last = node;
+  }
+  return last ? { node: last, offset: last.length } : { node: root, offset: root.childNodes.length };
+}
+
+/**
+ * 현재 선택 영역을 root 기준 글자 위치로
+ * @param {Element} root
+ * @returns {{ start: number, end: number }|null} 선택이 root 밖이면 null
+ */
+export function getTextSelection(root) {
+  const sel = window.getSelection();
+  if (!sel.rangeCount) return null;
+  const range = sel.getRangeAt(0);
+  if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+  return {
+    start: getTextOffset(root, range.startContainer, range.startOffset),
+    end: getTextOffset(root, range.endContainer, range.endOffset)
+  };
+}
+
+// root 기준 글자 위치로 선택 (범위를 넘으면 끝으로)
+export function setTextSelection(root, start, end = start) {
+  const from = findTextPosition(root, start);
+  const to = findTextPosition(root, end);
+  const range = document.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  const sel = window.getSelection();
+  sel.removeAllRanges();
+  sel.addRange(range);
+}
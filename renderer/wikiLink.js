@@ -0,0 +1,251 @@
+/**
+ * wikiLink.js - [[메모 링크]] 자동완성 / 이동 / 백링크
+ * 링크는 <span class="wiki-link" data-memo-uuid="...">로 저장 (제목이 바뀌어도 uuid로 연결)
+ */
+
+import { elements, memoState } from './state.js';
+
+const { editor } = elements;
+
+// 커서 앞의 "[[검색어" (줄바꿈/괄호 없이 50자까지)
+const LINK_TRIGGER = /\[\[([^[\]\n]{0,50})$/;
+
+// 메모 이동 함수 (순환 참조 방지를 위해 나중에 설정)
+let openMemoFn = null;
+export function setOpenMemoFn(fn) {
+  openMemoFn = fn;
+}
+
+let suggestState = null;    // { node, start, end, items, selected }
+let suggestRequestId = 0;   // 느린 응답이 최신 후보를 덮어쓰지 않도록
+
+// ===== 링크 요소 =====
+
+function createWikiLink(uuid, title) {
+  const link = document.createElement('span');
+  link.className = 'wiki-link';
+  link.contentEditable = 'false';
+  link.dataset.memoUuid = uuid;
+  link.textContent = `[[${title}]]`;
+  return link;
+}
+
+// 링크 제목을 현재 메모 제목으로 갱신 (없는 메모는 broken 표시)
+export async function refreshWikiLinks() {
+  const links = [...editor.querySelectorAll('.wiki-link')];
+  if (links.length === 0) return;
+
+  const memoId = memoState.currentMemo?.id;
+  const uuids = [...new Set(links.map(link => link.dataset.memoUuid))];
+  const titles = await window.api.getMemoLinkTitles(uuids);
+  // 응답 전에 다른 메모로 이동했으면 무시
+  if (memoState.currentMemo?.id !== memoId) return;
+
+  links.forEach(link => {
+    const title = titles[link.dataset.memoUuid];
+    link.classList.toggle('broken', !title);
+    if (title && link.textContent !== `[[${title}]]`) {
+      link.textContent = `[[${title}]]`;
+    }
+  });
+}
+
+// ===== 자동완성 =====
+
+function getTriggerMatch() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount || !sel.isCollapsed) return null;
+
+  const range = sel.getRangeAt(0);
+  const node = range.startContainer;
+  if (node.nodeType !== Node.TEXT_NODE || !editor.contains(node)) return null;
+  if (node.parentElement.closest('.wiki-link, a, pre, code, .snippet-form')) return null;
+
+  const match = node.textContent.slice(0, range.startOffset).match(LINK_TRIGGER);
+  if (!match) return null;
+
+  return {
+    node,
+    start: range.startOffset - match[0].length,
+    end: range.startOffset,
+    query: match[1]
+  };
+}
+
+async function updateSuggestions() {
+  const match = getTriggerMatch();
+  if (!match) {
+    closeSuggestions();
+    return;
+  }
+
+  const requestId = ++suggestRequestId;
+  const items = await window.api.getMemoLinkCandidates(match.query, memoState.currentMemo?.id);
+  if (requestId !== suggestRequestId) return;
+
+  suggestState = { ...match, items, selected: 0 };
+  renderSuggestions();
+}
+
+function renderSuggestions() {
+  const popup = document.getElementById('wiki-link-suggest');
+  if (!popup || !suggestState) return;
+
+  popup.innerHTML = '';
+
+  if (suggestState.items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'wiki-suggest-empty';
+    empty.textContent = '일치하는 메모가 없습니다';
+    popup.appendChild(empty);
+  }
+
+  suggestState.items.forEach((item, i) => {
+    const option = document.createElement('div');
+    option.className = 'wiki-suggest-item' + (i === suggestState.selected ? ' selected' : '');
+    option.textContent = item.title;
+    // 에디터 포커스 유지
+    option.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      insertLink(item);
+    });
+    popup.appendChild(option);
+  });
+
+  popup.classList.remove('hidden');
+
+  // 커서 아래에 표시 (창 밖으로 나가면 위로)
+  const caret = document.createRange();
+  caret.setStart(suggestState.node, suggestState.end);
+  caret.collapse(true);
+  const rect = caret.getClientRects()[0] || caret.getBoundingClientRect();
+
+  const left = Math.min(rect.left, window.innerWidth - popup.offsetWidth - 8);
+  let top = rect.bottom + 4;
+  if (top + popup.offsetHeight > window.innerHeight - 8) {
+    top = rect.top - popup.offsetHeight - 4;
+  }
+  popup.style.left = Math.max(8, left) + 'px';
+  popup.style.top = Math.max(8, top) + 'px';
+
+  popup.querySelector('.wiki-suggest-item.selected')?.scrollIntoView({ block: 'nearest' });
+}
+
+function closeSuggestions() {
+  suggestState = null;
+  suggestRequestId++;
+  const popup = document.getElementById('wiki-link-suggest');
+  if (popup) popup.classList.add('hidden');
+}
+
+function insertLink(item) {
+  if (!suggestState) return;
+  const { node, start, end } = suggestState;
+  closeSuggestions();
+  if (!node.isConnected) return;
+
+  const text = node.textContent;
+  // 뒤에 이미 ]]가 있으면 함께 대체
+  const tail = text.slice(end, end + 2) === ']]' ? end + 2 : end;
+
+  const after = document.createTextNode(' ' + text.slice(tail));
+  node.replaceWith(document.createTextNode(text.slice(0, start)), createWikiLink(item.uuid, item.title), after);
+
+  const sel = window.getSelection();
+  const range = document.createRange();
+  range.setStart(after, 1);
+  range.collapse(true);
+  sel.removeAllRanges();
+  sel.addRange(range);
+
+  // 저장/링크 처리 등 일반 입력과 같은 흐름으로
+  editor.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function moveSelection(delta) {
+  const count = suggestState.items.length;
+  if (count === 0) return;
+  suggestState.selected = (suggestState.selected + delta + count) % count;
+  renderSuggestions();
+}
+
+// ===== 백링크 =====
+
+export async function renderBacklinks() {
+  const panel = document.getElementById('backlinks');
+  if (!panel) return;
+
+  const memoId = memoState.currentMemo?.id;
+  const backlinks = memoId ? await window.api.getBacklinks(memoId) : [];
+  if (memoState.currentMemo?.id !== memoId) return;
+
+  panel.innerHTML = '';
+  panel.classList.toggle('hidden', backlinks.length === 0);
+  if (backlinks.length === 0) return;
+
+  const label = document.createElement('span');
+  label.className = 'backlinks-label';
+  label.textContent = `← ${backlinks.length}`;
+  label.title = '이 메모를 링크한 메모';
+  panel.appendChild(label);
+
+  backlinks.forEach(backlink => {
+    const item = document.createElement('button');
+    item.className = 'backlink-item';
+    item.textContent = backlink.title;
+    item.title = backlink.title;
+    item.addEventListener('click', () => {
+      if (openMemoFn) openMemoFn(backlink.uuid);
+    });
+    panel.appendChild(item);
+  });
+}
+
+// ===== 이벤트 초기화 =====
+
+export function initWikiLinkEvents() {
+  editor.addEventListener('input', () => {
+    updateSuggestions();
+  });
+
+  editor.addEventListener('blur', () => {
+    closeSuggestions();
+  });
+
+  // 커서 이동으로 [[ 밖으로 나가면 닫기
+  editor.addEventListener('click', () => {
+    if (suggestState) updateSuggestions();
+  });
+
+  // 링크 클릭 → 링크된 메모로 이동
+  editor.addEventListener('click', (e) => {
+    const link = e.target.closest('.wiki-link');
+    if (!link || !openMemoFn) return;
+    e.preventDefault();
+    openMemoFn(link.dataset.memoUuid);
+  });
+
+  // 자동완성 중에는 Enter/ESC/방향키를 리스트 자동완성·창 닫기보다 먼저 처리
+  window.addEventListener('keydown', (e) => {
+    if (!suggestState || e.isComposing) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      moveSelection(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      const item = suggestState.items[suggestState.selected];
+      if (!item) {
+        closeSuggestions();
+        return;
+      }
+      insertLink(item);
+    } else if (e.key === 'Escape') {
+      closeSuggestions();
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+  }, true);
+}
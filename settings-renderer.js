@@ -1,5 +1,15 @@
 const autoLaunchCheckbox = document.getElementById('autoLaunch');
 const notificationCheckbox = document.getElementById('notificationEnabled');
+const subtaskAutoCompleteCheckbox = document.getElementById('subtaskAutoComplete');
+const trashRetentionSelect = document.getElementById('trashRetentionSelect');
+const dbEncryptionCheckbox = document.getElementById('dbEncryption');
+const backupFrequencySelect = document.getElementById('backupFrequencySelect');
+const backupKeepSelect = document.getElementById('backupKeepSelect');
+const backupDirBtn = document.getElementById('backupDirBtn');
+const backupDirText = document.getElementById('backupDirText');
+const backupStatusText = document.getElementById('backupStatusText');
+const backupNowBtn = document.getElementById('backupNowBtn');
+const backupRestoreBtn = document.getElementById('backupRestoreBtn');
 const cloudSyncCheckbox = document.getElementById('cloudSyncEnabled');
 const cloudSyncOption = document.getElementById('cloudSyncOption');
 const cloudSyncProTag = document.getElementById('cloudSyncProTag');
@@ -193,6 +203,7 @@ const backFromTools = document.getElementById('backFromTools');
 const toolsMainPage = document.getElementById('toolsMainPage');
 const toolsListPage = document.getElementById('toolsListPage');
 const availableToolsList = document.getElementById('availableToolsList');
+const openUserToolsDirBtn = document.getElementById('openUserToolsDirBtn');
 
 // Custom select elements
 const snippetToolSelectEl = document.getElementById('snippetToolSelect');
@@ -248,6 +259,28 @@ navItems.forEach(item => {
   const notificationEnabled = await window.settingsApi.getNotificationEnabled();
   notificationCheckbox.checked = notificationEnabled;
 
+  // 하위 할일 자동 완료 설정 로드
+  subtaskAutoCompleteCheckbox.checked = await window.settingsApi.getSubtaskAutoComplete();
+
+  // 휴지통 보관 기간 로드
+  const trashRetentionDays = await window.settingsApi.getTrashRetentionDays();
+  trashRetentionSelect.value = String(trashRetentionDays);
+
+  // 데이터 암호화 설정 로드 (OS 보안 저장소가 없으면 켤 수 없음)
+  const dbEncryption = await window.settingsApi.getDbEncryption();
+  dbEncryptionCheckbox.checked = dbEncryption.enabled;
+  dbEncryptionCheckbox.disabled = !dbEncryption.available && !dbEncryption.enabled;
+  if (!dbEncryption.available) {
+    dbEncryptionCheckbox.title = '이 시스템에서는 보안 저장소를 사용할 수 없습니다';
+  }
+
+  // 백업 설정 로드
+  const backupSettings = await window.settingsApi.getBackupSettings();
+  backupFrequencySelect.value = backupSettings.frequency;
+  backupKeepSelect.value = String(backupSettings.keep);
+  backupDirText.textContent = backupSettings.dir;
+  updateBackupStatus(backupSettings.lastBackupAt);
+
   // 클라우드 동기화 설정 로드 (Pro 사용자만 값 적용)
   const cloudSyncEnabled = await window.settingsApi.getCloudSyncEnabled();
   if (cloudSyncCheckbox) cloudSyncCheckbox.dataset.savedValue = cloudSyncEnabled || false;
@@ -442,6 +475,108 @@ notificationCheckbox.addEventListener('change', async () => {
   await window.settingsApi.setNotificationEnabled(notificationCheckbox.checked);
 });
 
+// 하위 할일 자동 완료 변경
+subtaskAutoCompleteCheckbox.addEventListener('change', async () => {
+  await window.settingsApi.setSubtaskAutoComplete(subtaskAutoCompleteCheckbox.checked);
+});
+
+// 휴지통 보관 기간 변경
+trashRetentionSelect.addEventListener('change', async () => {
+  await window.settingsApi.setTrashRetentionDays(parseInt(trashRetentionSelect.value, 10));
+});
+
+// 데이터 암호화 변경 (DB/이미지 변환을 위해 재시작)
+dbEncryptionCheckbox.addEventListener('change', async () => {
+  const enabled = dbEncryptionCheckbox.checked;
+  const message = enabled
+    ? '메모와 이미지를 암호화해 저장합니다.\n적용하려면 앱이 다시 시작됩니다. 계속할까요?'
+    : '암호화를 해제하고 일반 파일로 저장합니다.\n적용하려면 앱이 다시 시작됩니다. 계속할까요?';
+  if (!confirm(message)) {
+    dbEncryptionCheckbox.checked = !enabled;
+    return;
+  }
+
+  const success = await window.settingsApi.setDbEncryption(enabled);
+  if (!success) {
+    dbEncryptionCheckbox.checked = !enabled;
+    alert('데이터 암호화를 설정할 수 없습니다.');
+  }
+});
+
+// ===== 백업 / 복원 =====
+function formatBackupDate(timestamp) {
+  return new Date(timestamp).toLocaleString('ko-KR', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+function updateBackupStatus(lastBackupAt) {
+  backupStatusText.textContent = lastBackupAt ? `마지막 백업: ${formatBackupDate(lastBackupAt)}` : '백업 없음';
+}
+
+backupFrequencySelect.addEventListener('change', async () => {
+  await window.settingsApi.setBackupSettings({ frequency: backupFrequencySelect.value });
+  // 처음 켜면 바로 백업될 수 있음
+  const { lastBackupAt } = await window.settingsApi.getBackupSettings();
+  updateBackupStatus(lastBackupAt);
+});
+
+backupKeepSelect.addEventListener('change', async () => {
+  await window.settingsApi.setBackupSettings({ keep: parseInt(backupKeepSelect.value, 10) });
+});
+
+backupDirBtn.addEventListener('click', async () => {
+  const dir = await window.settingsApi.chooseBackupDir();
+  if (dir) backupDirText.textContent = dir;
+});
+
+backupDirText.addEventListener('click', () => {
+  window.settingsApi.openBackupDir();
+});
+
+backupNowBtn.addEventListener('click', async () => {
+  backupNowBtn.disabled = true;
+  backupStatusText.textContent = '백업 중...';
+  const result = await window.settingsApi.backupNow();
+  backupNowBtn.disabled = false;
+
+  if (result.success) {
+    updateBackupStatus(result.createdAt);
+  } else {
+    const { lastBackupAt } = await window.settingsApi.getBackupSettings();
+    updateBackupStatus(lastBackupAt);
+    alert('백업 실패: ' + (result.error || '알 수 없는 오류'));
+  }
+});
+
+// 백업 선택 → 검증 결과(날짜/메모 수) 확인 → 복원 (현재 데이터는 복원 전에 자동 백업)
+backupRestoreBtn.addEventListener('click', async () => {
+  const info = await window.settingsApi.inspectBackup();
+  if (info.canceled) return;
+  if (!info.success) {
+    alert('복원할 수 없는 백업입니다: ' + info.error);
+    return;
+  }
+
+  const message = `${formatBackupDate(info.createdAt)} 백업으로 복원할까요?\n` +
+    `메모 ${info.memoCount}개, 첨부 파일 ${info.imageCount}개\n\n` +
+    '현재 데이터는 복원 전에 자동으로 백업되며, 앱이 다시 시작됩니다.';
+  if (!confirm(message)) return;
+
+  backupRestoreBtn.disabled = true;
+  backupNowBtn.disabled = true;
+  backupStatusText.textContent = '복원 중...';
+  const result = await window.settingsApi.restoreBackup();
+  // 성공하면 앱이 재시작되므로 실패한 경우만 처리
+  if (!result.success) {
+    backupRestoreBtn.disabled = false;
+    backupNowBtn.disabled = false;
+    const { lastBackupAt } = await window.settingsApi.getBackupSettings();
+    updateBackupStatus(lastBackupAt);
+    alert('복원 실패: ' + (result.error || '알 수 없는 오류'));
+  }
+});
+
 // 클라우드 동기화 설정 변경
 cloudSyncCheckbox.addEventListener('change', async () => {
   await window.settingsApi.setCloudSyncEnabled(cloudSyncCheckbox.checked);
@@ -473,11 +608,13 @@ const dynamicFields = document.getElementById('dynamicFields');
 
 // 도구 목록 캐시
 let toolsList = [];
+let manifestToolsList = [];  // 워크플로 단계에서 고를 매니페스트 명령어
 let currentToolSchema = [];
 
 // 도구 목록 로드 및 커스텀 셀렉트 채우기
 async function loadTools() {
   toolsList = await window.settingsApi.getTools();
+  manifestToolsList = await window.settingsApi.getManifestTools();
   customSelectOptions.innerHTML = '';
 
   toolsList.forEach(tool => {
@@ -659,6 +796,31 @@ function renderDynamicForm(toolId, existingConfig = {}) {
         row.appendChild(checkLabel);
         break;
 
+      case 'steps':
+        // 워크플로 단계 목록
+        const stepsContainer = document.createElement('div');
+        stepsContainer.className = 'workflow-steps';
+        stepsContainer.id = `field_${field.name}`;
+        (Array.isArray(defaultValue) ? defaultValue : []).forEach(step => {
+          addStepRow(stepsContainer, step);
+        });
+        row.appendChild(stepsContainer);
+
+        const addStepBtn = document.createElement('button');
+        addStepBtn.type = 'button';
+        addStepBtn.className = 'add-field-btn';
+        addStepBtn.textContent = '+ 단계 추가';
+        addStepBtn.addEventListener('click', () => addStepRow(stepsContainer));
+        row.appendChild(addStepBtn);
+
+        if (field.hint) {
+          const hint = document.createElement('small');
+          hint.className = 'form-hint';
+          hint.textContent = field.hint;
+          row.appendChild(hint);
+        }
+        break;
+
       case 'result':
         // 결과 필드: 입력 + 테스트 결과 표시 통합
         row.className = 'form-row result-field-row';
@@ -849,6 +1011,152 @@ function getKeyValuePairs(container) {
   return pairs;
 }
 
+// ===== Workflow Step Editor =====
+
+// 단계 도구 값: 코드 도구는 "http", 매니페스트 명령어는 "도구ID:단축어"
+function splitStepTool(value) {
+  const index = value.indexOf(':');
+  if (index === -1) return { tool: value, command: undefined };
+  return { tool: value.slice(0, index), command: value.slice(index + 1) };
+}
+
+// 단계에서 고를 수 있는 도구 (워크플로 자신은 제외)
+function getStepToolOptions() {
+  const options = toolsList
+    .filter(tool => tool.id !== 'workflow')
+    .map(tool => ({ value: tool.id, label: `${tool.icon || '🔧'} ${tool.name}` }));
+
+  manifestToolsList.forEach(tool => {
+    (tool.commands || []).forEach(cmd => {
+      options.push({
+        value: `${tool.id}:${cmd.shortcut}`,
+        label: `${tool.icon || '🔧'} ${tool.name} / ${cmd.shortcut}`
+      });
+    });
+  });
+  return options;
+}
+
+// 도구를 고르면 채울 설정 예시 (코드 도구는 기본값, 매니페스트 명령어는 필드 값)
+function getStepTemplate(value) {
+  const { tool: toolId, command } = splitStepTool(value);
+  if (command === undefined) {
+    return toolsList.find(t => t.id === toolId)?.defaults || {};
+  }
+
+  const tool = manifestToolsList.find(t => t.id === toolId);
+  const cmd = tool?.commands.find(c => c.shortcut === command);
+  const fields = {};
+  (cmd?.fields || []).forEach(name => {
+    fields[name] = `{{${name}}}`;
+  });
+  return fields;
+}
+
+function renumberSteps(container) {
+  container.querySelectorAll('.workflow-step').forEach((row, i) => {
+    row.querySelector('.workflow-step-number').textContent = `${i + 1}`;
+  });
+}
+
+function addStepRow(container, step = {}) {
+  const row = document.createElement('div');
+  row.className = 'workflow-step';
+  row.innerHTML = `
+    <div class="workflow-step-header">
+      <span class="workflow-step-number"></span>
+      <select class="step-tool"></select>
+      <button type="button" class="step-move-btn" data-direction="up" title="위로">↑</button>
+      <button type="button" class="step-move-btn" data-direction="down" title="아래로">↓</button>
+      <button type="button" class="remove-btn" title="삭제">×</button>
+    </div>
+    <textarea class="step-config" placeholder="설정 (JSON)"></textarea>
+    <div class="workflow-step-options">
+      <input type="text" class="step-if" placeholder="실행 조건 (예: {{steps.1.status}} == 201)">
+      <label class="checkbox-label"><input type="checkbox" class="step-stop"> 실패하면 중단</label>
+    </div>
+  `;
+
+  const select = row.querySelector('.step-tool');
+  const configInput = row.querySelector('.step-config');
+
+  getStepToolOptions().forEach(({ value, label }) => select.add(new Option(label, value)));
+
+  const value = step.command !== undefined ? `${step.tool}:${step.command}` : step.tool;
+  if (value) {
+    // 지금은 없는 도구도 그대로 표시
+    if (![...select.options].some(option => option.value === value)) {
+      select.add(new Option(`${value} (없음)`, value));
+    }
+    select.value = value;
+  }
+
+  const savedConfig = step.command !== undefined ? step.fields : step.config;
+  configInput.value = JSON.stringify(savedConfig || getStepTemplate(select.value), null, 2);
+  configInput.dataset.template = savedConfig ? '' : configInput.value;
+  row.querySelector('.step-if').value = step.if || '';
+  row.querySelector('.step-stop').checked = step.stopOnError !== false;
+
+  // 설정을 손대지 않았으면 새 도구의 예시로 교체
+  select.addEventListener('change', () => {
+    if (!configInput.value.trim() || configInput.value === configInput.dataset.template) {
+      configInput.value = JSON.stringify(getStepTemplate(select.value), null, 2);
+      configInput.dataset.template = configInput.value;
+    }
+  });
+
+  row.querySelectorAll('.step-move-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.direction === 'up' && row.previousElementSibling) {
+        container.insertBefore(row, row.previousElementSibling);
+      } else if (btn.dataset.direction === 'down' && row.nextElementSibling) {
+        container.insertBefore(row.nextElementSibling, row);
+      }
+      renumberSteps(container);
+    });
+  });
+
+  row.querySelector('.remove-btn').addEventListener('click', () => {
+    row.remove();
+    renumberSteps(container);
+  });
+
+  container.appendChild(row);
+  renumberSteps(container);
+}
+
+// 단계 목록 추출 (설정 JSON이 잘못된 단계는 invalid 표시)
+function getStepValues(container) {
+  return [...container.querySelectorAll('.workflow-step')].map(row => {
+    const { tool, command } = splitStepTool(row.querySelector('.step-tool').value);
+    const text = row.querySelector('.step-config').value.trim();
+
+    let parsed = {};
+    if (text) {
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        parsed = null;
+      }
+    }
+    const valid = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    row.classList.toggle('invalid', !valid);
+
+    const step = { tool };
+    if (command !== undefined) {
+      step.command = command;
+      step.fields = valid ? parsed : {};
+    } else {
+      step.config = valid ? parsed : {};
+    }
+
+    const condition = row.querySelector('.step-if').value.trim();
+    if (condition) step.if = condition;
+    if (!row.querySelector('.step-stop').checked) step.stopOnError = false;
+    return step;
+  });
+}
+
 // 동적 폼에서 값 추출
 function getFormValues() {
   const values = {};
@@ -870,6 +1178,9 @@ function getFormValues() {
       case 'checkbox':
         values[field.name] = el.checked;
         break;
+      case 'steps':
+        values[field.name] = getStepValues(el);
+        break;
     }
   });
 
@@ -906,7 +1217,7 @@ function renderSnippetList(snippets) {
     item.innerHTML = `
       <div class="snippet-info">
         <span class="snippet-name">${escapeHtml(snippet.name || snippet.shortcut)}</span>
-        <span class="snippet-meta">${iconHtml} ${toolName}${snippet.type === 'http' ? ' ' + (config.method || 'POST') : ''}</span>
+        <span class="snippet-meta">${iconHtml} ${toolName}${getSnippetMetaSuffix(snippet.type, config)}</span>
       </div>
       <div class="snippet-actions">
         <button class="edit-btn" data-id="${snippet.id}">수정</button>
@@ -926,6 +1237,13 @@ function renderSnippetList(snippets) {
   });
 }
 
+// 목록에 붙일 도구별 요약 (HTTP 메서드, 워크플로 단계 수)
+function getSnippetMetaSuffix(type, config) {
+  if (type === 'http') return ' ' + (config.method || 'POST');
+  if (type === 'workflow') return ` ${(config.steps || []).length}단계`;
+  return '';
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -1004,6 +1322,18 @@ snippetSave.addEventListener('click', async () => {
     return;
   }
 
+  // 워크플로 단계 검증
+  if (Array.isArray(config.steps)) {
+    if (config.steps.length === 0) {
+      alert('단계를 하나 이상 추가하세요');
+      return;
+    }
+    if (dynamicFields.querySelector('.workflow-step.invalid')) {
+      alert('단계 설정의 JSON 형식을 확인하세요');
+      return;
+    }
+  }
+
   const data = {
     type,
     shortcut,
@@ -1032,6 +1362,249 @@ snippetSave.addEventListener('click', async () => {
   loadSnippets();
 });
 
+// ===== Templates =====
+const templateList = document.getElementById('templateList');
+const templateForm = document.getElementById('templateForm');
+const templateName = document.getElementById('templateName');
+const templateBody = document.getElementById('templateBody');
+const templateEditId = document.getElementById('templateEditId');
+const addTemplateBtn = document.getElementById('addTemplateBtn');
+const newMemoTemplateSelect = document.getElementById('newMemoTemplateSelect');
+
+loadTemplates();
+
+async function loadTemplates() {
+  const [templates, boundId] = await Promise.all([
+    window.settingsApi.getTemplates(),
+    window.settingsApi.getNewMemoTemplate()
+  ]);
+  renderTemplateList(templates);
+  renderNewMemoTemplateSelect(templates, boundId);
+}
+
+function renderTemplateList(templates) {
+  templateList.innerHTML = '';
+
+  templates.forEach(template => {
+    const firstLine = template.body.split('\n').find(line => line.trim()) || '';
+
+    const item = document.createElement('div');
+    item.className = 'snippet-item';
+    item.innerHTML = `
+      <div class="snippet-info">
+        <span class="snippet-name">${escapeHtml(template.name)}</span>
+        <span class="snippet-meta">${escapeHtml(firstLine)}</span>
+      </div>
+      <div class="snippet-actions">
+        <button class="edit-btn" data-id="${template.id}">수정</button>
+        <button class="delete-btn" data-id="${template.id}">삭제</button>
+      </div>
+    `;
+    templateList.appendChild(item);
+  });
+
+  templateList.querySelectorAll('.edit-btn').forEach(btn => {
+    btn.addEventListener('click', () => editTemplate(Number(btn.dataset.id), templates));
+  });
+
+  templateList.querySelectorAll('.delete-btn').forEach(btn => {
+    btn.addEventListener('click', () => deleteTemplate(Number(btn.dataset.id)));
+  });
+}
+
+function renderNewMemoTemplateSelect(templates, boundId) {
+  newMemoTemplateSelect.innerHTML = '<option value="">빈 메모</option>';
+  templates.forEach(template => {
+    newMemoTemplateSelect.add(new Option(template.name, String(template.id)));
+  });
+  newMemoTemplateSelect.value = boundId ? String(boundId) : '';
+}
+
+function resetTemplateForm() {
+  templateEditId.value = '';
+  templateName.value = '';
+  templateBody.value = '';
+}
+
+addTemplateBtn.addEventListener('click', () => {
+  resetTemplateForm();
+  templateForm.classList.remove('hidden');
+  addTemplateBtn.classList.add('hidden');
+  templateName.focus();
+});
+
+document.getElementById('templateCancel').addEventListener('click', () => {
+  templateForm.classList.add('hidden');
+  addTemplateBtn.classList.remove('hidden');
+  resetTemplateForm();
+});
+
+function editTemplate(id, templates) {
+  const template = templates.find(t => t.id === id);
+  if (!template) return;
+
+  templateEditId.value = String(template.id);
+  templateName.value = template.name;
+  templateBody.value = template.body;
+
+  templateForm.classList.remove('hidden');
+  addTemplateBtn.classList.add('hidden');
+}
+
+async function deleteTemplate(id) {
+  await window.settingsApi.deleteTemplate(id);
+  loadTemplates();
+}
+
+document.getElementById('templateSave').addEventListener('click', async () => {
+  const name = templateName.value.trim();
+  if (!name) {
+    alert('이름을 입력하세요');
+    return;
+  }
+
+  const editId = Number(templateEditId.value);
+  const result = editId
+    ? await window.settingsApi.updateTemplate(editId, name, templateBody.value)
+    : await window.settingsApi.createTemplate(name, templateBody.value);
+
+  if (!result) {
+    alert('저장 실패: 이름은 100자, 내용은 100,000자까지 입력할 수 있습니다');
+    return;
+  }
+
+  templateForm.classList.add('hidden');
+  addTemplateBtn.classList.remove('hidden');
+  resetTemplateForm();
+  loadTemplates();
+});
+
+// 새 메모 단축키 템플릿 변경
+newMemoTemplateSelect.addEventListener('change', async () => {
+  const id = newMemoTemplateSelect.value ? Number(newMemoTemplateSelect.value) : null;
+  await window.settingsApi.setNewMemoTemplate(id);
+});
+
+// ===== Execution Log =====
+const executionLogList = document.getElementById('executionLogList');
+const executionLogSearch = document.getElementById('executionLogSearch');
+const executionLogStatus = document.getElementById('executionLogStatus');
+
+let executionLogSearchTimer = null;
+
+// 탭을 열 때마다 새로 불러옴 (단축어는 메모 창에서 실행됨)
+document.querySelector('[data-section="history"]').addEventListener('click', loadExecutionLog);
+
+async function loadExecutionLog() {
+  const entries = await window.settingsApi.getExecutionLog({
+    status: executionLogStatus.value,
+    query: executionLogSearch.value
+  });
+  renderExecutionLog(entries);
+}
+
+function formatLogTime(timestamp) {
+  return new Date(timestamp).toLocaleString('ko-KR', {
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+}
+
+function renderExecutionLog(entries) {
+  executionLogList.innerHTML = '';
+
+  if (entries.length === 0) {
+    executionLogList.innerHTML = '<div class="execution-log-empty">실행 기록이 없습니다</div>';
+    return;
+  }
+
+  entries.forEach(entry => {
+    const statusClass = entry.success ? 'success' : 'error';
+    const statusText = (entry.success ? '성공' : '실패') + (entry.status ? ` ${entry.status}` : '');
+
+    const item = document.createElement('div');
+    item.className = 'execution-log-item';
+    item.innerHTML = `
+      <div class="snippet-item">
+        <div class="snippet-info">
+          <span class="snippet-name">${escapeHtml(entry.snippetName || entry.tool)}</span>
+          <span class="snippet-meta">
+            <span class="execution-log-status ${statusClass}">${escapeHtml(statusText)}</span>
+            ${escapeHtml(formatLogTime(entry.createdAt))} · ${Number(entry.durationMs) || 0}ms
+          </span>
+        </div>
+        <div class="snippet-actions">
+          <button class="detail-btn">자세히</button>
+          <button class="rerun-btn">다시 실행</button>
+        </div>
+      </div>
+      <div class="execution-log-detail hidden"></div>
+    `;
+
+    const detail = item.querySelector('.execution-log-detail');
+    item.querySelector('.detail-btn').addEventListener('click', () => {
+      if (detail.classList.contains('hidden') && !detail.childElementCount) {
+        renderExecutionLogDetail(detail, entry);
+      }
+      detail.classList.toggle('hidden');
+    });
+
+    const rerunBtn = item.querySelector('.rerun-btn');
+    rerunBtn.addEventListener('click', async () => {
+      rerunBtn.disabled = true;
+      rerunBtn.textContent = '실행 중...';
+      await window.settingsApi.rerunExecution(entry.id);
+      loadExecutionLog();
+    });
+
+    executionLogList.appendChild(item);
+  });
+}
+
+// 요청 / 응답 / 오류 (요청의 비밀 값은 저장할 때 이미 가려짐)
+function renderExecutionLogDetail(detail, entry) {
+  const addBlock = (label, text) => {
+    if (!text) return;
+    const title = document.createElement('div');
+    title.className = 'execution-log-label';
+    title.textContent = label;
+    const pre = document.createElement('pre');
+    pre.textContent = text;
+    detail.append(title, pre);
+  };
+
+  const request = entry.request;
+  if (request) {
+    const headerLines = Object.entries(request.headers || {}).map(([key, value]) => `${key}: ${value}`);
+    const lines = [`${request.method} ${request.url}`, ...headerLines];
+    if (request.body) lines.push('', request.body);
+    addBlock('요청', lines.join('\n'));
+  }
+  addBlock('응답', entry.response);
+  addBlock('오류', entry.error);
+
+  if (!detail.childElementCount) {
+    addBlock('요청', '기록된 요청이 없습니다');
+  }
+}
+
+executionLogSearch.addEventListener('input', () => {
+  clearTimeout(executionLogSearchTimer);
+  executionLogSearchTimer = setTimeout(loadExecutionLog, 300);
+});
+
+executionLogStatus.addEventListener('change', loadExecutionLog);
+
+document.getElementById('clearExecutionLogBtn').addEventListener('click', async () => {
+  const confirmed = await showConfirmModal('실행 기록을 모두 지우시겠습니까?');
+  if (!confirmed) return;
+  await window.settingsApi.clearExecutionLog();
+  loadExecutionLog();
+});
+
 // ===== Auth & License Management =====
 // 서버 URL
 const SYNC_SERVER_URL = 'https://api.handsub.com';
@@ -1490,6 +2063,20 @@ backFromTools.addEventListener('click', () => {
   toolsMainPage.classList.remove('hidden');
 });
 
+// 사용자 도구 폴더 열기
+openUserToolsDirBtn.addEventListener('click', () => {
+  window.settingsApi.openUserToolsDir();
+});
+
+// 도구 폴더가 바뀌면 도구 / 단축어 목록 새로고침
+window.settingsApi.onToolsChanged(async () => {
+  await loadTools();
+  await loadSnippets();
+  if (!toolsListPage.classList.contains('hidden')) {
+    await loadAvailableTools();
+  }
+});
+
 // 도구 연결 상태 저장
 let toolConnections = {};
 
@@ -0,0 +1,72 @@
+/**
+ * templates.js - 메모 템플릿 (새 메모를 만들 때 본문으로 채움)
+ * 템플릿 본문은 일반 텍스트, 자리 표시자는 메모를 만드는 시점 기준으로 치환
+ *
+ * {{date}} 2024-03-15 / {{weekday}} 금요일 / {{time}} 09:30 / {{cursor}} 새 메모의 커서 위치 (본문에서는 지움)
+ */
+
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+const MAX_TEMPLATE_BODY_LENGTH = 100000;
+
+const WEEKDAYS = ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(date|weekday|time|cursor)\s*\}\}/gi;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function isValidTemplateName(name) {
+  return typeof name === 'string' && name.trim().length > 0 && name.length <= MAX_TEMPLATE_NAME_LENGTH;
+}
+
+function isValidTemplateBody(body) {
+  return typeof body === 'string' && body.length <= MAX_TEMPLATE_BODY_LENGTH;
+}
+
+/**
+ * 자리 표시자 치환
+ * @param {string} body - 템플릿 본문
+ * @param {Date} [now] - 기준 시각 (로컬 시간)
+ * @returns {{ text: string, cursor: number|null }} cursor는 첫 {{cursor}}의 텍스트 위치 (없으면 null)
+ */
+function expandTemplate(body, now = new Date()) {
+  const values = {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    weekday: WEEKDAYS[now.getDay()],
+    time: `${pad(now.getHours())}:${pad(now.getMinutes())}`
+  };
+
+  let text = '';
+  let cursor = null;
+  let lastIndex = 0;
+
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    text += body.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    const name = match[1].toLowerCase();
+    if (name === 'cursor') {
+      if (cursor === null) cursor = text.length;
+      continue;
+    }
+    text += values[name];
+  }
+  text += body.slice(lastIndex);
+
+  return { text, cursor };
+}
+
+// 일반 텍스트 → 메모 HTML (에디터가 pre-wrap이라 줄바꿈/공백은 그대로)
+function templateToHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  isValidTemplateName,
+  isValidTemplateBody,
+  expandTemplate,
+  templateToHtml
+};
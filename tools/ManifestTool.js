@@ -5,15 +5,55 @@
  * {
  *   "name": "도구 이름",
  *   "icon": "🔧",
- *   "settings": { "url": { "label": "URL" } },
+ *   "settings": { "webhookUrl": { "label": "Webhook URL" } },
  *   "commands": [
- *     { "shortcut": "알림", "fields": ["내용"], "body": "..." }
+ *     {
+ *       "shortcut": "슬랙",
+ *       "fields": [{ "name": "message", "label": "메시지" }],
+ *       "request": {
+ *         "method": "POST",
+ *         "url": "{{webhookUrl}}",
+ *         "headers": { "Authorization": "Bearer {{apiKey}}" },
+ *         "query": { "channel": "{{channel}}" },
+ *         "bodyType": "json",
+ *         "body": { "text": "{{message}}" }
+ *       },
+ *       "response": {
+ *         "path": "data.url",
+ *         "template": "🔗 {{data.url}}",
+ *         "insert": "replace"
+ *       }
+ *     }
  *   ]
  * }
+ *
+ * 템플릿 변수: settings의 key, fields의 name, {{content}}, {{editorContent}}, {{top}}, {{all}}
+ * request가 없는 명령어는 예전 방식 (settings.url로 body 문자열을 JSON POST)
+ *
+ * response (선택): 성공한 응답을 메모에 넣음
+ * - path: JSON 경로 (예: "data.url", "output[0].text", 생략 시 응답 전체)
+ * - template: 넣을 텍스트 ({{경로}}는 응답에서, 없으면 실행 변수에서 찾음, 생략 시 path 값)
+ * - insert: cursor(단축어 자리, 입력한 내용은 유지) / replace(입력한 내용을 결과로 바꿈) / append(메모 끝에 추가)
  */
 const https = require('https');
 const http = require('http');
-const { validateUrl } = require('./security');
+const { validateUrl, isSafeKey } = require('./security');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const BODY_TYPES = ['json', 'form', 'raw', 'none'];
+const CONTENT_TYPES = {
+  json: 'application/json',
+  form: 'application/x-www-form-urlencoded',
+  raw: 'text/plain'
+};
+const INSERT_MODES = ['cursor', 'replace', 'append'];
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const REQUEST_TIMEOUT = 10000;
+
+// JSON 문자열 escape (따옴표, 줄바꿈 등 처리)
+function escapeForJson(str) {
+  return JSON.stringify(str).slice(1, -1);
+}
 
 class ManifestTool {
   constructor(manifest, folderName) {
@@ -40,18 +80,24 @@ class ManifestTool {
 
   /**
    * 명령어 목록 (단축어 자동 등록용)
+   * fields는 ["내용"] 또는 [{ "name": "message", ... }] 둘 다 허용 → 이름 배열로 통일
    */
   getCommands() {
     return this.commands.map(cmd => ({
       toolId: this.id,
       shortcut: cmd.shortcut,
-      fields: cmd.fields || [],
+      fields: (cmd.fields || [])
+        .map(field => (typeof field === 'string' ? field : field?.name))
+        .filter(name => typeof name === 'string' && name),
       body: cmd.body || ''
     }));
   }
 
   /**
    * 명령어 실행
+   * @param {string} commandShortcut
+   * @param {Object} fieldValues - 입력한 필드 값 + content, editorContent, top, all
+   * @param {Object} toolSettings - 설정 화면에서 저장한 값
    */
   async execute(commandShortcut, fieldValues, toolSettings) {
     const cmd = this.commands.find(c => c.shortcut === commandShortcut);
@@ -59,36 +105,258 @@ class ManifestTool {
       return { success: false, error: '명령어를 찾을 수 없습니다' };
     }
 
-    // URL 가져오기
-    const url = toolSettings.url;
-    if (!url) {
-      return { success: false, error: 'URL이 설정되지 않았습니다' };
+    const variables = this.buildVariables(fieldValues, toolSettings);
+
+    if (!cmd.request || typeof cmd.request !== 'object') {
+      return this.executeLegacy(cmd, variables, toolSettings);
     }
 
-    // body 템플릿에 값 치환 (빈 문자열도 fallback 적용)
-    let body = cmd.body || '{"text": "{{content}}"}';
+    try {
+      const request = this.buildRequest(cmd.request, variables);
+      const result = await this.sendRequest(request);
+      return this.applyResponse({ ...result, request }, cmd.response, variables);
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * 템플릿 변수 목록
+   * 설정 값이 필드 값보다 우선 (필드 입력으로 URL·인증 정보를 바꾸지 못하게)
+   */
+  buildVariables(fieldValues = {}, toolSettings = {}) {
+    const variables = {};
+    for (const source of [fieldValues, toolSettings]) {
+      for (const [key, value] of Object.entries(source || {})) {
+        // Prototype Pollution 방지
+        if (!isSafeKey(key) || value === undefined || value === null) continue;
+        variables[key] = String(value);
+      }
+    }
+    // 필드 폼으로 실행하면 content가 없으므로 "내용" 필드를 대신 사용
+    if (!variables.content && variables['내용']) {
+      variables.content = variables['내용'];
+    }
+    return variables;
+  }
+
+  /**
+   * {{변수}} 치환 (없는 변수는 빈 문자열)
+   * @param {string} template
+   * @param {Object} variables
+   * @param {Function} [encode] - 치환 값 변환 (value, offset) => string
+   */
+  render(template, variables, encode = value => value) {
+    if (typeof template !== 'string') return template;
+    return template.replace(VARIABLE_PATTERN, (_, name, offset) => {
+      const value = Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : '';
+      return encode(value, offset);
+    });
+  }
+
+  // 객체/배열 body의 문자열 값만 재귀적으로 치환 (키는 그대로)
+  renderDeep(value, variables) {
+    if (typeof value === 'string') return this.render(value, variables);
+    if (Array.isArray(value)) return value.map(item => this.renderDeep(item, variables));
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (!isSafeKey(key)) continue;
+        result[key] = this.renderDeep(item, variables);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * URL 템플릿 치환
+   * 맨 앞 변수(설정의 주소 전체)는 그대로, 경로·쿼리 중간의 변수는 인코딩
+   */
+  renderUrl(template, variables) {
+    return this.render(template, variables, (value, offset) => (
+      offset === 0 ? value.trim() : encodeURIComponent(value)
+    ));
+  }
+
+  /**
+   * manifest의 request → { url, method, headers, body }
+   */
+  buildRequest(requestDef, variables) {
+    const method = String(requestDef.method || 'POST').toUpperCase();
+    if (!METHODS.includes(method)) {
+      throw new Error(`지원하지 않는 HTTP 메서드입니다: ${method}`);
+    }
+
+    // url이 없으면 예전처럼 설정의 url 사용
+    const urlTemplate = requestDef.url || '{{url}}';
+    const urlStr = this.renderUrl(urlTemplate, variables);
+    if (!urlStr) {
+      throw new Error('URL이 설정되지 않았습니다');
+    }
+
+    const urlValidation = validateUrl(urlStr);
+    if (!urlValidation.valid) {
+      throw new Error(urlValidation.error);
+    }
+    const url = urlValidation.url;
+
+    // 쿼리 파라미터 (값이 빈 항목은 생략)
+    if (requestDef.query && typeof requestDef.query === 'object') {
+      for (const [key, template] of Object.entries(requestDef.query)) {
+        const value = this.render(String(template ?? ''), variables);
+        if (key && value !== '') url.searchParams.append(key, value);
+      }
+    }
+
+    // 헤더 (줄바꿈 제거로 헤더 주입 방지, 값이 빈 항목은 생략)
+    const headers = {};
+    if (requestDef.headers && typeof requestDef.headers === 'object') {
+      for (const [key, template] of Object.entries(requestDef.headers)) {
+        if (!isSafeKey(key)) continue;
+        const value = this.render(String(template ?? ''), variables).replace(/[\r\n]+/g, ' ').trim();
+        if (value) headers[key] = value;
+      }
+    }
 
-    // fieldValues 치환 ({"내용": "테스트"} 형태)
-    for (const [key, value] of Object.entries(fieldValues)) {
-      body = body.split(`{{${key}}}`).join(value || '');
+    const hasBody = requestDef.body !== undefined && requestDef.body !== null && requestDef.body !== '';
+    let bodyType = requestDef.bodyType || (hasBody ? 'json' : 'none');
+    if (!BODY_TYPES.includes(bodyType)) {
+      throw new Error(`지원하지 않는 bodyType입니다: ${bodyType}`);
     }
+    if (!hasBody || method === 'GET' || method === 'HEAD') bodyType = 'none';
 
-    // 기본 content 치환
-    if (body.includes('{{content}}') && fieldValues['내용']) {
-      body = body.split('{{content}}').join(fieldValues['내용']);
+    const body = this.buildBody(requestDef.body, bodyType, variables);
+
+    const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+    if (bodyType !== 'none' && !hasContentType) {
+      headers['Content-Type'] = CONTENT_TYPES[bodyType];
+    }
+
+    return { url: url.toString(), method, headers, body };
+  }
+
+  buildBody(bodyDef, bodyType, variables) {
+    if (bodyType === 'none') return null;
+
+    if (bodyType === 'json') {
+      // 문자열 JSON 템플릿은 값만 escape해서 치환
+      if (typeof bodyDef === 'string') {
+        return this.render(bodyDef, variables, escapeForJson);
+      }
+      return JSON.stringify(this.renderDeep(bodyDef, variables));
+    }
+
+    if (bodyType === 'form') {
+      if (typeof bodyDef === 'string') {
+        return this.render(bodyDef, variables, encodeURIComponent);
+      }
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(this.renderDeep(bodyDef, variables) || {})) {
+        params.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+      }
+      return params.toString();
+    }
+
+    // raw: 문자열 그대로 (객체면 JSON으로)
+    if (typeof bodyDef === 'string') return this.render(bodyDef, variables);
+    return JSON.stringify(this.renderDeep(bodyDef, variables));
+  }
+
+  // ===== 응답 → 메모에 넣을 텍스트 =====
+
+  /**
+   * response 설정에 따라 insertText / insertMode 추가 (실패한 응답은 그대로)
+   */
+  applyResponse(result, responseDef, variables) {
+    if (!result.success || !responseDef || typeof responseDef !== 'object') return result;
+
+    const insertMode = INSERT_MODES.includes(responseDef.insert) ? responseDef.insert : 'cursor';
+    let insertText;
+
+    if (typeof responseDef.template === 'string' && responseDef.template) {
+      insertText = responseDef.template.replace(VARIABLE_PATTERN, (_, path) => {
+        const value = this.getValueByPath(result.data, path);
+        if (value !== undefined) return this.stringifyValue(value);
+        return Object.prototype.hasOwnProperty.call(variables, path) ? variables[path] : '';
+      });
+    } else {
+      const value = responseDef.path ? this.getValueByPath(result.data, responseDef.path) : result.data;
+      insertText = value === undefined ? '' : this.stringifyValue(value);
+    }
+
+    return { ...result, insertText: insertText || null, insertMode };
+  }
+
+  stringifyValue(value) {
+    if (value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  }
+
+  parseResponse(data, contentType) {
+    const looksLikeJson = /^\s*[[{]/.test(data);
+    if ((contentType && contentType.includes('application/json')) || looksLikeJson) {
+      try {
+        return JSON.parse(data);
+      } catch {
+        return data;
+      }
     }
+    return data;
+  }
 
-    // HTTP 요청 실행
-    return this.sendRequest(url, body);
+  /**
+   * 점 표기법으로 객체에서 값 추출 (배열 인덱스 지원, HttpTool과 같은 규칙)
+   * @param {any} obj - 대상 객체
+   * @param {string} path - 경로 (예: "data.result.text" 또는 "output[0].content[0].text")
+   * @returns {any} 추출된 값 또는 undefined
+   */
+  getValueByPath(obj, path) {
+    if (obj === null || obj === undefined || typeof obj !== 'object' || !path) return undefined;
+
+    // 배열 인덱스를 점 표기법으로 변환: output[0].content[0] → output.0.content.0
+    const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+
+    let value = obj;
+    for (const key of keys) {
+      if (key === '') continue;
+      // Prototype Pollution 방지 (__proto__ 등 경로 차단)
+      if (!isSafeKey(key) || value === null || typeof value !== 'object') return undefined;
+      if (!Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+      value = value[key];
+    }
+    return value;
   }
 
   /**
-   * HTTP POST 요청 (SSRF 방지 적용)
+   * 예전 형식 (request 없이 body 문자열만 있는 명령어)
    */
-  sendRequest(urlStr, body) {
+  async executeLegacy(cmd, variables, toolSettings) {
+    const url = toolSettings.url;
+    if (!url) {
+      return { success: false, error: 'URL이 설정되지 않았습니다' };
+    }
+
+    // body 템플릿에 값 치환 (빈 문자열도 fallback 적용)
+    const body = this.render(cmd.body || '{"text": "{{content}}"}', variables, escapeForJson);
+
+    const request = {
+      url,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body
+    };
+    const result = await this.sendRequest(request);
+    return this.applyResponse({ ...result, request }, cmd.response, variables);
+  }
+
+  /**
+   * HTTP 요청 (SSRF 방지 적용)
+   */
+  sendRequest({ url: urlStr, method, headers, body }) {
     return new Promise((resolve) => {
       try {
-        // SSRF 방지: URL 보안 검증
+        // SSRF 방지: 쿼리 파라미터까지 붙인 최종 URL로 다시 검증
         const urlValidation = validateUrl(urlStr);
         if (!urlValidation.valid) {
           resolve({ success: false, error: urlValidation.error });
@@ -100,9 +368,9 @@ class ManifestTool {
         const httpModule = isHttps ? https : http;
 
         const req = httpModule.request(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 10000
+          method,
+          headers,
+          timeout: REQUEST_TIMEOUT
         }, (res) => {
           let data = '';
           res.on('data', chunk => data += chunk);
@@ -110,7 +378,7 @@ class ManifestTool {
             resolve({
               success: res.statusCode >= 200 && res.statusCode < 300,
               status: res.statusCode,
-              data
+              data: this.parseResponse(data, res.headers['content-type'])
             });
           });
         });
@@ -121,7 +389,9 @@ class ManifestTool {
           resolve({ success: false, error: '요청 시간 초과' });
         });
 
-        req.write(body);
+        if (body !== null && body !== undefined) {
+          req.write(body);
+        }
         req.end();
       } catch (e) {
         resolve({ success: false, error: e.message });
@@ -146,6 +146,8 @@ class HttpTool extends BaseTool {
       let body = this.processBody(config, context, bodyType);
 
       const resultPath = config.resultPath || '';
+      // 실행 기록용 (main.js에서 비밀 값을 가린 뒤 저장)
+      const request = { method, url: url.toString(), headers, body: method !== 'GET' ? body : null };
 
       return new Promise((resolve) => {
         const req = httpModule.request(url, {
@@ -163,18 +165,19 @@ class HttpTool extends BaseTool {
               success: res.statusCode >= 200 && res.statusCode < 300,
               status: res.statusCode,
               data: parsedData,
-              insertText: insertText !== undefined ? String(insertText) : null
+              insertText: insertText !== undefined ? String(insertText) : null,
+              request
             });
           });
         });
 
         req.on('error', (e) => {
-          resolve({ success: false, error: e.message });
+          resolve({ success: false, error: e.message, request });
         });
 
         req.on('timeout', () => {
           req.destroy();
-          resolve({ success: false, error: 'Request timeout' });
+          resolve({ success: false, error: 'Request timeout', request });
         });
 
         if (body && method !== 'GET') {
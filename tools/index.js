@@ -1,21 +1,44 @@
 /**
  * Tool Registry - 심플한 도구 관리
+ * 앱에 포함된 tools/ + 사용자 도구 폴더(userData/tools, 매니페스트 도구만)를 읽고,
+ * 감시 중인 폴더가 바뀌면 다시 등록한 뒤 'change' 이벤트 발생
  */
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const ManifestTool = require('./ManifestTool');
 
-class ToolRegistry {
+const RELOAD_DELAY = 300;  // 저장 중 여러 번 오는 변경 이벤트를 한 번으로
+
+class ToolRegistry extends EventEmitter {
   constructor() {
+    super();
     this.tools = new Map();  // 기존 코드 도구 (webhook, http)
     this.toolIcons = new Map();  // 도구별 아이콘 경로
     this.manifestTools = new Map();  // 매니페스트 도구
+    this.userToolsDir = null;  // 사용자 도구 폴더
+    this.watchedRoots = [];
+    this.watchers = new Map();  // 폴더 경로 → fs.FSWatcher
+    this.reloadTimer = null;
     this.loadTools();
   }
 
   loadTools() {
-    const toolsDir = __dirname;
-    const entries = fs.readdirSync(toolsDir, { withFileTypes: true });
+    this.loadDirectory(__dirname, { allowCode: true });
+    // 사용자 폴더는 코드를 실행하지 않도록 manifest.json만 읽음
+    if (this.userToolsDir) {
+      this.loadDirectory(this.userToolsDir, { allowCode: false });
+    }
+  }
+
+  loadDirectory(toolsDir, { allowCode }) {
+    let entries;
+    try {
+      entries = fs.readdirSync(toolsDir, { withFileTypes: true });
+    } catch (e) {
+      console.error(`Tools directory read error (${toolsDir}):`, e.message);
+      return;
+    }
 
     for (const entry of entries) {
       if (!entry.isDirectory() || entry.name.startsWith('_')) continue;
@@ -29,8 +52,10 @@ class ToolRegistry {
       const hasIcon = fs.existsSync(iconPath);
 
       // 1. 코드 도구 (기존 호환)
-      if (fs.existsSync(jsPath)) {
+      if (allowCode && fs.existsSync(jsPath)) {
         try {
+          // 다시 불러올 때 수정한 코드가 반영되도록 캐시 제거
+          delete require.cache[require.resolve(jsPath)];
           const Tool = require(jsPath);
           this.tools.set(Tool.meta.id, Tool);
           // icon.png 있으면 경로 저장, 없으면 meta.icon 사용
@@ -41,6 +66,11 @@ class ToolRegistry {
       }
       // 2. 매니페스트 도구
       else if (fs.existsSync(manifestPath)) {
+        // 같은 이름이 이미 있으면 먼저 읽은 도구(앱에 포함된 도구) 우선
+        if (this.tools.has(entry.name) || this.manifestTools.has(entry.name)) {
+          console.warn(`Manifest skipped (${entry.name}): tool id already registered`);
+          continue;
+        }
         try {
           const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
           const tool = new ManifestTool(manifest, entry.name);
@@ -54,6 +84,88 @@ class ToolRegistry {
     }
   }
 
+  // 사용자 도구 폴더 지정 후 다시 읽음
+  setUserToolsDir(dir) {
+    this.userToolsDir = dir;
+    this.reload();
+  }
+
+  // 전부 다시 읽고 'change' 이벤트
+  reload() {
+    this.tools.clear();
+    this.toolIcons.clear();
+    this.manifestTools.clear();
+    this.loadTools();
+    this.emit('change');
+  }
+
+  // ===== 폴더 감시 =====
+
+  /**
+   * 도구 폴더 감시 시작 (도구 추가/삭제 + 각 도구 폴더 안의 파일 수정)
+   * Linux는 fs.watch의 recursive를 지원하지 않아 도구 폴더마다 따로 감시
+   */
+  watchDirectory(root) {
+    if (!this.watchedRoots.includes(root)) {
+      this.watchedRoots.push(root);
+    }
+    this.refreshWatchers();
+  }
+
+  refreshWatchers() {
+    const dirs = new Set();
+    for (const root of this.watchedRoots) {
+      dirs.add(root);
+      try {
+        for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+          if (entry.isDirectory() && !entry.name.startsWith('_')) {
+            dirs.add(path.join(root, entry.name));
+          }
+        }
+      } catch (e) {
+        console.error(`Tools directory read error (${root}):`, e.message);
+      }
+    }
+
+    // 삭제된 폴더 감시 해제
+    for (const [dir, watcher] of this.watchers) {
+      if (dirs.has(dir)) continue;
+      watcher.close();
+      this.watchers.delete(dir);
+    }
+
+    for (const dir of dirs) {
+      if (this.watchers.has(dir)) continue;
+      try {
+        const watcher = fs.watch(dir, () => this.scheduleReload());
+        watcher.on('error', () => {
+          watcher.close();
+          this.watchers.delete(dir);
+        });
+        this.watchers.set(dir, watcher);
+      } catch (e) {
+        console.error(`Tools watch error (${dir}):`, e.message);
+      }
+    }
+  }
+
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.refreshWatchers();
+      this.reload();
+    }, RELOAD_DELAY);
+  }
+
+  unwatchAll() {
+    clearTimeout(this.reloadTimer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.watchedRoots = [];
+  }
+
   // 도구 아이콘 조회
   getIcon(id) {
     return this.toolIcons.get(id) || '🔧';
@@ -88,6 +88,8 @@ class WebhookTool extends BaseTool {
       const headers = {
         'Content-Type': 'application/json'
       };
+      // 실행 기록용 (main.js에서 비밀 값을 가린 뒤 저장)
+      const request = { method: 'POST', url: url.toString(), headers, body };
 
       return new Promise((resolve) => {
         const req = httpModule.request(url, {
@@ -101,18 +103,19 @@ class WebhookTool extends BaseTool {
             resolve({
               success: res.statusCode >= 200 && res.statusCode < 300,
               status: res.statusCode,
-              data
+              data,
+              request
             });
           });
         });
 
         req.on('error', (e) => {
-          resolve({ success: false, error: e.message });
+          resolve({ success: false, error: e.message, request });
         });
 
         req.on('timeout', () => {
           req.destroy();
-          resolve({ success: false, error: 'Request timeout' });
+          resolve({ success: false, error: 'Request timeout', request });
         });
 
         req.write(body);
@@ -0,0 +1,254 @@
+/**
+ * Workflow Tool
+ * 여러 도구 / 매니페스트 명령어를 순서대로 실행
+ * 앞 단계 결과는 {{steps.1.data.id}}처럼 1부터 시작하는 단계 번호로 참조
+ *
+ * config.steps 예시:
+ * [
+ *   { "tool": "http", "config": { "url": "...", "body": "{\"summary\": \"{{content}}\"}" } },
+ *   { "tool": "slack", "command": "슬랙", "fields": { "message": "{{steps.1.data.key}}" },
+ *     "if": "{{steps.1.status}} == 201", "stopOnError": false }
+ * ]
+ * config.insertText: 메모에 넣을 텍스트 템플릿 (비우면 마지막 단계의 결과 텍스트)
+ */
+const BaseTool = require('../BaseTool');
+const { isSafeKey, safeJsonParse } = require('../security');
+
+const MAX_STEPS = 20;
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const STEP_VARIABLE_PATTERN = /\{\{\s*steps\.(\d+)([^{}\s]*)\s*\}\}/g;
+const FALSY_VALUES = ['', 'false', '0', 'null', 'undefined'];
+
+/**
+ * 점 표기법으로 값 추출 (배열 인덱스 지원, __proto__ 등은 차단)
+ */
+function getValueByPath(obj, path) {
+  const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+  let value = obj;
+  for (const key of keys) {
+    if (key === '') continue;
+    if (!isSafeKey(key) || value === null || typeof value !== 'object') return undefined;
+    if (!Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function stringifyValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+class WorkflowTool extends BaseTool {
+  static get meta() {
+    return {
+      id: 'workflow',
+      name: 'Workflow',
+      description: '여러 도구를 순서대로 실행합니다 (앞 단계 결과 사용 가능)',
+      icon: '🔀',
+      category: 'core',
+      version: '1.0.0'
+    };
+  }
+
+  static get schema() {
+    return [
+      {
+        name: 'steps',
+        type: 'steps',
+        label: '단계',
+        required: true,
+        hint: '{{steps.1.data.id}} 형식으로 앞 단계 결과 사용'
+      },
+      {
+        name: 'insertText',
+        type: 'text',
+        label: '메모에 넣을 텍스트',
+        placeholder: '{{steps.1.data.url}} (비워두면 마지막 단계 결과)',
+        required: false
+      }
+    ];
+  }
+
+  static get defaults() {
+    return {
+      steps: [],
+      insertText: ''
+    };
+  }
+
+  static validate(config) {
+    const errors = [];
+    const steps = config.steps;
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      errors.push('At least one step is required');
+    } else if (steps.length > MAX_STEPS) {
+      errors.push(`Too many steps (max ${MAX_STEPS})`);
+    } else {
+      steps.forEach((step, i) => {
+        if (!step || typeof step.tool !== 'string' || !step.tool) {
+          errors.push(`Step ${i + 1}: tool is required`);
+        } else if (step.tool === this.meta.id) {
+          errors.push(`Step ${i + 1}: nested workflow is not allowed`);
+        }
+      });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * @param {Object} config - { steps, insertText }
+   * @param {Object} context - { content, editorContent, meta, getManifestSettings(toolId) }
+   */
+  static async execute(config, context = {}) {
+    const validation = this.validate(config);
+    if (!validation.valid) {
+      return { success: false, error: validation.errors.join(', ') };
+    }
+
+    // 레지스트리가 이 도구를 로드하므로 실행 시점에 가져옴 (순환 require 방지)
+    const { registry } = require('../index');
+    const results = [];
+    let last = null;
+
+    for (const [i, step] of config.steps.entries()) {
+      if (step.if !== undefined && step.if !== '' && !this.evaluateCondition(step.if, results)) {
+        results.push({ success: false, skipped: true });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await this.runStep(registry, step, results, context);
+      } catch (e) {
+        result = { success: false, error: e.message };
+      }
+
+      results.push({
+        success: !!result?.success,
+        status: result?.status,
+        data: result?.data,
+        insertText: result?.insertText ?? null,
+        error: result?.error
+      });
+
+      if (!result?.success) {
+        if (step.stopOnError === false) continue;
+        return {
+          success: false,
+          status: result?.status,
+          error: `${i + 1}단계 실패: ${result?.error || result?.status || '알 수 없는 오류'}`,
+          steps: results
+        };
+      }
+      last = result;
+    }
+
+    const insertText = config.insertText
+      ? this.renderSteps(config.insertText, results)
+      : last?.insertText;
+
+    return {
+      success: true,
+      status: last?.status,
+      data: last?.data,
+      steps: results,
+      insertText: insertText || null,
+      insertMode: config.insertText ? undefined : last?.insertMode
+    };
+  }
+
+  static async runStep(registry, step, results, context) {
+    // 매니페스트 명령어: 필드 값 템플릿을 채워서 실행
+    if (registry.getManifest(step.tool)) {
+      const variables = this.parseInput(context.content);
+      const fieldValues = {
+        editorContent: context.editorContent || '',
+        ...(context.meta || {}),
+        ...variables
+      };
+      for (const [name, template] of Object.entries(step.fields || {})) {
+        if (!isSafeKey(name)) continue;
+        fieldValues[name] = this.renderTemplate(String(template ?? ''), results, fieldValues);
+      }
+      const settings = context.getManifestSettings ? context.getManifestSettings(step.tool) : {};
+      return registry.executeManifest(step.tool, step.command, fieldValues, settings);
+    }
+
+    if (!registry.get(step.tool)) {
+      return { success: false, error: `알 수 없는 도구: ${step.tool}` };
+    }
+
+    // 코드 도구: {{steps.N...}}만 치환하고 나머지 변수는 도구가 처리
+    const stepConfig = this.renderDeep(step.config || {}, results);
+    return registry.execute(step.tool, stepConfig, context);
+  }
+
+  /**
+   * 단축어 입력값 → 변수 (폼 입력이면 JSON 문자열, 아니면 단축어 뒤에 입력한 내용)
+   */
+  static parseInput(content) {
+    const parsed = typeof content === 'string' ? safeJsonParse(content) : null;
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { content: content || '' };
+    }
+
+    const variables = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      if (isSafeKey(key)) variables[key] = stringifyValue(value);
+    }
+    return variables;
+  }
+
+  static getStepValue(results, number, path) {
+    const result = results[Number(number) - 1];
+    if (!result) return undefined;
+    return path ? getValueByPath(result, path) : result.data;
+  }
+
+  // {{steps.N.경로}}만 치환
+  static renderSteps(template, results) {
+    return template.replace(STEP_VARIABLE_PATTERN, (_, number, path) => (
+      stringifyValue(this.getStepValue(results, number, path))
+    ));
+  }
+
+  // {{steps.N.경로}} + 일반 변수 치환 (없는 변수는 빈 문자열)
+  static renderTemplate(template, results, variables) {
+    return this.renderSteps(template, results).replace(VARIABLE_PATTERN, (_, name) => (
+      Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : ''
+    ));
+  }
+
+  static renderDeep(value, results) {
+    if (typeof value === 'string') return this.renderSteps(value, results);
+    if (Array.isArray(value)) return value.map(item => this.renderDeep(item, results));
+    if (value && typeof value === 'object') {
+      const rendered = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (!isSafeKey(key)) continue;
+        rendered[key] = this.renderDeep(item, results);
+      }
+      return rendered;
+    }
+    return value;
+  }
+
+  /**
+   * 단계 실행 조건
+   * "{{steps.1.success}}" (값이 비었거나 false/0/null이면 거짓) 또는 "{{steps.1.status}} == 201", "... != ..."
+   */
+  static evaluateCondition(expression, results) {
+    const text = this.renderSteps(String(expression), results);
+    const comparison = text.match(/^([\s\S]*?)\s*(==|!=)\s*([\s\S]*)$/);
+    if (comparison) {
+      const equal = comparison[1].trim() === comparison[3].trim();
+      return comparison[2] === '==' ? equal : !equal;
+    }
+    return !FALSY_VALUES.includes(text.trim().toLowerCase());
+  }
+}
+
+module.exports = WorkflowTool;